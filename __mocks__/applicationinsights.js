@@ -0,0 +1,27 @@
+// Mock automático do Jest para o SDK do Application Insights: os testes não enviam telemetria
+// nem deixam coletores e timers do SDK abertos (services/telemetryService inicia o SDK ao carregar).
+
+const defaultClient = {
+  trackEvent: jest.fn(),
+  trackMetric: jest.fn(),
+  trackException: jest.fn(),
+  trackTrace: jest.fn(),
+  trackDependency: jest.fn(),
+  trackRequest: jest.fn(),
+  flush: jest.fn()
+};
+
+const configuration = {
+  setAutoCollectDependencies: () => configuration,
+  setAutoCollectPerformance: () => configuration,
+  setAutoCollectRequests: () => configuration,
+  setAutoCollectExceptions: () => configuration,
+  setAutoCollectConsole: () => configuration,
+  setSendLiveMetrics: () => configuration,
+  start: () => configuration
+};
+
+module.exports = {
+  setup: jest.fn(() => configuration),
+  defaultClient
+};
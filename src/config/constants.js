@@ -1,4 +1,6 @@
 // src/config/constants.js
+const os = require('os');
+const path = require('path');
 
 const CONFIG = {
   // Configurações de API
@@ -29,7 +31,9 @@ const CONFIG = {
   CRM: {
     BASE_URL: process.env.CRM_API_URL || 'https://ms-crm-az.kemosoft.com.br',
     API_KEY: process.env.CRM_API_KEY,
-    TIMEOUT: 80000
+    TIMEOUT: 80000,
+    // Proxy de log pelo qual passam as chamadas ao CRM (destino no header x-target-url)
+    PROXY_URL: process.env.CRM_PROXY_URL || 'https://proxy-logger.azurewebsites.net/api/ProxyLogger'
   },
 
   // Cloudinary
@@ -48,19 +52,147 @@ const CONFIG = {
     DOCUMENTS_TTL: 60 * 60 * 1000          // 1 hora
   },
 
+  // Armazenamento compartilhado (sessões, idempotência, rate limiting)
+  STORAGE: {
+    REDIS_URL: process.env.REDIS_URL,
+    FILE_DIR: process.env.STORAGE_DIR || path.join(os.tmpdir(), 'flows')
+  },
+
+  // Sessão por flow_token
+  SESSION: {
+    BACKEND: process.env.SESSION_STORE || 'memory',   // memory | file | redis
+    TTL: 24 * 60 * 60 * 1000,                         // 24 horas
+    MAX_ENTRIES: 10000,
+    MAX_SCREENS: 50,                                  // telas visitadas mantidas por sessão
+    MAX_HISTORY: 10                                   // profundidade do histórico para BACK
+  },
+
+  // Idempotência de data_exchange (flow_token + tela + hash do payload)
+  IDEMPOTENCY: {
+    BACKEND: process.env.IDEMPOTENCY_STORE || process.env.SESSION_STORE || 'memory',
+    TTL: 10 * 60 * 1000,                              // 10 minutos
+    MAX_ENTRIES: 10000,
+    // Marcador de requisição em andamento: expira após o maior timeout de tela (ADDRESS_TIMEOUT),
+    // liberando a chave se a instância que processava cair
+    PENDING_TTL: 60000,
+    POLL_INTERVAL: 100                                // consulta dos duplicados ao marcador
+  },
+
   // Rate Limiting
   RATE_LIMIT: {
+    BACKEND: process.env.RATE_LIMIT_STORE || 'memory',         // memory | redis
+    MAX_KEYS: 50000,                                           // limite de chaves no store em memória
     WINDOW: parseInt(process.env.RATE_LIMIT_WINDOW) || 60000,  // 1 minuto
     MAX_REQUESTS: parseInt(process.env.RATE_LIMIT_MAX) || 100,
     IP_WINDOW: 60000,
-    IP_MAX_REQUESTS: 1000
+    IP_MAX_REQUESTS: 1000,
+
+    // Políticas por chave limitada (strategy: sliding-window | token-bucket)
+    POLICIES: {
+      flowToken: {
+        strategy: 'sliding-window',
+        limit: parseInt(process.env.RATE_LIMIT_MAX) || 100,
+        window: parseInt(process.env.RATE_LIMIT_WINDOW) || 60000
+      },
+      ip: { strategy: 'sliding-window', limit: 1000, window: 60000 },
+      cpf: { strategy: 'token-bucket', capacity: 30, refillPerSecond: 0.5 },
+      flowType: { strategy: 'token-bucket', capacity: 500, refillPerSecond: 50 },
+      // Dependências externas
+      crm: { strategy: 'sliding-window', limit: 100, window: 60000 },
+      transparencia: { strategy: 'sliding-window', limit: 10, window: 60000 }
+    }
   },
 
   // Circuit Breaker
   CIRCUIT_BREAKER: {
     FAILURE_THRESHOLD: 5,
     RESET_TIMEOUT: 60000,                   // 1 minuto
-    SUCCESS_THRESHOLD: 2
+    SUCCESS_THRESHOLD: 2,
+    // Limites e fallback por dependência (valores ausentes usam os padrões acima).
+    // fallback: 'throw' (CircuitBreakerError) ou 'value' (retorna fallbackValue)
+    DEPENDENCIES: {
+      crm: { failureThreshold: 5, resetTimeout: 30000, fallback: 'throw' },
+      brasilapi: { failureThreshold: 3, resetTimeout: 60000, fallback: 'throw' },
+      transparencia: { failureThreshold: 3, resetTimeout: 120000, fallback: 'throw' },
+      cloudinary: { failureThreshold: 3, resetTimeout: 60000, fallback: 'throw' },
+      n8n: { failureThreshold: 5, resetTimeout: 60000, fallback: 'throw' },
+      // Validador de CPF indisponível falha fechado: o CPF não é aceito sem validação
+      '4devs': { failureThreshold: 3, resetTimeout: 300000, fallback: 'throw' }
+    },
+    // Identificação da dependência pela URL de destino (demais URLs são do CRM)
+    URL_PATTERNS: {
+      '4devs': /4devs\.com\.br/,
+      n8n: /n8n-[\w-]*webhook/,
+      brasilapi: /brasilapi\.com\.br/,
+      transparencia: /portaldatransparencia\.gov\.br/,
+      cloudinary: /cloudinary\.com/
+    }
+  },
+
+  // Políticas de retry (ver utils/retryPolicy): só erros transitórios são repetidos
+  RETRY: {
+    DEFAULT: {
+      maxAttempts: 3,
+      baseDelay: 200,
+      maxDelay: 1000,
+      jitter: 0.5,
+      deadline: 8000                       // prazo total das tentativas
+    },
+    // Handlers de tela gravam no CRM: por padrão não são repetidos (o retry fica nas rotas
+    // de leitura do apiClient). Telas só de leitura podem declarar `retry` na definição.
+    SCREEN: { maxAttempts: 1 },
+    ADDRESS: { maxAttempts: 3, deadline: 5000 }
+  },
+
+  // Experimentos A/B (definições em flows/experiments)
+  EXPERIMENTS: {
+    ENABLED: process.env.EXPERIMENTS_ENABLED !== 'false',
+    // Experimentos desligados sem deploy, ex.: EXPERIMENTS_DISABLED=inss-conta-antes-endereco
+    DISABLED: (process.env.EXPERIMENTS_DISABLED || '').split(',').map(id => id.trim()).filter(Boolean)
+  },
+
+  // Multi-tenant (definições em config/tenants, ver services/tenantService)
+  TENANTS: {
+    DEFAULT: process.env.DEFAULT_TENANT || 'default',
+    QUERY_PARAM: 'tenant',                 // ?tenant= na URL do endpoint
+    TOKEN_SEPARATOR: ':',                  // flow_token no formato <tenant>:<token>
+    // Tenants de parceiros em JSON, ex.: TENANTS_CONFIG='[{"id":"parceiro","crm":{...}}]'
+    DEFINITIONS: process.env.TENANTS_CONFIG
+  },
+
+  // Chaves privadas do endpoint, tentadas em ordem na descriptografia (ver services/keyringService).
+  // Na rotação, a chave anterior continua aceita até a Meta passar a usar a nova chave pública.
+  KEYRING: {
+    SLOTS: [
+      { id: 'current', keyEnv: 'PRIVATE_KEY', passphraseEnv: 'PASSPHRASE' },
+      { id: 'previous', keyEnv: 'PRIVATE_KEY_PREVIOUS', passphraseEnv: 'PASSPHRASE_PREVIOUS' }
+    ],
+    GRAPH_API_URL: 'https://graph.facebook.com',
+    GRAPH_API_VERSION: process.env.GRAPH_API_VERSION || 'v21.0'
+  },
+
+  // flow_token assinado (ver services/flowTokenService)
+  FLOW_TOKEN: {
+    SECRET: process.env.FLOW_TOKEN_SECRET,  // sem segredo, os tokens não são verificados (ambiente local)
+    TTL: parseInt(process.env.FLOW_TOKEN_TTL) || 86400,  // validade em segundos (24h)
+    CLOCK_TOLERANCE: 60                     // segundos de diferença de relógio aceitos
+  },
+
+  // Endpoint do Flow, comum ao Express e às Azure Functions (ver endpoint/flowEndpoint)
+  FLOW_ENDPOINT: {
+    DEFAULT_FLOW: process.env.DEFAULT_FLOW || 'bolsa-familia',  // requisições sem ?flow_name=
+    FLOW_QUERY_PARAM: 'flow_name',
+    SIGNATURE_HEADER: 'x-hub-signature-256',
+    // Sem APP_SECRET as requisições são recusadas (432); 'disabled' desliga a verificação
+    // explicitamente (ex.: testes locais com o simulador sem App Secret)
+    SIGNATURE_CHECK: process.env.FLOW_SIGNATURE_CHECK !== 'disabled'
+  },
+
+  // Health check (ver services/healthService)
+  HEALTH: {
+    CRITICAL: ['crm'],                     // dependências sem as quais o endpoint não atende
+    PROBE_TIMEOUT: 2000,                   // timeout curto das sondas HTTP
+    PROBE_DEPENDENCIES: process.env.HEALTH_PROBES === 'true'  // sondas mesmo sem ?probe=true
   },
 
   // Request
@@ -116,7 +248,7 @@ const CONFIG = {
     ACCOUNT: 'account',
     DOCUMENT_RG: 'document_rg',
     RESIDENCE: 'residencia',
-    COMPLETE: 'complete'
+    COMPLETE: 'SUCCESS'
   }
 };
 
@@ -0,0 +1,79 @@
+// src/config/tenants.js
+const { CONFIG } = require('./constants');
+// TenantError fica em utils/errors: services/tenantService carrega este módulo
+const { TenantError } = require('../utils/errors');
+
+/**
+ * Tenants (parceiros e marcas) atendidos pelo endpoint (ver services/tenantService).
+ *
+ * O tenant da requisição é o parâmetro `?tenant=` da URL do endpoint ou o prefixo do
+ * flow_token (`<tenant>:<token>`). Sem nenhum dos dois, vale CONFIG.TENANTS.DEFAULT.
+ *
+ * Campos do tenant:
+ *    - id: identificador (query string, prefixo do flow_token e dimensão `tenant` da telemetria);
+ *    - name: nome da marca;
+ *    - crm: { baseUrl, apiKey | apiKeyEnv }, credenciais do CRM (apiKeyEnv: variável de ambiente
+ *      com a chave, para não versionar segredos);
+ *    - cloudinary: { cloudName, apiKey, uploadPreset, folder, flows }, destino dos documentos enviados
+ *      (flows: { [flowType]: { uploadPreset, folder } }, destino próprio de um fluxo);
+ *    - tags: { [flowType]: { [etapa]: uuid } }, tags do CRM atribuídas pelos controllers;
+ *    - origin: { url }, domínio de origem registrado nos contatos criados (urlOrigem/urlReferencia);
+ *    - support: { url }, link de atendimento exibido nas mensagens de status;
+ *    - copy: { chave: texto }, textos da marca, com as mesmas chaves dos experimentos A/B
+ *      (`status.<status>.<campo>`, `cards.<funil>.<campo>`).
+ *
+ * Os demais tenants herdam do tenant padrão tudo, exceto `crm` e `tags`, que pertencem ao
+ * CRM de cada parceiro e precisam ser declarados. Tenants de parceiros são informados em JSON
+ * na variável TENANTS_CONFIG, sem deploy.
+ */
+const defaultTenant = {
+  id: CONFIG.TENANTS.DEFAULT,
+  name: 'Consigmais',
+  crm: {
+    baseUrl: CONFIG.CRM.BASE_URL,
+    apiKey: CONFIG.CRM.API_KEY
+  },
+  cloudinary: {
+    cloudName: CONFIG.CLOUDINARY.CLOUD_NAME,
+    apiKey: CONFIG.CLOUDINARY.API_KEY,
+    uploadPreset: 'gov-ce-preset',
+    folder: 'gov-ce',
+    flows: {
+      crefisa: { uploadPreset: 'crefisa-preset', folder: 'crefisa' }
+    }
+  },
+  tags: {
+    'gov-ce': {
+      signup: 'ce1b1427-bd86-4ed5-bb04-7b462a6e2ada',
+      documents: '314faa2a-535e-44f9-8d5f-b33bf0337030'
+    }
+  },
+  origin: {
+    url: 'https://app.heymax.io/'
+  },
+  support: {
+    url: 'https://wa.me/551140048024'
+  },
+  copy: {}
+};
+
+// Tenants de parceiros da variável TENANTS_CONFIG: JSON inválido impede o startup com a causa
+function parseDefinitions(json) {
+  if (!json) return [];
+
+  let definitions;
+  try {
+    definitions = JSON.parse(json);
+  } catch (error) {
+    throw new TenantError(`TENANTS_CONFIG não é um JSON válido: ${error.message}`);
+  }
+  if (!Array.isArray(definitions)) {
+    throw new TenantError('TENANTS_CONFIG deve ser uma lista de tenants');
+  }
+  return definitions;
+}
+
+module.exports = [
+  defaultTenant,
+  ...parseDefinitions(CONFIG.TENANTS.DEFINITIONS)
+];
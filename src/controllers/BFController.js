@@ -1,6 +1,7 @@
 // controllers/BFController.js
 const BaseController = require('./baseController');
 const { Logger } = require('../utils/logger');
+const { ScreenValidationError } = require('../utils/errors');
 const { BenefitsService } = require('../services/benefitsService');
 const { TelemetryService } = require('../services/telemetryService');
 const telemetry = TelemetryService.getInstance(process.env.INSTRUMENTATION_KEY);
@@ -10,27 +11,21 @@ const {
   getLeadData,
   registerDocument,
   uploadFiles,
-  validaCPF,
-  getStatusMessage
+  validaCPF
 } = require('../services/apiClient');
+const { getStatusMessage } = require('./statusMessages');
 
 class BFController extends BaseController {
-  constructor() {
-    super();
+  constructor(definition) {
+    super(definition);
     this.benefitsService = new BenefitsService();
     this.validadores = {
       nome: this.#validateName.bind(this)
     };
 
-    // Configuração específica de telas do BF
+    // Configuração específica de telas do BF (mapeamento pedirInfos vem da definição do fluxo)
     this.SCREEN_CONFIG = {
-      screens: {
-        'data-nascimento': 'signup',
-        documento: 'information',
-        endereco: 'address',
-        conta: 'account'
-      },
-      priority: ['data-nascimento', 'documento', 'endereco', 'conta'],
+      ...this.screenConfig,
       imageTypes: ['imagem-rg-frente', 'imagem-rg-tras'],
       outsideDocs: ['imagem-conta', 'extrato-conta']
     };
@@ -48,21 +43,7 @@ class BFController extends BaseController {
     return nomeValido;
   }
 
-  async getHandler(screen) {
-    const handlers = {
-      'front': this.handleFrontScreen.bind(this),
-      'signup': this.handleSignupScreen.bind(this),
-      'information': this.handleInformationScreen.bind(this),
-      'address': this.handleAddressScreen.bind(this),
-      'account': this.handleAccountScreen.bind(this),
-      'warning': this.handleWarningScreen.bind(this),
-      'documento_rg': this.handleDocumentScreen.bind(this)
-    };
-
-    return super.getHandler(screen, handlers);
-  }
-
-   // Helper específico para determinar próxima tela
+   // Helper específico para determinar próxima tela (null: só restam documentos enviados fora do Flow)
    #getNextScreen(pendingInfo) {
     const isOutsideDocument = (item) => this.SCREEN_CONFIG.outsideDocs.includes(item);
     const outsideDocsMatch = (
@@ -71,7 +52,7 @@ class BFController extends BaseController {
     );
 
     if (outsideDocsMatch) {
-      return 'complete';
+      return null;
     }
 
     const nextPriorityScreen = this.SCREEN_CONFIG.priority.find(
@@ -124,6 +105,9 @@ class BFController extends BaseController {
       // Fluxo para definição da próxima tela
       if (Array.isArray(leadData?.pedirInfos)) {
         const nextScreen = this.#getNextScreen(leadData.pedirInfos);
+        if (!nextScreen) {
+          return this.completeFlow(flow_token, { lead: leadData }, { startTime });
+        }
         return this._createEnhancedResponse(nextScreen, {
           leadId: leadData.id
         }, {
@@ -233,8 +217,8 @@ class BFController extends BaseController {
         throw new ScreenValidationError('Nome da mãe não informado', 'information');
       }
 
-      const cepData = await this.withTimeout(
-        this.addressService.fetchCEPData(data.cep)
+      const cepData = await this._withTimeout(
+        (signal) => this.addressService.fetchCEPData(data.cep, { signal })
       );
 
       if (cepData.error) {
@@ -295,10 +279,7 @@ class BFController extends BaseController {
 
       const uploadedFiles = await uploadFiles(data);
 
-      return this._createEnhancedResponse('complete', uploadedFiles, { 
-        flow_token, 
-        version 
-      });
+      return this.completeFlow(flow_token, { leadId: data.leadId, documents: uploadedFiles });
 
     } catch (error) {
       const errorKey = data.rg ? 'rgErro' : 'comprovanteErro';
@@ -0,0 +1,236 @@
+// controllers/CrefisaController.js
+const BaseController = require('./baseController');
+const { Logger } = require('../utils/logger');
+const {
+  nextStage,
+  createContact,
+  updateBasicLeadData,
+  consultaMatricula,
+  uploadFiles
+} = require('../services/apiClient');
+const { validateNIS } = require('../services/benefitsService');
+const { tenantService } = require('../services/tenantService');
+const { ScreenValidationError } = require('../utils/errors');
+const { telemetry } = require('../services/telemetryService');
+
+const CREDIT_GROUP = 'crefisa';
+
+// Tela de orientação sobre onde encontrar o NIS, exibida antes da captura manual
+const TUTORIAL_SCREEN = 'enrollment_tutorial';
+
+class CrefisaController extends BaseController {
+  constructor(definition) {
+    super(definition);
+    this.validadores = {
+      ...this.validadores,
+      nis: this.#validateNIS.bind(this)
+    };
+  }
+
+  // Dígito verificador do NIS (mesmo algoritmo da consulta de benefícios)
+  #validateNIS(nis) {
+    let valid = false;
+    try {
+      valid = validateNIS(nis);
+    } catch (error) {
+      throw new ScreenValidationError(error.message, 'enrollment');
+    }
+
+    if (!valid) {
+      throw new ScreenValidationError('NIS inválido! Confira o número no Cartão Cidadão ou na carteira de trabalho.', 'enrollment');
+    }
+    return String(nis).replace(/\D/g, '');
+  }
+
+  async handleFrontScreen(data, flow_token, version) {
+    const startTime = Date.now();
+
+    try {
+      const lead = await this._validateLeadAndCPF(data.cpf, CREDIT_GROUP);
+
+      if (lead.etapaFunil?.toLowerCase() === 'inexistente') {
+        return this.createResponse('signup', {
+          ...this.getProductRequiredItems(CREDIT_GROUP),
+          cpf: data.cpf
+        }, { flow_token, version });
+      }
+
+      return this.#routeLead(lead, { flow_token, version, startTime });
+    } catch (error) {
+      Logger.error('Erro no processamento de front Crefisa', {
+        error: error.message,
+        flow_token,
+        duration: Date.now() - startTime
+      });
+
+      return this.createResponse('front', {
+        cpfErro: `⚠️ ${error.message}`
+      }, { flow_token, version });
+    }
+  }
+
+  /**
+   * Processa a tela de cadastro (signup): cria o contato no funil crefisa e segue conforme
+   * o próximo estágio do lead, buscando o NIS automaticamente quando ele for pedido.
+   *
+   * @param {Object} data - Dados enviados pelo cliente.
+   * @param {string} flow_token - Token identificador do fluxo.
+   * @param {string} version - Versão do fluxo.
+   * @returns {Promise<Object>} Resposta com a próxima tela e dados adicionais.
+   */
+  async handleSignupScreen(data, flow_token, version) {
+    const startTime = Date.now();
+
+    try {
+      this.validadores.nome(data.nome);
+
+      const contact = await createContact({ ...data, creditGroup: CREDIT_GROUP }, flow_token);
+      if (!contact?.id) {
+        throw new Error('Erro ao criar contato');
+      }
+
+      const lead = await this._withTimeout(() => nextStage(contact.id));
+
+      Logger.info('Signup Crefisa processado', {
+        leadId: contact.id,
+        duration: Date.now() - startTime
+      });
+
+      return this.#routeLead({ id: contact.id, ...lead }, { flow_token, version, startTime });
+    } catch (error) {
+      Logger.error('Erro no processamento de signup Crefisa', {
+        error: error.message,
+        stack: error.stack,
+        duration: Date.now() - startTime
+      });
+
+      const errorField = error.message.toLowerCase().includes('cpf') ? 'cpfErro' : 'nomeErro';
+      return this.createResponse('signup', {
+        [errorField]: `⚠️ ${error.message}`
+      }, { flow_token, version, error: true });
+    }
+  }
+
+  /**
+   * Processa a tela de captura manual do NIS (enrollment), alcançada pelo tutorial quando
+   * a busca automática não encontra o número.
+   *
+   * @param {Object} data - Dados enviados pelo cliente (nis, leadId).
+   * @param {string} flow_token - Token identificador do fluxo.
+   * @param {string} version - Versão do fluxo.
+   * @returns {Promise<Object>} Resposta com a próxima tela e dados adicionais.
+   */
+  async handleEnrollmentScreen(data, flow_token, version) {
+    const startTime = Date.now();
+
+    try {
+      const nis = this.validadores.nis(data.nis);
+      if (!data.leadId) {
+        throw new Error('ID do lead não informado');
+      }
+
+      await this._withTimeout(() => updateBasicLeadData({ leadId: data.leadId, matricula: nis }));
+      const lead = await this._withTimeout(() => nextStage(data.leadId));
+
+      return this.#routeLead({ id: data.leadId, ...lead }, { flow_token, version, startTime }, { nis });
+    } catch (error) {
+      Logger.error('Erro no processamento do NIS', {
+        error: error.message,
+        flow_token,
+        duration: Date.now() - startTime
+      });
+
+      return this.createResponse('enrollment', {
+        ...this.getProductRequiredItems(CREDIT_GROUP),
+        leadId: data.leadId,
+        nisErro: `⚠️ ${error.message}`
+      }, { flow_token, version, error: true });
+    }
+  }
+
+  // Fotos do RG (frente e verso) pendentes no CRM: envia os arquivos e conclui o fluxo
+  async handleDocumentScreen(data, flow_token, version) {
+    const startTime = Date.now();
+    try {
+      Logger.info('Iniciando processamento de documentos', {
+        hasRg: !!data.rg,
+        leadId: data.leadId,
+        flow_token
+      });
+
+      if (!data.leadId) {
+        throw new Error('ID do lead não informado');
+      }
+
+      // Preset e pasta do Cloudinary do fluxo no tenant (o padrão do tenant é a pasta do GovCE)
+      const { uploadPreset, folder } = tenantService.current().cloudinary.flows?.[this.definition.flowType] || {};
+      const uploadedFiles = await uploadFiles(data, true, uploadPreset, folder);
+
+      return this.completeFlow(flow_token, { leadId: data.leadId, documents: uploadedFiles }, { startTime });
+    } catch (error) {
+      return this.handleError(error, 'documento_rg', flow_token, version);
+    }
+  }
+
+  /**
+   * Segue para a próxima pendência do lead. Com o NIS pendente, tenta primeiro a busca
+   * automática (consultaMatricula); sem resultado, exibe o tutorial antes da captura manual.
+   * `nis` indica que o NIS já foi informado nesta requisição (o CRM pode ainda não ter
+   * atualizado as pendências).
+   */
+  async #routeLead(lead, { flow_token, version, startTime }, { nis } = {}) {
+    let nextScreen = this._determineNextScreen(lead, CREDIT_GROUP, flow_token);
+
+    if (nextScreen === TUTORIAL_SCREEN && !nis) {
+      nis = await this.#discoverNIS(lead.id, flow_token);
+      if (nis) {
+        await this._withTimeout(() => updateBasicLeadData({ leadId: lead.id, matricula: nis }));
+        lead = { id: lead.id, ...await this._withTimeout(() => nextStage(lead.id)) };
+        nextScreen = this._determineNextScreen(lead, CREDIT_GROUP, flow_token);
+      }
+    }
+
+    if (nextScreen === TUTORIAL_SCREEN && nis) {
+      nextScreen = this._determineNextScreen({
+        ...lead,
+        pedirInfos: lead.pedirInfos.filter(info => this.screenConfig.screens[info] !== TUTORIAL_SCREEN)
+      }, CREDIT_GROUP, flow_token);
+    }
+
+    if (!nextScreen) {
+      return this.completeFlow(flow_token, { lead }, { startTime });
+    }
+
+    return this.createResponse(nextScreen, {
+      leadId: lead.id,
+      ...(nextScreen === TUTORIAL_SCREEN && this.getProductRequiredItems(CREDIT_GROUP))
+    }, { flow_token, version, startTime });
+  }
+
+  // NIS do lead pela consulta do n8n; falhas e números inválidos caem na captura manual
+  async #discoverNIS(leadId, flow_token) {
+    let nis = null;
+    try {
+      const response = await this._withTimeout(() => consultaMatricula(leadId));
+      const result = Array.isArray(response) ? response[0] : response;
+      const candidate = result?.nis || result?.matricula;
+
+      if (candidate && validateNIS(candidate)) {
+        nis = String(candidate).replace(/\D/g, '');
+      }
+    } catch (error) {
+      Logger.warn('Falha na busca automática do NIS', { leadId, flow_token, error: error.message });
+    }
+
+    telemetry.trackCustomEvent('NISDiscovery', {
+      flowType: this.definition.flowType,
+      flow_token,
+      leadId,
+      found: !!nis
+    });
+
+    return nis;
+  }
+}
+
+module.exports = CrefisaController;
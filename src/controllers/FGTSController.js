@@ -1,13 +1,14 @@
 // controllers/FGTSController.js
 const BaseController = require('./baseController');
 const { Logger } = require('../utils/logger');
+const { ScreenValidationError } = require('../utils/errors');
 const { AddressService } = require('../services/addressService');
 const { nextStage, registerAccount, registerDocument, updateBasicLeadData, includeContract } = require('../services/apiClient');
 const { transformData } = require('../utils/formatCards');
 
 class FGTSController extends BaseController {
-  constructor() {
-    super();
+  constructor(definition) {
+    super(definition);
     this.addressService = new AddressService();
     this.validadores = {
       nomeMae: this.#validateName.bind(this)
@@ -26,24 +27,6 @@ class FGTSController extends BaseController {
     return nomeValido;
   }
 
-  // Sobrescreve apenas o getHandler específico do FGTS
-  async getHandler(screen) {
-    const handlers = {
-      'credit_group': this.handleFrontScreen.bind(this),
-      'infos': this.handleInformationScreen.bind(this),
-      'address': this.handleAddressScreen.bind(this),
-      'confirm_account': this.handleAccountScreen.bind(this)
-    };
-
-    const handlerExists = !!handlers[screen];
-    Logger.info('Handler encontrado para tela', {
-      screen,
-      handlerExists
-    });
-
-    return handlers[screen];
-  }
-
   async handleFrontScreen(data, flow_token, version) {
     return super.handleFrontScreen(data, flow_token, version);
   }
@@ -1,6 +1,7 @@
 // controllers/GovCEController.js
 const BaseController = require('./baseController');
 const { Logger } = require('../utils/logger');
+const { ScreenValidationError } = require('../utils/errors');
 const { AddressService } = require('../services/addressService');
 const { 
   nextStage, 
@@ -14,28 +15,16 @@ const {
   requalify,
   tagAssign
 } = require('../services/apiClient');
+const { tenantService } = require('../services/tenantService');
 
 class GovCEController extends BaseController {
-  constructor() {
-    super();
+  constructor(definition) {
+    super(definition);
     this.addressService = new AddressService();
     this.validadores = {
       nome: this.#validateName.bind(this),
       nomeMae: this.#validateName.bind(this)
     };
-
-    // Configuração específica de telas do GovCE
-    this.SCREEN_CONFIG = {
-      screens: {
-        documento: 'DADOS_PESSOAIS',
-        endereco: 'ENDERECO',
-        conta: 'CONTA_BANCARIA',
-        contracheque: 'WARNING',
-        'imagem-rg-frente': 'WARNING',
-        'imagem-rg-verso': 'WARNING'
-      },
-      priority: ['documento', 'endereco', 'conta', 'contracheque', 'imagem-rg-frente', 'imagem-rg-verso']
-    };
   }
 
   // Mantém validador específico do GovCE
@@ -50,25 +39,14 @@ class GovCEController extends BaseController {
     return nomeValido;
   }
 
-  async getHandler(screen) {
-    const handlers = {
-      'credit_group': this.handleFrontScreen.bind(this),
-      'CONTRACHEQUE': this.handlePaycheckScreen.bind(this),
-      'DADOS_PESSOAIS': this.handleSignupScreen.bind(this),
-      'ENDERECO': this.handleAddressScreen.bind(this),
-      'PROPOSTA': this.handleProposalScreen.bind(this),
-      'INFORMACOES': this.handleInformationScreen.bind(this),
-      'CONTA_BANCARIA': this.handleAccountScreen.bind(this),
-      'FOTO_DOCUMENTO': this.handleDocumentScreen.bind(this)
-    };
-
-    const handlerExists = !!handlers[screen];
-    Logger.info('Handler encontrado para tela', {
-      screen,
-      handlerExists
-    });
-
-    return handlers[screen];
+  // Tags do CRM do tenant para a etapa; tenants sem a tag configurada não a atribuem
+  #assignTag(leadId, step) {
+    const tagId = tenantService.current().tags[this.definition.flowType]?.[step];
+    if (!tagId) {
+      Logger.warn('Tag não configurada para o tenant', { flowType: this.definition.flowType, step });
+      return null;
+    }
+    return tagAssign(leadId, tagId);
   }
 
   async handleFrontScreen(data, flow_token, version) {
@@ -161,7 +139,7 @@ class GovCEController extends BaseController {
 
       // Processos específicos do GovCE
       await Promise.all([
-        tagAssign(lead.id, "ce1b1427-bd86-4ed5-bb04-7b462a6e2ada"),
+        this.#assignTag(lead.id, 'signup'),
         nextStage(lead.id)
       ]);
 
@@ -186,8 +164,8 @@ class GovCEController extends BaseController {
 
       this.validadores.nomeMae(data.nomeMae);
 
-      const cepData = await this.withTimeout(
-        this.addressService.fetchCEPData(data.cep)
+      const cepData = await this._withTimeout(
+        (signal) => this.addressService.fetchCEPData(data.cep, { signal })
       );
 
       if (cepData.error) {
@@ -229,13 +207,10 @@ class GovCEController extends BaseController {
       // Upload e tag assignment específicos do GovCE
       const [documento] = await Promise.all([
         uploadFiles(data),
-        tagAssign(data.leadId, "314faa2a-535e-44f9-8d5f-b33bf0337030")
+        this.#assignTag(data.leadId, 'documents')
       ]);
 
-      return this._createEnhancedResponse('COMPLETE', { documento }, {
-        flow_token,
-        version
-      });
+      return this.completeFlow(flow_token, { leadId: data.leadId, documents: documento }, { startTime });
 
     } catch (error) {
       return this.handleError(error, 'FOTO_DOCUMENTO', flow_token, version, {
@@ -339,8 +314,8 @@ class GovCEController extends BaseController {
 
     for (let attempt = 0; attempt < config.maxRetries; attempt++) {
       try {
-        const leadData = await this.withTimeout(
-          nextStage(leadId),
+        const leadData = await this._withTimeout(
+          () => nextStage(leadId),
           config.nextStageTimeout
         );
 
@@ -463,15 +438,6 @@ class GovCEController extends BaseController {
   async handleAddressScreen(data, flow_token, version) {
     return super.handleAddressScreen(data, flow_token, version);
   }
-
-  async handleAccountScreen(data, flow_token, version) {
-    // Customiza tela de retorno para GovCE
-    const result = await super.handleAccountScreen(data, flow_token, version);
-    if (!result.data.error) {
-      result.screen = 'WARNING';
-    }
-    return result;
-  }
 }
 
 module.exports = GovCEController;
\ No newline at end of file
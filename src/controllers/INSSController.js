@@ -1,6 +1,7 @@
 // controllers/INSSController.js
 const BaseController = require('./baseController');
 const { Logger } = require('../utils/logger');
+const { ScreenValidationError } = require('../utils/errors');
 const { 
   nextStage, 
   createContact,
@@ -10,24 +11,13 @@ const {
 const { transformData, extractOpportunities } = require('../utils/formatCards');
 
 class INSSController extends BaseController {
-  constructor() {
-    super();
+  constructor(definition) {
+    super(definition);
     this.validadores = {
       nome: this.#validateName.bind(this),
       cpf: this.#validateCPF.bind(this),
       conta: this.#validateAccount.bind(this)
     };
-
-    // Configuração específica de telas do INSS
-    this.SCREEN_CONFIG = {
-      screens: {
-        'data-nascimento': 'signup',
-        documento: 'signup',
-        endereco: 'address',
-        conta: 'account'
-      },
-      priority: ['data-nascimento', 'documento', 'endereco', 'conta']
-    };
   }
 
   // Mantém validadores específicos do INSS
@@ -74,24 +64,6 @@ class INSSController extends BaseController {
     return true;
   }
 
-  async getHandler(screen) {
-    const handlers = {
-      'credit_group': this.handleFrontScreen.bind(this),
-      'signup': this.handleSignupScreen.bind(this),
-      'infos': this.handleInformationScreen.bind(this),
-      'address': this.handleAddressScreen.bind(this),
-      'confirm_account': this.handleAccountScreen.bind(this)
-    };
-
-    const handlerExists = !!handlers[screen];
-    Logger.info('Handler encontrado para tela', {
-      screen,
-      handlerExists
-    });
-
-    return handlers[screen];
-  }
-
   async handleFrontScreen(data, flow_token, version) {
     return super.handleFrontScreen(data, flow_token, version);
   }
@@ -0,0 +1,255 @@
+// controllers/SIAPEController.js
+const BaseController = require('./baseController');
+const { Logger } = require('../utils/logger');
+const {
+  nextStage,
+  createContact,
+  updateBasicLeadData
+} = require('../services/apiClient');
+const { transformData } = require('../utils/formatCards');
+const { ScreenValidationError } = require('../utils/errors');
+const { telemetry } = require('../services/telemetryService');
+
+const CREDIT_GROUP = 'siape';
+
+// Matrícula SIAPE do servidor federal: 7 dígitos
+const MATRICULA_LENGTH = 7;
+
+// Faixa de idade aceita para servidores ativos, aposentados e pensionistas
+const MIN_AGE = 18;
+const MAX_AGE = 100;
+
+class SIAPEController extends BaseController {
+  constructor(definition) {
+    super(definition);
+    this.validadores = {
+      ...this.validadores,
+      matricula: this.#validateMatricula.bind(this),
+      dataNascimento: this.#validateBirthDate.bind(this)
+    };
+  }
+
+  #validateMatricula(matricula) {
+    if (!matricula) {
+      throw new ScreenValidationError('Matrícula não informada', 'enrollment');
+    }
+
+    const cleaned = String(matricula).replace(/\D/g, '');
+    if (cleaned.length !== MATRICULA_LENGTH) {
+      throw new ScreenValidationError(`A matrícula SIAPE deve conter ${MATRICULA_LENGTH} dígitos`, 'enrollment');
+    }
+    if (/^(\d)\1+$/.test(cleaned)) {
+      throw new ScreenValidationError('Matrícula inválida! Verifique o número no contracheque.', 'enrollment');
+    }
+
+    return cleaned;
+  }
+
+  // Data no formato DD/MM/AAAA, existente no calendário e dentro da faixa de idade
+  #validateBirthDate(dataNascimento) {
+    const match = /^(\d{2})\/(\d{2})\/(\d{4})$/.exec(String(dataNascimento || '').trim());
+    if (!match) {
+      throw new ScreenValidationError('Informe a data de nascimento no formato DD/MM/AAAA', 'birth');
+    }
+
+    const [, dia, mes, ano] = match.map(Number);
+    const date = new Date(ano, mes - 1, dia);
+    if (date.getFullYear() !== ano || date.getMonth() !== mes - 1 || date.getDate() !== dia) {
+      throw new ScreenValidationError('Data de nascimento inválida', 'birth');
+    }
+
+    const today = new Date();
+    const age = today.getFullYear() - ano -
+      (today.getMonth() < mes - 1 || (today.getMonth() === mes - 1 && today.getDate() < dia) ? 1 : 0);
+    if (age < MIN_AGE || age > MAX_AGE) {
+      throw new ScreenValidationError(`A idade deve estar entre ${MIN_AGE} e ${MAX_AGE} anos`, 'birth');
+    }
+
+    return match[0];
+  }
+
+  async handleFrontScreen(data, flow_token, version) {
+    const startTime = Date.now();
+
+    try {
+      const lead = await this._validateLeadAndCPF(data.cpf, CREDIT_GROUP);
+
+      // Lead novo: a matrícula é pedida antes do cadastro
+      if (lead.etapaFunil?.toLowerCase() === 'inexistente') {
+        return this.createResponse('enrollment', {
+          ...this.getProductRequiredItems(CREDIT_GROUP),
+          cpf: data.cpf
+        }, { flow_token, version });
+      }
+
+      return this.#routeLead(lead, data, { flow_token, version, startTime });
+    } catch (error) {
+      Logger.error('Erro no processamento de front SIAPE', {
+        error: error.message,
+        flow_token,
+        duration: Date.now() - startTime
+      });
+
+      return this.createResponse('front', {
+        cpfErro: `⚠️ ${error.message}`
+      }, { flow_token, version });
+    }
+  }
+
+  /**
+   * Processa a tela de matrícula (enrollment).
+   *
+   * @param {Object} data - Dados enviados pelo cliente (matricula, cpf, leadId).
+   * @param {string} flow_token - Token identificador do fluxo.
+   * @param {string} version - Versão do fluxo.
+   * @returns {Promise<Object>} Tela de data de nascimento ou a matrícula com o erro.
+   */
+  async handleEnrollmentScreen(data, flow_token, version) {
+    try {
+      const matricula = this.validadores.matricula(data.matricula);
+      this.#trackEnrollment(flow_token, true);
+
+      return this.createResponse('birth', {
+        matricula,
+        ...(data.cpf && { cpf: data.cpf }),
+        ...(data.leadId && { leadId: data.leadId })
+      }, { flow_token, version });
+    } catch (error) {
+      this.#trackEnrollment(flow_token, false, error.message);
+
+      return this.createResponse('enrollment', {
+        ...this.getProductRequiredItems(CREDIT_GROUP),
+        matriculaErro: `⚠️ ${error.message}`
+      }, { flow_token, version, error: true });
+    }
+  }
+
+  /**
+   * Processa a tela de data de nascimento (birth).
+   * Lead existente tem os dados básicos atualizados e segue para a próxima pendência;
+   * lead novo segue para o cadastro com a matrícula e a data de nascimento.
+   *
+   * @param {Object} data - Dados enviados pelo cliente (dataNascimento, matricula, cpf, leadId).
+   * @param {string} flow_token - Token identificador do fluxo.
+   * @param {string} version - Versão do fluxo.
+   * @returns {Promise<Object>} Resposta com a próxima tela e dados adicionais.
+   */
+  async handleBirthScreen(data, flow_token, version) {
+    const startTime = Date.now();
+
+    try {
+      const dataNascimento = this.validadores.dataNascimento(data.dataNascimento);
+      const matricula = this.validadores.matricula(data.matricula);
+
+      if (!data.leadId) {
+        return this.createResponse('signup', {
+          ...this.getProductRequiredItems(CREDIT_GROUP),
+          cpf: data.cpf,
+          matricula,
+          dataNascimento
+        }, { flow_token, version });
+      }
+
+      await this._withTimeout(() => updateBasicLeadData({ leadId: data.leadId, matricula, dataNascimento }));
+      const lead = await this._withTimeout(() => nextStage(data.leadId));
+
+      return this.#routeLead(lead, data, { flow_token, version, startTime });
+    } catch (error) {
+      Logger.error('Erro no processamento de data de nascimento SIAPE', {
+        error: error.message,
+        flow_token,
+        duration: Date.now() - startTime
+      });
+
+      // Matrícula perdida no caminho (ex.: sessão expirada) volta para a tela de matrícula
+      const screen = error.screen === 'enrollment' ? 'enrollment' : 'birth';
+      return this.createResponse(screen, {
+        ...(screen === 'enrollment' && this.getProductRequiredItems(CREDIT_GROUP)),
+        [screen === 'enrollment' ? 'matriculaErro' : 'dataNascimentoErro']: `⚠️ ${error.message}`
+      }, { flow_token, version, error: true });
+    }
+  }
+
+  /**
+   * Processa a tela de cadastro (signup): cria o contato no funil siape com a matrícula
+   * e a data de nascimento informadas e segue conforme o próximo estágio do lead.
+   *
+   * @param {Object} data - Dados enviados pelo cliente.
+   * @param {string} flow_token - Token identificador do fluxo.
+   * @param {string} version - Versão do fluxo.
+   * @returns {Promise<Object>} Resposta com a próxima tela e dados adicionais.
+   */
+  async handleSignupScreen(data, flow_token, version) {
+    const startTime = Date.now();
+
+    try {
+      this.validadores.nome(data.nome);
+
+      const contact = await createContact({ ...data, creditGroup: CREDIT_GROUP }, flow_token);
+      if (!contact?.id) {
+        throw new Error('Erro ao criar contato');
+      }
+
+      const lead = await this._withTimeout(() => nextStage(contact.id));
+
+      Logger.info('Signup SIAPE processado', {
+        leadId: contact.id,
+        duration: Date.now() - startTime
+      });
+
+      return this.#routeLead({ id: contact.id, ...lead }, data, { flow_token, version, startTime });
+    } catch (error) {
+      Logger.error('Erro no processamento de signup SIAPE', {
+        error: error.message,
+        stack: error.stack,
+        duration: Date.now() - startTime
+      });
+
+      const errorField = error.message.toLowerCase().includes('cpf') ? 'cpfErro' : 'nomeErro';
+      return this.createResponse('signup', {
+        [errorField]: `⚠️ ${error.message}`
+      }, { flow_token, version, error: true });
+    }
+  }
+
+  // Oportunidades do nextStage viram cards; sem oportunidades, segue a próxima pendência do lead
+  async #routeLead(lead, data, { flow_token, version, startTime }) {
+    const oportunidades = Array.isArray(lead?.oportunidades) ? lead.oportunidades : [];
+
+    if (oportunidades.length > 0) {
+      const totalValor = oportunidades
+        .reduce((acc, opp) => acc + (Number(opp.valor) || 0), 0)
+        .toFixed(2);
+      const cards = await transformData(oportunidades, CREDIT_GROUP);
+
+      return this._createEnhancedResponse('opportunities', {
+        cards,
+        totalValor,
+        multiselect: false,
+        leadId: lead.id
+      }, { flow_token, version, startTime });
+    }
+
+    const nextScreen = this._determineNextScreen(lead, CREDIT_GROUP, flow_token);
+    if (!nextScreen) {
+      return this.completeFlow(flow_token, { lead }, { startTime });
+    }
+
+    return this.createResponse(nextScreen, {
+      leadId: lead.id,
+      ...(nextScreen === 'enrollment' && this.getProductRequiredItems(CREDIT_GROUP)),
+      ...(data.matricula && { matricula: data.matricula })
+    }, { flow_token, version, startTime });
+  }
+
+  #trackEnrollment(flow_token, success, reason) {
+    telemetry.trackCustomEvent('EnrollmentValidation', {
+      flowType: this.definition.flowType,
+      flow_token,
+      success,
+      ...(reason && { reason })
+    });
+  }
+}
+
+module.exports = SIAPEController;
@@ -15,103 +15,212 @@ const {
   uploadFiles,
   validaCPF
 } = require('../services/apiClient');
+const { sessionStore, pickDefined } = require('../services/sessionStore');
+const { requestContext, abortPromise } = require('../utils/requestContext');
 const { ScreenValidationError } = require('../utils/errors');
-const telemetry = require('../utils/telemetry'); // Importa módulo de telemetry para rastreamento
+const { telemetry } = require('../services/telemetryService');
+const { experimentService } = require('../services/experimentService');
 
-// Importa validadores (assumindo que exista)
-// Isso previne erros ao chamar this.validadores.nome() ou this.validadores.nomeMae()
+// Tela terminal do WhatsApp Flows: encerra o fluxo e entrega extension_message_response à conversa
+const SUCCESS_SCREEN = 'SUCCESS';
+
+// Validadores padrão (this.validadores.nome / nomeMae), substituídos pelos controllers com regras próprias
 const validadores = require('../utils/validadores');
 
 class BaseController {
-  constructor() {
+  /**
+   * @param {Object} [definition={}] - Definição do fluxo (ver flows/flowRegistry).
+   */
+  constructor(definition = {}) {
+    this.definition = definition;
     this.addressService = new AddressService();
     this.screenConfig = this._initializeScreenConfig();
     this.validadores = validadores; // Inicializando o módulo de validadores
   }
 
-  // Inicializa a configuração das telas
+  // Inicializa a configuração das telas a partir do mapeamento pedirInfos da definição
   _initializeScreenConfig() {
-    const documentScreenHandler = {
-      get: (target, prop) => prop in target ? target[prop] : 'warning'
-    };
+    const pedirInfos = this.definition.pedirInfos || {};
 
     return {
-      screens: {
-        'matricula': 'signup',
-        'data-nascimento': 'signup',
-        'documento': 'information',
-        'endereco': 'address',
-        'conta': 'account',
-        ...new Proxy({
-          'imagem-rg-frente': 'warning',
-          'imagem-rg-verso': 'warning',
-          'contracheque': 'warning'
-        }, documentScreenHandler)
-      },
-      priority: [
-        'data-nascimento',
-        'matricula',
-        'documento',
-        'endereco',
-        'conta',
-        'imagem-rg-frente',
-        'imagem-rg-verso',
-        'contracheque'
-      ]
+      screens: { ...pedirInfos },
+      priority: Object.keys(pedirInfos)
     };
   }
 
-  // Determina a próxima tela com base nas informações do lead
-  _determineNextScreen(lead, creditGroup, flow_token) {
-    const startTime = Date.now();
+  /**
+   * Retorna o handler declarado na definição do fluxo para a tela informada.
+   * O handler é envolvido pela sessão do flow_token (ver _withSession).
+   *
+   * @param {string} screen - Nome da tela recebida no data_exchange.
+   * @returns {Promise<Function|undefined>} Handler vinculado ao controller, se existir.
+   */
+  async getHandler(screen) {
+    const handlerName = this.definition.screens?.[screen]?.handler;
+    const handler = handlerName ? this[handlerName].bind(this) : undefined;
+
+    Logger.info('Handler encontrado para tela', {
+      screen,
+      handlerExists: !!handler
+    });
+
+    return handler && this._withSession(screen, handler);
+  }
+
+  /**
+   * Completa os dados recebidos com o contexto salvo na sessão (leadId, cpf, creditGroup)
+   * e com o leadId das claims do flow_token, e registra a tela e a resposta após a execução do handler.
+   * O leadId das claims prevalece sobre o do cliente e o da sessão (o FlowManager recusa um
+   * leadId divergente). Fluxos de um único produto declaram `creditGroup` na definição, que
+   * prevalece sobre o enviado pelo cliente, inclusive nos handlers herdados.
+   * Falhas no armazenamento da sessão não interrompem o fluxo.
+   *
+   * @param {string} screen - Tela que originou o data_exchange.
+   * @param {Function} handler - Handler da tela.
+   * @returns {Function} Handler com a mesma assinatura (data, flow_token, version, requestCtx),
+   *   onde requestCtx.signal é abortado no timeout da requisição e requestCtx.flowToken traz
+   *   as claims do token (ver services/flowTokenService).
+   */
+  _withSession(screen, handler) {
+    return async (data = {}, flow_token, version, requestCtx = {}) => {
+      let context = {};
+      try {
+        context = await sessionStore.getContext(flow_token);
+      } catch (error) {
+        Logger.warn('Falha ao carregar sessão', { screen, flow_token, error: error.message });
+      }
+
+      // Campos enviados pelo cliente têm prioridade sobre os da sessão; o leadId assinado no token, sobre ambos
+      const { leadId } = requestCtx.flowToken || {};
+      const { creditGroup } = this.definition;
+      const mergedData = {
+        ...data,
+        ...context,
+        ...pickDefined(data, Object.keys(data)),
+        ...(leadId !== undefined && { leadId }),
+        ...(creditGroup && { creditGroup })
+      };
+      const response = await handler(mergedData, flow_token, version, requestCtx);
 
+      try {
+        await sessionStore.recordScreen(flow_token, screen, mergedData, response);
+      } catch (error) {
+        Logger.warn('Falha ao registrar sessão', { screen, flow_token, error: error.message });
+      }
+
+      return response;
+    };
+  }
+
+  // Determina a próxima tela com base nas informações do lead.
+  // Retorna null quando não há informações pendentes com tela no fluxo (ver completeFlow).
+  _determineNextScreen(lead, creditGroup, flow_token) {
     if (!lead || !Array.isArray(lead.pedirInfos) || lead.pedirInfos.length === 0) {
-      telemetry.trackCustomEvent('FlowCompletion', 
-        { 
-          screen: 'complete', 
-          creditGroup,
-          flow_token, 
-          startTime
-        });
-      return 'complete';
+      return null;
     }
 
-    const nextScreen = this.screenConfig.priority.find(screen => 
+    // A ordem de prioridade pode ser sobrescrita pela variante A/B do flow_token
+    const priority = experimentService.priority(this.screenConfig.priority);
+    const nextScreen = priority.find(screen => 
       lead.pedirInfos.includes(screen)
     );
 
-    telemetry.trackCustomEvent('FlowCompletion', 
-      { 
-        screen: 'complete', 
-        creditGroup,
-        flow_token, 
-        startTime
-      });
-    return nextScreen ? this.screenConfig.screens[nextScreen] : 'complete';
+    return nextScreen ? this.screenConfig.screens[nextScreen] : null;
+  }
+
+  /**
+   * Encerra o fluxo com a tela terminal SUCCESS. O WhatsApp fecha o Flow e envia à conversa
+   * os params de extension_message_response: o flow_token e o resumo do fluxo (ver _completionSummary).
+   * Registra o evento FlowCompleted na telemetria, com as variantes de experimentos do flow_token.
+   *
+   * @param {string} flow_token - Token identificador do fluxo.
+   * @param {Object} [result] - { leadId, lead, opportunity, documents }
+   * @param {Object} [options]
+   * @param {number} [options.startTime] - Início do processamento da tela.
+   * @returns {{ screen: string, data: Object }} Resposta terminal.
+   */
+  completeFlow(flow_token, result = {}, options = {}) {
+    const summary = this._completionSummary(result);
+
+    telemetry.trackCustomEvent('FlowCompleted', {
+      flowType: summary.flowType,
+      flow_token,
+      leadId: summary.leadId,
+      opportunityId: summary.opportunityId,
+      pendingDocuments: summary.pendingDocuments.join(','),
+      experiments: experimentService.describe(requestContext.get().experiments),
+      ...(options.startTime && { duration: Date.now() - options.startTime })
+    });
+
+    Logger.info('Fluxo concluído', { flow_token, leadId: summary.leadId, flowType: summary.flowType });
+
+    return {
+      screen: SUCCESS_SCREEN,
+      data: {
+        extension_message_response: {
+          params: { flow_token, ...summary }
+        }
+      }
+    };
   }
 
   /**
-   * Adiciona timeout a uma promessa.
+   * Resumo enviado na conclusão do fluxo. Controllers podem estendê-lo com dados do produto.
+   *
+   * Pendências do lead sem tela no fluxo (ex.: extrato, imagem da conta) são os documentos
+   * a enviar fora do Flow. Sem `opportunity`, uma oportunidade única do lead é a escolhida.
+   * Com várias oportunidades escolhidas (tela multiselect), opportunityId é a lista de IDs e
+   * opportunityValue a soma dos valores.
    *
-   * @param {Promise} promise - Promessa a ser executada.
+   * @param {Object} result - { leadId, lead, opportunity (objeto ou lista), documents }
+   * @returns {Object} { flowType, leadId, opportunityId, opportunityValue, pendingDocuments, documentsSent? }
+   */
+  _completionSummary({ leadId, lead, opportunity, documents } = {}) {
+    const chosen = opportunity || (lead?.oportunidades?.length === 1 ? lead.oportunidades[0] : null);
+    const several = Array.isArray(chosen);
+
+    return {
+      flowType: this.definition.flowType,
+      leadId: leadId || lead?.id || null,
+      opportunityId: several ? chosen.map(opp => opp.id) : chosen?.id ?? null,
+      opportunityValue: several
+        ? chosen.reduce((acc, opp) => acc + (Number(opp.valor) || 0), 0)
+        : chosen?.valor ?? null,
+      pendingDocuments: (lead?.pedirInfos || []).filter(info => !this.screenConfig.screens[info]),
+      ...(Array.isArray(documents) && { documentsSent: documents.length })
+    };
+  }
+
+  /**
+   * Executa a operação com timeout, cancelando as chamadas HTTP pendentes quando ele é atingido.
+   * A operação recebe um AbortSignal filho do signal da requisição, que também fica disponível
+   * às chamadas internas (makeRequest, AddressService...) via requestContext.
+   *
+   * @param {Function|Promise} operation - Função (signal) => Promise. Promessas já iniciadas
+   *   são aceitas, mas só podem ser abandonadas, não canceladas.
    * @param {number} [timeout=9000] - Tempo máximo em milissegundos.
    * @returns {Promise} - Uma promessa que rejeita se o tempo limite for excedido.
    */
-  _withTimeout(promise, timeout = 9000) {
-    return Promise.race([
-      promise,
-      new Promise((_, reject) =>
-        setTimeout(() => reject(new Error('Tempo limite excedido')), timeout)
-      )
-    ]);
+  _withTimeout(operation, timeout = 9000) {
+    const child = requestContext.createChild(requestContext.getSignal(), timeout);
+    const aborted = abortPromise(child.signal);
+
+    const promise = typeof operation === 'function'
+      ? requestContext.run({ signal: child.signal }, () => operation(child.signal))
+      : operation;
+
+    return Promise.race([promise, aborted.promise]).finally(() => {
+      aborted.dispose();
+      child.dispose();
+    });
   }
 
   // Valida o lead e o CPF
   async _validateLeadAndCPF(cpf, creditGroup) {
     try {
       const [lead, cpfValidation] = await Promise.all([
-        this._withTimeout(nextStage(cpf, creditGroup)),
-        this._withTimeout(validaCPF(cpf))
+        this._withTimeout(() => nextStage(cpf, creditGroup)),
+        this._withTimeout(() => validaCPF(cpf))
       ]);
 
       if (!cpfValidation) {
@@ -127,6 +236,19 @@ class BaseController {
     }
   }
 
+  /**
+   * Tela publicada no Flow JSON para o nome usado pelos handlers. Os handlers comuns retornam
+   * os nomes em minúsculas (signup, address...); fluxos com outros IDs de tela os mapeiam em
+   * `screenNames` na definição. Telas declaradas em `screens` não são mapeadas.
+   *
+   * @param {string} screen
+   * @returns {string}
+   */
+  _screenName(screen) {
+    if (this.definition.screens?.[screen]) return screen;
+    return this.definition.screenNames?.[screen] ?? screen;
+  }
+
   createResponse(screen, data = {}, options = {}) {
     const {
       flow_token,
@@ -137,7 +259,7 @@ class BaseController {
     } = options;
 
     const baseResponse = {
-      screen,
+      screen: this._screenName(screen),
       data: {
         ...data,
         ...(flow_token && { flow_token }),
@@ -381,6 +503,9 @@ class BaseController {
 
       // Determina próxima tela
       const nextScreen = this._determineNextScreen(lead, data.creditGroup, flow_token);
+      if (!nextScreen) {
+        return this.completeFlow(flow_token, { lead }, { startTime });
+      }
 
       Logger.info('Front screen processado com sucesso', {
         leadId: lead.id,
@@ -509,7 +634,7 @@ class BaseController {
 
       // Busca CEP com timeout utilizando o método _withTimeout
       const cepData = await this._withTimeout(
-        this.addressService.fetchCEPData(data.cep),
+        (signal) => this.addressService.fetchCEPData(data.cep, { signal }),
         30000
       );
 
@@ -672,8 +797,8 @@ class BaseController {
 
       // Registrar conta e avançar estágio em paralelo utilizando _withTimeout com timeout de 10000ms
       const [conta, lead] = await Promise.all([
-        this._withTimeout(registerAccount(data), 10000),
-        this._withTimeout(nextStage(data.cpf || data.leadId), 10000)
+        this._withTimeout(() => registerAccount(data), 10000),
+        this._withTimeout(() => nextStage(data.cpf || data.leadId), 10000)
       ]);
 
       Logger.info('Conta processada com sucesso', {
@@ -724,6 +849,10 @@ class BaseController {
       
       // Busca próximo estágio e determina próxima tela
       const nextScreen = this._determineNextScreen(lead, data.creditGroup, flow_token);
+      if (!nextScreen) {
+        const opportunity = this._selectedOpportunity(lead, data.oportunidade);
+        return this.completeFlow(flow_token, { lead, opportunity }, { startTime });
+      }
       
       Logger.info('Tela de oportunidades processada com sucesso', {
         leadId: lead.id,
@@ -749,6 +878,62 @@ class BaseController {
       }, { flow_token, version });
     }
   }
+
+  /**
+   * Oportunidade(s) do lead escolhida(s) na tela de oportunidades. `oportunidade` é o ID do
+   * card selecionado, ou a lista de IDs quando a tela é multiselect.
+   *
+   * @param {Object} lead - Lead retornado por nextStage.
+   * @param {string|string[]} [selection] - Seleção enviada pela tela.
+   * @returns {Object|Object[]|null} Oportunidade escolhida, lista (multiselect) ou null.
+   */
+  _selectedOpportunity(lead, selection) {
+    const ids = [].concat(selection ?? []).map(String);
+    const selected = (lead?.oportunidades || []).filter(opp => ids.includes(String(opp.id)));
+
+    if (!selected.length) return null;
+    return Array.isArray(selection) ? selected : selected[0];
+  }
+
+  /**
+   * Reconstrói a tela de oportunidades com a lista atualizada do CRM.
+   * Usado na ação BACK (refresh_on_back) através da opção `refresh` da definição do fluxo.
+   *
+   * @param {Object} data - Dados exibidos anteriormente, mesclados com o contexto da sessão.
+   * @param {string} flow_token - Token identificador do fluxo.
+   * @param {string} version - Versão do fluxo.
+   * @returns {Promise<Object>} Resposta da tela de oportunidades.
+   */
+  async refreshOpportunitiesScreen(data, flow_token, version) {
+    const startTime = Date.now();
+    try {
+      const lead = await this._withTimeout(() => nextStage(data.cpf || data.leadId, data.creditGroup));
+      const oportunidades = lead?.oportunidades || [];
+
+      const totalValor = oportunidades
+        .reduce((acc, opp) => acc + (Number(opp.valor) || 0), 0)
+        .toFixed(2);
+      const cards = await transformData(oportunidades, data.creditGroup);
+
+      return this._createEnhancedResponse('opportunities', {
+        cards,
+        totalValor,
+        multiselect: data.creditGroup === 'inss',
+        leadId: lead?.id || data.leadId
+      }, { flow_token, version, startTime });
+    } catch (error) {
+      Logger.error('Erro ao atualizar oportunidades', {
+        error: error.message,
+        flow_token,
+        duration: Date.now() - startTime
+      });
+
+      return this.createResponse('opportunities', {
+        ...data,
+        error: `⚠️ ${error.message}`
+      }, { flow_token, version });
+    }
+  }
 }
 
 module.exports = BaseController;
\ No newline at end of file
@@ -1,6 +1,8 @@
 // statusMessages.js
 const fs = require('fs');
 const path = require('path');
+const { experimentService } = require('../services/experimentService');
+const { tenantService } = require('../services/tenantService');
 
 const getBase64Image = (imageName) => {
   try {
@@ -76,7 +78,7 @@ const STATUS_MESSAGES = {
     image: getBase64Image('assinar-contrato.png'),
     description: "Enviamos um SMS com o link para você confirmar seu contrato.",
     caption: "É rapidinho! Basta clicar no link que enviamos por mensagem no seu celular.",
-    cta: "Não recebeu o SMS? [Clique aqui para receber novamente](https://wa.me/551140048024)",
+    cta: "Não recebeu o SMS? [Clique aqui para receber novamente]({supportUrl})",
     buttonText: "Ok"
   },
   "aguardando pagamento": {
@@ -120,7 +122,7 @@ const STATUS_MESSAGES = {
     image: getBase64Image('atencao.png'),
     description: "Está faltando algumas informações ou documentos para continuar seu empréstimo.",
     caption: "Se você já nos enviou o que pedimos, pode desconsiderar esta mensagem.",
-    cta: "Precisa de ajuda? [Fale com a gente](https://wa.me/551140048024)",
+    cta: "Precisa de ajuda? [Fale com a gente]({supportUrl})",
     buttonText: "Ok"
   },
   "perdido": {
@@ -136,9 +138,21 @@ const STATUS_MESSAGES = {
   }
 };
 
+// Campos de texto que tenants e experimentos A/B podem sobrescrever (chaves status.<status>.<campo>)
+const COPY_FIELDS = ['title', 'description', 'caption', 'cta', 'buttonText'];
+
 const getStatusMessage = async (status) => {
+  const message = STATUS_MESSAGES[status] || STATUS_MESSAGES['em andamento'];
+  // Textos e link de atendimento da marca do tenant; a variante A/B do flow_token tem prioridade
+  const params = { supportUrl: tenantService.current().support.url };
+  const copy = Object.fromEntries(COPY_FIELDS.map(field => {
+    const key = `status.${message.status}.${field}`;
+    return [field, experimentService.text(key, tenantService.text(key, message[field], params), params)];
+  }));
+
   return {
-    ...(STATUS_MESSAGES[status] || STATUS_MESSAGES['em andamento'])
+    ...message,
+    ...copy
   };
 };
 
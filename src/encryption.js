@@ -1,37 +1,36 @@
 const crypto = require('crypto');
 const { Logger } = require('./utils/logger');
+const {
+ FlowEndpointException,
+ BadRequestException,
+ DecryptionException,
+ InternalEndpointException
+} = require('./endpoint/errors');
+const { Keyring, keyring: defaultKeyring } = require('./services/keyringService');
 
-class FlowEndpointException extends Error {
- constructor(statusCode, message) {
-   super(message);
-   this.name = this.constructor.name;
-   this.statusCode = statusCode;
- }
-}
-
-const decryptRequest = (body, privatePem, passphrase) => {
+/**
+ * Descriptografa a requisição do WhatsApp.
+ * @param {Object} body - { encrypted_aes_key, encrypted_flow_data, initial_vector }
+ * @param {Keyring|string} [privateKeys] - Keyring (padrão: chaves do ambiente) ou uma chave em PEM
+ * @param {string} [passphrase] - Passphrase da chave em PEM
+ * @returns {{ decryptedBody: Object, aesKeyBuffer: Buffer, initialVectorBuffer: Buffer, keyId: string }}
+ */
+const decryptRequest = (body, privateKeys = defaultKeyring, passphrase) => {
  const startTime = Date.now();
  const { encrypted_aes_key, encrypted_flow_data, initial_vector } = body;
  
  if (!encrypted_aes_key || !encrypted_flow_data || !initial_vector) {
-   throw new FlowEndpointException(400, 'Missing required encryption parameters');
+   throw new BadRequestException('Missing required encryption parameters');
  }
 
- try {
-   // Create private key instance for this request
-   let requestPrivateKey = crypto.createPrivateKey({ 
-     key: privatePem, 
-     passphrase 
-   });
+ const keyring = privateKeys instanceof Keyring ? privateKeys : Keyring.fromPem(privateKeys, passphrase);
+ if (!keyring.keys().length) {
+   throw new InternalEndpointException('No private key configured');
+ }
 
-   // Decrypt AES key
-   const decryptedAesKey = crypto.privateDecrypt(
-     {
-       key: requestPrivateKey,
-       padding: crypto.constants.RSA_PKCS1_OAEP_PADDING,
-       oaepHash: "sha256",
-       mgf1Hash: "sha256"
-     },
+ try {
+   // Decrypt AES key with the first key of the keyring that accepts it
+   const { aesKey: decryptedAesKey, key } = keyring.decryptAesKey(
      Buffer.from(encrypted_aes_key, "base64")
    );
 
@@ -60,6 +59,7 @@ const decryptRequest = (body, privatePem, passphrase) => {
      decryptedBody: JSON.parse(decryptedJSONString),
      aesKeyBuffer: decryptedAesKey,
      initialVectorBuffer,
+     keyId: `${key.id}:${key.fingerprint}`,
    };
 
    return result;
@@ -70,10 +70,7 @@ const decryptRequest = (body, privatePem, passphrase) => {
      code: error.code
    });
 
-   throw new FlowEndpointException(
-     421,
-     "Failed to decrypt the request. Please verify your data."
-   );
+   throw new DecryptionException();
  }
 };
 
@@ -81,7 +78,7 @@ const encryptResponse = (response, aesKeyBuffer, initialVectorBuffer) => {
  const startTime = Date.now();
 
  if (!aesKeyBuffer || !initialVectorBuffer) {
-   throw new FlowEndpointException(500, 'Missing encryption parameters for response');
+   throw new InternalEndpointException('Missing encryption parameters for response');
  }
 
  try {
@@ -110,10 +107,7 @@ const encryptResponse = (response, aesKeyBuffer, initialVectorBuffer) => {
      code: error.code
    });
 
-   throw new FlowEndpointException(
-     500,
-     "Failed to encrypt the response"
-   );
+   throw new InternalEndpointException("Failed to encrypt the response");
  }
 };
 
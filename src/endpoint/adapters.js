@@ -0,0 +1,90 @@
+// endpoint/adapters.js
+const { flowEndpoint } = require('./flowEndpoint');
+
+// IP do cliente atrás do proxy do Azure (x-forwarded-for, às vezes com a porta: "1.2.3.4:5678")
+function forwardedIp(headers = {}) {
+  const forwarded = String(headers['x-forwarded-for'] || '').split(',')[0].trim();
+  return forwarded.replace(/^([\d.]+):\d+$/, '$1') || undefined;
+}
+
+/**
+ * Handler Express do endpoint do Flow. Requer `req.rawBody` (ver `verify` do express.json
+ * no server) para a verificação da assinatura.
+ *
+ * @example
+ * app.post('/', createExpressHandler());
+ */
+function createExpressHandler(endpoint = flowEndpoint) {
+  return async (req, res) => {
+    const response = await endpoint.handle({
+      method: req.method,
+      body: req.body,
+      rawBody: req.rawBody,
+      headers: req.headers,
+      query: req.query,
+      ip: req.ip
+    });
+
+    res.status(response.status).set(response.headers).send(response.body);
+  };
+}
+
+/**
+ * Função Azure no modelo v3 (function.json com bindings `req`/`res`). O app publicado usa o
+ * modelo v4 (src/index.js); o adaptador atende hospedagens que ainda estão no v3.
+ *
+ * @example
+ * // flow/index.js
+ * module.exports = createAzureV3Handler();
+ */
+function createAzureV3Handler(endpoint = flowEndpoint) {
+  return async function (context, req) {
+    context.res = await endpoint.handle({
+      method: req.method,
+      body: req.body,
+      rawBody: req.rawBody,
+      headers: req.headers,
+      query: req.query,
+      ip: forwardedIp(req.headers)
+    });
+  };
+}
+
+/**
+ * Handler Azure no modelo v4 (@azure/functions `app.http`). O retorno do núcleo
+ * ({ status, headers, body }) já é um HttpResponseInit.
+ */
+function createAzureV4Handler(endpoint = flowEndpoint) {
+  return async (request) => {
+    const headers = Object.fromEntries(request.headers);
+
+    return endpoint.handle({
+      method: request.method,
+      rawBody: await request.text(),
+      headers,
+      query: Object.fromEntries(request.query),
+      ip: forwardedIp(headers)
+    });
+  };
+}
+
+/**
+ * Registra o endpoint do Flow no app do modelo v4 (POST /api/flow, como a função v3).
+ * @param {Object} app - `app` de @azure/functions
+ * @param {FlowEndpoint} [endpoint]
+ */
+function registerAzureV4(app, endpoint = flowEndpoint) {
+  app.http('flow', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    route: 'flow',
+    handler: createAzureV4Handler(endpoint)
+  });
+}
+
+module.exports = {
+  createExpressHandler,
+  createAzureV3Handler,
+  createAzureV4Handler,
+  registerAzureV4
+};
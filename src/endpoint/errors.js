@@ -0,0 +1,96 @@
+// endpoint/errors.js
+
+/**
+ * Erro com o código HTTP devolvido ao WhatsApp. Os códigos da especificação do endpoint de
+ * Flows mudam o comportamento do cliente:
+ *    - 421: falha ao descriptografar; o cliente baixa novamente a chave pública e reenvia;
+ *    - 427: flow_token inválido ou expirado; o cliente encerra o Flow com mensagem de erro;
+ *    - 432: assinatura inválida (x-hub-signature-256).
+ */
+class FlowEndpointException extends Error {
+  constructor(statusCode, message, code = 'FLOW_ENDPOINT_ERROR') {
+    super(message);
+    this.name = this.constructor.name;
+    this.statusCode = statusCode;
+    this.code = code;
+  }
+}
+
+class BadRequestException extends FlowEndpointException {
+  constructor(message) {
+    super(400, message, 'BAD_REQUEST');
+  }
+}
+
+class MethodNotAllowedException extends FlowEndpointException {
+  constructor(message) {
+    super(405, message, 'METHOD_NOT_ALLOWED');
+  }
+}
+
+class DecryptionException extends FlowEndpointException {
+  constructor(message = 'Failed to decrypt the request. Please verify your data.') {
+    super(421, message, 'DECRYPTION_FAILED');
+  }
+}
+
+class InvalidFlowTokenException extends FlowEndpointException {
+  constructor(message = 'Invalid or expired flow token') {
+    super(427, message, 'INVALID_FLOW_TOKEN');
+  }
+}
+
+class RateLimitException extends FlowEndpointException {
+  constructor(message, retryAfter) {
+    super(429, message, 'RATE_LIMIT_EXCEEDED');
+    this.retryAfter = retryAfter;
+  }
+}
+
+class SignatureException extends FlowEndpointException {
+  constructor(message) {
+    super(432, message, 'INVALID_SIGNATURE');
+  }
+}
+
+class InternalEndpointException extends FlowEndpointException {
+  constructor(message = 'Erro interno', cause) {
+    super(500, message, 'INTERNAL_ERROR');
+    this.cause = cause;
+  }
+}
+
+// Erros de outros módulos, pelo `code`: a mensagem é mantida e o código HTTP vem da classe
+const ERROR_CODES = {
+  RATE_LIMIT_EXCEEDED: (error) => new RateLimitException(error.message, error.retryAfter),
+  TENANT_ERROR: (error) => new BadRequestException(error.message),
+  VALIDATION_ERROR: (error) => new BadRequestException(error.message)
+};
+
+/**
+ * Converte qualquer erro do endpoint em FlowEndpointException. Erros sem mapeamento viram
+ * 500 (a mensagem original fica em `cause`, fora da resposta).
+ *
+ * @param {Error} error
+ * @returns {FlowEndpointException}
+ */
+function toEndpointException(error) {
+  if (error instanceof FlowEndpointException) {
+    return error;
+  }
+
+  const map = ERROR_CODES[error?.code];
+  return map ? map(error) : new InternalEndpointException(undefined, error);
+}
+
+module.exports = {
+  FlowEndpointException,
+  BadRequestException,
+  MethodNotAllowedException,
+  DecryptionException,
+  InvalidFlowTokenException,
+  RateLimitException,
+  SignatureException,
+  InternalEndpointException,
+  toEndpointException
+};
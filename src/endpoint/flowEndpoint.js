@@ -0,0 +1,215 @@
+// endpoint/flowEndpoint.js
+const crypto = require('crypto');
+const { Logger } = require('../utils/logger');
+const { CONFIG } = require('../config/constants');
+const flow = require('../flow');
+const { decryptRequest, encryptResponse } = require('../encryption');
+const { flowRegistry } = require('../flows');
+const { rateLimiter: defaultRateLimiter } = require('../services/rateLimit');
+const { Keyring, keyring: defaultKeyring } = require('../services/keyringService');
+const { telemetry } = require('../services/telemetryService');
+const {
+  BadRequestException,
+  MethodNotAllowedException,
+  SignatureException,
+  toEndpointException
+} = require('./errors');
+
+/**
+ * Núcleo do endpoint do Flow, independente do transporte: recebe a requisição já normalizada
+ * pelo adaptador (Express, Azure Functions v3 ou v4) e devolve status, headers e corpo.
+ *
+ * Etapas: validação (método, corpo, assinatura, rate limit por IP e flow_name) → ganchos
+ * beforeDecrypt → descriptografia → FlowManager → criptografia da resposta → código HTTP.
+ * Erros viram o código HTTP da especificação (ver endpoint/errors), com a métrica
+ * FlowEndpointResponses por código HTTP.
+ *
+ * @example
+ * const response = await flowEndpoint.handle({ method: 'POST', rawBody, headers, query, ip });
+ * // { status: 200, headers: { 'Content-Type': 'text/plain' }, body: '<resposta criptografada>' }
+ */
+class FlowEndpoint {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.flowManager] - { getNextScreen, beforeDecrypt } (padrão: módulo flow)
+   * @param {Object} [options.registry] - Registro de fluxos (flow_name aceitos)
+   * @param {Object} [options.rateLimiter] - Rate limiter com a política `ip`
+   * @param {Keyring} [options.keyring] - Chaves privadas tentadas em ordem (padrão: CONFIG.KEYRING)
+   * @param {string} [options.privateKey] - Chave única em PEM, no lugar do keyring
+   * @param {string} [options.passphrase] - Passphrase de `privateKey`
+   * @param {string} [options.appSecret] - Padrão: APP_SECRET; sem segredo, as requisições são recusadas (432)
+   * @param {boolean} [options.signatureCheck] - Padrão: CONFIG.FLOW_ENDPOINT.SIGNATURE_CHECK; false desliga a verificação
+   */
+  constructor(options = {}) {
+    this.flowManager = options.flowManager || flow;
+    this.registry = options.registry || flowRegistry;
+    this.rateLimiter = options.rateLimiter || defaultRateLimiter;
+    this.keyring = options.keyring
+      || (options.privateKey ? Keyring.fromPem(options.privateKey, options.passphrase) : defaultKeyring);
+    this.options = options;
+    this.signatureCheck = options.signatureCheck ?? CONFIG.FLOW_ENDPOINT.SIGNATURE_CHECK;
+
+    if (!this.signatureCheck) {
+      Logger.warn('Verificação da assinatura desligada (FLOW_SIGNATURE_CHECK=disabled)');
+    }
+  }
+
+  /**
+   * @param {Object} request
+   * @param {string} [request.method]
+   * @param {Object} [request.body] - Corpo já interpretado como JSON pelo transporte
+   * @param {string} [request.rawBody] - Corpo original (usado na assinatura)
+   * @param {Object} [request.headers] - Headers com nomes em minúsculas
+   * @param {Object} [request.query]
+   * @param {string} [request.ip]
+   * @returns {Promise<{status: number, headers: Object, body: string}>}
+   */
+  async handle(request) {
+    const requestId = crypto.randomBytes(16).toString('hex');
+    const startTime = Date.now();
+    const { headers = {}, query = {} } = request;
+    let flowType;
+
+    try {
+      if (request.method && request.method.toUpperCase() !== 'POST') {
+        throw new MethodNotAllowedException(`Método não suportado: ${request.method}`);
+      }
+
+      const body = this.#parseBody(request);
+      this.#verifySignature(request.rawBody ?? JSON.stringify(body), headers);
+
+      if (request.ip) {
+        await this.rateLimiter.enforce('ip', request.ip);
+      }
+
+      flowType = this.#resolveFlowType(query);
+
+      // Ganchos beforeDecrypt do pipeline (ex.: auditoria, bloqueios por origem)
+      await this.flowManager.beforeDecrypt({ flowType, body, headers, query });
+
+      const { decryptedBody, aesKeyBuffer, initialVectorBuffer, keyId } = decryptRequest(body, this.keyring);
+
+      Logger.info('Requisição recebida', {
+        requestId,
+        flowType,
+        action: decryptedBody.action,
+        keyId
+      });
+
+      const screenResponse = await this.flowManager.getNextScreen(decryptedBody, flowType, {
+        tenant: query[CONFIG.TENANTS.QUERY_PARAM]
+      });
+
+      const encrypted = encryptResponse(screenResponse, aesKeyBuffer, initialVectorBuffer);
+
+      Logger.info('Requisição completa', {
+        requestId,
+        flowType,
+        action: decryptedBody.action,
+        screen: screenResponse?.screen,
+        duration: Date.now() - startTime
+      });
+
+      this.#trackResponse(200, { flowType });
+      return {
+        status: 200,
+        headers: { 'Content-Type': 'text/plain' },
+        body: encrypted
+      };
+    } catch (error) {
+      return this.#errorResponse(error, { requestId, startTime, query, flowType });
+    }
+  }
+
+  // Corpo interpretado pelo transporte ou, na falta dele, o corpo original em JSON
+  #parseBody({ body, rawBody }) {
+    if (body && typeof body === 'object' && !Buffer.isBuffer(body)) {
+      return body;
+    }
+
+    const text = rawBody ?? (Buffer.isBuffer(body) ? body.toString('utf8') : body);
+    try {
+      const parsed = JSON.parse(text);
+      if (parsed && typeof parsed === 'object') return parsed;
+    } catch (error) {
+      // corpo inválido tratado abaixo
+    }
+    throw new BadRequestException('Corpo da requisição inválido');
+  }
+
+  // Assinatura HMAC SHA-256 do corpo original com o App Secret (header x-hub-signature-256).
+  // Sem App Secret a requisição é recusada: só FLOW_SIGNATURE_CHECK=disabled pula a verificação
+  #verifySignature(rawBody, headers) {
+    if (!this.signatureCheck) {
+      return;
+    }
+
+    const appSecret = this.options.appSecret ?? process.env.APP_SECRET;
+    if (!appSecret) {
+      throw new SignatureException('APP_SECRET não configurado, assinatura não pode ser verificada');
+    }
+
+    const signature = headers[CONFIG.FLOW_ENDPOINT.SIGNATURE_HEADER];
+    if (!signature) {
+      throw new SignatureException('Assinatura ausente');
+    }
+
+    const expected = `sha256=${crypto.createHmac('sha256', appSecret).update(rawBody || '').digest('hex')}`;
+    const received = Buffer.from(String(signature));
+    if (received.length !== expected.length || !crypto.timingSafeEqual(received, Buffer.from(expected))) {
+      throw new SignatureException('Assinatura inválida');
+    }
+  }
+
+  #resolveFlowType(query) {
+    const flowType = String(query[CONFIG.FLOW_ENDPOINT.FLOW_QUERY_PARAM] || CONFIG.FLOW_ENDPOINT.DEFAULT_FLOW).toLowerCase();
+    if (!this.registry.has(flowType)) {
+      throw new BadRequestException(
+        `Flow type não suportado. Opções válidas: ${this.registry.listFlowTypes().join(', ')}`
+      );
+    }
+    return flowType;
+  }
+
+  // Erros antes da descriptografia não podem ser respondidos criptografados: corpo em JSON simples
+  #errorResponse(error, { requestId, startTime, query, flowType }) {
+    const exception = toEndpointException(error);
+    const { statusCode: status, code } = exception;
+
+    Logger.error('Requisição falhou', {
+      requestId,
+      status,
+      code,
+      error: error.message,
+      query,
+      duration: Date.now() - startTime,
+      ...(status >= 500 && { stack: error.stack })
+    });
+
+    this.#trackResponse(status, { flowType, code });
+
+    return {
+      status,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(exception.retryAfter && { 'Retry-After': String(exception.retryAfter) })
+      },
+      body: JSON.stringify({ error: exception.message, code })
+    };
+  }
+
+  #trackResponse(status, { flowType, code }) {
+    telemetry.trackCustomMetric('FlowEndpointResponses', 1, {
+      status: String(status),
+      flowType,
+      ...(code && { code })
+    });
+  }
+}
+
+const flowEndpoint = new FlowEndpoint();
+
+module.exports = {
+  FlowEndpoint,
+  flowEndpoint
+};
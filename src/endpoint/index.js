@@ -0,0 +1,19 @@
+// endpoint/index.js
+const { FlowEndpoint, flowEndpoint } = require('./flowEndpoint');
+const {
+  createExpressHandler,
+  createAzureV3Handler,
+  createAzureV4Handler,
+  registerAzureV4
+} = require('./adapters');
+const errors = require('./errors');
+
+module.exports = {
+  FlowEndpoint,
+  flowEndpoint,
+  createExpressHandler,
+  createAzureV3Handler,
+  createAzureV4Handler,
+  registerAzureV4,
+  ...errors
+};
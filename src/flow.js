@@ -2,287 +2,227 @@
  * @fileoverview Gerencia os fluxos de processamento de ações, incluindo funcionalidades de rate limiting, retry com backoff,
  * timeout e integração com telemetria.
  *
- * Este módulo gerencia os fluxos de execução a partir do payload recebido. Realiza as seguintes operações:
- *    - Validação básica e específica do payload.
- *    - Controle de taxa (Rate Limiting) para evitar sobrecarga.
- *    - Mecanismo de retry com backoff exponencial.
- *    - Execução de operações com timeout e registro detalhado (logs).
- *    - Gerenciamento dos controllers para diferentes fluxos: "bolsa-familia", "gov-ce", "fgts", "inss" e "padrao".
- *    - Integração com o Circuit Breaker e Telemetria para monitoramento e resiliência.
+ * Este módulo gerencia os fluxos de execução a partir do payload recebido. O FlowManager resolve o conjunto
+ * de handlers e despacha as ações INIT, BACK (com histórico de telas por flow_token), ping e data_exchange.
+ * As demais responsabilidades são middlewares padrão (ver pipeline/middlewares), nesta ordem:
+ *    - logging / telemetry: Logs detalhados e telemetria de execução, transições e erros.
+ *    - errorNotification: Confirma as notificações de erro enviadas pelo cliente ({ acknowledged: true }).
+ *    - validation: Validação básica e específica do payload.
+ *    - rateLimit: Controle de taxa por flow_token, CPF e tipo de fluxo, com retry-after na resposta.
+ *    - circuitBreaker: Resposta amigável quando uma dependência está com o circuito aberto
+ *      (circuit breakers ficam por dependência, em services/circuitBreakers).
+ *    - history: Histórico de telas usado no BACK.
+ *    - experiments: Variantes A/B do flow_token (ordem de telas, dados e textos).
+ *    - timeout, idempotency, retry: Envolvem o handler (timeout com cancelamento, data_exchange
+ *      duplicados reapresentam o primeiro resultado, retry com backoff exponencial).
+ *
+ * Novos middlewares (mascaramento de PII, auditoria, experimentos...) são registrados com `use`,
+ * sem alterar este módulo.
  *
  * Dependências:
- *    - INSSController, FGTSController, GovCEController, BFController, CommonController: Controllers responsáveis pelos fluxos.
+ *    - flowRegistry: Definições declarativas dos fluxos (controller, tela inicial, telas e handlers).
+ *    - MiddlewarePipeline: Ganchos beforeDecrypt, beforeHandler, aroundHandler, afterHandler e onError.
+ *    - requestContext: Signal de cancelamento da requisição e tenant para os clientes HTTP.
+ *    - tenantService: Tenant da requisição (parceiro/marca), pela query string ou pelo prefixo do flow_token.
+ *    - flowTokenService: Assinatura e validade do flow_token; tokens forjados ou expirados respondem 427.
+ *    - sessionStore: Histórico de telas por flow_token (BACK).
  *    - Logger: Utilitário para geração de logs.
- *    - CircuitBreaker: Implementação de circuit breaker para tratamento de falhas.
- *    - CONFIG: Configurações globais de operação e rate limiting.
- *    - telemetry: Serviço de telemetria para rastreamento de métricas e eventos.
  *
  * @module flow
  */
 
-const INSSController = require('./controllers/INSSController');
-const FGTSController = require('./controllers/FGTSController');
-const GovCEController = require('./controllers/GovCEController');
-const BFController = require('./controllers/BFController');
-const CommonController = require('./controllers/CommonController');
+const { flowRegistry } = require('./flows');
 const { Logger } = require('./utils/logger');
-const { CONFIG } = require('./config/constants');
-const { CircuitBreaker } = require('./utils/circuitBreaker'); 
-const { telemetry } = require('./services/telemetryService');
+const { requestContext } = require('./utils/requestContext');
+const { sessionStore } = require('./services/sessionStore');
+const { tenantService } = require('./services/tenantService');
+const { flowTokenService, FlowTokenError } = require('./services/flowTokenService');
+const { InvalidFlowTokenException } = require('./endpoint/errors');
+const { MiddlewarePipeline, createDefaultMiddlewares } = require('./pipeline');
 
-const INITIAL_SCREENS = {
-  'bolsa-familia': 'front',
-  'gov-ce': 'FRONT',
-  'fgts': 'front',
-  'inss': 'opportunities', 
-  'siape': '',
-  'padrao': 'front'
-};
+class FlowManager {
+  constructor(registry = flowRegistry, { middlewares = createDefaultMiddlewares(), tokens = flowTokenService } = {}) {
+    this.registry = registry;
+    this.tokens = tokens;
+    this.controllers = registry.createControllers();
+    this.pipeline = new MiddlewarePipeline(middlewares);
+  }
 
+  /**
+   * Registra um middleware no pipeline (ver pipeline/pipeline).
+   * @param {Object} middleware
+   * @param {Object} [options] - { before: nome do middleware }
+   * @returns {FlowManager}
+   */
+  use(middleware, options) {
+    this.pipeline.use(middleware, options);
+    return this;
+  }
 
-// Validadores
-const validators = {
-  validateBasicPayload: (payload) => {
-    const required = ['action', 'version'];
-    const missing = required.filter(field => !payload[field]);
-    if (missing.length) {
-      throw new ValidationError(`Campos obrigatórios faltando: ${missing.join(', ')}`);
-    }
-  },
+  /**
+   * Executa os ganchos beforeDecrypt. Chamado pelos transportes antes de descriptografar.
+   * @param {Object} request - { flowType, body, headers, query }
+   */
+  beforeDecrypt(request) {
+    return this.pipeline.runBeforeDecrypt(request);
+  }
 
-  validateScreenPayload: (payload) => {
-    if (!['INIT', 'ping'].includes(payload.action) && !payload.screen) {
-      throw new ValidationError('Screen é obrigatória para esta ação');
+  /**
+   * Trata a ação BACK (telas com refresh_on_back): retorna a tela anterior do histórico.
+   * Telas com `refresh` na definição são reconstruídas com dados atualizados;
+   * as demais são reapresentadas com os dados exibidos anteriormente.
+   */
+  async #handleBack(controller, handlerSet, { screen, flow_token, version }, context) {
+    const previous = await sessionStore.popHistory(flow_token, screen);
+
+    if (!previous) {
+      const { initialScreen } = handlerSet;
+      Logger.warn('Histórico vazio no BACK, retornando à tela inicial', { screen, flow_token });
+      return controller.createResponse(initialScreen, {}, { flow_token, version });
     }
-  }
-};
 
-// Hierarquia de erros
-class ValidationError extends Error {
-  constructor(message) {
-    super(message);
-    this.name = 'ValidationError';
-    this.code = 'VALIDATION_ERROR';
-  }
-}
+    const { refresh } = handlerSet.screens?.[previous.screen] || {};
+    if (refresh) {
+      const sessionContext = await sessionStore.getContext(flow_token);
+      return controller[refresh]({ ...previous.data, ...sessionContext }, flow_token, version, context);
+    }
 
-class FlowError extends Error {
-  constructor(message, code) {
-    super(message);
-    this.name = 'FlowError';
-    this.code = code;
+    return controller.createResponse(previous.screen, previous.data, { flow_token, version });
   }
-}
 
-class FlowManager {
-  constructor() {
-    this.controllers = {
-      'bolsa-familia': new BFController(),
-      'gov-ce': new GovCEController(),
-      'fgts': new FGTSController(),
-      'inss': new INSSController(),
-      'padrao': new CommonController()
-    };
-    this.circuitBreaker = new CircuitBreaker({
-      failureThreshold: 5,
-      resetTimeout: 60000
-    });
-  }
+  /**
+   * Valida o flow_token da requisição (exceto ping, que não tem token) e confere as claims com
+   * o fluxo e o tenant resolvidos. O leadId das claims prevalece sobre o enviado pelo cliente:
+   * um `data.leadId` divergente é recusado. Sem FLOW_TOKEN_SECRET, os tokens não são verificados.
+   *
+   * @returns {Object|null} Claims do token.
+   * @throws {InvalidFlowTokenException} Token forjado, expirado, de outro fluxo/tenant ou de
+   *   outro lead (427).
+   */
+  #verifyFlowToken({ action, flow_token, data }, flowType, tenant) {
+    if (action === 'ping' || !this.tokens.enabled) return null;
 
-  // Rate limiting
-  #rateLimit = new Map();
-  #checkRateLimit(flowToken) {
-    const now = Date.now();
-    const limit = this.#rateLimit.get(flowToken);
-    if (limit && now - limit.timestamp < CONFIG.RATE_LIMIT_WINDOW) {
-      if (limit.count >= CONFIG.RATE_LIMIT_MAX) {
-        throw new FlowError('Rate limit exceeded', 'RATE_LIMIT_EXCEEDED');
+    try {
+      const claims = this.tokens.verify(flow_token);
+      if (claims.flowType !== flowType || claims.tenant !== tenant.id) {
+        throw new FlowTokenError(`flow_token emitido para ${claims.tenant}/${claims.flowType}`, 'scope');
+      }
+      if (claims.leadId !== undefined && data?.leadId !== undefined && data.leadId !== null &&
+        data.leadId !== '' && String(data.leadId) !== String(claims.leadId)) {
+        throw new FlowTokenError('leadId divergente do flow_token', 'scope');
       }
-      limit.count++;
-    } else {
-      this.#rateLimit.set(flowToken, { count: 1, timestamp: now });
+      return claims;
+    } catch (error) {
+      if (!(error instanceof FlowTokenError)) throw error;
+
+      Logger.warn('flow_token rejeitado', { flowType, tenant: tenant.id, action, reason: error.reason });
+      throw new InvalidFlowTokenException(error.message);
     }
   }
 
-  // Retry mechanism com backoff exponencial configurável
-  async #withRetry(operation, maxRetries = CONFIG.OPERATION.RETRY_MAX || 3) {
-    for (let i = 0; i < maxRetries; i++) {
-      try {
-        return await operation();
-      } catch (error) {
-        if (i === maxRetries - 1) throw error;
-        await new Promise(r => setTimeout(r, 1000 * Math.pow(2, i)));
-      }
+  // Despacha a ação para o controller do conjunto de handlers
+  async #dispatch({ controller, handlerSet, body, requestCtx }) {
+    const { action, flow_token, version, data, screen } = body;
+
+    if (action === "INIT") {
+      const { initialScreen } = handlerSet;
+      return controller.createResponse(
+        initialScreen,
+        { message: "Inicialização bem-sucedida" },
+        { flow_token, version }
+      );
     }
-  }
 
-  // Executa a operação com timeout e log caso o tempo limite seja atingido
-  #executeWithTimeout(operationPromise, timeoutDuration, startTime, action, screen) {
-    return Promise.race([
-      operationPromise,
-      new Promise((_, reject) =>
-        setTimeout(() => {
-          Logger.warn('Operação atingiu timeout', {
-            duration: Date.now() - startTime,
-            action,
-            screen
-          });
-          reject(new Error('Operation timed out'));
-        }, timeoutDuration)
-      )
-    ]);
-  }
+    if (action === "BACK") {
+      return await this.#handleBack(controller, handlerSet, body, requestCtx);
+    }
 
-  // Formata a resposta de erro de validação de forma padronizada
-  #formatErrorResponse(error, payload, controller) {
-    return controller.createResponse(payload.screen || 'error', {}, {
-      flow_token: payload.flow_token,
-      version: payload.version,
-      error: true,
-      errorMessage: error.message
-    });
+    if (action === "ping") {
+      return {
+        data: {
+          status: "active",
+          timestamp: new Date().toISOString()
+        }
+      };
+    }
+
+    if (action === "data_exchange") {
+      const handler = await controller.getHandler(screen);
+      if (!handler) {
+        Logger.warn('Handler não encontrado para tela', { screen });
+        return controller.createResponse(screen, data, {
+          flow_token,
+          version,
+          error: true,
+          errorMessage: `Handler não encontrado para tela: ${screen}`
+        });
+      }
+      return await handler(data, flow_token, version, requestCtx);
+    }
+
+    // Se nenhuma ação corresponder
+    throw new Error(`Ação não suportada: ${action}`);
   }
 
-  async getNextScreen(decryptedBody, flowType) {
+  /**
+   * @param {Object} decryptedBody - Payload descriptografado.
+   * @param {string} flowType - Tipo de fluxo (`?flow_name=`).
+   * @param {Object} [options]
+   * @param {string} [options.tenant] - Tenant informado na query string (`?tenant=`).
+   * @returns {Promise<Object>} Resposta para o WhatsApp.
+   * @throws {InvalidFlowTokenException} flow_token inválido ou expirado.
+   */
+  async getNextScreen(decryptedBody, flowType, options = {}) {
     if (!flowType) {
       throw new Error('Flow type is required');
     }
 
-    const controller = this.controllers[flowType];
+    // Conjunto de handlers por tipo de fluxo + versão do Flow JSON (versões antigas rodam em paralelo)
+    const handlerSet = this.registry.resolve(flowType, decryptedBody?.version);
+    const controller = handlerSet && this.controllers[handlerSet.key];
     if (!controller) {
       throw new Error(`Flow type not found: ${flowType}`);
     }
 
-    const startTime = Date.now();
-    try {
-      // Log detalhado do payload recebido
-      Logger.info('Payload recebido', {
-        action: decryptedBody.action,
-        screen: decryptedBody.screen,
-        flow_token: decryptedBody.flow_token,
-        hasData: !!decryptedBody.data,
-        data: decryptedBody.data
-    });
-
-    telemetry.trackCustomEvent('FlowExecution', {
-      flowType,
-      action: decryptedBody.action,
-      screen: decryptedBody.screen
-    });
-
-      // Validações
-      validators.validateBasicPayload(decryptedBody);
-      validators.validateScreenPayload(decryptedBody);
-      this.#checkRateLimit(decryptedBody.flow_token);
+    // Configuração, credenciais e textos do parceiro valem para toda a requisição (middlewares e handlers)
+    const tenant = tenantService.resolve({ tenant: options.tenant, flowToken: decryptedBody?.flow_token });
 
-      telemetry.trackCustomMetric('RateLimit', this.#rateLimit.get(decryptedBody.flow_token)?.count || 0);
+    // Claims do token assinado (flowType, tenant, waId, leadId), disponíveis aos middlewares e handlers
+    const flowToken = this.#verifyFlowToken(decryptedBody || {}, flowType, tenant);
 
-      const { action, flow_token, version, data, screen } = decryptedBody;
-
-      // Circuit
-      return await this.circuitBreaker.execute(async () => {
-        telemetry.trackDependency('ScreenHandler', {
-          target: decryptedBody.screen,
-          duration: Date.now() - startTime,
-          success: true,
-          dependencyTypeName: 'Flow'
-        });
-        // Timeout
-        // Log antes do timeout
-        Logger.info('Iniciando execução da operação', {
-          action,
-          screen,
-          timestamp: Date.now()
-      });
-
-      // Adicionar timeout maior para a tela de endereço
-      const timeoutDuration = decryptedBody.screen === 'address' ? 
-        CONFIG.OPERATION.ADDRESS_TIMEOUT || 45000 : 
-        CONFIG.OPERATION.TIMEOUT || 30000;
-
-      const operationPromise = this.#withRetry(async () => {
-        if (action === "INIT") {
-            const initialScreen = INITIAL_SCREENS[flowType] || 'front'; // fallback para front
-            return controller.createResponse(
-                initialScreen,
-                { message: "Inicialização bem-sucedida" },
-                { flow_token, version }
-            );
-        }
-    
-        if (action === "ping") {
-            return {
-                data: {
-                    status: "active",
-                    timestamp: new Date().toISOString()
-                }
-            };
-        }
-    
-        if (action === "data_exchange") {
-          const handler = await controller.getHandler(screen);
-          if (!handler) {
-              Logger.warn('Handler não encontrado para tela', { screen });
-              return controller.createResponse(screen, data, { 
-                  flow_token, 
-                  version,
-                  error: true,
-                  errorMessage: `Handler não encontrado para tela: ${screen}`
-              });
-          }
-            return await handler(data, flow_token, version);
-        }
-    
-        // Se nenhuma ação corresponder
-        throw new Error(`Ação não suportada: ${action}`);
-    });
+    // Signal da requisição: abortado no timeout e repassado aos handlers e clientes HTTP
+    const abortController = new AbortController();
 
-      const result = await this.#executeWithTimeout(operationPromise, timeoutDuration, startTime, action, screen);
-
-        telemetry.trackScreenTransition(
-          decryptedBody.screen,
-          result.screen,
-          { flowType, startTime }
-        );
-
-        return result;
-      });
-
-    } catch (error) {
-      // Error handling
-      Logger.error('Erro no processamento', {
-        error: error.message,
-        code: error.code,
-        stack: error.stack,
-        duration: Date.now() - startTime,
-        action: decryptedBody.action,
-        screen: decryptedBody.screen
-    });
-
-    telemetry.trackScreenError(decryptedBody.screen || 'unknown', error, {
+    // Contexto compartilhado pelos middlewares; `state` fica livre para dados de cada middleware.
+    // `requestCtx` é repassado aos handlers e disponibilizado pelo requestContext durante a execução.
+    const ctx = {
       flowType,
-      action: decryptedBody.action
-    });
-
-      if (error instanceof ValidationError) {
-        return this.#formatErrorResponse(error, decryptedBody, controller);
-      }
+      handlerSet,
+      controller,
+      tenant,
+      flowToken,
+      body: decryptedBody,
+      startTime: Date.now(),
+      signal: abortController.signal,
+      abort: (reason) => abortController.abort(reason),
+      requestCtx: { signal: abortController.signal, flowToken },
+      state: {}
+    };
 
-      throw error;
-    } finally {
-      // Performance logging
-      Logger.info('Processamento finalizado', {
-        duration: Date.now() - startTime,
-        action: decryptedBody.action,
-        screen: decryptedBody.screen,
-        timestamp: Date.now()
-      });
-    }
+    return requestContext.run({ tenant, flowToken }, () =>
+      this.pipeline.execute(ctx, () => requestContext.run(ctx.requestCtx, () => this.#dispatch(ctx)))
+    );
   }
 }
 
 const flowManager = new FlowManager();
 
-exports.getNextScreen = (decryptedBody, flowType = 'padrao') => {
-  return flowManager.getNextScreen(decryptedBody, flowType);
-};
\ No newline at end of file
+exports.getNextScreen = (decryptedBody, flowType = 'padrao', options = {}) => {
+  return flowManager.getNextScreen(decryptedBody, flowType, options);
+};
+
+exports.beforeDecrypt = (request) => flowManager.beforeDecrypt(request);
+
+exports.use = (middleware, options) => flowManager.use(middleware, options);
+
+exports.FlowManager = FlowManager;
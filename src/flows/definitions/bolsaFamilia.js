@@ -0,0 +1,29 @@
+// flows/definitions/bolsaFamilia.js
+const BFController = require('../../controllers/BFController');
+const { CONFIG } = require('../../config/constants');
+
+module.exports = {
+  flowType: 'bolsa-familia',
+  controller: BFController,
+  initialScreen: 'front',
+
+  // Telas publicadas no Flow JSON e o método do controller que as processa
+  screens: {
+    front: { handler: 'handleFrontScreen' },
+    signup: { handler: 'handleSignupScreen' },
+    information: { handler: 'handleInformationScreen' },
+    address: { handler: 'handleAddressScreen', timeout: CONFIG.OPERATION.ADDRESS_TIMEOUT },
+    account: { handler: 'handleAccountScreen' },
+    warning: { handler: 'handleWarningScreen' },
+    documento_rg: { handler: 'handleDocumentScreen' },
+    status: { terminal: true }
+  },
+
+  // pedirInfos do CRM → tela (a ordem das chaves define a prioridade)
+  pedirInfos: {
+    'data-nascimento': 'signup',
+    documento: 'information',
+    endereco: 'address',
+    conta: 'account'
+  }
+};
@@ -0,0 +1,36 @@
+// flows/definitions/crefisa.js
+const CrefisaController = require('../../controllers/CrefisaController');
+const { CONFIG } = require('../../config/constants');
+
+module.exports = {
+  flowType: 'crefisa',
+  controller: CrefisaController,
+  initialScreen: 'front',
+
+  // Grupo de crédito repassado a todos os handlers, inclusive os herdados do BaseController
+  creditGroup: 'crefisa',
+
+  // Telas publicadas no Flow JSON e o método do controller que as processa
+  screens: {
+    front: { handler: 'handleFrontScreen' },
+    signup: { handler: 'handleSignupScreen' },
+    enrollment_tutorial: { next: ['enrollment'] },
+    enrollment: { handler: 'handleEnrollmentScreen' },
+    information: { handler: 'handleInformationScreen' },
+    address: { handler: 'handleAddressScreen', timeout: CONFIG.OPERATION.ADDRESS_TIMEOUT },
+    account: { handler: 'handleAccountScreen' },
+    documento_rg: { handler: 'handleDocumentScreen' },
+    warning: { terminal: true }
+  },
+
+  // pedirInfos do CRM → tela (a ordem das chaves define a prioridade)
+  pedirInfos: {
+    'data-nascimento': 'signup',
+    matricula: 'enrollment_tutorial',
+    documento: 'information',
+    endereco: 'address',
+    conta: 'account',
+    'imagem-rg-frente': 'documento_rg',
+    'imagem-rg-verso': 'documento_rg'
+  }
+};
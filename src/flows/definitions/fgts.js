@@ -0,0 +1,35 @@
+// flows/definitions/fgts.js
+const FGTSController = require('../../controllers/FGTSController');
+const { CONFIG } = require('../../config/constants');
+
+module.exports = {
+  flowType: 'fgts',
+  controller: FGTSController,
+  initialScreen: 'front',
+
+  // Telas publicadas no Flow JSON e o método do controller que as processa
+  screens: {
+    front: { next: ['credit_group'] },
+    credit_group: { handler: 'handleFrontScreen' },
+    signup: { handler: 'handleSignupScreen' },
+    infos: { handler: 'handleInformationScreen' },
+    information: { next: ['infos'] },
+    address: { handler: 'handleAddressScreen', timeout: CONFIG.OPERATION.ADDRESS_TIMEOUT },
+    account: { next: ['confirm_account'] },
+    confirm_account: { handler: 'handleAccountScreen' },
+    opportunities: { handler: 'handleOpportunitiesScreen', refresh: 'refreshOpportunitiesScreen' },
+    warning: { terminal: true }
+  },
+
+  // pedirInfos do CRM → tela (a ordem das chaves define a prioridade)
+  pedirInfos: {
+    'data-nascimento': 'signup',
+    matricula: 'signup',
+    documento: 'information',
+    endereco: 'address',
+    conta: 'account',
+    'imagem-rg-frente': 'warning',
+    'imagem-rg-verso': 'warning',
+    contracheque: 'warning'
+  }
+};
@@ -0,0 +1,85 @@
+// flows/definitions/govCe.js
+const GovCEController = require('../../controllers/GovCEController');
+const { CONFIG } = require('../../config/constants');
+
+module.exports = {
+  flowType: 'gov-ce',
+  controller: GovCEController,
+  initialScreen: 'FRONT',
+
+  // Telas publicadas no Flow JSON e o método do controller que as processa
+  screens: {
+    FRONT: { next: ['credit_group'] },
+    credit_group: { handler: 'handleFrontScreen' },
+    CONTRACHEQUE: { handler: 'handlePaycheckScreen' },
+    DADOS_PESSOAIS: { handler: 'handleSignupScreen' },
+    ENDERECO: { handler: 'handleAddressScreen', timeout: CONFIG.OPERATION.ADDRESS_TIMEOUT },
+    // Simulação aceita: o cliente segue para INFORMACOES sem data_exchange
+    PROPOSTA: { handler: 'handleProposalScreen', next: ['INFORMACOES'] },
+    INFORMACOES: { handler: 'handleInformationScreen' },
+    CONTA_BANCARIA: { handler: 'handleAccountScreen' },
+    FOTO_DOCUMENTO: { handler: 'handleDocumentScreen' },
+    OPORTUNIDADES: { handler: 'handleOpportunitiesScreen', refresh: 'refreshOpportunitiesScreen' },
+    // Contracheque ou fotos do RG pendentes: o aviso leva ao envio dos documentos
+    WARNING: { next: ['CONTRACHEQUE'] }
+  },
+
+  // Telas dos handlers comuns (BaseController) → telas deste Flow JSON. Erros de CPF voltam
+  // para credit_group, onde o CPF é informado
+  screenNames: {
+    front: 'credit_group',
+    signup: 'DADOS_PESSOAIS',
+    information: 'INFORMACOES',
+    address: 'ENDERECO',
+    account: 'CONTA_BANCARIA',
+    opportunities: 'OPORTUNIDADES',
+    warning: 'WARNING'
+  },
+
+  // pedirInfos do CRM → tela (a ordem das chaves define a prioridade)
+  pedirInfos: {
+    documento: 'DADOS_PESSOAIS',
+    endereco: 'ENDERECO',
+    conta: 'CONTA_BANCARIA',
+    contracheque: 'WARNING',
+    'imagem-rg-frente': 'WARNING',
+    'imagem-rg-verso': 'WARNING'
+  },
+
+  // Flow JSON 2.1: IDs de tela em minúsculas, como nos demais fluxos. Clientes que iniciaram
+  // o fluxo na versão anterior continuam na definição base até concluir
+  versions: {
+    '2.1': {
+      initialScreen: 'front',
+      screens: {
+        front: { handler: 'handleFrontScreen' },
+        contracheque: { handler: 'handlePaycheckScreen' },
+        signup: { handler: 'handleSignupScreen' },
+        address: { handler: 'handleAddressScreen', timeout: CONFIG.OPERATION.ADDRESS_TIMEOUT },
+        proposta: { handler: 'handleProposalScreen', next: ['information'] },
+        information: { handler: 'handleInformationScreen' },
+        account: { handler: 'handleAccountScreen' },
+        foto_documento: { handler: 'handleDocumentScreen' },
+        opportunities: { handler: 'handleOpportunitiesScreen', refresh: 'refreshOpportunitiesScreen' },
+        warning: { next: ['contracheque'] }
+      },
+      // Telas retornadas pelo GovCEController com os IDs da definição base
+      screenNames: {
+        CONTRACHEQUE: 'contracheque',
+        DADOS_PESSOAIS: 'signup',
+        ENDERECO: 'address',
+        PROPOSTA: 'proposta',
+        INFORMACOES: 'information',
+        FOTO_DOCUMENTO: 'foto_documento'
+      },
+      pedirInfos: {
+        documento: 'signup',
+        endereco: 'address',
+        conta: 'account',
+        contracheque: 'warning',
+        'imagem-rg-frente': 'warning',
+        'imagem-rg-verso': 'warning'
+      }
+    }
+  }
+};
@@ -0,0 +1,36 @@
+// flows/definitions/inss.js
+const INSSController = require('../../controllers/INSSController');
+const { CONFIG } = require('../../config/constants');
+
+module.exports = {
+  flowType: 'inss',
+  controller: INSSController,
+  initialScreen: 'opportunities',
+
+  // Telas publicadas no Flow JSON e o método do controller que as processa
+  screens: {
+    opportunities: { handler: 'handleOpportunitiesScreen', refresh: 'refreshOpportunitiesScreen', next: ['credit_group'] },
+    credit_group: { handler: 'handleFrontScreen' },
+    signup: { handler: 'handleSignupScreen' },
+    infos: { handler: 'handleInformationScreen' },
+    address: { handler: 'handleAddressScreen', timeout: CONFIG.OPERATION.ADDRESS_TIMEOUT },
+    account: { next: ['confirm_account'] },
+    confirm_account: { handler: 'handleAccountScreen' },
+    warning: { terminal: true }
+  },
+
+  // Telas dos handlers comuns (BaseController) → telas deste Flow JSON: erros voltam para a
+  // tela que enviou os dados (CPF em credit_group, nome da mãe e CEP em infos)
+  screenNames: {
+    front: 'credit_group',
+    information: 'infos'
+  },
+
+  // pedirInfos do CRM → tela (a ordem das chaves define a prioridade)
+  pedirInfos: {
+    'data-nascimento': 'signup',
+    documento: 'infos',
+    endereco: 'address',
+    conta: 'account'
+  }
+};
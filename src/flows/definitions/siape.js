@@ -0,0 +1,37 @@
+// flows/definitions/siape.js
+const SIAPEController = require('../../controllers/SIAPEController');
+const { CONFIG } = require('../../config/constants');
+
+module.exports = {
+  flowType: 'siape',
+  controller: SIAPEController,
+  initialScreen: 'front',
+
+  // Grupo de crédito repassado a todos os handlers, inclusive os herdados do BaseController
+  creditGroup: 'siape',
+
+  // Telas publicadas no Flow JSON e o método do controller que as processa
+  screens: {
+    front: { handler: 'handleFrontScreen' },
+    enrollment: { handler: 'handleEnrollmentScreen' },
+    birth: { handler: 'handleBirthScreen' },
+    signup: { handler: 'handleSignupScreen' },
+    information: { handler: 'handleInformationScreen' },
+    address: { handler: 'handleAddressScreen', timeout: CONFIG.OPERATION.ADDRESS_TIMEOUT },
+    account: { handler: 'handleAccountScreen' },
+    opportunities: { handler: 'handleOpportunitiesScreen', refresh: 'refreshOpportunitiesScreen' },
+    warning: { terminal: true }
+  },
+
+  // pedirInfos do CRM → tela (a ordem das chaves define a prioridade)
+  pedirInfos: {
+    matricula: 'enrollment',
+    'data-nascimento': 'birth',
+    documento: 'information',
+    endereco: 'address',
+    conta: 'account',
+    'imagem-rg-frente': 'warning',
+    'imagem-rg-verso': 'warning',
+    contracheque: 'warning'
+  }
+};
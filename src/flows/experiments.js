@@ -0,0 +1,41 @@
+// flows/experiments.js
+
+/**
+ * Experimentos A/B dos fluxos (ver services/experimentService).
+ *
+ * Cada flow_token é atribuído de forma determinística a uma variante (hash do id do
+ * experimento + flow_token, ponderado por `weight`). A atribuição fica salva na sessão e é
+ * enviada à telemetria, e as transições de tela carregam as variantes para o funil.
+ *
+ * Campos do experimento:
+ *    - id: identificador (usado nas métricas e em CONFIG.EXPERIMENTS.DISABLED);
+ *    - enabled: liga/desliga o experimento;
+ *    - flowTypes: fluxos participantes (omitido = todos);
+ *    - variants: [{ name, weight, ...sobrescritas }], a primeira é o controle.
+ *
+ * Sobrescritas aceitas por variante:
+ *    - priority: ordem das chaves de pedirInfos usada para escolher a próxima tela
+ *      (ex.: pedir a conta antes do endereço);
+ *    - next: { telaRetornada: telaSubstituta }, aplicado à resposta do endpoint;
+ *    - data: { tela: { chave: valor } }, mesclado ao data da resposta para a tela;
+ *    - copy: { chave: texto }, textos de statusMessages (`status.<status>.<campo>`) e dos
+ *      cards de oportunidades (`cards.<funil>.<campo>`), com {placeholders}.
+ */
+module.exports = [
+  {
+    id: 'inss-conta-antes-endereco',
+    enabled: false,
+    flowTypes: ['inss'],
+    variants: [
+      { name: 'controle', weight: 50 },
+      {
+        name: 'conta-primeiro',
+        weight: 50,
+        priority: ['data-nascimento', 'documento', 'conta', 'endereco'],
+        copy: {
+          'cards.default.metadata': '{prazo} parcelas de R$ {valorParcela}'
+        }
+      }
+    ]
+  }
+];
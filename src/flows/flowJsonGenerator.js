@@ -0,0 +1,199 @@
+/**
+ * @fileoverview Geração do esqueleto do Flow JSON do WhatsApp a partir das definições de fluxo.
+ *
+ * O Flow JSON publicado na Meta precisa usar os mesmos IDs de tela que os controllers retornam.
+ * Este módulo monta, a partir da definição (flows/definitions) e da análise estática dos
+ * handlers (ver screenScanner):
+ *    - screens: uma entrada por tela declarada, com a declaração de `data` recebida do endpoint;
+ *    - routing_model: telas de destino encontradas nos handlers;
+ *    - ações data_exchange nas telas que possuem handler, com os campos lidos pelo handler.
+ *
+ * Telas retornadas pelos handlers mas não declaradas na definição (ex.: 'WARNING' vs 'warning')
+ * são reportadas em `warnings`. O layout gerado é apenas um esqueleto: o diff com o Flow JSON
+ * publicado (diffFlowJson) compara telas, rotas, dados e telas terminais, ignorando o layout.
+ *
+ * @module flows/flowJsonGenerator
+ */
+
+const { scanDefinition, COMPLETION_SCREEN } = require('./screenScanner');
+
+const FLOW_JSON_VERSION = '6.0';
+const DATA_API_VERSION = '3.0';
+
+// Tipos conhecidos das chaves de data; as demais são declaradas como string
+const DATA_TYPES = {
+  cards: { type: 'array', items: { type: 'object', properties: {} }, __example__: [] },
+  multiselect: { type: 'boolean', __example__: false },
+  error: { type: 'boolean', __example__: false }
+};
+
+// Campos completados pela sessão do flow_token (ver BaseController._withSession)
+const SESSION_FIELDS = ['leadId', 'cpf', 'creditGroup'];
+
+function declareData(key, declared = {}) {
+  return declared[key] || DATA_TYPES[key] || { type: 'string', __example__: '' };
+}
+
+function buildLayout(screen, scan, options, receivedKeys) {
+  if (scan.handler) {
+    const payload = {};
+    scan.expects.forEach(key => {
+      payload[key] = receivedKeys.includes(key) || SESSION_FIELDS.includes(key)
+        ? `\${data.${key}}`
+        : `\${form.${key}}`;
+    });
+
+    return {
+      type: 'SingleColumnLayout',
+      children: [{
+        type: 'Footer',
+        label: 'Continuar',
+        'on-click-action': { name: 'data_exchange', payload }
+      }]
+    };
+  }
+
+  const [next] = options.next || [];
+  return {
+    type: 'SingleColumnLayout',
+    children: next
+      ? [{ type: 'Footer', label: 'Continuar', 'on-click-action': { name: 'navigate', next: { type: 'screen', name: next }, payload: {} } }]
+      : []
+  };
+}
+
+/**
+ * Gera o esqueleto do Flow JSON de um conjunto de handlers.
+ *
+ * Opções por tela aceitas na definição, além das usadas pelo FlowManager:
+ *    - next: telas alcançadas por navegação no cliente (sem data_exchange);
+ *    - terminal: marca a tela como terminal;
+ *    - data: declarações de data que substituem as inferidas (ex.: { valor: { type: 'number' } }).
+ *
+ * @param {Object} definition - Definição resolvida (flowRegistry.resolve).
+ * @param {Object} [options]
+ * @param {string} [options.version] - Versão do Flow JSON.
+ * @param {string} [options.dataApiVersion] - Versão da Data API.
+ * @returns {{ flowJson: Object, warnings: string[] }}
+ */
+function generateFlowJson(definition, options = {}) {
+  const scans = scanDefinition(definition);
+  const declared = Object.keys(definition.screens);
+  const order = [definition.initialScreen, ...declared.filter(screen => screen !== definition.initialScreen)];
+  const warnings = [];
+
+  // Chaves de data recebidas por tela (união de todas as respostas que apontam para ela)
+  const received = Object.fromEntries(declared.map(screen => [screen, new Set()]));
+  for (const [from, scan] of Object.entries(scans)) {
+    for (const response of scan.responses) {
+      if (response.screen === COMPLETION_SCREEN) {
+        continue;
+      } else if (!response.screen) {
+        warnings.push(`${from}: tela calculada em tempo de execução (${response.expression}) em ${response.method}`);
+      } else if (!received[response.screen]) {
+        warnings.push(`${from}: ${response.method} retorna a tela "${response.screen}", não declarada na definição`);
+      } else {
+        response.keys.forEach(key => received[response.screen].add(key));
+      }
+    }
+  }
+
+  const routingModel = {};
+  const screens = order.map(screen => {
+    const screenOptions = definition.screens[screen];
+    const scan = scans[screen];
+    const receivedKeys = [...received[screen]].sort();
+    const routes = [...new Set([...scan.next, ...(screenOptions.next || [])])]
+      .filter(target => target !== screen && received[target]);
+
+    routingModel[screen] = routes;
+
+    if (!scan.handler && !routes.length && !screenOptions.terminal && screen !== definition.initialScreen) {
+      warnings.push(`${screen}: tela sem handler, sem rotas e não terminal`);
+    }
+
+    const data = {};
+    receivedKeys.forEach(key => { data[key] = declareData(key, screenOptions.data); });
+    Object.keys(screenOptions.data || {}).forEach(key => { data[key] = screenOptions.data[key]; });
+
+    return {
+      id: screen,
+      title: screen,
+      ...(screenOptions.terminal && { terminal: true }),
+      ...(screenOptions.refresh && { refresh_on_back: true }),
+      data,
+      layout: buildLayout(screen, scan, screenOptions, receivedKeys)
+    };
+  });
+
+  return {
+    flowJson: {
+      version: options.version || FLOW_JSON_VERSION,
+      data_api_version: options.dataApiVersion || DATA_API_VERSION,
+      routing_model: routingModel,
+      screens
+    },
+    warnings: [...new Set(warnings)]
+  };
+}
+
+function diffSets(path, expected = [], actual = [], differences) {
+  const expectedSet = new Set(expected);
+  const actualSet = new Set(actual);
+  expected.filter(item => !actualSet.has(item))
+    .forEach(item => differences.push({ path, message: `ausente no gerado: ${item}` }));
+  actual.filter(item => !expectedSet.has(item))
+    .forEach(item => differences.push({ path, message: `ausente no publicado: ${item}` }));
+}
+
+/**
+ * Compara um Flow JSON publicado com o gerado (telas, rotas, data e telas terminais).
+ *
+ * @param {Object} published - Flow JSON versionado no repositório / publicado na Meta.
+ * @param {Object} generated - Flow JSON gerado por generateFlowJson.
+ * @returns {Array<{path: string, message: string}>} Diferenças encontradas (vazio se equivalentes).
+ */
+function diffFlowJson(published, generated) {
+  const differences = [];
+  const publishedScreens = Object.fromEntries((published.screens || []).map(screen => [screen.id, screen]));
+  const generatedScreens = Object.fromEntries((generated.screens || []).map(screen => [screen.id, screen]));
+
+  if (published.data_api_version !== generated.data_api_version) {
+    differences.push({
+      path: 'data_api_version',
+      message: `publicado ${published.data_api_version}, gerado ${generated.data_api_version}`
+    });
+  }
+
+  diffSets('screens', Object.keys(publishedScreens), Object.keys(generatedScreens), differences);
+
+  for (const id of Object.keys(generatedScreens).filter(id => publishedScreens[id])) {
+    diffSets(
+      `routing_model.${id}`,
+      published.routing_model?.[id] || [],
+      generated.routing_model?.[id] || [],
+      differences
+    );
+    diffSets(
+      `screens.${id}.data`,
+      Object.keys(publishedScreens[id].data || {}),
+      Object.keys(generatedScreens[id].data || {}),
+      differences
+    );
+    if (!!publishedScreens[id].terminal !== !!generatedScreens[id].terminal) {
+      differences.push({
+        path: `screens.${id}.terminal`,
+        message: `publicado ${!!publishedScreens[id].terminal}, gerado ${!!generatedScreens[id].terminal}`
+      });
+    }
+  }
+
+  return differences;
+}
+
+module.exports = {
+  generateFlowJson,
+  diffFlowJson,
+  FLOW_JSON_VERSION,
+  DATA_API_VERSION
+};
@@ -0,0 +1,241 @@
+/**
+ * @fileoverview Registro declarativo dos tipos de fluxo.
+ *
+ * Cada tipo de fluxo é descrito por uma definição contendo:
+ *    - flowType: identificador usado em `?flow_name=` e no FlowManager.
+ *    - controller: classe (subclasse de BaseController) que processa as telas.
+ *    - initialScreen: tela retornada na ação INIT.
+ *    - screens: telas publicadas no Flow JSON, com o método handler e opções por tela
+ *      (timeout; refresh: método que reconstrói a tela quando o usuário volta a ela via BACK;
+ *      retry: política de retry da tela, sobrescrevendo CONFIG.RETRY.SCREEN;
+ *      next, terminal, data: usados na geração do Flow JSON, ver flowJsonGenerator).
+ *    - pedirInfos: mapeamento pedirInfos do CRM → tela, em ordem de prioridade.
+ *    - creditGroup (opcional): grupo de crédito fixo do fluxo, repassado a todos os handlers
+ *      (ver BaseController._withSession).
+ *    - screenNames (opcional): telas retornadas pelos handlers comuns do BaseController
+ *      (front, signup, information, address, account, warning, opportunities) → tela publicada
+ *      neste Flow JSON, para fluxos com outros IDs de tela (ex.: signup → DADOS_PESSOAIS).
+ *    - versions (opcional): conjuntos de handlers por `version` do payload, para publicar um
+ *      Flow JSON novo (ex.: telas renomeadas) sem quebrar clientes ainda na versão anterior.
+ *      Cada entrada pode sobrescrever controller, initialScreen, screens, pedirInfos e screenNames; os campos
+ *      omitidos herdam da definição base. Versões não declaradas usam a definição base.
+ *
+ * As definições são validadas entre si na carga do módulo, garantindo que entry points,
+ * lista de fluxos permitidos e controllers não divirjam, e que toda tela retornada pelos
+ * handlers esteja declarada (erros do routingValidator, sem Flow JSON).
+ *
+ * @example
+ * {
+ *   flowType: 'gov-ce',
+ *   initialScreen: 'FRONT',
+ *   screens: { FRONT: {}, DADOS_PESSOAIS: { handler: 'handleSignupScreen' } },
+ *   versions: {
+ *     '2.1': {
+ *       initialScreen: 'front',
+ *       screens: { front: {}, signup: { handler: 'handleSignupScreen' } },
+ *       pedirInfos: { documento: 'signup' }
+ *     }
+ *   }
+ * }
+ *
+ * @module flows/flowRegistry
+ */
+
+const { validateDefinition } = require('./routingValidator');
+
+class FlowDefinitionError extends Error {
+  constructor(message, flowType) {
+    super(message);
+    this.name = 'FlowDefinitionError';
+    this.code = 'FLOW_DEFINITION_ERROR';
+    this.flowType = flowType;
+  }
+}
+
+// Chave do conjunto de handlers base de cada fluxo
+const DEFAULT_VERSION = 'default';
+
+// Campos que uma versão pode sobrescrever
+const VERSIONED_FIELDS = ['controller', 'initialScreen', 'screens', 'pedirInfos', 'screenNames'];
+
+class FlowRegistry {
+  constructor() {
+    this.definitions = new Map();
+    this.handlerSets = new Map();
+  }
+
+  /**
+   * Registra a definição de um tipo de fluxo.
+   *
+   * @param {Object} definition - Definição do fluxo.
+   * @returns {FlowRegistry} O próprio registro, para encadeamento.
+   * @throws {FlowDefinitionError} Se o flowType estiver ausente ou duplicado.
+   */
+  register(definition) {
+    if (!definition?.flowType) {
+      throw new FlowDefinitionError('Definição de fluxo sem flowType');
+    }
+    if (this.definitions.has(definition.flowType)) {
+      throw new FlowDefinitionError(`Fluxo já registrado: ${definition.flowType}`, definition.flowType);
+    }
+
+    const normalized = {
+      screens: {},
+      pedirInfos: {},
+      screenNames: {},
+      versions: {},
+      ...definition
+    };
+    this.definitions.set(definition.flowType, normalized);
+
+    this.#addHandlerSet(normalized, DEFAULT_VERSION, {});
+    for (const [version, overrides] of Object.entries(normalized.versions)) {
+      this.#addHandlerSet(normalized, version, overrides);
+    }
+    return this;
+  }
+
+  // Conjunto de handlers resolvido: definição base com os campos sobrescritos pela versão
+  #addHandlerSet(definition, version, overrides) {
+    const { versions, ...base } = definition;
+    const key = version === DEFAULT_VERSION ? definition.flowType : `${definition.flowType}@${version}`;
+    const unknown = Object.keys(overrides).filter(field => !VERSIONED_FIELDS.includes(field));
+
+    if (unknown.length) {
+      throw new FlowDefinitionError(
+        `${definition.flowType}@${version}: campos não versionáveis: ${unknown.join(', ')}`,
+        definition.flowType
+      );
+    }
+
+    this.handlerSets.set(key, { ...base, ...overrides, version, key });
+  }
+
+  get(flowType) {
+    return this.definitions.get(flowType) || null;
+  }
+
+  has(flowType) {
+    return this.definitions.has(flowType);
+  }
+
+  listFlowTypes() {
+    return [...this.definitions.keys()];
+  }
+
+  /**
+   * Lista os conjuntos de handlers registrados (definição base e versões de cada fluxo).
+   * @returns {Object[]} Definições resolvidas, com `version` e `key`.
+   */
+  listHandlerSets() {
+    return [...this.handlerSets.values()];
+  }
+
+  /**
+   * Resolve o conjunto de handlers para o tipo de fluxo e a versão do payload.
+   * Versões não declaradas em `versions` usam a definição base.
+   *
+   * @param {string} flowType - Tipo do fluxo.
+   * @param {string} [version] - Versão informada no payload.
+   * @returns {Object|null} Definição resolvida, com `version` e `key` (flowType ou flowType@version).
+   */
+  resolve(flowType, version) {
+    const key = `${flowType}@${version}`;
+    return this.handlerSets.get(key) || this.handlerSets.get(flowType) || null;
+  }
+
+  /**
+   * Retorna as opções declaradas para uma tela de um fluxo.
+   *
+   * @param {string} flowType - Tipo do fluxo.
+   * @param {string} screen - Nome da tela.
+   * @param {string} [version] - Versão do payload (ver resolve).
+   * @returns {Object} Opções da tela (vazio se não declarada).
+   */
+  getScreenOptions(flowType, screen, version) {
+    return this.resolve(flowType, version)?.screens?.[screen] || {};
+  }
+
+  /**
+   * Valida todas as definições registradas, acumulando os problemas encontrados. Inclui os
+   * erros da validação de roteamento sem Flow JSON (ver flows/routingValidator).
+   *
+   * @throws {FlowDefinitionError} Se alguma definição for inconsistente.
+   */
+  validate() {
+    const problems = [];
+
+    // Valida cada conjunto de handlers (a chave identifica fluxo e versão nas mensagens)
+    for (const [flowType, definition] of this.handlerSets) {
+      const { controller, initialScreen, screens, pedirInfos, screenNames } = definition;
+
+      if (typeof controller !== 'function') {
+        problems.push(`${flowType}: controller ausente ou inválido`);
+        continue;
+      }
+
+      if (!initialScreen || !screens[initialScreen]) {
+        problems.push(`${flowType}: tela inicial "${initialScreen}" não declarada em screens`);
+      }
+
+      for (const [screen, options] of Object.entries(screens)) {
+        if (options.handler && typeof controller.prototype[options.handler] !== 'function') {
+          problems.push(`${flowType}: handler "${options.handler}" da tela "${screen}" não existe em ${controller.name}`);
+        }
+        if (options.refresh && typeof controller.prototype[options.refresh] !== 'function') {
+          problems.push(`${flowType}: refresh "${options.refresh}" da tela "${screen}" não existe em ${controller.name}`);
+        }
+        if (options.timeout !== undefined && !(options.timeout > 0)) {
+          problems.push(`${flowType}: timeout inválido na tela "${screen}"`);
+        }
+        if (options.retry !== undefined && !(options.retry?.maxAttempts >= 1)) {
+          problems.push(`${flowType}: retry inválido na tela "${screen}" (maxAttempts >= 1)`);
+        }
+        (options.next || []).filter(target => !screens[target]).forEach(target => {
+          problems.push(`${flowType}: next "${target}" da tela "${screen}" não declarada em screens`);
+        });
+      }
+
+      for (const [info, screen] of Object.entries(pedirInfos)) {
+        if (!screens[screen]) {
+          problems.push(`${flowType}: pedirInfos "${info}" aponta para tela não declarada "${screen}"`);
+        }
+      }
+
+      for (const [name, screen] of Object.entries(screenNames)) {
+        if (!screens[screen]) {
+          problems.push(`${flowType}: screenNames "${name}" aponta para tela não declarada "${screen}"`);
+        }
+      }
+
+      // Telas retornadas pelos handlers e não declaradas (ex.: 'WARNING' vs 'warning')
+      validateDefinition(definition)
+        .filter(issue => issue.severity === 'error')
+        .forEach(({ code, screen, message }) => problems.push(`${flowType} [${screen}] ${code}: ${message}`));
+    }
+
+    if (problems.length) {
+      throw new FlowDefinitionError(`Definições de fluxo inválidas:\n - ${problems.join('\n - ')}`);
+    }
+  }
+
+  /**
+   * Instancia um controller por conjunto de handlers, injetando a respectiva definição.
+   *
+   * @returns {Object<string, BaseController>} Controllers indexados pela chave do conjunto
+   *   (flowType para a definição base, flowType@version para as versões).
+   */
+  createControllers() {
+    const controllers = {};
+    for (const [key, definition] of this.handlerSets) {
+      controllers[key] = new definition.controller(definition);
+    }
+    return controllers;
+  }
+}
+
+module.exports = {
+  FlowRegistry,
+  FlowDefinitionError,
+  DEFAULT_VERSION
+};
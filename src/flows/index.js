@@ -0,0 +1,23 @@
+// flows/index.js
+const { FlowRegistry, FlowDefinitionError } = require('./flowRegistry');
+
+const definitions = [
+  require('./definitions/bolsaFamilia'),
+  require('./definitions/crefisa'),
+  require('./definitions/govCe'),
+  require('./definitions/fgts'),
+  require('./definitions/inss'),
+  require('./definitions/padrao'),
+  require('./definitions/siape')
+];
+
+// Registro carregado e validado na inicialização: uma definição inconsistente impede o startup
+const flowRegistry = new FlowRegistry();
+definitions.forEach(definition => flowRegistry.register(definition));
+flowRegistry.validate();
+
+module.exports = {
+  flowRegistry,
+  FlowRegistry,
+  FlowDefinitionError
+};
@@ -0,0 +1,210 @@
+/**
+ * @fileoverview Validação estática do roteamento entre definições, handlers e Flow JSON.
+ *
+ * Para cada conjunto de handlers do registro (flowType e versões), cruza:
+ *    - as telas declaradas na definição (screens, pedirInfos, initialScreen);
+ *    - as telas e chaves de data retornadas pelos handlers (ver screenScanner);
+ *    - opcionalmente, o Flow JSON publicado (routing_model, data e ações de cada tela).
+ *
+ * Problemas reportados:
+ *    - UNDECLARED_SCREEN: handler retorna tela não declarada na definição (ex.: 'WARNING' vs 'warning');
+ *    - MISSING_HANDLER: tela retornada pelo endpoint que dispara data_exchange sem handler;
+ *    - UNREACHABLE_HANDLER: handler de tela inalcançável a partir da tela inicial;
+ *    - DATA_NOT_SENT: chave declarada em `data` no Flow JSON que nenhum handler envia;
+ *    - PAYLOAD_FIELD_MISSING: campo lido pelo handler que o data_exchange do Flow JSON não envia;
+ *    - FLOW_JSON_SCREEN / FLOW_JSON_ROUTE: divergências de telas e rotas com o Flow JSON.
+ *
+ * Sem Flow JSON, a navegação feita no cliente é desconhecida: telas inalcançáveis e telas sem
+ * handler são reportadas como aviso, e não como erro.
+ *
+ * @module flows/routingValidator
+ */
+
+const { scanDefinition, COMPLETION_SCREEN } = require('./screenScanner');
+
+// Campos completados pela sessão do flow_token (ver BaseController._withSession)
+const SESSION_FIELDS = ['leadId', 'cpf', 'creditGroup'];
+
+// Chaves que createResponse adiciona a todas as respostas
+const RESPONSE_FIELDS = ['flow_token', 'version', 'error', 'errorMessage'];
+
+/**
+ * Ações declaradas no layout de uma tela do Flow JSON (on-click-action, on-select-action...).
+ * @param {Object} node - Layout (ou parte dele).
+ * @returns {Array<Object>} Ações encontradas ({ name, next, payload }).
+ */
+function collectActions(node, actions = []) {
+  if (Array.isArray(node)) {
+    node.forEach(child => collectActions(child, actions));
+  } else if (node && typeof node === 'object') {
+    for (const [key, value] of Object.entries(node)) {
+      if (/-action$/.test(key) && value?.name) {
+        actions.push(value);
+      }
+      collectActions(value, actions);
+    }
+  }
+  return actions;
+}
+
+function indexFlowJson(flowJson) {
+  if (!flowJson) return null;
+
+  const screens = {};
+  for (const screen of flowJson.screens || []) {
+    const actions = collectActions(screen.layout);
+    screens[screen.id] = {
+      data: Object.keys(screen.data || {}),
+      terminal: !!screen.terminal,
+      dataExchange: actions.filter(action => action.name === 'data_exchange'),
+      navigate: actions
+        .filter(action => action.name === 'navigate' && action.next?.name)
+        .map(action => action.next.name)
+    };
+  }
+  return { screens, routingModel: flowJson.routing_model || {} };
+}
+
+/**
+ * Valida um conjunto de handlers (definição resolvida do registro).
+ *
+ * @param {Object} definition - Definição resolvida (flowRegistry.resolve).
+ * @param {Object} [options]
+ * @param {Object} [options.flowJson] - Flow JSON publicado para este fluxo/versão.
+ * @returns {Array<{severity: string, code: string, flow: string, screen: string, message: string}>}
+ */
+function validateDefinition(definition, { flowJson } = {}) {
+  const issues = [];
+  const flow = definition.key || definition.flowType;
+  const seen = new Set();
+  const report = (severity, code, screen, message) => {
+    const id = `${code}:${screen}:${message}`;
+    if (seen.has(id)) return;
+    seen.add(id);
+    issues.push({ severity, code, flow, screen, message });
+  };
+
+  const scans = scanDefinition(definition);
+  const published = indexFlowJson(flowJson);
+  const declared = definition.screens;
+  const clientRoutesKnown = !!published;
+
+  // Telas retornadas pelos handlers e chaves enviadas para cada uma
+  const returned = new Map();
+  for (const [from, scan] of Object.entries(scans)) {
+    for (const response of scan.responses.filter(item => item.screen && item.screen !== COMPLETION_SCREEN)) {
+      if (!declared[response.screen]) {
+        report('error', 'UNDECLARED_SCREEN', from,
+          `${response.method} retorna a tela "${response.screen}", não declarada na definição`);
+        continue;
+      }
+      const entry = returned.get(response.screen) || { keys: new Set(), dynamic: false };
+      response.keys.forEach(key => entry.keys.add(key));
+      entry.dynamic = entry.dynamic || response.dynamic.length > 0;
+      returned.set(response.screen, entry);
+    }
+  }
+
+  // Telas retornadas pelo endpoint sem handler para o data_exchange seguinte
+  for (const screen of returned.keys()) {
+    const options = declared[screen];
+    if (options.handler) continue;
+
+    const publishedScreen = published?.screens[screen];
+    if (publishedScreen?.dataExchange.length) {
+      report('error', 'MISSING_HANDLER', screen, 'tela dispara data_exchange no Flow JSON, mas não tem handler');
+    } else if (!published && !options.terminal && !(options.next || []).length) {
+      report('warning', 'MISSING_HANDLER', screen, 'tela retornada pelo endpoint sem handler, sem next e não terminal');
+    }
+  }
+
+  // Alcance a partir da tela inicial (rotas dos handlers, next declarado e navegação do Flow JSON)
+  const routes = (screen) => [
+    ...(scans[screen]?.next || []),
+    ...(declared[screen]?.next || []),
+    ...(published?.routingModel[screen] || []),
+    ...(published?.screens[screen]?.navigate || [])
+  ];
+  const reached = new Set([definition.initialScreen]);
+  const queue = [definition.initialScreen];
+  while (queue.length) {
+    for (const target of routes(queue.shift())) {
+      if (declared[target] && !reached.has(target)) {
+        reached.add(target);
+        queue.push(target);
+      }
+    }
+  }
+  for (const [screen, options] of Object.entries(declared)) {
+    if (options.handler && !reached.has(screen)) {
+      report(clientRoutesKnown ? 'error' : 'warning', 'UNREACHABLE_HANDLER', screen,
+        `handler ${options.handler} inalcançável a partir de "${definition.initialScreen}"`);
+    }
+  }
+
+  if (!published) return issues;
+
+  // Telas e rotas divergentes entre definição e Flow JSON
+  for (const screen of Object.keys(published.screens).filter(id => !declared[id])) {
+    report('error', 'FLOW_JSON_SCREEN', screen, 'tela do Flow JSON não declarada na definição');
+  }
+  for (const screen of Object.keys(declared).filter(id => !published.screens[id])) {
+    report('error', 'FLOW_JSON_SCREEN', screen, 'tela declarada na definição ausente no Flow JSON');
+  }
+  for (const [screen, targets] of Object.entries(published.routingModel)) {
+    const missing = (scans[screen]?.next || []).filter(target =>
+      target !== screen && declared[target] && !targets.includes(target));
+    missing.forEach(target => report('error', 'FLOW_JSON_ROUTE', screen,
+      `handler retorna "${target}", ausente do routing_model`));
+  }
+
+  for (const [screen, publishedScreen] of Object.entries(published.screens)) {
+    // Chaves declaradas no Flow JSON que nenhum handler envia
+    const sent = returned.get(screen);
+    if (sent) {
+      publishedScreen.data
+        .filter(key => !sent.keys.has(key) && !RESPONSE_FIELDS.includes(key))
+        .forEach(key => report(sent.dynamic ? 'warning' : 'error', 'DATA_NOT_SENT', screen,
+          `data "${key}" declarada no Flow JSON não é enviada pelos handlers` +
+          (sent.dynamic ? ' (há espalhamentos não analisáveis)' : '')));
+    }
+
+    // Campos lidos pelo handler que o data_exchange não envia
+    const scan = scans[screen];
+    if (scan?.handler && publishedScreen.dataExchange.length) {
+      const payloadKeys = new Set(publishedScreen.dataExchange.flatMap(action => Object.keys(action.payload || {})));
+      scan.expects
+        .filter(key => !payloadKeys.has(key) && !SESSION_FIELDS.includes(key))
+        .forEach(key => report('warning', 'PAYLOAD_FIELD_MISSING', screen,
+          `${scan.handler} lê data.${key}, ausente do payload do data_exchange`));
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Valida todos os conjuntos de handlers do registro.
+ *
+ * @param {FlowRegistry} registry
+ * @param {Object} [options]
+ * @param {string[]} [options.flowTypes] - Restringe a validação a estes fluxos.
+ * @param {Object<string, Object>} [options.flowJsons] - Flow JSON por chave do conjunto
+ *   (flowType ou flowType@version).
+ * @returns {Array<Object>} Problemas encontrados (ver validateDefinition).
+ */
+function validateRegistry(registry, { flowTypes, flowJsons = {} } = {}) {
+  const issues = [];
+  for (const definition of registry.listHandlerSets()) {
+    const { key } = definition;
+    if (flowTypes && !flowTypes.includes(definition.flowType)) continue;
+    issues.push(...validateDefinition(definition, { flowJson: flowJsons[key] }));
+  }
+  return issues;
+}
+
+module.exports = {
+  validateDefinition,
+  validateRegistry,
+  collectActions
+};
@@ -0,0 +1,403 @@
+/**
+ * @fileoverview Análise estática dos handlers de tela dos controllers.
+ *
+ * Lê o código-fonte das classes de controller (incluindo as classes ancestrais) e extrai,
+ * para cada tela declarada na definição do fluxo, as telas retornadas pelo handler
+ * (`createResponse`, `_createEnhancedResponse`, `handleError`) e as chaves de `data`
+ * enviadas para cada uma delas. Métodos auxiliares chamados via `this.` / `super.` são seguidos.
+ *
+ * Telas calculadas em tempo de execução via `_determineNextScreen` são resolvidas pelo
+ * mapeamento pedirInfos da definição, e as telas dos handlers comuns pelo `screenNames`
+ * (como em BaseController._screenName). A conclusão (`completeFlow`) é a tela terminal SUCCESS,
+ * que não é declarada no Flow JSON.
+ *
+ * Também são coletados os campos lidos de `data` pelo handler (`data.x`, `data?.x` e
+ * desestruturação), isto é, os campos que a tela deve enviar no data_exchange.
+ *
+ * @module flows/screenScanner
+ */
+
+// Métodos que montam a resposta: o primeiro argumento é a tela de destino
+const RESPONSE_METHODS = ['createResponse', '_createEnhancedResponse'];
+
+// Chaves adicionadas por createResponse a partir das opções
+const OPTION_KEYS = {
+  flow_token: 'flow_token',
+  version: 'version',
+  error: 'error',
+  errorMessage: 'errorMessage'
+};
+
+// Tela terminal retornada por BaseController.completeFlow
+const COMPLETION_SCREEN = 'SUCCESS';
+
+const METHOD_HEADER = /^[ \t]*(?:static\s+)?(?:async\s+)?(#?[A-Za-z_$][\w$]*)\s*\(([^)]*)\)\s*\{/gm;
+const KEYWORDS = new Set(['if', 'for', 'while', 'switch', 'catch', 'function', 'return', 'constructor']);
+
+// Depois destes caracteres e palavras-chave, `/` inicia uma regex; nos demais casos é divisão
+const REGEX_PRECEDING_CHARS = '(,=:[!&|?{};+-*%<>~^';
+const REGEX_PRECEDING_WORDS = new Set(['return', 'typeof', 'case', 'in', 'of', 'delete', 'void', 'throw', 'new', 'yield', 'await']);
+
+function startsRegex(source, index) {
+  let i = index - 1;
+  while (i >= 0 && /\s/.test(source[i])) i--;
+  if (i < 0) return true;
+  if (REGEX_PRECEDING_CHARS.includes(source[i])) return true;
+
+  let start = i;
+  while (start > 0 && /[\w$]/.test(source[start - 1])) start--;
+  return REGEX_PRECEDING_WORDS.has(source.slice(start, i + 1));
+}
+
+// Fim de uma regex literal iniciada em `index` (classes [...] podem conter `/`), incluindo as flags
+function skipRegex(source, index) {
+  let i = index + 1;
+  let inClass = false;
+
+  while (i < source.length) {
+    const char = source[i];
+    if (char === '\\') {
+      i += 2;
+      continue;
+    }
+    if (char === '\n') return index;
+    if (inClass) {
+      inClass = char !== ']';
+    } else if (char === '[') {
+      inClass = true;
+    } else if (char === '/') {
+      break;
+    }
+    i++;
+  }
+
+  i++;
+  while (i < source.length && /[a-z]/i.test(source[i])) i++;
+  return i;
+}
+
+/**
+ * Avança sobre strings, template literals, regex literais e comentários a partir de `index`.
+ * Retorna o índice após o trecho ignorado, ou o próprio índice se não houver nada a ignorar.
+ */
+function skipNonCode(source, index) {
+  const char = source[index];
+  const next = source[index + 1];
+
+  if (char === '/' && next === '/') {
+    const end = source.indexOf('\n', index);
+    return end === -1 ? source.length : end;
+  }
+  if (char === '/' && next === '*') {
+    const end = source.indexOf('*/', index + 2);
+    return end === -1 ? source.length : end + 2;
+  }
+  if (char === '/' && startsRegex(source, index)) {
+    return skipRegex(source, index);
+  }
+  if (char === '"' || char === "'") {
+    let i = index + 1;
+    while (i < source.length && source[i] !== char) {
+      i += source[i] === '\\' ? 2 : 1;
+    }
+    return i + 1;
+  }
+  if (char === '`') {
+    let i = index + 1;
+    while (i < source.length && source[i] !== '`') {
+      if (source[i] === '\\') {
+        i += 2;
+      } else if (source[i] === '$' && source[i + 1] === '{') {
+        i = findClosing(source, i + 1) + 1;
+      } else {
+        i++;
+      }
+    }
+    return i + 1;
+  }
+  return index;
+}
+
+/**
+ * Encontra o delimitador que fecha o que abre em `openIndex` ({, ( ou [).
+ * @returns {number} Índice do delimitador de fechamento (ou o fim do texto).
+ */
+function findClosing(source, openIndex) {
+  const pairs = { '{': '}', '(': ')', '[': ']' };
+  const stack = [pairs[source[openIndex]]];
+  let i = openIndex + 1;
+
+  while (i < source.length && stack.length) {
+    const skipped = skipNonCode(source, i);
+    if (skipped !== i) {
+      i = skipped;
+      continue;
+    }
+    const char = source[i];
+    if (pairs[char]) {
+      stack.push(pairs[char]);
+    } else if (char === stack[stack.length - 1]) {
+      stack.pop();
+    }
+    i++;
+  }
+  return i - 1;
+}
+
+/**
+ * Divide uma lista de argumentos (ou entradas de objeto) nas vírgulas de nível superior.
+ * @param {string} text - Conteúdo entre os delimitadores, sem eles.
+ * @returns {string[]}
+ */
+function splitTopLevel(text) {
+  const parts = [];
+  let start = 0;
+  let i = 0;
+
+  while (i < text.length) {
+    const skipped = skipNonCode(text, i);
+    if (skipped !== i) {
+      i = skipped;
+      continue;
+    }
+    const char = text[i];
+    if (char === '{' || char === '(' || char === '[') {
+      i = findClosing(text, i) + 1;
+      continue;
+    }
+    if (char === ',') {
+      parts.push(text.slice(start, i));
+      start = i + 1;
+    }
+    i++;
+  }
+  parts.push(text.slice(start));
+  return parts.map(part => part.trim()).filter(Boolean);
+}
+
+// Remove comentários de um trecho já isolado (ex.: entrada de objeto literal)
+function stripComments(text) {
+  return text.replace(/\/\*[\s\S]*?\*\//g, '').replace(/\/\/.*$/gm, '').trim();
+}
+
+/**
+ * Extrai os métodos declarados no corpo de uma classe.
+ * @param {string} source - Código-fonte da classe (Function.prototype.toString).
+ * @returns {Map<string, string>} Nome do método → corpo.
+ */
+function extractMethods(source) {
+  const methods = new Map();
+  const bodyStart = source.indexOf('{');
+  let match;
+
+  METHOD_HEADER.lastIndex = bodyStart + 1;
+  while ((match = METHOD_HEADER.exec(source))) {
+    const [header, name] = match;
+    const open = match.index + header.length - 1;
+    const close = findClosing(source, open);
+
+    if (!KEYWORDS.has(name)) {
+      methods.set(name, source.slice(open + 1, close));
+    }
+    METHOD_HEADER.lastIndex = close + 1;
+  }
+  return methods;
+}
+
+/**
+ * Chaves de `data` de um argumento objeto literal. Espalhamentos (`...x`) e argumentos
+ * não literais são reportados em `dynamic`.
+ */
+function extractDataKeys(argument = '') {
+  const arg = stripComments(argument);
+  if (!arg.startsWith('{')) {
+    return { keys: [], dynamic: arg ? [arg] : [] };
+  }
+
+  const keys = [];
+  const dynamic = [];
+  for (const entry of splitTopLevel(arg.slice(1, findClosing(arg, 0)))) {
+    const clean = stripComments(entry);
+    if (clean.startsWith('...')) {
+      dynamic.push(clean.slice(3).trim());
+      continue;
+    }
+    const key = clean.match(/^(?:['"]([^'"]+)['"]|([A-Za-z_$][\w$]*))/);
+    if (key) keys.push(key[1] || key[2]);
+  }
+  return { keys, dynamic };
+}
+
+// Chaves adicionadas por createResponse conforme as opções passadas no terceiro argumento
+function extractOptionKeys(argument = '') {
+  const { keys } = extractDataKeys(argument);
+  return keys.filter(key => OPTION_KEYS[key]).map(key => OPTION_KEYS[key]);
+}
+
+function literalOf(argument = '') {
+  const match = stripComments(argument).match(/^['"]([^'"]+)['"]$/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Índice dos métodos da classe do controller e das classes ancestrais.
+ * @param {Function} controllerClass
+ * @returns {Array<Map<string, string>>} Um mapa por nível, do controller para a base.
+ */
+function indexClassHierarchy(controllerClass) {
+  const levels = [];
+  let current = controllerClass;
+  while (typeof current === 'function' && current !== Function.prototype && current.prototype) {
+    levels.push(extractMethods(current.toString()));
+    current = Object.getPrototypeOf(current);
+  }
+  return levels;
+}
+
+function resolveMethod(levels, name, fromLevel = 0) {
+  for (let level = fromLevel; level < levels.length; level++) {
+    if (levels[level].has(name)) {
+      return { level, body: levels[level].get(name) };
+    }
+  }
+  return null;
+}
+
+/**
+ * Percorre o corpo de um método coletando respostas e seguindo chamadas a outros métodos.
+ */
+function scanMethod(levels, name, level, state) {
+  const resolved = resolveMethod(levels, name, level);
+  if (!resolved) return;
+
+  const visitKey = `${resolved.level}:${name}`;
+  if (state.visited.has(visitKey)) return;
+  state.visited.add(visitKey);
+
+  const { body } = resolved;
+  collectExpectedKeys(body, state.expects);
+
+  const callPattern = /\b(this|super)\.(#?[A-Za-z_$][\w$]*)\s*\(/g;
+  let match;
+
+  while ((match = callPattern.exec(body))) {
+    const [call, receiver, method] = match;
+    const open = match.index + call.length - 1;
+    const args = splitTopLevel(body.slice(open + 1, findClosing(body, open)));
+
+    if (RESPONSE_METHODS.includes(method)) {
+      const { keys, dynamic } = extractDataKeys(args[1]);
+      state.responses.push({
+        screen: literalOf(args[0]),
+        expression: stripComments(args[0] || ''),
+        keys: [...keys, ...extractOptionKeys(args[2])],
+        dynamic,
+        method: name
+      });
+    } else if (method === 'handleError') {
+      // BaseController.handleError(error, screen, flow_token, version)
+      state.responses.push({
+        screen: literalOf(args[1]),
+        expression: stripComments(args[1] || ''),
+        keys: ['error', 'errorMessage', 'flow_token', 'version'],
+        dynamic: [],
+        method: name
+      });
+    } else if (method === 'completeFlow') {
+      state.responses.push({
+        screen: COMPLETION_SCREEN,
+        expression: COMPLETION_SCREEN,
+        keys: ['extension_message_response'],
+        dynamic: [],
+        method: name
+      });
+    } else if (method === '_determineNextScreen') {
+      state.usesPedirInfos = true;
+    } else {
+      scanMethod(levels, method, receiver === 'super' ? resolved.level + 1 : 0, state);
+    }
+  }
+}
+
+// Campos de `data` lidos no corpo do método
+function collectExpectedKeys(body, expects) {
+  const access = /\bdata\??\.([A-Za-z_$][\w$]*)/g;
+  const destructuring = /\{([^{}]*)\}\s*=\s*data\b/g;
+  let match;
+
+  while ((match = access.exec(body))) {
+    expects.add(match[1]);
+  }
+  while ((match = destructuring.exec(body))) {
+    splitTopLevel(match[1])
+      .map(entry => entry.split(/[:=]/)[0].trim())
+      .filter(key => /^[A-Za-z_$][\w$]*$/.test(key))
+      .forEach(key => expects.add(key));
+  }
+}
+
+function createState() {
+  return { visited: new Set(), responses: [], usesPedirInfos: false, expects: new Set() };
+}
+
+// Tela publicada para o nome retornado pelo handler (ver BaseController._screenName)
+function publishedScreen(definition, screen) {
+  if (!screen || definition.screens?.[screen]) return screen;
+  return definition.screenNames?.[screen] ?? screen;
+}
+
+/**
+ * Analisa os handlers de um conjunto de handlers (definição resolvida do registro).
+ *
+ * @param {Object} definition - Definição do fluxo (controller, screens, pedirInfos).
+ * @returns {Object<string, {handler: string|null, responses: Array, next: string[], expects: string[]}>}
+ *   Por tela: respostas encontradas ({ screen, expression, keys, dynamic, method }), telas de destino
+ *   e campos de `data` lidos pelo handler.
+ */
+function scanDefinition(definition) {
+  const levels = indexClassHierarchy(definition.controller);
+  const result = {};
+
+  for (const [screen, options] of Object.entries(definition.screens || {})) {
+    const methodName = options.handler || null;
+    const state = createState();
+    if (methodName) scanMethod(levels, methodName, 0, state);
+
+    // O refresh (BACK) recebe dados da sessão: contribui com rotas, não com campos esperados
+    if (options.refresh) {
+      const refreshState = createState();
+      scanMethod(levels, options.refresh, 0, refreshState);
+      state.responses.push(...refreshState.responses);
+      state.usesPedirInfos = state.usesPedirInfos || refreshState.usesPedirInfos;
+    }
+
+    // Tela calculada por _determineNextScreen: vale para cada destino possível do pedirInfos
+    const targets = [...new Set(Object.values(definition.pedirInfos || {}))];
+    const responses = state.responses.flatMap(response => (
+      !response.screen && state.usesPedirInfos
+        ? targets.map(target => ({ ...response, screen: target }))
+        : [{ ...response, screen: publishedScreen(definition, response.screen) }]
+    ));
+
+    const next = new Set(responses.map(response => response.screen).filter(Boolean));
+    if (state.usesPedirInfos) {
+      targets.forEach(target => next.add(target));
+    }
+
+    result[screen] = {
+      handler: methodName,
+      responses,
+      next: [...next],
+      expects: [...state.expects]
+    };
+  }
+
+  return result;
+}
+
+module.exports = {
+  scanDefinition,
+  extractMethods,
+  extractDataKeys,
+  COMPLETION_SCREEN
+};
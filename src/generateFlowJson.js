@@ -0,0 +1,81 @@
+/* Gera o esqueleto do Flow JSON de um fluxo a partir da definição e dos handlers do controller,
+ * e opcionalmente compara com o Flow JSON versionado/publicado.
+ *
+ * Uso:
+ *
+ *             node src/generateFlowJson.js <flowType> [--version <versão do payload>]
+ *                                          [--out <arquivo>] [--check <arquivo>]
+ *
+ *   --out    grava o JSON gerado no arquivo (sem --out, imprime no stdout)
+ *   --check  compara com o Flow JSON do arquivo; termina com código 1 se houver diferenças
+ *
+ * Avisos (telas retornadas e não declaradas, telas sem rota...) são impressos no stderr.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Logger } = require('./utils/logger');
+
+// Silencia os logs de inicialização dos serviços para não misturá-los ao JSON no stdout
+Logger.level = 'error';
+
+const { flowRegistry } = require('./flows');
+const { generateFlowJson, diffFlowJson } = require('./flows/flowJsonGenerator');
+
+function parseArgs(argv) {
+  const args = { flowType: null };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg.startsWith('--')) {
+      args[arg.slice(2)] = argv[++i];
+    } else {
+      args.flowType = arg;
+    }
+  }
+  return args;
+}
+
+function main(argv = process.argv.slice(2)) {
+  const args = parseArgs(argv);
+
+  if (!args.flowType || !flowRegistry.has(args.flowType)) {
+    console.error(`Uso: node src/generateFlowJson.js <flowType> [--version <v>] [--out <arquivo>] [--check <arquivo>]
+Fluxos disponíveis: ${flowRegistry.listFlowTypes().join(', ')}`);
+    return 2;
+  }
+
+  const definition = flowRegistry.resolve(args.flowType, args.version);
+  const { flowJson, warnings } = generateFlowJson(definition);
+
+  warnings.forEach(warning => console.error(`[aviso] ${warning}`));
+
+  if (args.check) {
+    const published = JSON.parse(fs.readFileSync(path.resolve(args.check), 'utf8'));
+    const differences = diffFlowJson(published, flowJson);
+
+    if (differences.length) {
+      console.error(`${differences.length} diferença(s) entre ${args.check} e ${definition.key}:`);
+      differences.forEach(({ path: where, message }) => console.error(`  ${where}: ${message}`));
+      return 1;
+    }
+    console.log(`${args.check} está de acordo com ${definition.key}`);
+    return 0;
+  }
+
+  const output = `${JSON.stringify(flowJson, null, 2)}\n`;
+  if (args.out) {
+    fs.writeFileSync(path.resolve(args.out), output);
+    console.log(`Flow JSON de ${definition.key} gravado em ${args.out}`);
+  } else {
+    // Escrita síncrona: process.exit logo em seguida não pode truncar a saída
+    fs.writeSync(1, output);
+  }
+  return 0;
+}
+
+// process.exit: os serviços carregados pelos controllers mantêm timers de limpeza ativos
+if (require.main === module) {
+  process.exit(main());
+}
+
+module.exports = { main };
@@ -1,5 +1,36 @@
 const { app } = require('@azure/functions');
+const { registerAzureV4 } = require('./endpoint');
+const { healthService } = require('./services/healthService');
 
 app.setup({
     enableHttpStream: true,
 });
+
+// Modelo de programação v4 ("main" do package.json). O Azure não hospeda v3 (pastas com
+// function.json) e v4 no mesmo app: as funções são registradas apenas aqui.
+
+// POST /api/flow: endpoint do Flow (mesmo núcleo do servidor Express, ver endpoint/)
+registerAzureV4(app);
+
+// GET /api/health/live: liveness
+// GET /api/health[/ready][?probe=true]: readiness com as dependências (503 quando unhealthy)
+app.http('health', {
+    methods: ['GET'],
+    authLevel: 'anonymous',
+    route: 'health/{check?}',
+    handler: async (request) => {
+        const { check = 'ready' } = request.params;
+
+        if (check === 'live') {
+            return { status: 200, jsonBody: healthService.liveness() };
+        }
+        if (check !== 'ready') {
+            return { status: 404 };
+        }
+
+        const probe = request.query.get('probe');
+        const report = await healthService.readiness(probe !== null ? { probe: probe === 'true' } : {});
+
+        return { status: healthService.httpStatus(report), jsonBody: report };
+    }
+});
@@ -0,0 +1,84 @@
+/* Emite o flow_token assinado usado no envio do Flow ao usuário (ver services/flowTokenService).
+ * O token vai no parâmetro `flow_token` da mensagem interativa do Flow; o endpoint recusa (427)
+ * tokens forjados, expirados ou de outro fluxo/tenant/lead.
+ *
+ * Uso:
+ *
+ *             node src/issueFlowToken.js <flowType> --wa-id <telefone> [--tenant <id>]
+ *                                        [--lead-id <id>] [--ttl <segundos>]
+ *
+ *   --wa-id    telefone (wa_id) do destinatário
+ *   --tenant   padrão: DEFAULT_TENANT
+ *   --lead-id  lead já conhecido; prevalece sobre o leadId enviado pelas telas
+ *   --ttl      validade em segundos (padrão: FLOW_TOKEN_TTL)
+ *
+ * Requer FLOW_TOKEN_SECRET (o mesmo do endpoint). Imprime apenas o token no stdout.
+ * Serviços em Node podem emitir o token diretamente com flowTokenService.issue.
+ */
+
+const fs = require('fs');
+const { Logger } = require('./utils/logger');
+
+require('dotenv').config();
+
+// Silencia os logs de inicialização dos serviços para não misturá-los ao token no stdout
+Logger.level = 'error';
+
+const { CONFIG } = require('./config/constants');
+const { flowRegistry } = require('./flows');
+const { tenantService } = require('./services/tenantService');
+const { flowTokenService } = require('./services/flowTokenService');
+
+function parseArgs(argv) {
+  const args = { flowType: null };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg.startsWith('--')) {
+      args[arg.slice(2)] = argv[++i];
+    } else {
+      args.flowType = arg;
+    }
+  }
+  return args;
+}
+
+function main(argv = process.argv.slice(2)) {
+  const args = parseArgs(argv);
+
+  if (!args.flowType || !flowRegistry.has(args.flowType) || !args['wa-id']) {
+    console.error(`Uso: node src/issueFlowToken.js <flowType> --wa-id <telefone> [--tenant <id>] [--lead-id <id>] [--ttl <segundos>]
+Fluxos disponíveis: ${flowRegistry.listFlowTypes().join(', ')}`);
+    return 2;
+  }
+
+  const ttl = args.ttl !== undefined ? Number(args.ttl) : undefined;
+  if (ttl !== undefined && !(Number.isInteger(ttl) && ttl > 0)) {
+    console.error('Erro: --ttl deve ser um número inteiro de segundos');
+    return 2;
+  }
+
+  try {
+    const tenant = tenantService.get(args.tenant || CONFIG.TENANTS.DEFAULT).id;
+    const token = flowTokenService.issue({
+      flowType: args.flowType,
+      waId: args['wa-id'],
+      tenant,
+      leadId: args['lead-id'],
+      ttl
+    });
+
+    // Escrita síncrona: process.exit logo em seguida não pode truncar a saída
+    fs.writeSync(1, `${token}\n`);
+    return 0;
+  } catch (error) {
+    console.error(`Erro: ${error.message}`);
+    return 1;
+  }
+}
+
+// process.exit: os serviços carregados pelos controllers mantêm timers de limpeza ativos
+if (require.main === module) {
+  process.exit(main());
+}
+
+module.exports = { main };
@@ -5,51 +5,354 @@
  * LICENSE file in the root directory of this source tree.
  */
 
-/* The script will generate a public and private key pair and log the same in the console.
- * Copy paste the private key into your /.env file and public key should be added to your account.
- * For more details visit: https://developers.facebook.com/docs/whatsapp/flows/guides/implementingyourflowendpoint#upload_public_key
+/* Gerenciamento da chave do endpoint: gera o par de chaves (PKCS#8 ou PKCS#1), grava as entradas
+ * do .env / local.settings.json e os arquivos PEM, verifica um par chave/passphrase e imprime a
+ * impressão digital da chave pública para conferir a chave cadastrada na Meta.
+ * Mais detalhes: https://developers.facebook.com/docs/whatsapp/flows/guides/implementingyourflowendpoint#upload_public_key
  *
- * Run this script using command below:
+ * Uso:
  *
- *             node src/keyGenerator.js {passphrase}
+ *             node src/keyGenerator.js generate <passphrase> [--format pkcs8|pkcs1] [--cipher <cifra>]
+ *                                      [--env <.env>] [--local-settings <local.settings.json>]
+ *                                      [--out <diretório>] [--force]
+ *             node src/keyGenerator.js verify [--key <arquivo.pem>] [--passphrase <passphrase>]
+ *                                      [--public-key <arquivo.pem>]
+ *             node src/keyGenerator.js fingerprint [--key <arquivo.pem>] [--passphrase <passphrase>]
+ *                                      [--public-key <arquivo.pem>]
  *
+ *   generate        padrão: PKCS#8 com aes-256-cbc. Sem --env/--local-settings/--out, imprime as chaves.
+ *                   `node src/keyGenerator.js <passphrase>` equivale a `generate <passphrase>`.
+ *   --env           grava PRIVATE_KEY e PASSPHRASE no .env (permissão 600)
+ *   --local-settings grava PRIVATE_KEY e PASSPHRASE em Values do local.settings.json (Azure Functions)
+ *   --out           grava private.pem (600) e public.pem (644) no diretório
+ *   --force         substitui chave já existente no destino (sem --force, o comando termina com erro)
+ *   verify          carrega a chave com a passphrase (padrão: PRIVATE_KEY/PASSPHRASE do .env), testa
+ *                   a descriptografia RSA-OAEP e, com --public-key, confere se as chaves formam um par
+ *   fingerprint     impressão digital (SHA-256 da chave pública, como na métrica KeyringDecryption)
+ *                   da chave privada ou da chave pública retornada pela Graph API
  */
 
-import crypto from "crypto";
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Logger } = require('./utils/logger');
 
-const passphrase = process.argv[2];
-if (!passphrase) {
-  throw new Error(
-    "Passphrase is empty. Please include passphrase argument to generate the keys like: node src/keyGenerator.js {passphrase}"
-  );
+require('dotenv').config();
+
+Logger.level = 'error';
+
+const { fingerprint } = require('./services/keyringService');
+
+const FORMATS = ['pkcs8', 'pkcs1'];
+const DEFAULT_CIPHER = 'aes-256-cbc';
+const COMMANDS = ['generate', 'verify', 'fingerprint'];
+
+class KeyGeneratorError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'KeyGeneratorError';
+    this.code = 'KEY_GENERATOR_ERROR';
+  }
 }
 
-try {
-  const keyPair = crypto.generateKeyPairSync("rsa", {
+function parseArgs(argv) {
+  const args = { positional: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--force') {
+      args.force = true;
+    } else if (arg.startsWith('--')) {
+      args[arg.slice(2)] = argv[++i];
+    } else {
+      args.positional.push(arg);
+    }
+  }
+
+  // Compatibilidade: `node src/keyGenerator.js <passphrase>`
+  args.command = COMMANDS.includes(args.positional[0]) ? args.positional.shift() : 'generate';
+  return args;
+}
+
+/**
+ * Gera o par RSA 2048 com a chave privada em PEM criptografada com a passphrase.
+ *
+ * @param {Object} options
+ * @param {string} options.passphrase
+ * @param {string} [options.format='pkcs8'] - pkcs8 | pkcs1
+ * @param {string} [options.cipher='aes-256-cbc'] - Cifra da chave privada (ver `openssl list -cipher-algorithms`)
+ * @returns {{ publicKey: string, privateKey: string }}
+ * @throws {KeyGeneratorError} Passphrase vazia, formato ou cifra não suportados.
+ */
+function generateKeyPair({ passphrase, format = 'pkcs8', cipher = DEFAULT_CIPHER } = {}) {
+  if (!passphrase) {
+    throw new KeyGeneratorError('Passphrase vazia: node src/keyGenerator.js generate <passphrase>');
+  }
+  if (!FORMATS.includes(format)) {
+    throw new KeyGeneratorError(`Formato não suportado: ${format} (use ${FORMATS.join(' ou ')})`);
+  }
+  if (!crypto.getCiphers().includes(cipher)) {
+    throw new KeyGeneratorError(`Cifra não suportada: ${cipher}`);
+  }
+
+  return crypto.generateKeyPairSync('rsa', {
     modulusLength: 2048,
-    publicKeyEncoding: {
-      type: "spki",
-      format: "pem",
-    },
-    privateKeyEncoding: {
-      type: "pkcs1",
-      format: "pem",
-      cipher: "des-ede3-cbc",
-      passphrase,
-    },
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: format, format: 'pem', cipher, passphrase }
   });
+}
+
+/**
+ * Carrega e testa a chave privada: descriptografa um conteúdo cifrado com a chave pública
+ * correspondente (RSA-OAEP SHA-256, como as requisições do WhatsApp).
+ *
+ * @param {string} privateKeyPem
+ * @param {string} [passphrase]
+ * @returns {{ format: string, encrypted: boolean, modulusLength: number, fingerprint: string }}
+ * @throws {KeyGeneratorError} Chave inválida, passphrase incorreta ou chave que não descriptografa.
+ */
+function verifyKey(privateKeyPem, passphrase = '') {
+  let privateKey;
+  try {
+    privateKey = crypto.createPrivateKey({ key: privateKeyPem, passphrase });
+  } catch (error) {
+    throw new KeyGeneratorError(`Não foi possível carregar a chave privada (passphrase incorreta?): ${error.message}`);
+  }
+
+  const sample = crypto.randomBytes(16);
+  const oaep = { padding: crypto.constants.RSA_PKCS1_OAEP_PADDING, oaepHash: 'sha256' };
+  const encrypted = crypto.publicEncrypt({ key: crypto.createPublicKey(privateKey), ...oaep }, sample);
+  if (!crypto.privateDecrypt({ key: privateKey, ...oaep }, encrypted).equals(sample)) {
+    throw new KeyGeneratorError('A chave privada não descriptografou o teste RSA-OAEP');
+  }
+
+  return {
+    format: /BEGIN RSA PRIVATE KEY/.test(privateKeyPem) ? 'pkcs1' : 'pkcs8',
+    encrypted: /ENCRYPTED/.test(privateKeyPem),
+    modulusLength: privateKey.asymmetricKeyDetails?.modulusLength,
+    fingerprint: fingerprint(privateKey)
+  };
+}
+
+// Grava em arquivo temporário no mesmo diretório e renomeia: o destino nunca fica pela metade.
+// O nome aleatório evita colidir com temporários de execuções interrompidas, e o temporário é
+// removido se a gravação falhar.
+function writeFileAtomic(file, content, mode) {
+  const tmp = path.join(path.dirname(file), `.${path.basename(file)}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`);
+  try {
+    fs.writeFileSync(tmp, content, { mode, flag: 'wx' });
+    fs.chmodSync(tmp, mode);
+    fs.renameSync(tmp, file);
+  } catch (error) {
+    fs.rmSync(tmp, { force: true });
+    throw error;
+  }
+}
+
+/**
+ * Linha `NOME=valor` do .env que o dotenv lê de volta sem alteração. O dotenv não trata
+ * escapes de aspas: o valor vai entre aspas duplas (que também aceitam quebras de linha), mas
+ * estas convertem as sequências \n e \r; nesses casos, e com aspas duplas no valor, usa aspas
+ * simples ou crase, lidas literalmente.
+ *
+ * @throws {KeyGeneratorError} Valor com aspas duplas, simples e crase, sem representação no .env.
+ */
+function envLine(name, value) {
+  const text = String(value);
+  if (!text.includes('"') && !/\\[nr]/.test(text)) return `${name}="${text}"`;
+  if (!text.includes("'")) return `${name}='${text}'`;
+  if (!text.includes('`')) return `${name}=\`${text}\``;
+  throw new KeyGeneratorError(`${name} não pode ter aspas duplas, aspas simples e crase ao mesmo tempo (o .env não consegue representá-lo)`);
+}
+
+/**
+ * Grava PRIVATE_KEY e PASSPHRASE no .env, mantendo as demais variáveis.
+ * @throws {KeyGeneratorError} Chave já existente sem `force`.
+ */
+function writeEnvFile(file, { privateKey, passphrase }, { force = false } = {}) {
+  const current = fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : '';
+  const entries = { PRIVATE_KEY: privateKey, PASSPHRASE: passphrase };
+
+  let content = current;
+  for (const [name, value] of Object.entries(entries)) {
+    // Valor entre aspas duplas, simples ou crase (pode ter várias linhas) ou até o fim da linha
+    const pattern = new RegExp(`^${name}=(?:"(?:\\\\.|[^"\\\\])*"|'[^']*'|\`[^\`]*\`|.*)$`, 'm');
+    if (pattern.test(content)) {
+      if (!force) {
+        throw new KeyGeneratorError(`${file} já tem ${name}; use --force para substituir (ou src/rotateKeys.js para rotação)`);
+      }
+      content = content.replace(pattern, () => envLine(name, value));
+    } else {
+      content = `${content}${content && !content.endsWith('\n') ? '\n' : ''}${envLine(name, value)}\n`;
+    }
+  }
+
+  writeFileAtomic(file, content, 0o600);
+}
 
-  console.log(`Successfully created your public private key pair. Please copy the below values into your /.env file
+/**
+ * Grava PRIVATE_KEY e PASSPHRASE em Values do local.settings.json (Azure Functions local).
+ * @throws {KeyGeneratorError} Chave já existente sem `force` ou JSON inválido.
+ */
+function writeLocalSettings(file, { privateKey, passphrase }, { force = false } = {}) {
+  let settings = { IsEncrypted: false, Values: {} };
+  if (fs.existsSync(file)) {
+    try {
+      settings = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw new KeyGeneratorError(`${file} não é um JSON válido: ${error.message}`);
+    }
+  }
+
+  settings.Values = settings.Values || {};
+  if (settings.Values.PRIVATE_KEY && !force) {
+    throw new KeyGeneratorError(`${file} já tem PRIVATE_KEY; use --force para substituir (ou src/rotateKeys.js para rotação)`);
+  }
+  settings.Values.PRIVATE_KEY = privateKey;
+  settings.Values.PASSPHRASE = passphrase;
+
+  writeFileAtomic(file, `${JSON.stringify(settings, null, 2)}\n`, 0o600);
+}
+
+/**
+ * Grava private.pem (600) e public.pem (644) no diretório.
+ * @returns {{ privateKeyFile: string, publicKeyFile: string }}
+ * @throws {KeyGeneratorError} Arquivos já existentes sem `force`.
+ */
+function writePemFiles(dir, { privateKey, publicKey }, { force = false } = {}) {
+  fs.mkdirSync(dir, { recursive: true });
+  const privateKeyFile = path.join(dir, 'private.pem');
+  const publicKeyFile = path.join(dir, 'public.pem');
+
+  const existing = [privateKeyFile, publicKeyFile].filter(file => fs.existsSync(file));
+  if (existing.length && !force) {
+    throw new KeyGeneratorError(`Arquivos já existentes: ${existing.join(', ')}; use --force para substituir`);
+  }
+
+  writeFileAtomic(privateKeyFile, privateKey, 0o600);
+  writeFileAtomic(publicKeyFile, publicKey, 0o644);
+  return { privateKeyFile, publicKeyFile };
+}
+
+function generate(args) {
+  const passphrase = args.positional[0] || args.passphrase;
+  const format = args.format || 'pkcs8';
+  const keyPair = generateKeyPair({ passphrase, format, cipher: args.cipher });
+  const keyFingerprint = fingerprint(keyPair.publicKey);
+  const targets = { force: args.force };
+
+  // Destinos validados antes de gravar: uma falha não deixa chaves diferentes em cada arquivo
+  if (args.env) {
+    envLine('PASSPHRASE', passphrase);
+  }
+  if (!args.force) {
+    if (args.env && fs.existsSync(args.env) && /^PRIVATE_KEY=/m.test(fs.readFileSync(args.env, 'utf8'))) {
+      throw new KeyGeneratorError(`${args.env} já tem PRIVATE_KEY; use --force para substituir (ou src/rotateKeys.js para rotação)`);
+    }
+    if (args.out && ['private.pem', 'public.pem'].some(file => fs.existsSync(path.join(args.out, file)))) {
+      throw new KeyGeneratorError(`${args.out} já tem private.pem/public.pem; use --force para substituir`);
+    }
+  }
+
+  const written = [];
+  if (args['local-settings']) {
+    writeLocalSettings(path.resolve(args['local-settings']), { ...keyPair, passphrase }, targets);
+    written.push(args['local-settings']);
+  }
+  if (args.env) {
+    writeEnvFile(path.resolve(args.env), { ...keyPair, passphrase }, targets);
+    written.push(args.env);
+  }
+  if (args.out) {
+    const { privateKeyFile, publicKeyFile } = writePemFiles(path.resolve(args.out), keyPair, targets);
+    written.push(privateKeyFile, publicKeyFile);
+  }
+
+  if (!written.length) {
+    console.log(`Successfully created your public private key pair (${format}, ${args.cipher || DEFAULT_CIPHER}). Please copy the below values into your /.env file
 ************* COPY PASSPHRASE & PRIVATE KEY BELOW TO .env FILE *************
-PASSPHRASE="${passphrase}"
+${envLine('PASSPHRASE', passphrase)}
 
-PRIVATE_KEY="${keyPair.privateKey}"
+${envLine('PRIVATE_KEY', keyPair.privateKey)}
 ************* COPY PASSPHRASE & PRIVATE KEY ABOVE TO .env FILE *************
+`);
+  } else {
+    console.log(`Par de chaves (${format}, ${args.cipher || DEFAULT_CIPHER}) gravado em: ${written.join(', ')}`);
+  }
 
-************* COPY PUBLIC KEY BELOW *************
+  console.log(`************* COPY PUBLIC KEY BELOW *************
 ${keyPair.publicKey}
 ************* COPY PUBLIC KEY ABOVE *************
-`);
-} catch (err) {
-  console.error("Error while creating public private key pair:", err);
+Fingerprint: ${keyFingerprint}`);
+  return 0;
+}
+
+// Chave privada do arquivo informado ou do ambiente (.env)
+function loadPrivateKey(args) {
+  const pem = args.key ? fs.readFileSync(path.resolve(args.key), 'utf8') : process.env.PRIVATE_KEY;
+  if (!pem) {
+    throw new KeyGeneratorError('Chave privada não encontrada: use --key ou PRIVATE_KEY no .env');
+  }
+  return { pem, passphrase: args.passphrase ?? process.env.PASSPHRASE ?? '' };
+}
+
+function verify(args) {
+  const { pem, passphrase } = loadPrivateKey(args);
+  const result = verifyKey(pem, passphrase);
+
+  console.log(`Chave privada válida: ${result.format}, ${result.modulusLength} bits, ${result.encrypted ? 'criptografada' : 'sem criptografia'}`);
+  console.log(`Fingerprint: ${result.fingerprint}`);
+
+  if (args['public-key']) {
+    const publicFingerprint = fingerprint(fs.readFileSync(path.resolve(args['public-key']), 'utf8'));
+    if (publicFingerprint !== result.fingerprint) {
+      console.error(`A chave pública (${publicFingerprint}) não corresponde à chave privada`);
+      return 1;
+    }
+    console.log('A chave pública corresponde à chave privada');
+  }
+  return 0;
+}
+
+function printFingerprint(args) {
+  if (args['public-key']) {
+    console.log(fingerprint(fs.readFileSync(path.resolve(args['public-key']), 'utf8')));
+    return 0;
+  }
+
+  const { pem, passphrase } = loadPrivateKey(args);
+  console.log(fingerprint(crypto.createPrivateKey({ key: pem, passphrase })));
+  return 0;
+}
+
+function main(argv = process.argv.slice(2)) {
+  const args = parseArgs(argv);
+
+  try {
+    switch (args.command) {
+      case 'verify':
+        return verify(args);
+      case 'fingerprint':
+        return printFingerprint(args);
+      default:
+        return generate(args);
+    }
+  } catch (error) {
+    console.error(`Erro: ${error.message}`);
+    return 1;
+  }
+}
+
+if (require.main === module) {
+  process.exit(main());
 }
+
+module.exports = {
+  main,
+  generateKeyPair,
+  verifyKey,
+  writeEnvFile,
+  writeLocalSettings,
+  writePemFiles,
+  envLine,
+  KeyGeneratorError
+};
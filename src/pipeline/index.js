@@ -0,0 +1,18 @@
+// pipeline/index.js
+const { MiddlewarePipeline, PipelineError, HOOKS } = require('./pipeline');
+const {
+  createDefaultMiddlewares,
+  middlewares,
+  validators,
+  ValidationError
+} = require('./middlewares');
+
+module.exports = {
+  MiddlewarePipeline,
+  PipelineError,
+  HOOKS,
+  createDefaultMiddlewares,
+  middlewares,
+  validators,
+  ValidationError
+};
@@ -0,0 +1,398 @@
+// pipeline/middlewares.js
+const { Logger } = require('../utils/logger');
+const { CONFIG } = require('../config/constants');
+const { RetryPolicy } = require('../utils/retryPolicy');
+const { telemetry } = require('../services/telemetryService');
+const { sessionStore } = require('../services/sessionStore');
+const { idempotencyService } = require('../services/idempotencyService');
+const { rateLimiter, RateLimitError } = require('../services/rateLimit');
+const { CircuitBreakerError } = require('../services/circuitBreakers');
+const { experimentService } = require('../services/experimentService');
+
+class ValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ValidationError';
+    this.code = 'VALIDATION_ERROR';
+  }
+}
+
+const validators = {
+  validateBasicPayload: (payload) => {
+    const required = ['action', 'version'];
+    const missing = required.filter(field => !payload[field]);
+    if (missing.length) {
+      throw new ValidationError(`Campos obrigatórios faltando: ${missing.join(', ')}`);
+    }
+  },
+
+  validateScreenPayload: (payload) => {
+    if (!['INIT', 'ping'].includes(payload.action) && !payload.screen) {
+      throw new ValidationError('Screen é obrigatória para esta ação');
+    }
+  }
+};
+
+// Opções da tela no conjunto de handlers resolvido para a versão do payload
+const screenOptions = (ctx) => ctx.handlerSet.screens?.[ctx.body.screen] || {};
+
+// Mantém o usuário na tela atual com a mensagem de erro
+const errorResponse = (ctx, errorMessage, data = {}) => ctx.controller.createResponse(
+  ctx.body.screen || 'error',
+  data,
+  { flow_token: ctx.body.flow_token, version: ctx.body.version, error: true, errorMessage }
+);
+
+/**
+ * Logs do payload recebido, do início da execução, de erros e do fim do processamento.
+ */
+const logging = () => ({
+  name: 'logging',
+
+  beforeHandler({ body }) {
+    Logger.info('Payload recebido', {
+      action: body.action,
+      screen: body.screen,
+      flow_token: body.flow_token,
+      hasData: !!body.data,
+      data: body.data
+    });
+  },
+
+  aroundHandler({ body }, next) {
+    Logger.info('Iniciando execução da operação', {
+      action: body.action,
+      screen: body.screen,
+      timestamp: Date.now()
+    });
+    return next();
+  },
+
+  afterHandler({ body, startTime }) {
+    Logger.info('Processamento finalizado', {
+      duration: Date.now() - startTime,
+      action: body.action,
+      screen: body.screen,
+      timestamp: Date.now()
+    });
+  },
+
+  onError({ body, startTime, error }) {
+    Logger.error('Erro no processamento', {
+      error: error.message,
+      code: error.code,
+      stack: error.stack,
+      duration: Date.now() - startTime,
+      action: body.action,
+      screen: body.screen
+    });
+    Logger.info('Processamento finalizado', {
+      duration: Date.now() - startTime,
+      action: body.action,
+      screen: body.screen,
+      timestamp: Date.now()
+    });
+  }
+});
+
+/**
+ * Eventos e métricas de execução por fluxo/versão, transições de tela e erros.
+ */
+const telemetryMiddleware = () => ({
+  name: 'telemetry',
+
+  beforeHandler({ flowType, handlerSet, body }) {
+    telemetry.trackCustomEvent('FlowExecution', {
+      flowType,
+      version: body.version,
+      handlerSet: handlerSet.key,
+      action: body.action,
+      screen: body.screen
+    });
+    telemetry.trackCustomMetric('FlowVersionRequests', 1, {
+      flowType,
+      version: String(body.version),
+      handlerSet: handlerSet.key
+    });
+  },
+
+  afterHandler({ flowType, handlerSet, body, result, startTime, experiments }) {
+    telemetry.trackDependency('ScreenHandler', {
+      target: body.screen,
+      duration: Date.now() - startTime,
+      success: true,
+      dependencyTypeName: 'Flow'
+    });
+
+    // ping e confirmações de erro do cliente não são transições de tela
+    if (!result?.screen) return;
+
+    telemetry.trackScreenTransition(body.screen, result.screen, {
+      flowType,
+      version: String(body.version),
+      handlerSet: handlerSet.key,
+      experiments: experimentService.describe(experiments),
+      startTime
+    });
+  },
+
+  onError({ flowType, body, error }) {
+    telemetry.trackScreenError(body.screen || 'unknown', error, {
+      flowType,
+      action: body.action
+    });
+  }
+});
+
+/**
+ * Notificações de erro do cliente: quando a resposta de uma tela é inválida no dispositivo,
+ * o WhatsApp envia um data_exchange com `data.error` e `data.error_message`. A notificação é
+ * registrada por tela e versão e respondida com a confirmação exigida, sem passar pelos handlers.
+ */
+const errorNotification = () => ({
+  name: 'errorNotification',
+
+  beforeHandler(ctx) {
+    const { body, flowType, handlerSet } = ctx;
+    const { data } = body;
+    if (body.action !== 'data_exchange' || data?.error === undefined || data?.error_message === undefined) {
+      return;
+    }
+
+    const details = {
+      flowType,
+      screen: body.screen || 'unknown',
+      version: String(body.version),
+      handlerSet: handlerSet.key,
+      error: String(data.error)
+    };
+
+    Logger.warn('Erro reportado pelo cliente do WhatsApp Flows', {
+      ...details,
+      flow_token: body.flow_token,
+      errorMessage: data.error_message
+    });
+    telemetry.trackCustomEvent('ClientErrorNotification', {
+      ...details,
+      flow_token: body.flow_token,
+      errorMessage: data.error_message
+    });
+    telemetry.trackCustomMetric('ClientErrorNotifications', 1, details);
+
+    ctx.errorNotification = true;
+    ctx.result = { data: { acknowledged: true } };
+  }
+});
+
+/**
+ * Validação básica do payload; erros de validação mantêm o usuário na tela com a mensagem.
+ */
+const validation = () => ({
+  name: 'validation',
+
+  beforeHandler({ body }) {
+    validators.validateBasicPayload(body);
+    validators.validateScreenPayload(body);
+  },
+
+  onError(ctx) {
+    if (ctx.result === undefined && ctx.error instanceof ValidationError) {
+      ctx.result = errorResponse(ctx, ctx.error.message);
+    }
+  }
+});
+
+/**
+ * Rate limiting por flow_token, CPF e tipo de fluxo (políticas em CONFIG.RATE_LIMIT.POLICIES).
+ * Acima do limite, mantém o usuário na tela informando quando poderá tentar novamente.
+ */
+const rateLimit = ({ limiter = rateLimiter } = {}) => ({
+  name: 'rateLimit',
+
+  async beforeHandler({ body, flowType }) {
+    const results = await limiter.check({
+      flowToken: body.flow_token,
+      cpf: body.data?.cpf?.replace(/\D/g, ''),
+      flowType
+    });
+
+    telemetry.trackCustomMetric('RateLimitRemaining', results.flowToken?.remaining ?? 0, { flowType });
+  },
+
+  onError(ctx) {
+    if (ctx.result !== undefined || !(ctx.error instanceof RateLimitError)) return;
+
+    const { body, handlerSet, controller, error } = ctx;
+    ctx.result = controller.createResponse(body.screen || handlerSet.initialScreen, { retryAfter: error.retryAfter }, {
+      flow_token: body.flow_token,
+      version: body.version,
+      error: true,
+      errorMessage: `⚠️ ${CONFIG.ERRORS.SYSTEM.RATE_LIMIT}. Tente novamente em ${error.retryAfter} segundos.`
+    });
+  }
+});
+
+/**
+ * Dependência com circuito aberto (services/circuitBreakers): mantém o usuário na tela com mensagem amigável.
+ */
+const circuitBreaker = () => ({
+  name: 'circuitBreaker',
+
+  onError(ctx) {
+    if (ctx.result === undefined && ctx.error instanceof CircuitBreakerError) {
+      ctx.result = errorResponse(ctx, CONFIG.ERRORS.SYSTEM.CIRCUIT_OPEN);
+    }
+  }
+});
+
+/**
+ * Registra a tela retornada no histórico de navegação do flow_token (usado no BACK).
+ */
+const history = ({ store = sessionStore } = {}) => ({
+  name: 'history',
+
+  async afterHandler({ body, result }) {
+    const { action, flow_token } = body;
+    if (!['INIT', 'BACK', 'data_exchange'].includes(action)) return;
+
+    try {
+      await store.pushHistory(flow_token, result, { reset: action === 'INIT' });
+    } catch (error) {
+      Logger.warn('Falha ao registrar histórico de telas', { flow_token, error: error.message });
+    }
+  }
+});
+
+/**
+ * Atribui o flow_token às variantes dos experimentos A/B do fluxo (ver services/experimentService).
+ * As atribuições ficam em `ctx.experiments` e no requestContext, para as sobrescritas de ordem
+ * de telas e de textos; as sobrescritas de próxima tela e de dados são aplicadas à resposta.
+ */
+const experiments = ({ service = experimentService } = {}) => ({
+  name: 'experiments',
+
+  async beforeHandler(ctx) {
+    const { body, flowType, requestCtx } = ctx;
+    if (body.action === 'ping') return;
+
+    ctx.experiments = await service.assign(flowType, body.flow_token);
+    requestCtx.experiments = ctx.experiments;
+  },
+
+  afterHandler(ctx) {
+    if (ctx.experiments) {
+      ctx.result = service.applyToResponse(ctx.result, ctx.experiments);
+    }
+  }
+});
+
+/**
+ * Timeout por tela (`timeout` na definição ou CONFIG.OPERATION.TIMEOUT).
+ * No timeout, aborta o signal da requisição, cancelando as chamadas HTTP pendentes.
+ */
+const timeout = () => ({
+  name: 'timeout',
+
+  aroundHandler(ctx, next) {
+    const { body, startTime } = ctx;
+    ctx.timeout = screenOptions(ctx).timeout || CONFIG.OPERATION.TIMEOUT || 30000;
+
+    let timer;
+    return Promise.race([
+      next(),
+      new Promise((_, reject) => {
+        timer = setTimeout(() => {
+          Logger.warn('Operação atingiu timeout', {
+            duration: Date.now() - startTime,
+            action: body.action,
+            screen: body.screen
+          });
+          const error = new Error('Operation timed out');
+          ctx.abort(error);
+          reject(error);
+        }, ctx.timeout);
+      })
+    ]).finally(() => clearTimeout(timer));
+  }
+});
+
+/**
+ * data_exchange duplicado (duplo toque, retentativa do WhatsApp) não repete escritas no CRM.
+ */
+const idempotency = ({ service = idempotencyService } = {}) => ({
+  name: 'idempotency',
+
+  aroundHandler({ body, signal }, next) {
+    const { action, flow_token, screen, data } = body;
+    return action === 'data_exchange'
+      ? service.execute(service.buildKey(flow_token, screen, data), next, { signal })
+      : next();
+  }
+});
+
+/**
+ * Retry só para erros transitórios, com a política da tela (CONFIG.RETRY.SCREEN ou `retry`
+ * da definição) e prazo limitado ao timeout da tela.
+ */
+const retry = () => ({
+  name: 'retry',
+
+  aroundHandler(ctx, next) {
+    const { flowType, handlerSet, body, signal } = ctx;
+    const options = { ...CONFIG.RETRY.DEFAULT, ...CONFIG.RETRY.SCREEN, ...screenOptions(ctx).retry };
+    const policy = new RetryPolicy({
+      ...options,
+      name: `${handlerSet.key}:${body.screen}`,
+      deadline: Math.min(options.deadline, ctx.timeout ?? Infinity)
+    });
+
+    return policy.execute(next, {
+      signal,
+      onSettled: ({ attempts, success }) => {
+        telemetry.trackCustomMetric('RetryCount', attempts - 1, {
+          flowType,
+          screen: body.screen,
+          success,
+          scope: 'screen'
+        });
+      }
+    });
+  }
+});
+
+/**
+ * Middlewares padrão do FlowManager, na ordem de execução.
+ * @returns {Array<Object>}
+ */
+const createDefaultMiddlewares = () => [
+  logging(),
+  telemetryMiddleware(),
+  errorNotification(),
+  validation(),
+  rateLimit(),
+  circuitBreaker(),
+  history(),
+  experiments(),
+  timeout(),
+  idempotency(),
+  retry()
+];
+
+module.exports = {
+  createDefaultMiddlewares,
+  middlewares: {
+    logging,
+    telemetry: telemetryMiddleware,
+    errorNotification,
+    validation,
+    rateLimit,
+    circuitBreaker,
+    history,
+    experiments,
+    timeout,
+    idempotency,
+    retry
+  },
+  validators,
+  ValidationError
+};
@@ -0,0 +1,148 @@
+// pipeline/pipeline.js
+
+// Ganchos aceitos por um middleware, na ordem em que são executados
+const HOOKS = ['beforeDecrypt', 'beforeHandler', 'aroundHandler', 'afterHandler', 'onError'];
+
+class PipelineError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PipelineError';
+    this.code = 'PIPELINE_ERROR';
+  }
+}
+
+/**
+ * Pipeline de middlewares em volta da execução dos handlers de tela.
+ *
+ * Um middleware é um objeto com `name` e um ou mais ganchos:
+ *    - beforeDecrypt(ctx): antes de descriptografar a requisição (ctx: flowType, body, headers, query);
+ *    - beforeHandler(ctx): antes do handler; atribuir `ctx.result` responde sem executar o handler;
+ *    - aroundHandler(ctx, next): envolve o handler (timeout, idempotência, retry). `next` pode ser
+ *      chamado mais de uma vez (retentativas) e retorna a resposta da tela;
+ *    - afterHandler(ctx): após o handler, com a resposta em `ctx.result` (pode substituí-la);
+ *    - onError(ctx): erro em qualquer etapa, em `ctx.error`. Atribuir `ctx.result` trata o erro
+ *      e responde com a tela informada; sem resposta, o erro é relançado.
+ *
+ * beforeDecrypt, beforeHandler e aroundHandler seguem a ordem de registro (o primeiro é o mais
+ * externo); afterHandler e onError seguem a ordem inversa. Todos os onError são chamados, mesmo
+ * depois que um deles tratou o erro (ex.: logs e telemetria de erros de validação).
+ *
+ * @example
+ * pipeline.use({
+ *   name: 'audit',
+ *   afterHandler: (ctx) => audit.record(ctx.flowType, ctx.body.screen, ctx.result.screen)
+ * });
+ */
+class MiddlewarePipeline {
+  constructor(middlewares = []) {
+    this.middlewares = [];
+    middlewares.forEach(middleware => this.use(middleware));
+  }
+
+  /**
+   * Registra um middleware ao final do pipeline.
+   * @param {Object} middleware
+   * @param {Object} [options]
+   * @param {string} [options.before] - Registra antes do middleware com este nome.
+   * @returns {MiddlewarePipeline}
+   */
+  use(middleware, { before } = {}) {
+    if (!middleware?.name || !HOOKS.some(hook => typeof middleware[hook] === 'function')) {
+      throw new PipelineError(`Middleware inválido: informe name e ao menos um gancho (${HOOKS.join(', ')})`);
+    }
+    if (this.middlewares.some(({ name }) => name === middleware.name)) {
+      throw new PipelineError(`Middleware já registrado: ${middleware.name}`);
+    }
+
+    const index = before ? this.middlewares.findIndex(({ name }) => name === before) : -1;
+    if (before && index === -1) {
+      throw new PipelineError(`Middleware não encontrado: ${before}`);
+    }
+
+    if (index === -1) {
+      this.middlewares.push(middleware);
+    } else {
+      this.middlewares.splice(index, 0, middleware);
+    }
+    return this;
+  }
+
+  /**
+   * Remove um middleware pelo nome (ex.: desligar um middleware padrão).
+   * @returns {boolean} Se o middleware estava registrado.
+   */
+  remove(name) {
+    const index = this.middlewares.findIndex(middleware => middleware.name === name);
+    if (index !== -1) {
+      this.middlewares.splice(index, 1);
+    }
+    return index !== -1;
+  }
+
+  list() {
+    return this.middlewares.map(({ name }) => name);
+  }
+
+  #withHook(hook) {
+    return this.middlewares.filter(middleware => typeof middleware[hook] === 'function');
+  }
+
+  async runBeforeDecrypt(ctx) {
+    for (const middleware of this.#withHook('beforeDecrypt')) {
+      await middleware.beforeDecrypt(ctx);
+    }
+    return ctx;
+  }
+
+  // Compõe os aroundHandler em volta do handler; cada chamada de next executa o restante da cadeia
+  #around(ctx, handler) {
+    const chain = this.#withHook('aroundHandler');
+    const dispatch = (index) => (index === chain.length
+      ? handler(ctx)
+      : chain[index].aroundHandler(ctx, () => dispatch(index + 1)));
+    return dispatch(0);
+  }
+
+  /**
+   * Executa os ganchos e o handler para uma requisição já descriptografada.
+   *
+   * @param {Object} ctx - Contexto da requisição (ver FlowManager.getNextScreen).
+   * @param {Function} handler - (ctx) => Promise<resposta da tela>.
+   * @returns {Promise<Object>} Resposta da tela.
+   */
+  async execute(ctx, handler) {
+    try {
+      for (const middleware of this.#withHook('beforeHandler')) {
+        await middleware.beforeHandler(ctx);
+        if (ctx.result !== undefined) break;
+      }
+
+      if (ctx.result === undefined) {
+        ctx.result = await this.#around(ctx, handler);
+      }
+
+      for (const middleware of this.#withHook('afterHandler').reverse()) {
+        await middleware.afterHandler(ctx);
+      }
+      return ctx.result;
+    } catch (error) {
+      ctx.error = error;
+      ctx.result = undefined;
+
+      for (const middleware of this.#withHook('onError').reverse()) {
+        await middleware.onError(ctx);
+      }
+
+      if (ctx.result === undefined) {
+        throw ctx.error;
+      }
+      return ctx.result;
+    }
+  }
+}
+
+module.exports = {
+  MiddlewarePipeline,
+  PipelineError,
+  HOOKS
+};
@@ -0,0 +1,91 @@
+/* Rotação da chave do endpoint: gera o novo par de chaves, mostra as variáveis do keyring e o
+ * payload de upload da chave pública na Graph API.
+ *
+ * Uso:
+ *
+ *             node src/rotateKeys.js [--passphrase <passphrase>] [--phone-number-id <id>]
+ *                                    [--graph-version <versão>] [--format pkcs8|pkcs1] [--cipher <cifra>]
+ *
+ *   --passphrase       padrão: passphrase aleatória
+ *   --phone-number-id  padrão: PHONE_NUMBER_ID do .env
+ *   --graph-version    padrão: GRAPH_API_VERSION ou CONFIG.KEYRING.GRAPH_API_VERSION
+ *   --format/--cipher  formato e cifra da nova chave privada (ver src/keyGenerator.js)
+ *
+ * Passos da rotação:
+ *   1. PRIVATE_KEY/PASSPHRASE atuais passam a PRIVATE_KEY_PREVIOUS/PASSPHRASE_PREVIOUS e a nova
+ *      chave entra em PRIVATE_KEY/PASSPHRASE; faça o deploy (as duas chaves são aceitas);
+ *   2. envie a nova chave pública com o payload impresso;
+ *   3. quando a métrica KeyringDecryption não mostrar mais keyId=previous, remova a chave anterior.
+ */
+
+const crypto = require('crypto');
+const { Logger } = require('./utils/logger');
+
+require('dotenv').config();
+
+Logger.level = 'error';
+
+const { CONFIG } = require('./config/constants');
+const { keyring, fingerprint } = require('./services/keyringService');
+const { generateKeyPair, envLine } = require('./keyGenerator');
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      args[argv[i].slice(2)] = argv[++i];
+    }
+  }
+  return args;
+}
+
+function main(argv = process.argv.slice(2)) {
+  const args = parseArgs(argv);
+  const passphrase = args.passphrase || crypto.randomBytes(24).toString('base64url');
+  const phoneNumberId = args['phone-number-id'] || process.env.PHONE_NUMBER_ID || '<PHONE_NUMBER_ID>';
+  const graphVersion = args['graph-version'] || CONFIG.KEYRING.GRAPH_API_VERSION;
+
+  let keyPair;
+  let envLines;
+  try {
+    keyPair = generateKeyPair({ passphrase, format: args.format, cipher: args.cipher });
+    envLines = [envLine('PASSPHRASE', passphrase), envLine('PRIVATE_KEY', keyPair.privateKey)];
+  } catch (error) {
+    console.error(`Erro: ${error.message}`);
+    return 1;
+  }
+  const { publicKey, privateKey } = keyPair;
+  const current = keyring.keys().find(key => key.id === 'current');
+
+  const uploadUrl = `${CONFIG.KEYRING.GRAPH_API_URL}/${graphVersion}/${phoneNumberId}/whatsapp_business_encryption`;
+  const payload = { business_public_key: publicKey };
+
+  console.log(`Nova chave: ${fingerprint(publicKey)}`);
+  console.log(current
+    ? `Chave atual: ${current.fingerprint} (mover para PRIVATE_KEY_PREVIOUS/PASSPHRASE_PREVIOUS)`
+    : 'Chave atual: não configurada neste ambiente');
+
+  console.log(`
+************* .env / Application Settings *************
+PRIVATE_KEY_PREVIOUS=<PRIVATE_KEY atual>
+PASSPHRASE_PREVIOUS=<PASSPHRASE atual>
+${envLines.join('\n')}
+*******************************************************
+
+************* Upload da chave pública (após o deploy) *************
+POST ${uploadUrl}
+${JSON.stringify(payload, null, 2)}
+
+curl -X POST '${uploadUrl}' \\
+  -H "Authorization: Bearer $ACCESS_TOKEN" \\
+  --data-urlencode 'business_public_key=${publicKey.trim()}'
+*******************************************************************`);
+
+  return 0;
+}
+
+if (require.main === module) {
+  process.exit(main());
+}
+
+module.exports = { main };
@@ -1,12 +1,12 @@
-import express from "express";
-import { decryptRequest, encryptResponse } from "./encryption.js";
-import { FlowManager } from "./flow.js";
-import crypto from "crypto";
-import dotenv from 'dotenv';
-import { Logger } from './utils/logger.js';
-import { CONFIG } from './config/constants.js';
+// Variáveis do .env antes dos módulos que leem a configuração no carregamento (config/constants)
+require('dotenv').config();
 
-const flowManager = new FlowManager();
+const express = require('express');
+const { Logger } = require('./utils/logger');
+const { CONFIG } = require('./config/constants');
+const { healthService } = require('./services/healthService');
+const { keyring } = require('./services/keyringService');
+const { createExpressHandler } = require('./endpoint');
 
 class ServerError extends Error {
   constructor(message, code) {
@@ -16,53 +16,10 @@ class ServerError extends Error {
   }
 }
 
-class SecurityError extends Error {
-  constructor(message) {
-    super(message);
-    this.name = 'SecurityError';
-  }
-}
-
-dotenv.config();
-
-// Rate limiting
-const rateLimiter = new Map();
-const RATE_LIMIT = {
-  WINDOW: 60000, // 1 minuto
-  MAX_REQUESTS: 100
-};
-
-function checkRateLimit(ip) {
-  const now = Date.now();
-  const userRequests = rateLimiter.get(ip) || { count: 0, timestamp: now };
-
-  if (now - userRequests.timestamp < RATE_LIMIT.WINDOW) {
-    if (userRequests.count >= RATE_LIMIT.MAX_REQUESTS) {
-      throw new SecurityError('Rate limit exceeded');
-    }
-    userRequests.count++;
-  } else {
-    userRequests.count = 1;
-    userRequests.timestamp = now;
-  }
-  
-  rateLimiter.set(ip, userRequests);
-}
-
-// Limpeza periódica do rate limiter
-setInterval(() => {
-  const now = Date.now();
-  for (const [ip, data] of rateLimiter.entries()) {
-    if (now - data.timestamp >= RATE_LIMIT.WINDOW) {
-      rateLimiter.delete(ip);
-    }
-  }
-}, RATE_LIMIT.WINDOW);
-
 async function validateEnvironment() {
   const required = ['APP_SECRET', 'PRIVATE_KEY', 'PORT'];
   const missing = required.filter(key => !process.env[key]);
-  
+
   if (missing.length) {
     throw new ServerError(
       `Missing environment variables: ${missing.join(', ')}`,
@@ -70,17 +27,15 @@ async function validateEnvironment() {
     );
   }
 
-  try {
-    crypto.createPrivateKey({
-      key: process.env.PRIVATE_KEY,
-      format: 'pem',
-      type: 'pkcs8',
-      passphrase: process.env.PASSPHRASE || ""
-    });
-    Logger.info('✅ Private Key carregada com sucesso');
-  } catch (error) {
-    throw new ServerError('Invalid private key', 'KEY_ERROR');
+  // Chave atual e, durante a rotação, a anterior (PRIVATE_KEY_PREVIOUS)
+  const { status, keys, errors } = keyring.status();
+  if (status === 'down') {
+    throw new ServerError(`Invalid private key: ${errors.map(({ id, error }) => `${id} (${error})`).join(', ')}`, 'KEY_ERROR');
+  }
+  if (errors) {
+    Logger.warn('Chaves do keyring ignoradas', { errors });
   }
+  Logger.info('✅ Private Key carregada com sucesso', { keys: keys.map(({ id, fingerprint }) => `${id}:${fingerprint}`) });
 }
 
 const app = express();
@@ -90,100 +45,34 @@ app.use(express.json({
   verify: (req, res, buf, encoding) => {
     req.rawBody = buf?.toString(encoding || "utf8");
   },
-  limit: '10mb' // Limite de tamanho da requisição
+  limit: CONFIG.REQUEST.MAX_PAYLOAD_SIZE
 }));
 
-app.use((req, res, next) => {
-  req.startTime = Date.now();
-  next();
-});
-
-// Middleware de validação de assinatura
-function validateSignature(req) {
-  const signature = req.get("x-hub-signature-256");
-  if (!signature) {
-    throw new SecurityError("Missing signature");
-  }
+// Endpoint do Flow: assinatura, rate limit por IP, descriptografia e códigos HTTP no núcleo
+// comum às Azure Functions (ver endpoint/flowEndpoint)
+app.post(CONFIG.ENDPOINTS.MAIN, createExpressHandler());
 
-  const hmac = crypto.createHmac("sha256", process.env.APP_SECRET);
-  const expectedSignature = `sha256=${hmac.update(req.rawBody).digest('hex')}`;
+// Liveness: o processo está respondendo
+app.get(`${CONFIG.ENDPOINTS.HEALTH_CHECK}/live`, (req, res) => {
+  res.json(healthService.liveness());
+});
 
-  if (!crypto.timingSafeEqual(
-    Buffer.from(signature),
-    Buffer.from(expectedSignature)
-  )) {
-    throw new SecurityError("Invalid signature");
-  }
+// Readiness: chave privada, circuit breakers, caches e, com ?probe=true, sondas das dependências
+async function readiness(req, res) {
+  const report = await healthService.readiness(
+    req.query.probe !== undefined ? { probe: req.query.probe === 'true' } : {}
+  );
+  res.status(healthService.httpStatus(report)).json(report);
 }
 
-app.post("/", async (req, res) => {
-  const requestId = crypto.randomBytes(16).toString('hex');
-  
-  try {
-    // Rate limiting por IP
-    checkRateLimit(req.ip);
-
-    // Validação de assinatura
-    validateSignature(req);
-
-    // Descriptografia
-    const decryptedRequest = await decryptRequest(
-      req.body,
-      process.env.PRIVATE_KEY,
-      process.env.PASSPHRASE
-    );
-
-    Logger.info('Requisição recebida', {
-      requestId,
-      action: decryptedRequest.decryptedBody.action,
-      timestamp: new Date().toISOString()
-    });
-
-    // Processamento
-    const screenResponse = await flowManager.getNextScreen(decryptedRequest.decryptedBody);
-
-    // Resposta
-    const encryptedResponse = encryptResponse(
-      screenResponse,
-      decryptedRequest.aesKeyBuffer,
-      decryptedRequest.initialVectorBuffer
-    );
-
-    Logger.info('Requisição completa', {
-      requestId,
-      duration: Date.now() - req.startTime,
-      action: decryptedRequest.decryptedBody.action,
-      screen: screenResponse.screen
-    });
-
-    res.send(encryptedResponse);
-
-  } catch (error) {
-    Logger.error('Requisição falhou', {
-      requestId,
-      error: error.message,
-      code: error.code,
-      duration: Date.now() - req.startTime
-    });
-    
-    res.status(200).send();
-  }
-});
-
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.json({
-    status: 'healthy',
-    timestamp: new Date().toISOString(),
-    uptime: process.uptime()
-  });
-});
+app.get(CONFIG.ENDPOINTS.HEALTH_CHECK, readiness);
+app.get(`${CONFIG.ENDPOINTS.HEALTH_CHECK}/ready`, readiness);
 
 // Inicialização do servidor
 async function startServer() {
   try {
     await validateEnvironment();
-    
+
     const server = app.listen(process.env.PORT, () => {
       Logger.info(`Server iniciado na porta: ${process.env.PORT}`);
     });
@@ -203,4 +92,8 @@ async function startServer() {
   }
 }
 
-startServer();
\ No newline at end of file
+if (require.main === module) {
+  startServer();
+}
+
+module.exports = { app, startServer };
@@ -1,6 +1,9 @@
 const axios = require('axios');
 const { Logger } = require('../utils/logger');
 const { CONFIG } = require('../config/constants');
+const { circuitBreakers, CircuitBreakerError } = require('./circuitBreakers');
+const { RetryPolicy } = require('../utils/retryPolicy');
+const { requestContext, RequestAbortedError } = require('../utils/requestContext');
 
 /**
  * Erro de validação específico para endereços
@@ -60,7 +63,12 @@ class AddressService {
   constructor(config = {}) {
     this.baseURL = config.baseURL || 'https://brasilapi.com.br/api';
     this.timeout = config.timeout || 5000;
-    this.retries = config.retries || 3;
+    this.retryPolicy = new RetryPolicy({
+      ...CONFIG.RETRY.DEFAULT,
+      ...CONFIG.RETRY.ADDRESS,
+      ...(config.retries && { maxAttempts: config.retries }),
+      name: 'brasilapi'
+    });
     this.cache = new CepCache(config.cacheTTL);
 
     // Headers padrão para requisições
@@ -165,10 +173,13 @@ class AddressService {
   /**
    * Busca dados de um CEP
    * @param {string} cep - CEP a ser consultado
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancela a consulta (padrão: signal da requisição atual)
    * @returns {Promise<Object>} Dados do endereço ou erro
    */
-  async fetchCEPData(cep) {
+  async fetchCEPData(cep, options = {}) {
     const startTime = Date.now();
+    const signal = requestContext.getSignal(options.signal);
     
     try {
       Logger.info('Iniciando busca de CEP', { 
@@ -182,8 +193,10 @@ class AddressService {
       const cachedData = await this.cache.get(cepFormatted);
       if (cachedData) return cachedData;
 
-      // Faz a requisição
-      const response = await this.client.get(`cep/v1/${cepFormatted}`);
+      // Faz a requisição (circuit breaker da BrasilAPI)
+      const response = await circuitBreakers.execute('brasilapi', () =>
+        this.retryPolicy.execute(() => this.client.get(`cep/v1/${cepFormatted}`, { signal }), { signal })
+      );
       const data = response.data;
 
       if (!data || !data.state || !data.city) {
@@ -215,6 +228,15 @@ class AddressService {
         return { error: `⚠️ ${error.message}` };
       }
 
+      // Requisição cancelada (timeout do fluxo): interrompe o handler em vez de seguir com erro de CEP
+      if (axios.isCancel(error) || error instanceof RequestAbortedError) {
+        throw error;
+      }
+
+      if (error instanceof CircuitBreakerError) {
+        return { error: `⚠️ ${CONFIG.ERRORS.SYSTEM.CIRCUIT_OPEN}. Tente novamente em instantes.` };
+      }
+
       return { 
         error: "⚠️ Erro ao consultar CEP. Por favor, tente novamente.",
         details: error.message
@@ -3,6 +3,12 @@ const crypto = require('crypto');
 const { Logger } = require('../utils/logger');
 const FormData = require('form-data');
 const { CONFIG } = require('../config/constants');
+const { rateLimiter, RateLimitError } = require('./rateLimit');
+const { circuitBreakers, dependencyForUrl, circuitName, CircuitBreakerError } = require('./circuitBreakers');
+const { RetryPolicy, isConnectionError } = require('../utils/retryPolicy');
+const { telemetry } = require('./telemetryService');
+const { requestContext, RequestAbortedError, throwIfAborted } = require('../utils/requestContext');
+const { tenantService } = require('./tenantService');
 
 /**
  * @fileoverview Cliente API para integração com CRM e serviços externos
@@ -38,84 +44,99 @@ class ValidationError extends Error {
 const cache = new Map();
 const CACHE_TTL = 5 * 60 * 1000; // 5 minutos
 
-// Rate limiter
-class RateLimiter {
-  constructor(limit = 100, interval = 60000) {
-    this.limit = limit;
-    this.interval = interval;
-    this.requests = [];
-  }
-
-  async checkLimit() {
-    const now = Date.now();
-    this.requests = this.requests.filter(time => time > now - this.interval);
-    if (this.requests.length >= this.limit) {
-      throw new APIError('Rate limit exceeded', 'RATE_LIMIT');
-    }
-    this.requests.push(now);
-  }
-}
+// Quantidade de respostas no cache de rotas (health check)
+const getCacheSize = () => cache.size;
 
-const rateLimiter = new RateLimiter();
-
-// Função utilitária para retry
-async function withRetry(operation, retries = 3) {
-  for (let attempt = 1; attempt <= retries; attempt++) {
-    try {
-      return await operation();
-    } catch (error) {
-      if (attempt === retries) throw error;
-      const delay = Math.min(200 * Math.pow(2, attempt), 1000);
-      await new Promise(resolve => setTimeout(resolve, delay));
-      Logger.info(`Retry attempt ${attempt} after ${delay}ms`);
+// Rate limiting das chamadas ao CRM de cada tenant (política 'crm' em CONFIG.RATE_LIMIT.POLICIES)
+async function checkRateLimit(tenant) {
+  try {
+    await rateLimiter.enforce('crm', tenant);
+  } catch (error) {
+    if (error instanceof RateLimitError) {
+      const apiError = new APIError('Rate limit exceeded', 'RATE_LIMIT', error);
+      apiError.retryAfter = error.retryAfter;
+      throw apiError;
     }
+    throw error;
   }
 }
 
-// Configurações de cache por rota
+// Configurações de cache, timeout e retry por rota (retry: opções de RetryPolicy).
+// Escritas (POST/PATCH) só são repetidas em rotas marcadas como idempotentes; nas demais,
+// apenas quando a conexão falha antes do envio da requisição.
 const ROUTE_CONFIG = {
   'proxima-etapa': {
     cache: false,
     timeout: 5000,
-    retries: 3
+    retry: { maxAttempts: 3, deadline: 8000 }
   },
   'requalify': {
     cache: false,
     timeout: 8000,
-    retries: 2
+    retry: { maxAttempts: 2 }
   },
   'registrar-arquivo': {
     cache: false,
     timeout: 10000,
-    retries: 2
+    retry: { maxAttempts: 2 }
+  },
+  'dados-basicos': {
+    cache: false,
+    timeout: 10000,
+    retry: { maxAttempts: 2 },
+    idempotent: true
   },
   'lead': {
     cache: false,
     timeout: 10000,
-    retries: 2
+    retry: { maxAttempts: 2 }
   },
   'default': {
     cache: true,
     ttl: 5 * 60 * 1000,
     timeout: CONFIG.REQUEST_TIMEOUT,
-    retries: 3
+    retry: { maxAttempts: 3 }
   }
 };
 
+const getRouteName = (url) => {
+  return Object.keys(ROUTE_CONFIG).find(route => url.includes(route)) || 'default';
+};
+
 const getRouteConfig = (url) => {
-  const route = Object.keys(ROUTE_CONFIG).find(route => url.includes(route));
-  return ROUTE_CONFIG[route] || ROUTE_CONFIG.default;
+  return ROUTE_CONFIG[getRouteName(url)];
+};
+
+const getRetryPolicy = (method, url) => {
+  const route = getRouteName(url);
+  const routeConfig = ROUTE_CONFIG[route];
+  const idempotent = method.toLowerCase() === 'get' || routeConfig.idempotent === true;
+
+  return new RetryPolicy({
+    ...CONFIG.RETRY.DEFAULT,
+    ...routeConfig.retry,
+    name: route,
+    ...(!idempotent && { isRetryable: isConnectionError })
+  });
 };
 
-// Função principal de requisição usando proxy
-const makeRequest = async (method, url, data = null, additionalHeaders = {}) => {
+// Função principal de requisição usando proxy.
+// options.signal cancela a requisição (padrão: signal da requisição atual, ver utils/requestContext)
+// Rotas relativas vão para o CRM do tenant da requisição, com a chave dele (ver services/tenantService)
+const makeRequest = async (method, url, data = null, additionalHeaders = {}, options = {}) => {
   const startTime = Date.now();
-  await rateLimiter.checkLimit();
-  
+  const signal = requestContext.getSignal(options.signal);
+  throwIfAborted(signal);
+
+  const { id: tenant, crm } = tenantService.current();
+  await checkRateLimit(tenant);
+
   const routeConfig = getRouteConfig(url);
-  const cacheKey = `${method}:${url}:${JSON.stringify(data)}`;
-  const formattedUrl = url.startsWith('http') ? url : `${process.env.CRM_API_URL}${url}`;
-  const proxyUrl = "https://proxy-logger.azurewebsites.net/api/ProxyLogger";
+  const route = getRouteName(url);
+  const cacheKey = `${tenant}:${method}:${url}:${JSON.stringify(data)}`;
+  const formattedUrl = url.startsWith('http') ? url : `${crm.baseUrl}${url}`;
+  const proxyUrl = CONFIG.CRM.PROXY_URL;
+  const dependency = dependencyForUrl(formattedUrl);
   
   if (routeConfig.cache) {
     const cached = cache.get(cacheKey);
@@ -127,7 +148,7 @@ const makeRequest = async (method, url, data = null, additionalHeaders = {}) =>
 
   const baseHeaders = {
     'Content-Type': 'application/json',
-    'api-key': process.env.CRM_API_KEY,
+    'api-key': crm.apiKey,
     'x-source': 'flows',
     'x-target-url': formattedUrl
   };
@@ -139,33 +160,53 @@ const makeRequest = async (method, url, data = null, additionalHeaders = {}) =>
       proxyUrl,
       targetUrl: formattedUrl,
       timeout: routeConfig.timeout,
-      route: Object.keys(ROUTE_CONFIG).find(route => url.includes(route)) || 'default',
+      route,
       timestamp: new Date().toISOString()
     });
 
-    const response = await withRetry(
-      async () => {
-        const result = await axios({
-          method,
-          url: proxyUrl,
-          ...(data && { data }),
-          headers: { ...baseHeaders, ...additionalHeaders },
-          timeout: routeConfig.timeout
+    // Circuit breaker da dependência de destino (fallback configurado não é cacheado)
+    return await circuitBreakers.execute(circuitName(dependency, tenant), async () => {
+      const response = await getRetryPolicy(method, url).execute(
+        async () => {
+          const result = await axios({
+            method,
+            url: proxyUrl,
+            ...(data && { data }),
+            headers: { ...baseHeaders, ...additionalHeaders },
+            timeout: routeConfig.timeout,
+            signal
+          });
+          return result;
+        },
+        {
+          signal,
+          onSettled: ({ attempts, success }) => {
+            telemetry.trackCustomMetric('RetryCount', attempts - 1, { route, dependency, success, scope: 'request' });
+          }
+        }
+      );
+
+      if (routeConfig.cache) {
+        cache.set(cacheKey, {
+          data: response.data,
+          timestamp: Date.now()
         });
-        return result;
-      },
-      routeConfig.retries
-    );
+      }
 
-    if (routeConfig.cache) {
-      cache.set(cacheKey, {
-        data: response.data,
-        timestamp: Date.now()
-      });
+      return response.data;
+    });
+  } catch (error) {
+    if (error instanceof CircuitBreakerError) {
+      Logger.warn('Circuit breaker aberto', { dependency, targetUrl: formattedUrl });
+      throw new APIError(CONFIG.ERRORS.SYSTEM.CIRCUIT_OPEN, 503, error);
+    }
+
+    // Cancelada pelo timeout da requisição: não há resposta a tratar
+    if (axios.isCancel(error) || error instanceof RequestAbortedError) {
+      Logger.warn('Requisição cancelada', { method, targetUrl: formattedUrl, duration: Date.now() - startTime });
+      throw error instanceof RequestAbortedError ? error : new RequestAbortedError('Requisição cancelada', error);
     }
 
-    return response.data;
-  } catch (error) {
     Logger.error('Request Failed', {
       method,
       proxyUrl,
@@ -218,6 +259,7 @@ class CacheManager {
   }
 
   _startCleanupInterval() {
+    // unref: a limpeza não mantém o processo vivo (scripts e testes)
     setInterval(() => {
       const now = Date.now();
       for (const [key, value] of this.cache.entries()) {
@@ -225,7 +267,7 @@ class CacheManager {
           this.cache.delete(key);
         }
       }
-    }, 60000); // Limpa cache expirado a cada minuto
+    }, 60000).unref(); // Limpa cache expirado a cada minuto
   }
 
   set(key, value, customTtl = null) {
@@ -258,7 +300,7 @@ const cacheManager = new CacheManager(CACHE_TTL);
 
 /**
  * Cliente base para APIs
- * Fornece funcionalidades comuns como retry, rate limiting e timeouts
+ * Fornece funcionalidades comuns como retry e timeouts (rate limiting via services/rateLimit)
  * @class
  * 
  * @example
@@ -287,12 +329,6 @@ class APIClientBase {
       retryDelay: config.retryDelay || 1000,
       headers: config.headers || {},
     };
-
-    // Inicializar rate limiter específico para a instância
-    this.rateLimiter = new RateLimiter(
-      config.rateLimit?.limit,
-      config.rateLimit?.interval
-    );
   }
 
   // Método para construir URL completa
@@ -368,6 +404,10 @@ const createContact = async (data, flowToken) => {
     return `${sanitized.substring(2, 4)}9${sanitized.slice(-8)}`;
   };
  
+  const { origin } = tenantService.current();
+  // Token assinado: a origem registra só o identificador (jti), não o token inteiro
+  const tokenId = requestContext.get().flowToken?.jti ?? flowToken;
+
   try {
     // Construção do payload base com campos obrigatórios
     const basePayload = {
@@ -377,8 +417,8 @@ const createContact = async (data, flowToken) => {
       email: data.email,
       funil: data.creditGroup,
       naoQualificar: true,
-      urlOrigem: `https://app.heymax.io/${flowToken}`,
-      urlReferencia: "https://app.heymax.io/"
+      urlOrigem: `${origin.url}${tokenId}`,
+      urlReferencia: origin.url
     };
  
     // Mapeamento de como cada campo opcional deve ser tratado
@@ -414,7 +454,7 @@ const createContact = async (data, flowToken) => {
  };
 
 // Função de processamento de imagens do WhatsApp
-async function decryptWhatsAppImage(fileData) {
+async function decryptWhatsAppImage(fileData, { signal } = {}) {
   if (!fileData) {
     throw new ValidationError('Dados do arquivo são obrigatórios');
   }
@@ -440,7 +480,8 @@ async function decryptWhatsAppImage(fileData) {
     const url = new URL(fileData.cdn_url);
     const encryptedResponse = await axios.get(url.toString(), {
       responseType: 'arraybuffer',
-      validateStatus: false
+      validateStatus: false,
+      signal: requestContext.getSignal(signal)
     });
 
     if (encryptedResponse.status !== 200) {
@@ -491,6 +532,12 @@ const getOperationTimeout = (operation) => {
   return OPERATION_TIMEOUTS[operation] || OPERATION_TIMEOUTS.default;
 };
 
+// Foto do documento: com dois arquivos, o primeiro é a frente e o segundo o verso
+const fotoDocumentoHandler = (index, totalFiles) => ({
+  tipo: totalFiles > 1 ? (index === 0 ? "rg_front" : "rg_back") : "rg_front",
+  nome: totalFiles > 1 ? (index === 0 ? "Frente do Documento" : "Verso do Documento") : "Frente do Documento"
+});
+
 /**
  * Mapeamento de tipos de documentos e suas configurações
  * Usado no processamento de uploads
@@ -523,6 +570,7 @@ const documentTypeMap = {
  * @throws {ValidationError} Quando os dados do arquivo são inválidos
  * @throws {APIError} Quando ocorre erro na API do Cloudinary
  * @throws {Error} Quando nenhum arquivo é fornecido para upload
+ * @throws {RequestAbortedError} Quando o upload é cancelado (options.signal ou timeout da requisição)
  * 
  * @example
  * const resultado = await uploadFiles({
@@ -533,12 +581,15 @@ const documentTypeMap = {
  *   ]
  * });
  */
-async function uploadFiles(data, shouldRegister = true, preset = 'gov-ce-preset', folder = 'gov-ce') {
+async function uploadFiles(data, shouldRegister = true, preset, folder, options = {}) {
   const timeout = getOperationTimeout('upload');
-  const CLOUDINARY_URL = 'https://api.cloudinary.com/v1_1/consigmais/upload';
-  const API_KEY = '849353588224476';
-  const UPLOAD_PRESET = preset;
-  const FOLDER = folder;
+  const signal = requestContext.getSignal(options.signal);
+  // Conta, preset e pasta do Cloudinary do tenant da requisição
+  const { id: tenant, cloudinary } = tenantService.current();
+  const CLOUDINARY_URL = `https://api.cloudinary.com/v1_1/${cloudinary.cloudName}/upload`;
+  const API_KEY = cloudinary.apiKey;
+  const UPLOAD_PRESET = preset || cloudinary.uploadPreset;
+  const FOLDER = folder || cloudinary.folder;
 
   Logger.info('Upload Files - Dados recebidos', {
     documentTypes: Object.keys(data),
@@ -558,14 +609,8 @@ async function uploadFiles(data, shouldRegister = true, preset = 'gov-ce-preset'
       throw new Error('Nenhum arquivo fornecido para upload');
     }
 
-    // Democratização de tipos de documentos
-    const fotoDocumentoHandler = (index, totalFiles) => ({
-      tipo: totalFiles > 1 ? (index === 0 ? "rg_front" : "rg_back") : "rg_front",
-      nome: totalFiles > 1 ? (index === 0 ? "Frente do Documento" : "Verso do Documento") : "Frente do Documento"
-    });
-    
     const processFiles = await Promise.all(files.map(async (file, index) => {
-      const decryptedBuffer = await decryptWhatsAppImage(file);
+      const decryptedBuffer = await decryptWhatsAppImage(file, { signal });
       const formData = new FormData();
       
       const mimeType = file.file_name.toLowerCase().endsWith('.pdf') ? 
@@ -577,12 +622,15 @@ async function uploadFiles(data, shouldRegister = true, preset = 'gov-ce-preset'
       formData.append('folder', FOLDER);
       formData.append('resource_type', 'auto');
 
-      const cloudinaryResponse = await axios.post(CLOUDINARY_URL, formData, {
-        headers: formData.getHeaders(),
-        maxContentLength: Infinity,
-        maxBodyLength: Infinity,
-        timeout: timeout
-      });
+      const cloudinaryResponse = await circuitBreakers.execute(circuitName('cloudinary', tenant), () =>
+        axios.post(CLOUDINARY_URL, formData, {
+          headers: formData.getHeaders(),
+          maxContentLength: Infinity,
+          maxBodyLength: Infinity,
+          timeout: timeout,
+          signal
+        })
+      );
 
       const docInfo = documentTypeMap[currentDoc](index, files.length);
       
@@ -599,7 +647,7 @@ async function uploadFiles(data, shouldRegister = true, preset = 'gov-ce-preset'
           link: file.link,
           tipo: file.tipo,
           nome: file.nome
-        })
+        }, {}, { signal })
       ));
     }
 
@@ -823,7 +871,6 @@ module.exports = {
   APIClientBase,
   createContact,
   registerAccount,
-  fetchCepInfo,
   registerDocument,
   updateBasicLeadData,
   leadData,
@@ -836,5 +883,6 @@ module.exports = {
   consultaMatricula,
   tagAssign,
   requalify,
-  decryptWhatsAppImage
+  decryptWhatsAppImage,
+  getCacheSize
 };
\ No newline at end of file
@@ -1,6 +1,10 @@
+const axios = require('axios');
 const { APIClientBase } = require('./apiClient');
 const { CONFIG } = require('../config/constants');
 const { Logger } = require('../utils/logger');
+const { rateLimiter } = require('./rateLimit');
+const { circuitBreakers, CircuitBreakerError } = require('./circuitBreakers');
+const { requestContext, throwIfAborted } = require('../utils/requestContext');
 
 /**
  * Erro de validação específico para benefícios
@@ -12,6 +16,35 @@ class BenefitsValidationError extends Error {
   }
 }
 
+/**
+ * Valida o dígito verificador do NIS (PIS/PASEP/NIT).
+ * @param {string} nis - NIS com ou sem formatação
+ * @returns {boolean} Se o dígito verificador confere
+ * @throws {BenefitsValidationError} NIS ausente, sem 11 dígitos ou com prefixo inválido
+ */
+function validateNIS(nis) {
+  if (!nis) {
+    throw new BenefitsValidationError('NIS não informado');
+  }
+
+  const cleanNIS = String(nis).replace(/\D/g, '');
+  if (cleanNIS.length !== 11 || !['1', '2'].includes(cleanNIS[0])) {
+    throw new BenefitsValidationError('NIS inválido');
+  }
+
+  const multiplicadores = [3, 2, 9, 8, 7, 6, 5, 4, 3, 2];
+  let soma = 0;
+
+  for (let i = 0; i < 10; i++) {
+    soma += parseInt(cleanNIS[i]) * multiplicadores[i];
+  }
+
+  const resto = soma % 11;
+  const dv = resto < 2 ? 0 : 11 - resto;
+
+  return dv === parseInt(cleanNIS[10]);
+}
+
 /**
  * Gerenciador de cache para consultas de benefícios
  */
@@ -49,30 +82,6 @@ class BenefitsCache {
   }
 }
 
-/**
- * Rate Limiter para controle de requisições
- */
-class RateLimiter {
-  constructor(limit = 100, interval = 60000) {
-    this.requests = [];
-    this.limit = limit;
-    this.interval = interval;
-  }
-
-  async checkLimit() {
-    const now = Date.now();
-    this.requests = this.requests.filter(
-      time => time > now - this.interval
-    );
-
-    if (this.requests.length >= this.limit) {
-      throw new BenefitsValidationError('Limite de requisições excedido');
-    }
-
-    this.requests.push(now);
-  }
-}
-
 /**
  * Serviço para consulta de benefícios sociais
  */
@@ -99,12 +108,39 @@ class BenefitsService extends APIClientBase {
       NIS: ['202409', '202408', '202407', '202406', '202405', '202404']
     };
 
+    // Cliente HTTP do Portal da Transparência (consultas GET com query string, sem o proxy do CRM)
+    this.client = axios.create({
+      baseURL: this.config.baseURL,
+      timeout: this.config.timeout,
+      headers: this.config.headers
+    });
+
     // Inicialização dos serviços
     this.cache = new BenefitsCache();
-    this.rateLimiter = new RateLimiter(10, 60000);
 
     // Configuração da limpeza periódica do cache
-    setInterval(() => this.cache.cleanup(), 60 * 60 * 1000);
+    setInterval(() => this.cache.cleanup(), 60 * 60 * 1000).unref();
+  }
+
+  /**
+   * Aplica o limite de consultas ao Portal da Transparência (política 'transparencia')
+   * @private
+   */
+  async #checkRateLimit() {
+    const { allowed, retryAfterMs } = await rateLimiter.consume('transparencia', 'api');
+    if (!allowed) {
+      const error = new BenefitsValidationError('Limite de requisições excedido');
+      error.retryAfter = Math.ceil(retryAfterMs / 1000);
+      throw error;
+    }
+  }
+
+  /**
+   * Requisição ao Portal da Transparência protegida pelo circuit breaker 'transparencia'
+   * @private
+   */
+  #request(endpoint, options, signal) {
+    return circuitBreakers.execute('transparencia', () => this.client.get(endpoint, { ...options, signal }));
   }
 
   /**
@@ -123,34 +159,21 @@ class BenefitsService extends APIClientBase {
    * @private
    */
   #validateNIS(nis) {
-    const cleanNIS = this.#validateInput(nis, 'NIS');
-    
-    if (cleanNIS.length !== 11 || !['1', '2'].includes(cleanNIS[0])) {
-      throw new BenefitsValidationError('NIS inválido');
-    }
-
-    const multiplicadores = [3, 2, 9, 8, 7, 6, 5, 4, 3, 2];
-    let soma = 0;
-    
-    for (let i = 0; i < 10; i++) {
-      soma += parseInt(cleanNIS[i]) * multiplicadores[i];
-    }
-
-    const resto = soma % 11;
-    const dv = resto < 2 ? 0 : 11 - resto;
-
-    return dv === parseInt(cleanNIS[10]);
+    return validateNIS(this.#validateInput(nis, 'NIS'));
   }
 
   /**
    * Consulta benefícios por CPF
    * @param {string} cpf - CPF do beneficiário
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancela a consulta (padrão: signal da requisição atual)
    * @returns {Promise<Array>} Lista de benefícios
    */
-  async consultarCPF(cpf) {
+  async consultarCPF(cpf, options = {}) {
     const startTime = Date.now();
+    const signal = requestContext.getSignal(options.signal);
     try {
-      await this.rateLimiter.checkLimit();
+      await this.#checkRateLimit();
       const cleanCPF = this.#validateInput(cpf, 'CPF');
       const cacheKey = `cpf_${cleanCPF}`;
   
@@ -158,6 +181,7 @@ class BenefitsService extends APIClientBase {
       if (cachedData) return cachedData;
   
       for (const anoRef of this.PERIODOS.CPF) {
+        throwIfAborted(signal);
         Logger.info('Consultando benefício', {
           tipo: 'CPF',
           periodo: anoRef,
@@ -165,7 +189,7 @@ class BenefitsService extends APIClientBase {
         });
         
         try {
-          const { data, error } = await this.get(
+          const { data, error } = await this.#request(
             this.ENDPOINTS.CPF,
             {
               params: {
@@ -173,7 +197,8 @@ class BenefitsService extends APIClientBase {
                 pagina: 1,
                 codigo: cleanCPF
               }
-            }
+            },
+            signal
           );
           
           if (!error && Array.isArray(data) && data.length > 0) {
@@ -187,6 +212,8 @@ class BenefitsService extends APIClientBase {
             status: error.response?.status,
             message: error.message
           });
+          // Portal indisponível: não insiste nos demais períodos
+          if (error instanceof CircuitBreakerError) break;
         }
       }
       
@@ -204,12 +231,15 @@ class BenefitsService extends APIClientBase {
   /**
    * Consulta benefícios por NIS
    * @param {string} nis - NIS do beneficiário
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancela a consulta (padrão: signal da requisição atual)
    * @returns {Promise<Array>} Lista de benefícios
    */
-  async consultarNIS(nis) {
+  async consultarNIS(nis, options = {}) {
     const startTime = Date.now();
+    const signal = requestContext.getSignal(options.signal);
     try {
-      await this.rateLimiter.checkLimit();
+      await this.#checkRateLimit();
       const cleanNIS = this.#validateInput(nis, 'NIS');
         
       if (!this.#validateNIS(cleanNIS)) {
@@ -221,6 +251,7 @@ class BenefitsService extends APIClientBase {
       if (cachedData) return cachedData;
    
       for (const mes of this.PERIODOS.NIS) {
+        throwIfAborted(signal);
         Logger.info('Consultando benefício', {
           tipo: 'NIS',
           periodo: mes,
@@ -228,7 +259,7 @@ class BenefitsService extends APIClientBase {
         });
 
         try {
-          const { data, error } = await this.get(
+          const { data, error } = await this.#request(
             this.ENDPOINTS.NIS,
             {
               params: {
@@ -236,7 +267,8 @@ class BenefitsService extends APIClientBase {
                 pagina: 1,
                 nis: cleanNIS
               }
-            }
+            },
+            signal
           );
 
           if (!error && Array.isArray(data) && data.length > 0) {
@@ -251,6 +283,7 @@ class BenefitsService extends APIClientBase {
             stack: error instanceof BenefitsValidationError ? undefined : error.stack,
             duration: Date.now() - startTime
           });
+          if (error instanceof CircuitBreakerError) break;
         }
       }
 
@@ -268,9 +301,10 @@ class BenefitsService extends APIClientBase {
   /**
    * Consulta benefícios por código (CPF ou NIS)
    * @param {string} codigo - Código do beneficiário
+   * @param {Object} [options] - Ver consultarCPF
    * @returns {Promise<Array>} Lista de benefícios
    */
-  async fetchBolsaFamilia(codigo) {
+  async fetchBolsaFamilia(codigo, options = {}) {
     const startTime = Date.now();
     try {
       const codigoLimpo = this.#validateInput(codigo);
@@ -288,8 +322,8 @@ class BenefitsService extends APIClientBase {
       });
   
       const result = isNISValid 
-        ? await this.consultarNIS(codigoLimpo)
-        : await this.consultarCPF(codigoLimpo);
+        ? await this.consultarNIS(codigoLimpo, options)
+        : await this.consultarCPF(codigoLimpo, options);
   
       Logger.info('Consulta finalizada', {
         tipo: isNISValid ? 'NIS' : 'CPF',
@@ -311,5 +345,6 @@ class BenefitsService extends APIClientBase {
 
 module.exports = {
   BenefitsService,
-  BenefitsValidationError
+  BenefitsValidationError,
+  validateNIS
 };
\ No newline at end of file
@@ -0,0 +1,88 @@
+// src/services/circuitBreakers.js
+/**
+ * Circuit breakers por dependência externa (CRM, BrasilAPI, Portal da Transparência,
+ * Cloudinary, n8n e 4devs). A falha de uma dependência não abre o circuito das demais.
+ * CRM e Cloudinary usam credenciais de cada tenant: o CRM de um parceiro fora do ar não
+ * abre o circuito dos demais tenants (ver circuitName).
+ *
+ * Limites e fallback de cada dependência ficam em CONFIG.CIRCUIT_BREAKER.DEPENDENCIES.
+ * Mudanças de estado são enviadas à telemetria.
+ */
+
+const { CircuitBreakerRegistry, CircuitBreakerError } = require('../utils/circuitBreaker');
+const { CONFIG } = require('../config/constants');
+const { Logger } = require('../utils/logger');
+const { telemetry } = require('./telemetryService');
+const { isNetworkError } = require('../utils/retryPolicy');
+
+/**
+ * Só falhas da dependência abrem o circuito: rede, timeout e 5xx/429.
+ * Erros 4xx indicam problema na requisição, e erros locais (TypeError, validação...) no
+ * próprio código, e não na disponibilidade do serviço.
+ */
+function isDependencyFailure(error) {
+  // Cancelamento pela própria requisição (timeout do fluxo) não indica falha da dependência
+  if (error?.code === 'ERR_CANCELED' || error?.name === 'RequestAbortedError') return false;
+
+  const status = error?.response?.status ?? error?.status;
+  if (Number.isInteger(status)) return status >= 500 || status === 429;
+  return isNetworkError(error);
+}
+
+// Dependências com conta/credenciais por tenant (config/tenants)
+const TENANT_DEPENDENCIES = ['crm', 'cloudinary'];
+
+function onStateChange(name, from, to, state) {
+  const [dependency, tenant = CONFIG.TENANTS.DEFAULT] = name.split(':');
+  const log = to === 'OPEN' ? Logger.error : Logger.info;
+  log.call(Logger, 'Circuit breaker mudou de estado', { dependency, tenant, from, to, failures: state.failures });
+
+  telemetry.trackCustomEvent('CircuitBreakerStateChange', { dependency, tenant, from, to });
+  telemetry.trackCustomMetric('CircuitBreakerOpen', to === 'OPEN' ? 1 : 0, { dependency, tenant });
+}
+
+/**
+ * Identifica a dependência pela URL chamada.
+ * @param {string} url
+ * @returns {string} Nome da dependência em CONFIG.CIRCUIT_BREAKER.DEPENDENCIES
+ */
+function dependencyForUrl(url = '') {
+  const { URL_PATTERNS } = CONFIG.CIRCUIT_BREAKER;
+  const match = Object.entries(URL_PATTERNS).find(([, pattern]) => pattern.test(url));
+  return match ? match[0] : 'crm';
+}
+
+/**
+ * Nome do circuito da dependência para o tenant: `dependência:tenant` para dependências com
+ * credenciais por tenant; o tenant padrão e as demais dependências usam o nome da dependência.
+ * @param {string} dependency
+ * @param {string} [tenant]
+ * @returns {string}
+ */
+function circuitName(dependency, tenant) {
+  if (!tenant || tenant === CONFIG.TENANTS.DEFAULT || !TENANT_DEPENDENCIES.includes(dependency)) {
+    return dependency;
+  }
+  return `${dependency}:${tenant}`;
+}
+
+function createCircuitBreakers(config = CONFIG.CIRCUIT_BREAKER) {
+  return new CircuitBreakerRegistry(config.DEPENDENCIES, {
+    failureThreshold: config.FAILURE_THRESHOLD,
+    resetTimeout: config.RESET_TIMEOUT,
+    successThreshold: config.SUCCESS_THRESHOLD,
+    isFailure: isDependencyFailure,
+    onStateChange
+  });
+}
+
+const circuitBreakers = createCircuitBreakers();
+
+module.exports = {
+  circuitBreakers,
+  createCircuitBreakers,
+  dependencyForUrl,
+  circuitName,
+  isDependencyFailure,
+  CircuitBreakerError
+};
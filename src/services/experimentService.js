@@ -0,0 +1,271 @@
+// services/experimentService.js
+const crypto = require('crypto');
+const { Logger } = require('../utils/logger');
+const { CONFIG } = require('../config/constants');
+const { requestContext } = require('../utils/requestContext');
+const { telemetry } = require('./telemetryService');
+const { sessionStore } = require('./sessionStore');
+const experimentDefinitions = require('../flows/experiments');
+
+// Resolução da atribuição: pesos são distribuídos em 10.000 faixas
+const BUCKETS = 10000;
+
+const OVERRIDE_FIELDS = ['next', 'data', 'copy'];
+
+class ExperimentError extends Error {
+  constructor(message, experimentId) {
+    super(message);
+    this.name = 'ExperimentError';
+    this.code = 'EXPERIMENT_ERROR';
+    this.experimentId = experimentId;
+  }
+}
+
+/**
+ * Faixa determinística do flow_token no experimento (0 a BUCKETS - 1).
+ * @param {string} experimentId
+ * @param {string} flowToken
+ * @returns {number}
+ */
+function bucketOf(experimentId, flowToken) {
+  const hash = crypto.createHash('sha256').update(`${experimentId}:${flowToken}`).digest();
+  return hash.readUInt32BE(0) % BUCKETS;
+}
+
+/**
+ * Experimentos A/B de ordem de telas, dados de resposta e textos (definições em flows/experiments).
+ *
+ * A variante de cada flow_token é calculada pelo hash do id do experimento + flow_token e
+ * salva na sessão: mudar os pesos no meio do experimento não move quem já foi atribuído.
+ * Novas atribuições geram o evento ExperimentAssignment na telemetria.
+ *
+ * As atribuições da requisição atual ficam no requestContext (`experiments`), de modo que
+ * controllers e formatadores consultam as sobrescritas sem receber o flow_token.
+ *
+ * @example
+ * const assignments = await experimentService.assign('inss', flow_token);
+ * const priority = experimentService.priority(['endereco', 'conta'], assignments);
+ * const title = experimentService.text('status.analise.title', 'Analisando seu empréstimo');
+ */
+class ExperimentService {
+  /**
+   * @param {Array<Object>} [experiments] - Definições (ver flows/experiments)
+   * @param {Object} [options]
+   * @param {Object} [options.store] - Sessão onde as atribuições são salvas
+   * @param {boolean} [options.enabled] - Liga/desliga todos os experimentos
+   * @param {string[]} [options.disabled] - Ids de experimentos desligados
+   */
+  constructor(experiments = [], options = {}) {
+    this.store = options.store || sessionStore;
+    this.enabled = options.enabled ?? CONFIG.EXPERIMENTS.ENABLED;
+    this.disabled = new Set(options.disabled || CONFIG.EXPERIMENTS.DISABLED);
+    this.experiments = new Map();
+    experiments.forEach(experiment => this.register(experiment));
+  }
+
+  /**
+   * Registra um experimento, validando variantes e sobrescritas.
+   * @param {Object} experiment
+   * @returns {ExperimentService}
+   */
+  register(experiment) {
+    const { id, variants } = experiment || {};
+    if (!id) {
+      throw new ExperimentError('Experimento sem id');
+    }
+    if (this.experiments.has(id)) {
+      throw new ExperimentError(`Experimento duplicado: ${id}`, id);
+    }
+    if (!Array.isArray(variants) || variants.length < 2) {
+      throw new ExperimentError(`Experimento ${id}: informe ao menos duas variantes`, id);
+    }
+
+    const names = new Set();
+    for (const variant of variants) {
+      if (!variant.name || names.has(variant.name)) {
+        throw new ExperimentError(`Experimento ${id}: variante sem nome ou duplicada (${variant.name})`, id);
+      }
+      names.add(variant.name);
+
+      if (typeof variant.weight !== 'number' || variant.weight < 0) {
+        throw new ExperimentError(`Experimento ${id}: peso inválido na variante ${variant.name}`, id);
+      }
+      if (variant.priority !== undefined && !Array.isArray(variant.priority)) {
+        throw new ExperimentError(`Experimento ${id}: priority da variante ${variant.name} deve ser uma lista`, id);
+      }
+      for (const field of OVERRIDE_FIELDS) {
+        if (variant[field] !== undefined && (typeof variant[field] !== 'object' || Array.isArray(variant[field]))) {
+          throw new ExperimentError(`Experimento ${id}: ${field} da variante ${variant.name} deve ser um objeto`, id);
+        }
+      }
+    }
+    if (!variants.some(variant => variant.weight > 0)) {
+      throw new ExperimentError(`Experimento ${id}: a soma dos pesos deve ser maior que zero`, id);
+    }
+
+    this.experiments.set(id, experiment);
+    return this;
+  }
+
+  list() {
+    return [...this.experiments.values()];
+  }
+
+  // Experimentos ligados para o fluxo
+  #active(flowType) {
+    if (!this.enabled) return [];
+
+    return this.list().filter(experiment =>
+      experiment.enabled !== false &&
+      !this.disabled.has(experiment.id) &&
+      (!experiment.flowTypes || experiment.flowTypes.includes(flowType))
+    );
+  }
+
+  /**
+   * Variante determinística do flow_token, ponderada pelos pesos.
+   * @param {Object} experiment
+   * @param {string} flowToken
+   * @returns {Object} Variante.
+   */
+  pickVariant(experiment, flowToken) {
+    const total = experiment.variants.reduce((sum, variant) => sum + variant.weight, 0);
+    const point = (bucketOf(experiment.id, flowToken) / BUCKETS) * total;
+
+    let accumulated = 0;
+    for (const variant of experiment.variants) {
+      accumulated += variant.weight;
+      if (point < accumulated) return variant;
+    }
+    return experiment.variants[experiment.variants.length - 1];
+  }
+
+  /**
+   * Atribui o flow_token às variantes dos experimentos ativos do fluxo.
+   * Atribuições já salvas na sessão são mantidas; as novas são salvas e enviadas à telemetria.
+   * Falhas no armazenamento da sessão não interrompem o fluxo.
+   *
+   * @param {string} flowType
+   * @param {string} flowToken
+   * @returns {Promise<Object<string, string>>} Id do experimento → nome da variante.
+   */
+  async assign(flowType, flowToken) {
+    const active = this.#active(flowType);
+    if (!flowToken || !active.length) return {};
+
+    let saved = {};
+    try {
+      saved = (await this.store.get(flowToken))?.experiments || {};
+    } catch (error) {
+      Logger.warn('Falha ao carregar atribuições de experimentos', { flowToken, error: error.message });
+    }
+
+    const assignments = {};
+    const created = [];
+    for (const experiment of active) {
+      const previous = experiment.variants.find(variant => variant.name === saved[experiment.id]);
+      const variant = previous || this.pickVariant(experiment, flowToken);
+
+      assignments[experiment.id] = variant.name;
+      if (!previous) created.push(experiment.id);
+    }
+
+    if (created.length) {
+      try {
+        await this.store.update(flowToken, { experiments: { ...saved, ...assignments } });
+      } catch (error) {
+        Logger.warn('Falha ao salvar atribuições de experimentos', { flowToken, error: error.message });
+      }
+
+      created.forEach(id => telemetry.trackCustomEvent('ExperimentAssignment', {
+        flowType,
+        flow_token: flowToken,
+        experiment: id,
+        variant: assignments[id]
+      }));
+    }
+
+    return assignments;
+  }
+
+  // Variantes atribuídas (explícitas ou as da requisição atual)
+  #variants(assignments = requestContext.get().experiments) {
+    return Object.entries(assignments || {})
+      .map(([id, name]) => this.experiments.get(id)?.variants.find(variant => variant.name === name))
+      .filter(Boolean);
+  }
+
+  /**
+   * Aplica as sobrescritas de próxima tela (`next`) e de dados (`data`) à resposta do endpoint.
+   * @param {Object} response - { screen, data }
+   * @param {Object<string, string>} [assignments]
+   * @returns {Object} Resposta (nova, se houver sobrescrita).
+   */
+  applyToResponse(response, assignments) {
+    if (!response?.screen) return response;
+
+    let result = response;
+    for (const variant of this.#variants(assignments)) {
+      const screen = variant.next?.[result.screen];
+      if (screen) {
+        result = { ...result, screen };
+      }
+      const data = variant.data?.[result.screen];
+      if (data) {
+        result = { ...result, data: { ...result.data, ...data } };
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Ordem das chaves de pedirInfos para a escolha da próxima tela.
+   * Chaves não listadas pela variante mantêm a ordem padrão, ao final.
+   *
+   * @param {string[]} defaultPriority
+   * @param {Object<string, string>} [assignments]
+   * @returns {string[]}
+   */
+  priority(defaultPriority, assignments) {
+    const variant = this.#variants(assignments).find(item => item.priority);
+    if (!variant) return defaultPriority;
+
+    return [
+      ...variant.priority.filter(key => defaultPriority.includes(key)),
+      ...defaultPriority.filter(key => !variant.priority.includes(key))
+    ];
+  }
+
+  /**
+   * Texto alternativo da variante para a chave, com {placeholders} preenchidos por `params`.
+   * Sem sobrescrita, retorna o texto padrão.
+   *
+   * @param {string} key - Ex.: 'status.analise.title', 'cards.fgts.description'
+   * @param {string} defaultText
+   * @param {Object} [params]
+   * @param {Object<string, string>} [assignments]
+   * @returns {string}
+   */
+  text(key, defaultText, params = {}, assignments) {
+    const override = this.#variants(assignments)
+      .map(variant => variant.copy?.[key])
+      .find(value => value !== undefined);
+
+    if (override === undefined) return defaultText;
+    return String(override).replace(/\{(\w+)\}/g, (match, name) => params[name] ?? match);
+  }
+
+  // Atribuições no formato das dimensões de telemetria: "experimento:variante;..."
+  describe(assignments = {}) {
+    return Object.entries(assignments).map(([id, variant]) => `${id}:${variant}`).join(';');
+  }
+}
+
+const experimentService = new ExperimentService(experimentDefinitions);
+
+module.exports = {
+  ExperimentService,
+  ExperimentError,
+  experimentService,
+  bucketOf
+};
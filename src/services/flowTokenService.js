@@ -0,0 +1,140 @@
+// services/flowTokenService.js
+const crypto = require('crypto');
+const { Logger } = require('../utils/logger');
+const { CONFIG } = require('../config/constants');
+
+class FlowTokenError extends Error {
+  constructor(message, reason) {
+    super(message);
+    this.name = 'FlowTokenError';
+    this.code = 'FLOW_TOKEN_ERROR';
+    this.reason = reason;
+  }
+}
+
+const base64url = (value) => Buffer.from(value).toString('base64url');
+
+/**
+ * Emissão e validação de flow_token assinados (HMAC SHA-256 com FLOW_TOKEN_SECRET).
+ *
+ * Formato: `<tenant>:<claims>.<assinatura>`, com as claims em JSON base64url. O prefixo do
+ * tenant mantém a resolução do tenant pelo flow_token (ver services/tenantService) e faz
+ * parte do conteúdo assinado.
+ *
+ * Claims: jti (identificador do token), flowType, tenant, waId (telefone do WhatsApp),
+ * leadId (quando já conhecido), iat e exp (segundos desde epoch).
+ *
+ * @example
+ * const token = flowTokenService.issue({ flowType: 'inss', waId: '5585999999999', leadId: 123 });
+ * const claims = flowTokenService.verify(token); // { jti, flowType, tenant, waId, leadId, iat, exp }
+ */
+class FlowTokenService {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.secret] - Padrão: FLOW_TOKEN_SECRET
+   * @param {number} [options.ttl] - Validade padrão em segundos
+   */
+  constructor(options = {}) {
+    this.secret = options.secret ?? CONFIG.FLOW_TOKEN.SECRET;
+    this.ttl = options.ttl ?? CONFIG.FLOW_TOKEN.TTL;
+
+    if (!this.secret) {
+      Logger.warn('FLOW_TOKEN_SECRET não configurado, flow_token não serão verificados');
+    }
+  }
+
+  get enabled() {
+    return !!this.secret;
+  }
+
+  /**
+   * Emite um token para o envio do Flow ao usuário.
+   *
+   * @param {Object} claims
+   * @param {string} claims.flowType
+   * @param {string} claims.waId - Telefone (wa_id) do destinatário
+   * @param {string} [claims.tenant] - Padrão: tenant padrão
+   * @param {string|number} [claims.leadId]
+   * @param {number} [claims.ttl] - Validade em segundos
+   * @returns {string}
+   * @throws {FlowTokenError} Sem segredo configurado ou claims obrigatórias ausentes.
+   */
+  issue({ flowType, waId, tenant = CONFIG.TENANTS.DEFAULT, leadId, ttl = this.ttl } = {}) {
+    if (!this.enabled) {
+      throw new FlowTokenError('FLOW_TOKEN_SECRET não configurado', 'disabled');
+    }
+    if (!flowType || !waId) {
+      throw new FlowTokenError('flowType e waId são obrigatórios', 'claims');
+    }
+
+    const iat = Math.floor(Date.now() / 1000);
+    const claims = {
+      jti: crypto.randomBytes(12).toString('base64url'),
+      flowType,
+      tenant,
+      waId: String(waId).replace(/\D/g, ''),
+      ...(leadId !== undefined && leadId !== null && { leadId }),
+      iat,
+      exp: iat + ttl
+    };
+
+    const content = `${tenant}${CONFIG.TENANTS.TOKEN_SEPARATOR}${base64url(JSON.stringify(claims))}`;
+    return `${content}.${this.#sign(content)}`;
+  }
+
+  /**
+   * Valida assinatura e validade do token.
+   *
+   * @param {string} token
+   * @param {Object} [options]
+   * @param {number} [options.now] - Momento da validação em ms (padrão: agora)
+   * @returns {Object} Claims do token.
+   * @throws {FlowTokenError} reason: malformed | signature | expired
+   */
+  verify(token, { now = Date.now() } = {}) {
+    if (typeof token !== 'string') {
+      throw new FlowTokenError('flow_token ausente', 'malformed');
+    }
+
+    const separator = token.indexOf(CONFIG.TENANTS.TOKEN_SEPARATOR);
+    const dot = token.lastIndexOf('.');
+    if (separator <= 0 || dot <= separator) {
+      throw new FlowTokenError('flow_token em formato inválido', 'malformed');
+    }
+
+    const content = token.slice(0, dot);
+    const signature = Buffer.from(token.slice(dot + 1));
+    const expected = Buffer.from(this.#sign(content));
+    if (signature.length !== expected.length || !crypto.timingSafeEqual(signature, expected)) {
+      throw new FlowTokenError('Assinatura do flow_token inválida', 'signature');
+    }
+
+    let claims;
+    try {
+      claims = JSON.parse(Buffer.from(content.slice(separator + 1), 'base64url').toString('utf8'));
+    } catch (error) {
+      throw new FlowTokenError('Claims do flow_token inválidas', 'malformed');
+    }
+
+    if (claims.tenant !== token.slice(0, separator)) {
+      throw new FlowTokenError('Tenant do flow_token divergente', 'malformed');
+    }
+    if (!Number.isFinite(claims.exp) || claims.exp + CONFIG.FLOW_TOKEN.CLOCK_TOLERANCE < now / 1000) {
+      throw new FlowTokenError('flow_token expirado', 'expired');
+    }
+
+    return claims;
+  }
+
+  #sign(content) {
+    return crypto.createHmac('sha256', this.secret).update(content).digest('base64url');
+  }
+}
+
+const flowTokenService = new FlowTokenService();
+
+module.exports = {
+  FlowTokenService,
+  FlowTokenError,
+  flowTokenService
+};
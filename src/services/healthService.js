@@ -0,0 +1,164 @@
+// services/healthService.js
+const axios = require('axios');
+const { Logger } = require('../utils/logger');
+const { CONFIG } = require('../config/constants');
+const { circuitBreakers } = require('./circuitBreakers');
+const { cpfCache, cepCache } = require('./cacheService');
+const { sessionStore } = require('./sessionStore');
+const { getCacheSize } = require('./apiClient');
+const { keyring } = require('./keyringService');
+const { tenantService } = require('./tenantService');
+
+const STATUS = {
+  HEALTHY: 'healthy',
+  DEGRADED: 'degraded',
+  UNHEALTHY: 'unhealthy'
+};
+
+// Sondas da prontidão: qualquer resposta HTTP abaixo de 500 indica dependência no ar.
+// O CRM é sondado como o makeRequest o chama: pelo proxy, com a URL e a chave do tenant padrão.
+function defaultProbes() {
+  const { crm } = tenantService.get(CONFIG.TENANTS.DEFAULT);
+  return {
+    crm: {
+      url: CONFIG.CRM.PROXY_URL,
+      headers: { 'api-key': crm.apiKey, 'x-source': 'flows', 'x-target-url': crm.baseUrl }
+    },
+    brasilapi: { url: `${CONFIG.BRASIL_API.baseURL}/cep/v1/01001000` },
+    transparencia: { url: CONFIG.TRANSPARENCIA_API.BASE_URL }
+  };
+}
+
+/**
+ * Liveness e readiness do endpoint.
+ *
+ * A prontidão valida a chave privada, o estado dos circuit breakers por dependência e o
+ * tamanho dos caches e, opcionalmente, sonda o proxy do CRM, a BrasilAPI e o Portal da
+ * Transparência com timeout curto. Falhas em dependências críticas (CONFIG.HEALTH.CRITICAL)
+ * ou na chave privada tornam o status `unhealthy`; nas demais, `degraded`. Circuitos de um
+ * tenant (ex.: crm:parceiro) não são críticos: os demais tenants continuam atendidos.
+ *
+ * @example
+ * const report = await healthService.readiness({ probe: true });
+ * res.status(healthService.httpStatus(report)).json(report);
+ */
+class HealthService {
+  /**
+   * @param {Object} [options]
+   * @param {Object<string, Object>} [options.probes] - Dependência → { url, headers } sondado
+   * @param {string[]} [options.critical] - Dependências críticas
+   * @param {number} [options.probeTimeout] - Timeout das sondas em ms
+   * @param {Object} [options.breakers] - Registro de circuit breakers
+   */
+  constructor(options = {}) {
+    this.probes = options.probes || defaultProbes();
+    this.critical = new Set(options.critical || CONFIG.HEALTH.CRITICAL);
+    this.probeTimeout = options.probeTimeout || CONFIG.HEALTH.PROBE_TIMEOUT;
+    this.breakers = options.breakers || circuitBreakers;
+  }
+
+  liveness() {
+    return {
+      status: STATUS.HEALTHY,
+      timestamp: new Date().toISOString(),
+      uptime: process.uptime()
+    };
+  }
+
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.probe] - Sonda as dependências externas (padrão: CONFIG.HEALTH.PROBE_DEPENDENCIES)
+   * @returns {Promise<Object>} { status, timestamp, uptime, checks }
+   */
+  async readiness({ probe = CONFIG.HEALTH.PROBE_DEPENDENCIES } = {}) {
+    const checks = {
+      privateKey: this.#checkPrivateKey(),
+      circuitBreakers: this.breakers.getStates(),
+      caches: await this.#cacheSizes()
+    };
+    if (probe) {
+      checks.dependencies = await this.#probeDependencies();
+    }
+
+    const report = {
+      status: this.#overallStatus(checks),
+      timestamp: new Date().toISOString(),
+      uptime: process.uptime(),
+      checks
+    };
+
+    if (report.status !== STATUS.HEALTHY) {
+      Logger.warn('Health check com falhas', { status: report.status, checks });
+    }
+    return report;
+  }
+
+  // Código HTTP do relatório: degradado continua atendendo
+  httpStatus(report) {
+    return report.status === STATUS.UNHEALTHY ? 503 : 200;
+  }
+
+  // Chave atual e anteriores do keyring (ver services/keyringService)
+  #checkPrivateKey() {
+    return keyring.status();
+  }
+
+  async #cacheSizes() {
+    let sessions = null;
+    try {
+      sessions = await sessionStore.size();
+    } catch (error) {
+      Logger.warn('Falha ao obter tamanho das sessões', { error: error.message });
+    }
+
+    return {
+      cpf: cpfCache.cache.size,
+      cep: cepCache.cache.size,
+      apiResponses: getCacheSize(),
+      sessions
+    };
+  }
+
+  async #probeDependencies() {
+    const entries = await Promise.all(Object.entries(this.probes).map(async ([name, { url, headers }]) => {
+      const startTime = Date.now();
+      try {
+        const response = await axios.get(url, {
+          headers,
+          timeout: this.probeTimeout,
+          validateStatus: () => true
+        });
+        return [name, {
+          status: response.status < 500 ? 'up' : 'down',
+          statusCode: response.status,
+          latency: Date.now() - startTime
+        }];
+      } catch (error) {
+        return [name, { status: 'down', error: error.code || error.message, latency: Date.now() - startTime }];
+      }
+    }));
+    return Object.fromEntries(entries);
+  }
+
+  #overallStatus({ privateKey, circuitBreakers: breakers, dependencies = {} }) {
+    if (privateKey.status === 'down') return STATUS.UNHEALTHY;
+
+    const down = [
+      ...Object.entries(breakers).filter(([, { state }]) => state === 'OPEN').map(([name]) => name),
+      ...Object.entries(dependencies).filter(([, { status }]) => status === 'down').map(([name]) => name)
+    ];
+    // Circuito meio-aberto: dependência em teste de recuperação
+    const recovering = Object.values(breakers).some(({ state }) => state === 'HALF_OPEN');
+
+    if (down.some(name => this.critical.has(name))) return STATUS.UNHEALTHY;
+    return down.length || recovering || privateKey.status === 'degraded' ? STATUS.DEGRADED : STATUS.HEALTHY;
+  }
+}
+
+const healthService = new HealthService();
+
+module.exports = {
+  HealthService,
+  healthService,
+  STATUS
+};
@@ -0,0 +1,203 @@
+// services/idempotencyService.js
+const crypto = require('crypto');
+const { Logger } = require('../utils/logger');
+const { CONFIG } = require('../config/constants');
+const { telemetry } = require('./telemetryService');
+const { createStorage } = require('./storage');
+const { throwIfAborted } = require('../utils/requestContext');
+const { sleep } = require('../utils/retryPolicy');
+
+/**
+ * Idempotência de data_exchange por flow_token + tela + hash do payload.
+ *
+ * O primeiro resultado é armazenado e reapresentado para envios duplicados (duplo toque,
+ * retentativas do WhatsApp). Duplicados que chegam enquanto o original ainda executa
+ * aguardam o mesmo resultado em vez de repetir as escritas no CRM.
+ *
+ * Antes de executar, a requisição grava um marcador pendente com `setIfAbsent` (SET NX com
+ * TTL no Redis), de modo que apenas uma instância processa a chave. Os duplicados consultam o
+ * storage a cada `pollInterval` até o resultado ser gravado; se o original falhar ou o marcador
+ * expirar, o próximo duplicado assume o processamento. No mesmo processo, os duplicados
+ * compartilham a promessa do original.
+ *
+ * Respostas de erro não são armazenadas, para que um reenvio após falha transitória
+ * seja processado novamente.
+ */
+class IdempotencyService {
+  /**
+   * @param {Object} storage - Backend chave/valor (ver services/storage)
+   * @param {Object} [options]
+   * @param {number} [options.ttl] - Tempo de retenção dos resultados em ms
+   * @param {number} [options.pendingTtl] - Validade do marcador de requisição em andamento em ms
+   * @param {number} [options.pollInterval] - Intervalo de consulta dos duplicados em ms
+   */
+  constructor(storage, options = {}) {
+    this.storage = storage;
+    this.ttl = options.ttl || CONFIG.IDEMPOTENCY.TTL;
+    this.pendingTtl = options.pendingTtl || CONFIG.IDEMPOTENCY.PENDING_TTL;
+    this.pollInterval = options.pollInterval || CONFIG.IDEMPOTENCY.POLL_INTERVAL;
+    this.inFlight = new Map();
+  }
+
+  /**
+   * Gera a chave de idempotência da requisição.
+   *
+   * @param {string} flowToken - Token do fluxo.
+   * @param {string} screen - Tela que originou o data_exchange.
+   * @param {Object} data - Payload enviado pelo cliente.
+   * @returns {string}
+   */
+  buildKey(flowToken, screen, data = {}) {
+    const hash = crypto.createHash('sha256').update(stableStringify(data)).digest('hex');
+    return `${flowToken}:${screen}:${hash}`;
+  }
+
+  /**
+   * Executa a operação uma única vez por chave.
+   *
+   * @param {string} key - Chave gerada por buildKey.
+   * @param {Function} operation - Função assíncrona a executar.
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Interrompe a espera pelo original (timeout da requisição).
+   * @returns {Promise<*>} Resultado original ou reapresentado.
+   */
+  execute(key, operation, { signal } = {}) {
+    const pending = this.inFlight.get(key);
+    if (pending) {
+      Logger.info('Requisição duplicada em andamento, aguardando original', { key });
+      telemetry.trackCustomEvent('IdempotentWait', { key });
+      return pending;
+    }
+
+    const promise = this.#run(key, operation, signal).finally(() => this.inFlight.delete(key));
+    this.inFlight.set(key, promise);
+    return promise;
+  }
+
+  async #run(key, operation, signal) {
+    let waiting = false;
+
+    for (;;) {
+      const stored = await this.#read(key);
+
+      if (stored && !stored.pending) {
+        Logger.info('Requisição duplicada, reapresentando resultado', {
+          key,
+          storedAt: stored.storedAt
+        });
+        telemetry.trackCustomEvent('IdempotentReplay', { key });
+        return stored.result;
+      }
+
+      if (!stored && await this.#acquire(key)) {
+        return this.#runOwned(key, operation);
+      }
+
+      // Original em andamento em outra instância (ou marcador gravado entre a leitura e o SET NX)
+      if (stored && !waiting) {
+        waiting = true;
+        Logger.info('Requisição duplicada em andamento, aguardando original', { key, startedAt: stored.startedAt });
+        telemetry.trackCustomEvent('IdempotentWait', { key });
+      }
+      await sleep(this.pollInterval, signal);
+      throwIfAborted(signal);
+    }
+  }
+
+  async #runOwned(key, operation) {
+    let result;
+    try {
+      result = await operation();
+    } catch (error) {
+      await this.#release(key);
+      throw error;
+    }
+
+    if (isErrorResponse(result)) {
+      await this.#release(key);
+      return result;
+    }
+
+    try {
+      await this.storage.set(key, {
+        result,
+        storedAt: new Date().toISOString()
+      }, this.ttl);
+    } catch (error) {
+      Logger.warn('Falha ao armazenar resultado idempotente', { key, error: error.message });
+    }
+
+    return result;
+  }
+
+  // Marcador pendente (SET NX). Falha no storage libera a execução sem idempotência
+  async #acquire(key) {
+    try {
+      return await this.storage.setIfAbsent(key, {
+        pending: true,
+        startedAt: new Date().toISOString()
+      }, this.pendingTtl);
+    } catch (error) {
+      Logger.warn('Falha ao gravar marcador idempotente, requisição processada', { key, error: error.message });
+      return true;
+    }
+  }
+
+  // Remove o marcador para que um reenvio após falha seja processado novamente
+  async #release(key) {
+    try {
+      await this.storage.delete(key);
+    } catch (error) {
+      Logger.warn('Falha ao remover marcador idempotente', { key, error: error.message });
+    }
+  }
+
+  // Falha na leitura não deve impedir o processamento da requisição
+  async #read(key) {
+    try {
+      return await this.storage.get(key);
+    } catch (error) {
+      Logger.warn('Falha ao consultar resultado idempotente', { key, error: error.message });
+      return null;
+    }
+  }
+
+  async size() {
+    return this.storage.size();
+  }
+}
+
+// JSON com chaves ordenadas, para que a ordem dos campos não altere o hash
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+}
+
+// Respostas de erro dos handlers: flag `error` ou campos *Erro / *Error (ex.: cpfErro)
+function isErrorResponse(result) {
+  const data = result?.data;
+  if (!data) return false;
+  return !!data.error || Object.keys(data).some(key => /Err(o|or)$/.test(key) && data[key]);
+}
+
+const idempotencyService = new IdempotencyService(createStorage({
+  backend: CONFIG.IDEMPOTENCY.BACKEND,
+  namespace: 'idempotency',
+  maxEntries: CONFIG.IDEMPOTENCY.MAX_ENTRIES,
+  dir: CONFIG.STORAGE.FILE_DIR,
+  redisUrl: CONFIG.STORAGE.REDIS_URL
+}));
+
+module.exports = {
+  IdempotencyService,
+  idempotencyService,
+  stableStringify,
+  isErrorResponse
+};
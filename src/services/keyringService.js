@@ -0,0 +1,161 @@
+// services/keyringService.js
+const crypto = require('crypto');
+const { Logger } = require('../utils/logger');
+const { CONFIG } = require('../config/constants');
+const { telemetry } = require('./telemetryService');
+
+class KeyringError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'KeyringError';
+    this.code = 'KEYRING_ERROR';
+  }
+}
+
+/**
+ * Impressão digital da chave: SHA-256 da chave pública (SPKI DER), 16 primeiros dígitos hex.
+ * Identifica a chave na telemetria e na rotação sem expor o material da chave.
+ *
+ * @param {crypto.KeyObject|string} key - Chave privada ou pública
+ * @returns {string}
+ */
+function fingerprint(key) {
+  const publicKey = crypto.createPublicKey(key);
+  return crypto.createHash('sha256')
+    .update(publicKey.export({ type: 'spki', format: 'der' }))
+    .digest('hex')
+    .slice(0, 16);
+}
+
+/**
+ * Chaves privadas do endpoint (atual e anteriores), tentadas em ordem ao descriptografar a
+ * chave AES das requisições. Permite trocar a chave pública cadastrada na Meta sem janela de
+ * falhas: a chave anterior continua aceita enquanto a nova se propaga.
+ *
+ * Cada slot lê a chave do ambiente (`keyEnv`/`passphraseEnv`) ou recebe `privateKey`/`passphrase`
+ * diretamente. As chaves são carregadas no primeiro uso (após o dotenv) e mantidas em memória.
+ *
+ * @example
+ * const { aesKey, key } = keyring.decryptAesKey(Buffer.from(body.encrypted_aes_key, 'base64'));
+ * // key: { id: 'previous', fingerprint: '3f9a...' }
+ */
+class Keyring {
+  #keys = null;
+
+  /**
+   * @param {Array<Object>} [slots] - [{ id, keyEnv, passphraseEnv }] ou [{ id, privateKey, passphrase }]
+   */
+  constructor(slots = CONFIG.KEYRING.SLOTS) {
+    this.slots = slots;
+    this.errors = [];
+  }
+
+  // Keyring de uma única chave (ex.: chave informada explicitamente ao endpoint)
+  static fromPem(privateKey, passphrase, id = 'current') {
+    return new Keyring([{ id, privateKey, passphrase }]);
+  }
+
+  /**
+   * @returns {Array<{id: string, fingerprint: string, privateKey: crypto.KeyObject}>} Chaves válidas, em ordem.
+   */
+  keys() {
+    if (!this.#keys) {
+      this.#keys = this.#load();
+    }
+    return this.#keys;
+  }
+
+  // Descarta as chaves carregadas; o próximo uso relê o ambiente
+  reload() {
+    this.#keys = null;
+    this.errors = [];
+    return this;
+  }
+
+  /**
+   * Descriptografa a chave AES (RSA-OAEP SHA-256) com a primeira chave do keyring que aceitá-la.
+   *
+   * @param {Buffer} encryptedAesKey
+   * @returns {{ aesKey: Buffer, key: { id: string, fingerprint: string } }}
+   * @throws {KeyringError} Keyring vazio ou nenhuma chave aceitou a requisição.
+   */
+  decryptAesKey(encryptedAesKey) {
+    const keys = this.keys();
+    if (!keys.length) {
+      throw new KeyringError('Nenhuma chave privada configurada');
+    }
+
+    for (const [index, { id, fingerprint: keyFingerprint, privateKey }] of keys.entries()) {
+      let aesKey;
+      try {
+        aesKey = crypto.privateDecrypt({
+          key: privateKey,
+          padding: crypto.constants.RSA_PKCS1_OAEP_PADDING,
+          oaepHash: 'sha256'
+        }, encryptedAesKey);
+      } catch (error) {
+        continue;
+      }
+
+      telemetry.trackCustomMetric('KeyringDecryption', 1, {
+        keyId: id,
+        fingerprint: keyFingerprint,
+        attempts: index + 1
+      });
+      return { aesKey, key: { id, fingerprint: keyFingerprint } };
+    }
+
+    telemetry.trackCustomMetric('KeyringDecryption', 0, { keyId: 'none', attempts: keys.length });
+    throw new KeyringError('Nenhuma chave do keyring descriptografou a requisição');
+  }
+
+  /**
+   * Estado do keyring para o health check: indisponível sem a chave atual; degradado com
+   * chaves anteriores inválidas (a chave atual continua atendendo).
+   * @returns {{ status: string, keys: Array<{id: string, fingerprint: string}>, errors?: Array }}
+   */
+  status() {
+    const keys = this.keys().map(({ id, fingerprint: keyFingerprint }) => ({ id, fingerprint: keyFingerprint }));
+    const [primary] = this.slots;
+
+    if (!keys.some(key => key.id === primary?.id)) {
+      return { status: 'down', keys, errors: [{ id: primary?.id, error: 'Chave atual não configurada' }, ...this.errors] };
+    }
+    if (this.errors.length) {
+      return { status: 'degraded', keys, errors: this.errors };
+    }
+    return { status: 'up', keys };
+  }
+
+  #load() {
+    const keys = [];
+
+    for (const slot of this.slots) {
+      const pem = slot.privateKey ?? process.env[slot.keyEnv];
+      if (!pem) continue;
+
+      try {
+        const privateKey = crypto.createPrivateKey({
+          key: pem,
+          passphrase: slot.passphrase ?? process.env[slot.passphraseEnv] ?? ''
+        });
+        keys.push({ id: slot.id, fingerprint: fingerprint(privateKey), privateKey });
+      } catch (error) {
+        Logger.error('Chave privada inválida no keyring', { keyId: slot.id, error: error.message });
+        this.errors.push({ id: slot.id, error: error.message });
+      }
+    }
+
+    Logger.info('Keyring carregado', { keys: keys.map(({ id, fingerprint: keyFingerprint }) => `${id}:${keyFingerprint}`) });
+    return keys;
+  }
+}
+
+const keyring = new Keyring();
+
+module.exports = {
+  Keyring,
+  KeyringError,
+  keyring,
+  fingerprint
+};
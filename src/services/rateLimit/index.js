@@ -0,0 +1,41 @@
+// services/rateLimit/index.js
+const { CONFIG } = require('../../config/constants');
+const { getRedisClient } = require('../storage');
+const { RateLimiter, RateLimitError } = require('./rateLimiter');
+const { MemoryRateLimitStore } = require('./memoryStore');
+const { RedisRateLimitStore } = require('./redisStore');
+
+/**
+ * Cria o store de rate limiting.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.backend='memory'] - memory | redis
+ * @param {Object} [options.redisClient] - Cliente compatível com Redis
+ * @returns {MemoryRateLimitStore|RedisRateLimitStore}
+ */
+const createRateLimitStore = (options = {}) => {
+  const { backend = CONFIG.RATE_LIMIT.BACKEND } = options;
+
+  switch (backend) {
+    case 'memory':
+      return new MemoryRateLimitStore({ maxKeys: options.maxKeys || CONFIG.RATE_LIMIT.MAX_KEYS });
+    case 'redis':
+      return new RedisRateLimitStore({
+        client: options.redisClient || getRedisClient(CONFIG.STORAGE.REDIS_URL)
+      });
+    default:
+      throw new Error(`Backend de rate limit não suportado: ${backend}`);
+  }
+};
+
+// Instância compartilhada por FlowManager, servidor Express e clientes de API
+const rateLimiter = new RateLimiter(createRateLimitStore(), CONFIG.RATE_LIMIT.POLICIES);
+
+module.exports = {
+  rateLimiter,
+  RateLimiter,
+  RateLimitError,
+  createRateLimitStore,
+  MemoryRateLimitStore,
+  RedisRateLimitStore
+};
@@ -0,0 +1,81 @@
+// services/rateLimit/memoryStore.js
+
+/**
+ * Store de rate limiting em memória, limitado a `maxKeys` chaves.
+ * Chaves expiradas são descartadas no acesso e a mais antiga é removida ao atingir o limite.
+ * Válido apenas para uma instância: use o store redis com múltiplas instâncias da Function.
+ */
+class MemoryRateLimitStore {
+  constructor(options = {}) {
+    this.entries = new Map();
+    this.maxKeys = options.maxKeys || 10000;
+  }
+
+  #read(key, now) {
+    const entry = this.entries.get(key);
+    if (entry && entry.expiresAt <= now) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  }
+
+  #write(key, entry) {
+    this.entries.delete(key);
+    if (this.entries.size >= this.maxKeys) {
+      const oldestKey = this.entries.keys().next().value;
+      this.entries.delete(oldestKey);
+    }
+    this.entries.set(key, entry);
+  }
+
+  /**
+   * Janela deslizante: no máximo `limit` requisições nos últimos `window` ms.
+   */
+  async slidingWindow(key, { limit, window }, now = Date.now()) {
+    const entry = this.#read(key, now);
+    const hits = (entry?.hits || []).filter(time => time > now - window);
+
+    if (hits.length >= limit) {
+      this.#write(key, { hits, expiresAt: hits[hits.length - 1] + window });
+      return { allowed: false, remaining: 0, retryAfterMs: hits[0] + window - now };
+    }
+
+    hits.push(now);
+    this.#write(key, { hits, expiresAt: now + window });
+    return { allowed: true, remaining: limit - hits.length, retryAfterMs: 0 };
+  }
+
+  /**
+   * Token bucket: `capacity` fichas, repostas à taxa de `refillPerSecond`.
+   */
+  async tokenBucket(key, { capacity, refillPerSecond }, now = Date.now()) {
+    const refillPerMs = refillPerSecond / 1000;
+    const entry = this.#read(key, now);
+
+    let tokens = entry
+      ? Math.min(capacity, entry.tokens + (now - entry.updatedAt) * refillPerMs)
+      : capacity;
+
+    const allowed = tokens >= 1;
+    if (allowed) tokens -= 1;
+
+    this.#write(key, {
+      tokens,
+      updatedAt: now,
+      expiresAt: now + Math.ceil((capacity - tokens) / refillPerMs)
+    });
+
+    return {
+      allowed,
+      remaining: Math.floor(tokens),
+      retryAfterMs: allowed ? 0 : Math.ceil((1 - tokens) / refillPerMs)
+    };
+  }
+
+  async size() {
+    return this.entries.size;
+  }
+}
+
+module.exports = { MemoryRateLimitStore };
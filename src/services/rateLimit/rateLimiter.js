@@ -0,0 +1,113 @@
+// services/rateLimit/rateLimiter.js
+const { Logger } = require('../../utils/logger');
+
+const STRATEGIES = {
+  'sliding-window': 'slidingWindow',
+  'token-bucket': 'tokenBucket'
+};
+
+/**
+ * Erro de limite excedido, com o tempo até a próxima tentativa permitida.
+ */
+class RateLimitError extends Error {
+  constructor(message, { policy, retryAfterMs }) {
+    super(message);
+    this.name = 'RateLimitError';
+    this.code = 'RATE_LIMIT_EXCEEDED';
+    this.policy = policy;
+    this.retryAfterMs = retryAfterMs;
+    this.retryAfter = Math.ceil(retryAfterMs / 1000); // segundos
+  }
+}
+
+/**
+ * Rate limiter com políticas nomeadas (por flow_token, IP, CPF, tipo de fluxo ou dependência).
+ *
+ * @example
+ * const limiter = new RateLimiter(store, {
+ *   ip: { strategy: 'sliding-window', limit: 1000, window: 60000 },
+ *   cpf: { strategy: 'token-bucket', capacity: 20, refillPerSecond: 0.2 }
+ * });
+ * await limiter.enforce('ip', req.ip);
+ */
+class RateLimiter {
+  /**
+   * @param {Object} store - MemoryRateLimitStore ou RedisRateLimitStore
+   * @param {Object<string, Object>} policies - Políticas indexadas por nome
+   */
+  constructor(store, policies = {}) {
+    this.store = store;
+    this.policies = policies;
+  }
+
+  /**
+   * Consome uma requisição da política para a chave informada.
+   * Falhas do store liberam a requisição (fail-open) para não derrubar o fluxo.
+   *
+   * @param {string} policyName - Nome da política.
+   * @param {string} key - Identificador limitado (flow_token, IP, CPF...).
+   * @returns {Promise<{allowed: boolean, remaining: number, retryAfterMs: number}>}
+   */
+  async consume(policyName, key) {
+    const policy = this.policies[policyName];
+    if (!policy) {
+      throw new Error(`Política de rate limit não configurada: ${policyName}`);
+    }
+
+    const method = STRATEGIES[policy.strategy];
+    if (!method) {
+      throw new Error(`Estratégia de rate limit não suportada: ${policy.strategy}`);
+    }
+
+    try {
+      return await this.store[method](`${policyName}:${key}`, policy);
+    } catch (error) {
+      Logger.warn('Falha no store de rate limit, requisição liberada', {
+        policy: policyName,
+        error: error.message
+      });
+      return { allowed: true, remaining: null, retryAfterMs: 0 };
+    }
+  }
+
+  /**
+   * Consome e lança RateLimitError se o limite tiver sido excedido.
+   *
+   * @throws {RateLimitError}
+   */
+  async enforce(policyName, key) {
+    const result = await this.consume(policyName, key);
+    if (!result.allowed) {
+      throw new RateLimitError('Rate limit exceeded', {
+        policy: policyName,
+        retryAfterMs: result.retryAfterMs
+      });
+    }
+    return result;
+  }
+
+  /**
+   * Aplica várias políticas de uma vez, ignorando chaves ausentes.
+   *
+   * @param {Object<string, string>} keys - Ex.: { flowToken, cpf, flowType }
+   * @returns {Promise<Object<string, Object>>} Resultado por política.
+   * @throws {RateLimitError} Na primeira política excedida.
+   */
+  async check(keys) {
+    const results = {};
+    for (const [policyName, key] of Object.entries(keys)) {
+      if (!key) continue;
+      results[policyName] = await this.enforce(policyName, key);
+    }
+    return results;
+  }
+
+  async size() {
+    return this.store.size();
+  }
+}
+
+module.exports = {
+  RateLimiter,
+  RateLimitError
+};
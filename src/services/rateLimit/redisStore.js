@@ -0,0 +1,82 @@
+// services/rateLimit/redisStore.js
+
+// Scripts Lua executados atomicamente no Redis (consistentes entre instâncias)
+const SLIDING_WINDOW_SCRIPT = `
+local now = tonumber(ARGV[1])
+local window = tonumber(ARGV[2])
+local limit = tonumber(ARGV[3])
+redis.call('ZREMRANGEBYSCORE', KEYS[1], 0, now - window)
+local count = redis.call('ZCARD', KEYS[1])
+if count < limit then
+  redis.call('ZADD', KEYS[1], now, ARGV[4])
+  redis.call('PEXPIRE', KEYS[1], window)
+  return {1, limit - count - 1, 0}
+end
+local oldest = redis.call('ZRANGE', KEYS[1], 0, 0, 'WITHSCORES')
+return {0, 0, tonumber(oldest[2]) + window - now}
+`;
+
+const TOKEN_BUCKET_SCRIPT = `
+local now = tonumber(ARGV[1])
+local capacity = tonumber(ARGV[2])
+local refill = tonumber(ARGV[3])
+local bucket = redis.call('HMGET', KEYS[1], 'tokens', 'updatedAt')
+local tokens = tonumber(bucket[1]) or capacity
+local updatedAt = tonumber(bucket[2]) or now
+tokens = math.min(capacity, tokens + (now - updatedAt) * refill)
+local allowed = 0
+local retryAfter = 0
+if tokens >= 1 then
+  tokens = tokens - 1
+  allowed = 1
+else
+  retryAfter = math.ceil((1 - tokens) / refill)
+end
+redis.call('HMSET', KEYS[1], 'tokens', tostring(tokens), 'updatedAt', now)
+redis.call('PEXPIRE', KEYS[1], math.ceil(capacity / refill))
+return {allowed, math.floor(tokens), retryAfter}
+`;
+
+/**
+ * Store de rate limiting sobre um cliente compatível com Redis (API `eval` do ioredis).
+ * Compartilhado entre todas as instâncias da Azure Function.
+ */
+class RedisRateLimitStore {
+  constructor(options = {}) {
+    if (!options.client) {
+      throw new Error('RedisRateLimitStore requer um cliente Redis (client)');
+    }
+    this.client = options.client;
+    this.prefix = options.prefix || 'flows:ratelimit:';
+  }
+
+  #toResult([allowed, remaining, retryAfterMs]) {
+    return {
+      allowed: Number(allowed) === 1,
+      remaining: Number(remaining),
+      retryAfterMs: Number(retryAfterMs)
+    };
+  }
+
+  async slidingWindow(key, { limit, window }, now = Date.now()) {
+    const member = `${now}-${Math.random().toString(36).slice(2)}`;
+    const result = await this.client.eval(
+      SLIDING_WINDOW_SCRIPT, 1, `${this.prefix}${key}`, now, window, limit, member
+    );
+    return this.#toResult(result);
+  }
+
+  async tokenBucket(key, { capacity, refillPerSecond }, now = Date.now()) {
+    const result = await this.client.eval(
+      TOKEN_BUCKET_SCRIPT, 1, `${this.prefix}${key}`, now, capacity, refillPerSecond / 1000
+    );
+    return this.#toResult(result);
+  }
+
+  // Quantidade de chaves não é consultada no Redis (exigiria SCAN)
+  async size() {
+    return null;
+  }
+}
+
+module.exports = { RedisRateLimitStore };
@@ -0,0 +1,218 @@
+// services/sessionStore.js
+const { Logger } = require('../utils/logger');
+const { CONFIG } = require('../config/constants');
+const { createStorage } = require('./storage');
+
+// Campos de contexto que os handlers esperam receber em todo data_exchange
+const CONTEXT_FIELDS = ['leadId', 'cpf', 'creditGroup'];
+
+/**
+ * Sessão persistente por flow_token.
+ *
+ * Registra o contexto do lead (leadId, CPF, grupo de crédito), as telas visitadas, o
+ * histórico de navegação (usado na ação BACK) e a última resposta enviada, para que os
+ * handlers não dependam do cliente reenviar esses campos em cada payload.
+ *
+ * As escritas leem a sessão, aplicam a alteração e gravam de volta. Na mesma instância elas são
+ * enfileiradas por flow_token, então requisições concorrentes do mesmo token não perdem entradas
+ * do histórico. Entre instâncias (backend redis) não há trava: escritas simultâneas do mesmo
+ * flow_token em instâncias diferentes seguem "a última prevalece".
+ *
+ * @example
+ * await sessionStore.update(flow_token, { cpf: '12345678900', creditGroup: 'inss' });
+ * const { leadId } = await sessionStore.getContext(flow_token);
+ */
+class SessionStore {
+  /**
+   * @param {Object} storage - Backend chave/valor (ver services/storage)
+   * @param {Object} [options]
+   * @param {number} [options.ttl] - Tempo de vida da sessão em ms
+   * @param {number} [options.maxScreens] - Quantidade máxima de telas visitadas mantidas
+   * @param {number} [options.maxHistory] - Profundidade máxima do histórico de navegação
+   */
+  constructor(storage, options = {}) {
+    this.storage = storage;
+    this.ttl = options.ttl || CONFIG.SESSION.TTL;
+    this.maxScreens = options.maxScreens || CONFIG.SESSION.MAX_SCREENS;
+    this.maxHistory = options.maxHistory || CONFIG.SESSION.MAX_HISTORY;
+    this.queues = new Map();
+  }
+
+  async get(flowToken) {
+    if (!flowToken) return null;
+    return this.storage.get(flowToken);
+  }
+
+  /**
+   * Retorna apenas os campos de contexto preenchidos da sessão.
+   *
+   * @param {string} flowToken - Token do fluxo.
+   * @returns {Promise<Object>} Ex.: { leadId, cpf, creditGroup }
+   */
+  async getContext(flowToken) {
+    const session = await this.get(flowToken);
+    return pickDefined(session || {}, CONTEXT_FIELDS);
+  }
+
+  /**
+   * Mescla os campos informados na sessão, ignorando valores vazios.
+   *
+   * @param {string} flowToken - Token do fluxo.
+   * @param {Object} patch - Campos a atualizar.
+   * @returns {Promise<Object>} Sessão atualizada.
+   */
+  async update(flowToken, patch = {}) {
+    return this.#mutate(flowToken, () => patch);
+  }
+
+  /**
+   * Registra a tela processada e a resposta enviada ao cliente.
+   *
+   * @param {string} flowToken - Token do fluxo.
+   * @param {string} screen - Tela que originou o data_exchange.
+   * @param {Object} data - Dados recebidos (já mesclados com o contexto).
+   * @param {Object} response - Resposta retornada pelo handler.
+   * @returns {Promise<Object>} Sessão atualizada.
+   */
+  async recordScreen(flowToken, screen, data = {}, response = null) {
+    return this.#mutate(flowToken, session => ({
+      ...pickDefined(data, CONTEXT_FIELDS),
+      ...pickDefined(response?.data || {}, ['leadId']),
+      screens: [...(session.screens || []), screen].slice(-this.maxScreens),
+      lastResponse: response
+    }));
+  }
+
+  /**
+   * Empilha a tela exibida ao usuário no histórico de navegação.
+   * Re-renderizações da mesma tela (ex.: erro de validação) substituem o topo.
+   *
+   * @param {string} flowToken - Token do fluxo.
+   * @param {Object} response - Resposta enviada ao cliente ({ screen, data }).
+   * @param {Object} [options]
+   * @param {boolean} [options.reset=false] - Reinicia o histórico (ação INIT).
+   * @returns {Promise<Object>} Sessão atualizada.
+   */
+  async pushHistory(flowToken, response, { reset = false } = {}) {
+    if (!flowToken || !response?.screen) return null;
+
+    return this.#mutate(flowToken, session => {
+      const history = reset ? [] : [...(session.history || [])];
+      const entry = { screen: response.screen, data: response.data || {} };
+
+      if (history[history.length - 1]?.screen === entry.screen) {
+        history.pop();
+      }
+      history.push(entry);
+
+      return { history: history.slice(-this.maxHistory) };
+    });
+  }
+
+  /**
+   * Volta no histórico descartando a tela atual (ação BACK).
+   *
+   * @param {string} flowToken - Token do fluxo.
+   * @param {string} currentScreen - Tela em que o usuário pressionou voltar.
+   * @returns {Promise<Object|null>} Entrada da tela anterior ({ screen, data }) ou null.
+   */
+  async popHistory(flowToken, currentScreen) {
+    const session = await this.#mutate(flowToken, ({ history: saved = [] }) => {
+      const history = [...saved];
+
+      while (history.length && history[history.length - 1].screen === currentScreen) {
+        history.pop();
+      }
+
+      return { history };
+    });
+
+    const history = session?.history || [];
+    return history[history.length - 1] || null;
+  }
+
+  /**
+   * Lê a sessão, mescla o patch calculado a partir dela e grava, enfileirando as escritas do
+   * mesmo flow_token para que uma não sobrescreva a outra.
+   *
+   * @param {string} flowToken - Token do fluxo.
+   * @param {Function} buildPatch - (session) => campos a atualizar.
+   * @returns {Promise<Object|null>} Sessão atualizada.
+   */
+  #mutate(flowToken, buildPatch) {
+    if (!flowToken) return Promise.resolve(null);
+
+    const previous = this.queues.get(flowToken) || Promise.resolve();
+    const run = previous.then(async () => {
+      const now = new Date().toISOString();
+      const session = (await this.get(flowToken)) || {
+        flowToken,
+        screens: [],
+        createdAt: now
+      };
+      const patch = buildPatch(session);
+
+      const updated = {
+        ...session,
+        ...pickDefined(patch, Object.keys(patch)),
+        updatedAt: now
+      };
+
+      await this.storage.set(flowToken, updated, this.ttl);
+      return updated;
+    });
+
+    // A fila segue mesmo se esta escrita falhar; o erro é entregue a quem a chamou
+    const queued = run.catch(() => {});
+    this.queues.set(flowToken, queued);
+    queued.then(() => {
+      if (this.queues.get(flowToken) === queued) this.queues.delete(flowToken);
+    });
+
+    return run;
+  }
+
+  async delete(flowToken) {
+    if (!flowToken) return;
+    await this.storage.delete(flowToken);
+  }
+
+  async size() {
+    return this.storage.size();
+  }
+}
+
+// Seleciona os campos informados descartando undefined, null e string vazia
+function pickDefined(source, fields) {
+  return fields.reduce((acc, field) => {
+    const value = source[field];
+    if (value !== undefined && value !== null && value !== '') {
+      acc[field] = value;
+    }
+    return acc;
+  }, {});
+}
+
+const createSessionStore = (options = {}) => {
+  const backend = options.backend || CONFIG.SESSION.BACKEND;
+  Logger.info('Inicializando sessões', { backend });
+
+  return new SessionStore(createStorage({
+    backend,
+    namespace: 'session',
+    maxEntries: CONFIG.SESSION.MAX_ENTRIES,
+    dir: CONFIG.STORAGE.FILE_DIR,
+    redisUrl: CONFIG.STORAGE.REDIS_URL,
+    ...options
+  }), options);
+};
+
+const sessionStore = createSessionStore();
+
+module.exports = {
+  SessionStore,
+  sessionStore,
+  createSessionStore,
+  pickDefined,
+  CONTEXT_FIELDS
+};
@@ -0,0 +1,118 @@
+// services/storage/fileStorage.js
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Armazenamento chave/valor em arquivos JSON (um arquivo por chave).
+ * Sobrevive a reinícios do processo; compartilhável entre instâncias apenas via volume comum.
+ */
+class FileStorage {
+  /**
+   * @param {Object} options
+   * @param {string} options.dir - Diretório onde os arquivos são gravados
+   */
+  constructor(options = {}) {
+    if (!options.dir) {
+      throw new Error('FileStorage requer o diretório de armazenamento (dir)');
+    }
+    this.dir = options.dir;
+    this.readyPromise = null;
+  }
+
+  // Diretório criado na primeira operação; em caso de falha, a próxima operação tenta de novo
+  #ready() {
+    if (!this.readyPromise) {
+      this.readyPromise = fs.mkdir(this.dir, { recursive: true, mode: 0o700 }).catch(error => {
+        this.readyPromise = null;
+        throw error;
+      });
+    }
+    return this.readyPromise;
+  }
+
+  // O nome do arquivo é derivado por hash para aceitar qualquer chave (ex.: flow_token)
+  #filePath(key) {
+    const hash = crypto.createHash('sha256').update(key).digest('hex');
+    return path.join(this.dir, `${hash}.json`);
+  }
+
+  async get(key) {
+    await this.#ready();
+    try {
+      const cached = JSON.parse(await fs.readFile(this.#filePath(key), 'utf8'));
+      if (cached.expiresAt && Date.now() > cached.expiresAt) {
+        await this.delete(key);
+        return null;
+      }
+      return cached.value;
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async set(key, value, ttl) {
+    await this.#ready();
+    const filePath = this.#filePath(key);
+    // Sufixo aleatório: escritas concorrentes na mesma chave não compartilham o temporário
+    const tempPath = `${filePath}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+
+    // Escrita atômica: grava em arquivo temporário e renomeia (a última escrita prevalece)
+    try {
+      await fs.writeFile(tempPath, JSON.stringify({
+        value,
+        expiresAt: ttl ? Date.now() + ttl : null
+      }), { mode: 0o600 });
+      await fs.rename(tempPath, filePath);
+    } catch (error) {
+      await fs.rm(tempPath, { force: true });
+      throw error;
+    }
+  }
+
+  /**
+   * Grava apenas se a chave não existir (ou estiver expirada). O arquivo completo é publicado
+   * com link, que falha se o destino já existir: atômico entre processos no mesmo volume.
+   * @returns {Promise<boolean>} true se gravou
+   */
+  async setIfAbsent(key, value, ttl) {
+    await this.#ready();
+    const filePath = this.#filePath(key);
+    const tempPath = `${filePath}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+
+    await fs.writeFile(tempPath, JSON.stringify({
+      value,
+      expiresAt: ttl ? Date.now() + ttl : null
+    }), { mode: 0o600 });
+
+    try {
+      for (let attempt = 0; attempt < 2; attempt++) {
+        try {
+          await fs.link(tempPath, filePath);
+          return true;
+        } catch (error) {
+          if (error.code !== 'EEXIST') throw error;
+          // get remove a entrada expirada; a segunda tentativa grava no lugar dela
+          if (attempt > 0 || (await this.get(key)) !== null) return false;
+        }
+      }
+      return false;
+    } finally {
+      await fs.rm(tempPath, { force: true });
+    }
+  }
+
+  async delete(key) {
+    await this.#ready();
+    await fs.rm(this.#filePath(key), { force: true });
+  }
+
+  async size() {
+    await this.#ready();
+    const files = await fs.readdir(this.dir);
+    return files.filter(file => file.endsWith('.json')).length;
+  }
+}
+
+module.exports = { FileStorage };
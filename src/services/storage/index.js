@@ -0,0 +1,62 @@
+// services/storage/index.js
+const path = require('path');
+const { MemoryStorage } = require('./memoryStorage');
+const { FileStorage } = require('./fileStorage');
+const { RedisStorage } = require('./redisStorage');
+
+let sharedRedisClient = null;
+
+// Cliente Redis compartilhado, criado sob demanda a partir de REDIS_URL
+const getRedisClient = (url) => {
+  if (!sharedRedisClient) {
+    if (!url) {
+      throw new Error('Backend redis requer REDIS_URL ou um cliente (redisClient)');
+    }
+    let Redis;
+    try {
+      Redis = require('ioredis');
+    } catch (error) {
+      throw new Error('Backend redis requer o pacote ioredis instalado ou um cliente compatível (redisClient)');
+    }
+    sharedRedisClient = new Redis(url);
+  }
+  return sharedRedisClient;
+};
+
+/**
+ * Cria um backend de armazenamento chave/valor.
+ *
+ * @param {Object} options
+ * @param {string} [options.backend='memory'] - memory | file | redis
+ * @param {string} options.namespace - Namespace das chaves (ex.: 'session')
+ * @param {number} [options.maxEntries] - Limite de entradas (memory)
+ * @param {string} [options.dir] - Diretório base (file)
+ * @param {Object} [options.redisClient] - Cliente compatível com Redis (redis)
+ * @param {string} [options.redisUrl] - URL usada quando nenhum cliente é informado (redis)
+ * @returns {MemoryStorage|FileStorage|RedisStorage}
+ */
+const createStorage = (options = {}) => {
+  const { backend = 'memory', namespace } = options;
+
+  switch (backend) {
+    case 'memory':
+      return new MemoryStorage({ maxEntries: options.maxEntries });
+    case 'file':
+      return new FileStorage({ dir: path.join(options.dir, namespace) });
+    case 'redis':
+      return new RedisStorage({
+        client: options.redisClient || getRedisClient(options.redisUrl),
+        prefix: `flows:${namespace}:`
+      });
+    default:
+      throw new Error(`Backend de armazenamento não suportado: ${backend}`);
+  }
+};
+
+module.exports = {
+  createStorage,
+  getRedisClient,
+  MemoryStorage,
+  FileStorage,
+  RedisStorage
+};
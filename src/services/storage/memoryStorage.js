@@ -0,0 +1,60 @@
+// services/storage/memoryStorage.js
+
+/**
+ * Armazenamento chave/valor em memória com TTL e limite de entradas.
+ * Válido apenas para uma instância: use o backend redis com múltiplas instâncias.
+ */
+class MemoryStorage {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxEntries=10000] - Limite de entradas (remove a mais antiga ao atingir)
+   */
+  constructor(options = {}) {
+    this.cache = new Map();
+    this.maxEntries = options.maxEntries || 10000;
+  }
+
+  async get(key) {
+    const cached = this.cache.get(key);
+    if (!cached) return null;
+
+    if (cached.expiresAt && Date.now() > cached.expiresAt) {
+      this.cache.delete(key);
+      return null;
+    }
+
+    return cached.value;
+  }
+
+  async set(key, value, ttl) {
+    // Reinsere para manter a ordem de inserção como ordem de uso
+    this.cache.delete(key);
+
+    if (this.cache.size >= this.maxEntries) {
+      const oldestKey = this.cache.keys().next().value;
+      this.cache.delete(oldestKey);
+    }
+
+    this.cache.set(key, {
+      value,
+      expiresAt: ttl ? Date.now() + ttl : null
+    });
+  }
+
+  // Grava apenas se a chave não existir (ou estiver expirada). Atômico dentro do processo
+  async setIfAbsent(key, value, ttl) {
+    if ((await this.get(key)) !== null) return false;
+    await this.set(key, value, ttl);
+    return true;
+  }
+
+  async delete(key) {
+    this.cache.delete(key);
+  }
+
+  async size() {
+    return this.cache.size;
+  }
+}
+
+module.exports = { MemoryStorage };
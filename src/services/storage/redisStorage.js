@@ -0,0 +1,58 @@
+// services/storage/redisStorage.js
+
+/**
+ * Armazenamento chave/valor sobre um cliente compatível com Redis (API do ioredis:
+ * `get`, `set(key, value, 'PX', ttl[, 'NX'])`, `del`). Compartilhado entre todas as instâncias.
+ */
+class RedisStorage {
+  /**
+   * @param {Object} options
+   * @param {Object} options.client - Cliente Redis já conectado
+   * @param {string} [options.prefix=''] - Prefixo aplicado a todas as chaves
+   */
+  constructor(options = {}) {
+    if (!options.client) {
+      throw new Error('RedisStorage requer um cliente Redis (client)');
+    }
+    this.client = options.client;
+    this.prefix = options.prefix || '';
+  }
+
+  #key(key) {
+    return `${this.prefix}${key}`;
+  }
+
+  async get(key) {
+    const raw = await this.client.get(this.#key(key));
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  async set(key, value, ttl) {
+    const raw = JSON.stringify(value);
+    if (ttl) {
+      await this.client.set(this.#key(key), raw, 'PX', ttl);
+    } else {
+      await this.client.set(this.#key(key), raw);
+    }
+  }
+
+  // SET NX: apenas uma instância grava a chave (ex.: marcador de requisição em andamento)
+  async setIfAbsent(key, value, ttl) {
+    const raw = JSON.stringify(value);
+    const result = ttl
+      ? await this.client.set(this.#key(key), raw, 'PX', ttl, 'NX')
+      : await this.client.set(this.#key(key), raw, 'NX');
+    return result === 'OK';
+  }
+
+  async delete(key) {
+    await this.client.del(this.#key(key));
+  }
+
+  // Tamanho não é consultado no Redis (exigiria SCAN); reportado como desconhecido
+  async size() {
+    return null;
+  }
+}
+
+module.exports = { RedisStorage };
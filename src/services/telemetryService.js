@@ -1,5 +1,12 @@
 process.env.INSTRUMENTATION_KEY = "InstrumentationKey=461ee3fb-9793-418b-a51e-a235aa21ecac";
 const appInsights = require('applicationinsights');
+const { requestContext } = require('../utils/requestContext');
+
+// Dimensões comuns a todos os itens: canal e tenant da requisição (ver services/tenantService)
+const commonProperties = () => ({
+  channel: 'whatsapp',
+  tenant: requestContext.get().tenant?.id
+});
 
 class TelemetryService {
  static instance;
@@ -31,7 +38,7 @@ class TelemetryService {
         properties: {
           flowId: data.flow_token,
           leadId: data.leadId,
-          channel: 'whatsapp',
+          ...commonProperties(),
           flowType: data.flowType,
           screenName: screen,
           timestamp: new Date().toISOString()
@@ -47,6 +54,7 @@ class TelemetryService {
       this.client.trackException({
         exception: error,
         properties: {
+          ...commonProperties(),
           screen,
           flowId: data.flow_token,
           leadId: data.leadId,
@@ -66,11 +74,15 @@ class TelemetryService {
       this.client.trackEvent({
         name: 'ScreenTransition',
         properties: {
+          ...commonProperties(),
           fromScreen,
           toScreen,
           flowId: data.flow_token,
           leadId: data.leadId,
           flowType: data.flowType,
+          version: data.version,
+          handlerSet: data.handlerSet,
+          experiments: data.experiments,
           duration: Date.now() - (data.startTime || Date.now()),
           timestamp: new Date().toISOString()
         }
@@ -87,7 +99,7 @@ class TelemetryService {
         value,
         properties: {
           ...properties,
-          channel: 'whatsapp',
+          ...commonProperties(),
           flowType: properties.flowType,
           timestamp: new Date().toISOString()
         }
@@ -103,7 +115,7 @@ class TelemetryService {
         name: eventName,
         properties: {
           ...properties,
-          channel: 'whatsapp',
+          ...commonProperties(),
           flowType: properties.flowType,
           timestamp: new Date().toISOString()
         }
@@ -124,7 +136,7 @@ class TelemetryService {
         dependencyTypeName: data.dependencyTypeName || 'HTTP',
         properties: {
           ...data.properties,
-          channel: 'whatsapp',
+          ...commonProperties(),
           flowType: data.properties?.flowType,
           timestamp: new Date().toISOString()
         }
@@ -0,0 +1,164 @@
+// services/tenantService.js
+const { Logger } = require('../utils/logger');
+const { CONFIG } = require('../config/constants');
+const { requestContext } = require('../utils/requestContext');
+const { TenantError } = require('../utils/errors');
+const tenantDefinitions = require('../config/tenants');
+
+// Configurações que pertencem ao CRM de cada parceiro e não são herdadas do tenant padrão
+const ISOLATED_FIELDS = ['crm', 'tags'];
+
+/**
+ * Tenants (parceiros e marcas) com configuração, credenciais, textos e dimensões de
+ * telemetria isolados (definições em config/tenants).
+ *
+ * O FlowManager resolve o tenant de cada requisição e o disponibiliza no requestContext
+ * (`tenant`), de modo que o apiClient, os controllers e a telemetria usam a configuração
+ * do parceiro sem recebê-la por parâmetro.
+ *
+ * @example
+ * const tenant = tenantService.resolve({ tenant: req.query.tenant, flowToken: body.flow_token });
+ * await requestContext.run({ tenant }, () => handler(data));
+ * // em qualquer ponto da cadeia de chamadas:
+ * const { crm } = tenantService.current();
+ */
+class TenantService {
+  /**
+   * @param {Array<Object>} [tenants] - Definições (ver config/tenants); a primeira é a base das demais
+   * @param {Object} [options]
+   * @param {string} [options.defaultTenant] - Tenant usado quando a requisição não indica nenhum
+   */
+  constructor(tenants = [], options = {}) {
+    this.defaultTenant = options.defaultTenant || CONFIG.TENANTS.DEFAULT;
+    this.tenants = new Map();
+    tenants.forEach(tenant => this.register(tenant));
+  }
+
+  /**
+   * Registra um tenant, herdando do tenant padrão as configurações não isoladas.
+   * @param {Object} definition
+   * @returns {TenantService}
+   */
+  register(definition) {
+    const { id } = definition || {};
+    if (!id || typeof id !== 'string') {
+      throw new TenantError('Tenant sem id');
+    }
+    if (!/^[a-z0-9-]+$/.test(id)) {
+      throw new TenantError(`Tenant ${id}: use apenas letras minúsculas, números e hífen no id`, id);
+    }
+    if (this.tenants.has(id)) {
+      throw new TenantError(`Tenant duplicado: ${id}`, id);
+    }
+
+    const base = this.tenants.get(this.defaultTenant);
+    if (!base && id !== this.defaultTenant) {
+      throw new TenantError(`Tenant ${id}: registre antes o tenant padrão (${this.defaultTenant})`, id);
+    }
+
+    const crm = {
+      ...definition.crm,
+      apiKey: definition.crm?.apiKey ?? (definition.crm?.apiKeyEnv && process.env[definition.crm.apiKeyEnv])
+    };
+    if (base && !crm.baseUrl) {
+      throw new TenantError(`Tenant ${id}: informe crm.baseUrl`, id);
+    }
+    if (base && !crm.apiKey) {
+      Logger.warn('Tenant sem chave do CRM', { tenant: id, apiKeyEnv: definition.crm?.apiKeyEnv });
+    }
+
+    const inherited = Object.fromEntries(
+      Object.entries(base || {}).filter(([field]) => !ISOLATED_FIELDS.includes(field))
+    );
+
+    this.tenants.set(id, Object.freeze({
+      ...inherited,
+      ...definition,
+      crm,
+      tags: definition.tags || {},
+      cloudinary: { ...inherited.cloudinary, ...definition.cloudinary },
+      origin: { ...inherited.origin, ...definition.origin },
+      support: { ...inherited.support, ...definition.support },
+      copy: { ...inherited.copy, ...definition.copy }
+    }));
+    return this;
+  }
+
+  list() {
+    return [...this.tenants.values()];
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Object} Tenant.
+   * @throws {TenantError} Tenant não registrado.
+   */
+  get(id) {
+    const tenant = this.tenants.get(id);
+    if (!tenant) {
+      throw new TenantError(`Tenant não encontrado: ${id}`, id);
+    }
+    return tenant;
+  }
+
+  /**
+   * Resolve o tenant da requisição: parâmetro da query string, prefixo do flow_token ou o padrão.
+   * Prefixos que não são tenants registrados fazem parte do próprio token.
+   *
+   * @param {Object} [source]
+   * @param {string} [source.tenant] - Valor de `?tenant=`
+   * @param {string} [source.flowToken] - flow_token do payload
+   * @returns {Object} Tenant.
+   * @throws {TenantError} Tenant da query não registrado ou divergente do prefixo do flow_token.
+   */
+  resolve({ tenant, flowToken } = {}) {
+    const fromToken = this.#tokenPrefix(flowToken);
+
+    if (tenant) {
+      const id = String(tenant).toLowerCase();
+      if (fromToken && fromToken !== id) {
+        throw new TenantError(`flow_token pertence ao tenant ${fromToken}, não a ${id}`, id);
+      }
+      return this.get(id);
+    }
+
+    return this.get(fromToken || this.defaultTenant);
+  }
+
+  // Tenant do requestContext (ou o padrão, fora de uma requisição)
+  current() {
+    return requestContext.get().tenant || this.get(this.defaultTenant);
+  }
+
+  /**
+   * Texto da marca para a chave, com {placeholders} preenchidos por `params`.
+   * Sem texto próprio do tenant, usa o texto padrão.
+   *
+   * @param {string} key - Ex.: 'status.pendente.cta', 'cards.default.title'
+   * @param {string} defaultText
+   * @param {Object} [params]
+   * @param {Object} [tenant] - Padrão: tenant da requisição atual
+   * @returns {string}
+   */
+  text(key, defaultText, params = {}, tenant = this.current()) {
+    const text = tenant.copy?.[key] ?? defaultText;
+    if (typeof text !== 'string') return text;
+    return text.replace(/\{(\w+)\}/g, (match, name) => params[name] ?? match);
+  }
+
+  #tokenPrefix(flowToken) {
+    if (typeof flowToken !== 'string') return null;
+
+    const index = flowToken.indexOf(CONFIG.TENANTS.TOKEN_SEPARATOR);
+    const prefix = index > 0 ? flowToken.slice(0, index).toLowerCase() : null;
+    return prefix && this.tenants.has(prefix) ? prefix : null;
+  }
+}
+
+const tenantService = new TenantService(tenantDefinitions);
+
+module.exports = {
+  TenantService,
+  TenantError,
+  tenantService
+};
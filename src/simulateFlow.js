@@ -0,0 +1,240 @@
+/* Simulador de terminal do cliente do WhatsApp Flows: criptografa INIT/data_exchange como a Meta,
+ * envia ao servidor Express ou à Azure Function local, descriptografa a resposta e pede os campos
+ * da próxima tela (campos lidos pelo handler, ver flows/screenScanner).
+ *
+ * Uso:
+ *
+ *             node src/simulateFlow.js <flowType> [--url <endpoint>] [--public-key <arquivo.pem>]
+ *                                      [--tenant <id>] [--flow-token <token>] [--version <versão>]
+ *                                      [--app-secret <segredo>] [--wa-id <telefone>]
+ *
+ *   --url         padrão: FLOW_ENDPOINT_URL ou http://localhost:7071/api/flow (Azure Function);
+ *                 para o servidor Express, ex.: http://localhost:3000/
+ *   --public-key  padrão: PUBLIC_KEY ou a chave pública derivada de PRIVATE_KEY/PASSPHRASE do .env
+ *   --app-secret  padrão: APP_SECRET; assina o corpo em x-hub-signature-256 (exigido pelo endpoint,
+ *                 salvo com FLOW_SIGNATURE_CHECK=disabled)
+ *   --flow-token  padrão: token assinado com FLOW_TOKEN_SECRET para o --wa-id (ou aleatório, sem segredo)
+ *
+ * Comandos em qualquer pergunta: :back (ação BACK), :ping, :error (notificação de erro do
+ * cliente), :json (informa o data da tela em JSON) e :quit.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const readline = require('readline');
+const { Logger } = require('./utils/logger');
+
+require('dotenv').config();
+
+// Silencia os logs de inicialização dos serviços carregados pelos controllers
+Logger.level = 'error';
+
+const { flowRegistry } = require('./flows');
+const { scanDefinition, COMPLETION_SCREEN } = require('./flows/screenScanner');
+const { FlowClient, SimulatorError } = require('./simulator/flowClient');
+const { flowTokenService } = require('./services/flowTokenService');
+
+const COMMANDS = [':back', ':ping', ':error', ':json', ':quit'];
+const DEFAULT_WA_ID = '5585900000000';
+
+function parseArgs(argv) {
+  const args = { flowType: null };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg.startsWith('--')) {
+      args[arg.slice(2)] = argv[++i];
+    } else {
+      args.flowType = arg;
+    }
+  }
+  return args;
+}
+
+// Chave pública informada, ou derivada da chave privada do .env (ambiente local)
+function loadPublicKey(file) {
+  if (file) {
+    return fs.readFileSync(path.resolve(file), 'utf8');
+  }
+  if (process.env.PUBLIC_KEY) {
+    return process.env.PUBLIC_KEY;
+  }
+  if (process.env.PRIVATE_KEY) {
+    const privateKey = crypto.createPrivateKey({
+      key: process.env.PRIVATE_KEY,
+      passphrase: process.env.PASSPHRASE || ''
+    });
+    return crypto.createPublicKey(privateKey).export({ type: 'spki', format: 'pem' });
+  }
+  throw new SimulatorError('Chave pública não encontrada: use --public-key, PUBLIC_KEY ou PRIVATE_KEY no .env');
+}
+
+// Token assinado como o emitido no envio do Flow, quando o endpoint local verifica os tokens
+function issueFlowToken({ flowType, tenant, 'wa-id': waId = DEFAULT_WA_ID }) {
+  if (!flowTokenService.enabled) return undefined;
+  return flowTokenService.issue({ flowType, waId, ...(tenant && { tenant }) });
+}
+
+// Perguntas linha a linha (funciona também com a entrada redirecionada, ex.: roteiros em arquivo).
+// O fim da entrada equivale a :quit.
+function createPrompt(input = process.stdin, output = process.stdout) {
+  const rl = readline.createInterface({ input, output, terminal: !!input.isTTY });
+  const lines = rl[Symbol.asyncIterator]();
+
+  return {
+    async question(text) {
+      output.write(text);
+      const { value, done } = await lines.next();
+      return done ? ':quit' : value;
+    },
+    close: () => rl.close()
+  };
+}
+
+// Valores digitados chegam como texto, como nos formulários do WhatsApp; listas e objetos em JSON
+function parseValue(input) {
+  if (!/^[[{]/.test(input)) return input;
+  try {
+    return JSON.parse(input);
+  } catch (error) {
+    return input;
+  }
+}
+
+function printResponse(response) {
+  console.log('');
+  if (response.screen) {
+    console.log(`=== Tela: ${response.screen} ===`);
+  }
+  console.log(JSON.stringify(response.data ?? {}, null, 2));
+  console.log('');
+}
+
+/**
+ * Pergunta os campos da tela. Campos já presentes no data da tela são sugeridos como padrão
+ * (Enter mantém), como os valores ${data.x} do Flow JSON.
+ *
+ * @returns {Promise<Object|string>} data a enviar ou o comando digitado
+ */
+async function askFields(rl, fields, screenData) {
+  const data = {};
+  for (const field of fields) {
+    const current = screenData[field];
+    const suggestion = current !== undefined ? ` [${typeof current === 'string' ? current : JSON.stringify(current)}]` : '';
+    const answer = (await rl.question(`  ${field}${suggestion}: `)).trim();
+
+    if (COMMANDS.includes(answer)) return answer;
+    if (answer) {
+      data[field] = parseValue(answer);
+    } else if (current !== undefined) {
+      data[field] = current;
+    }
+  }
+  return data;
+}
+
+async function run(args) {
+  const definition = flowRegistry.resolve(args.flowType, args.version);
+  const scans = scanDefinition(definition);
+  const client = new FlowClient({
+    url: args.url || process.env.FLOW_ENDPOINT_URL || 'http://localhost:7071/api/flow',
+    publicKey: loadPublicKey(args['public-key']),
+    flowType: args.flowType,
+    tenant: args.tenant,
+    flowToken: args['flow-token'] || issueFlowToken(args),
+    version: args.version,
+    appSecret: args['app-secret'] || process.env.APP_SECRET
+  });
+
+  console.log(`Simulando ${definition.key} em ${client.url} (flow_token ${client.flowToken})`);
+  console.log(`Comandos: ${COMMANDS.join(', ')}`);
+
+  const rl = createPrompt();
+  let response = await client.init();
+
+  try {
+    for (;;) {
+      printResponse(response);
+
+      if (response.screen === COMPLETION_SCREEN) {
+        console.log('Fluxo concluído (tela terminal SUCCESS).');
+        return 0;
+      }
+
+      const screen = response.screen;
+      const screenData = response.data || {};
+      const { handler, expects = [] } = scans[screen] || {};
+      const [next] = definition.screens[screen]?.next || [];
+
+      let input;
+      if (handler) {
+        console.log(`Campos de ${screen} (${handler}):`);
+        input = await askFields(rl, expects, screenData);
+      } else if (next) {
+        // Navegação no próprio cliente, sem data_exchange
+        input = (await rl.question(`Tela sem handler. Enter navega para ${next}: `)).trim();
+        if (!input) {
+          response = { screen: next, data: screenData };
+          continue;
+        }
+      } else {
+        input = (await rl.question('Tela sem handler nem navegação. Comando: ')).trim();
+      }
+
+      try {
+        if (input === ':quit') return 0;
+
+        if (input === ':back') {
+          response = await client.back(screen);
+        } else if (input === ':ping') {
+          printResponse(await client.ping());
+        } else if (input === ':error') {
+          const message = (await rl.question('  error_message: ')).trim();
+          printResponse(await client.notifyError(screen, 'INVALID_RESPONSE', message || 'Erro simulado'));
+        } else if (input === ':json') {
+          const json = await rl.question('  data (JSON): ');
+          response = await client.dataExchange(screen, JSON.parse(json));
+        } else if (typeof input === 'object') {
+          response = await client.dataExchange(screen, input);
+        } else {
+          console.log(`Comando desconhecido: ${input}`);
+        }
+      } catch (error) {
+        // Falha de uma requisição mantém a tela atual para nova tentativa
+        console.error(`Erro: ${error.message}`);
+        if (error.body) console.error(error.body);
+      }
+    }
+  } finally {
+    rl.close();
+  }
+}
+
+async function main(argv = process.argv.slice(2)) {
+  const args = parseArgs(argv);
+
+  if (!args.flowType || !flowRegistry.has(args.flowType)) {
+    console.error(`Uso: node src/simulateFlow.js <flowType> [--url <endpoint>] [--public-key <arquivo>] [--tenant <id>]
+Fluxos disponíveis: ${flowRegistry.listFlowTypes().join(', ')}`);
+    return 2;
+  }
+
+  try {
+    return await run(args);
+  } catch (error) {
+    console.error(`Erro: ${error.message}`);
+    if (error.body) console.error(error.body);
+    return 1;
+  }
+}
+
+// process.exit: os serviços carregados pelos controllers mantêm timers de limpeza ativos
+if (require.main === module) {
+  main().then(code => process.exit(code));
+}
+
+module.exports = {
+  main,
+  parseArgs,
+  askFields
+};
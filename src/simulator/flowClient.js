@@ -0,0 +1,186 @@
+// simulator/flowClient.js
+const crypto = require('crypto');
+const axios = require('axios');
+
+// Tamanhos usados pelo cliente do WhatsApp: chave AES-128, IV de 16 bytes e tag GCM de 16 bytes
+const AES_KEY_LENGTH = 16;
+const IV_LENGTH = 16;
+const TAG_LENGTH = 16;
+
+class SimulatorError extends Error {
+  constructor(message, status = null, body = null) {
+    super(message);
+    this.name = 'SimulatorError';
+    this.code = 'SIMULATOR_ERROR';
+    this.status = status;
+    this.body = body;
+  }
+}
+
+/**
+ * Criptografa o payload como o WhatsApp: AES-128-GCM com chave e IV aleatórios, e a chave AES
+ * criptografada com a chave pública do endpoint (RSA-OAEP com SHA-256).
+ *
+ * @param {Object} payload - { version, action, screen, data, flow_token }
+ * @param {string|crypto.KeyObject} publicKey - Chave pública (PEM) cadastrada na Meta
+ * @returns {{ body: Object, aesKey: Buffer, iv: Buffer }} Corpo da requisição e o material para
+ *   descriptografar a resposta.
+ */
+function encryptRequest(payload, publicKey) {
+  const aesKey = crypto.randomBytes(AES_KEY_LENGTH);
+  const iv = crypto.randomBytes(IV_LENGTH);
+
+  const cipher = crypto.createCipheriv('aes-128-gcm', aesKey, iv);
+  const encryptedFlowData = Buffer.concat([
+    cipher.update(JSON.stringify(payload), 'utf-8'),
+    cipher.final(),
+    cipher.getAuthTag()
+  ]);
+
+  const encryptedAesKey = crypto.publicEncrypt({
+    key: publicKey,
+    padding: crypto.constants.RSA_PKCS1_OAEP_PADDING,
+    oaepHash: 'sha256'
+  }, aesKey);
+
+  return {
+    body: {
+      encrypted_flow_data: encryptedFlowData.toString('base64'),
+      encrypted_aes_key: encryptedAesKey.toString('base64'),
+      initial_vector: iv.toString('base64')
+    },
+    aesKey,
+    iv
+  };
+}
+
+/**
+ * Descriptografa a resposta do endpoint com a chave AES da requisição e o IV invertido (bit a bit).
+ * @param {string} encrypted - Resposta em base64
+ * @param {Buffer} aesKey
+ * @param {Buffer} iv - IV enviado na requisição
+ * @returns {Object} Resposta ({ screen, data } ou { data })
+ */
+function decryptResponse(encrypted, aesKey, iv) {
+  const buffer = Buffer.from(encrypted, 'base64');
+  const flippedIv = Buffer.from(iv.map(byte => ~byte & 0xff));
+
+  const decipher = crypto.createDecipheriv('aes-128-gcm', aesKey, flippedIv);
+  decipher.setAuthTag(buffer.subarray(-TAG_LENGTH));
+
+  const json = Buffer.concat([
+    decipher.update(buffer.subarray(0, -TAG_LENGTH)),
+    decipher.final()
+  ]).toString('utf-8');
+
+  return JSON.parse(json);
+}
+
+/**
+ * Cliente que se comporta como o WhatsApp diante do endpoint do Flow (Express ou Azure Function).
+ *
+ * @example
+ * const client = new FlowClient({ url: 'http://localhost:7071/api/flow', publicKey, flowType: 'inss' });
+ * const init = await client.init();
+ * const next = await client.dataExchange(init.screen, { cpf: '12345678909' });
+ */
+class FlowClient {
+  /**
+   * @param {Object} options
+   * @param {string} options.url - URL do endpoint
+   * @param {string|crypto.KeyObject} options.publicKey - Chave pública do endpoint
+   * @param {string} [options.flowType] - Enviado em `?flow_name=`
+   * @param {string} [options.tenant] - Enviado em `?tenant=`
+   * @param {string} [options.flowToken] - Padrão: token aleatório
+   * @param {string} [options.version] - Versão da Data API enviada no payload
+   * @param {string} [options.appSecret] - Assina o corpo em x-hub-signature-256 (servidor Express)
+   * @param {number} [options.timeout] - Timeout das requisições em ms
+   */
+  constructor(options = {}) {
+    if (!options.url || !options.publicKey) {
+      throw new SimulatorError('Informe a URL do endpoint e a chave pública');
+    }
+
+    this.url = options.url;
+    this.publicKey = options.publicKey;
+    this.flowType = options.flowType;
+    this.tenant = options.tenant;
+    this.flowToken = options.flowToken || `simulador-${crypto.randomUUID()}`;
+    this.version = options.version || '3.0';
+    this.appSecret = options.appSecret;
+    this.timeout = options.timeout || 60000;
+  }
+
+  init() {
+    return this.send({ action: 'INIT' });
+  }
+
+  dataExchange(screen, data = {}) {
+    return this.send({ action: 'data_exchange', screen, data });
+  }
+
+  back(screen) {
+    return this.send({ action: 'BACK', screen, data: {} });
+  }
+
+  ping() {
+    return this.send({ action: 'ping' });
+  }
+
+  // Notificação de erro do cliente (resposta da tela rejeitada pelo dispositivo)
+  notifyError(screen, error, errorMessage) {
+    return this.send({ action: 'data_exchange', screen, data: { error, error_message: errorMessage } });
+  }
+
+  /**
+   * Criptografa e envia o payload; descriptografa a resposta.
+   * @param {Object} payload - { action, screen, data }
+   * @returns {Promise<Object>} Resposta descriptografada.
+   * @throws {SimulatorError} Status diferente de 200 ou resposta vazia.
+   */
+  async send(payload) {
+    const request = {
+      version: this.version,
+      ...payload,
+      ...(payload.action !== 'ping' && { flow_token: this.flowToken })
+    };
+    const { body, aesKey, iv } = encryptRequest(request, this.publicKey);
+    const raw = JSON.stringify(body);
+
+    const response = await axios.post(this.url, raw, {
+      params: {
+        ...(this.flowType && { flow_name: this.flowType }),
+        ...(this.tenant && { tenant: this.tenant })
+      },
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.appSecret && {
+          'x-hub-signature-256': `sha256=${crypto.createHmac('sha256', this.appSecret).update(raw).digest('hex')}`
+        })
+      },
+      timeout: this.timeout,
+      responseType: 'text',
+      validateStatus: () => true
+    });
+
+    if (response.status !== 200) {
+      throw new SimulatorError(`Endpoint respondeu ${response.status}`, response.status, response.data);
+    }
+    if (!response.data) {
+      throw new SimulatorError('Endpoint respondeu sem corpo (erro no processamento?)', response.status);
+    }
+
+    try {
+      return decryptResponse(String(response.data).trim(), aesKey, iv);
+    } catch (error) {
+      throw new SimulatorError(`Falha ao descriptografar a resposta: ${error.message}`, response.status, response.data);
+    }
+  }
+}
+
+module.exports = {
+  FlowClient,
+  SimulatorError,
+  encryptRequest,
+  decryptResponse
+};
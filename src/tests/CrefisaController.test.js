@@ -0,0 +1,86 @@
+// tests/CrefisaController.test.js
+jest.mock('../services/apiClient', () => ({
+  ...jest.requireActual('../services/apiClient'),
+  nextStage: jest.fn(),
+  validaCPF: jest.fn(),
+  registerDocument: jest.fn(),
+  uploadFiles: jest.fn()
+}));
+
+const { nextStage, validaCPF, registerDocument, uploadFiles } = require('../services/apiClient');
+const { flowRegistry } = require('../flows');
+const { FlowManager } = require('../flow');
+const { FlowTokenService } = require('../services/flowTokenService');
+
+describe('Fluxo Crefisa', () => {
+  const flowManager = new FlowManager(flowRegistry, {
+    middlewares: [],
+    tokens: new FlowTokenService({ secret: '' })
+  });
+  const controller = flowManager.controllers.crefisa;
+
+  const send = (action, screen, data, flow_token = 'token-crefisa') => flowManager.getNextScreen({
+    action,
+    screen,
+    version: '3.0',
+    flow_token,
+    data
+  }, 'crefisa');
+
+  beforeEach(() => {
+    jest.spyOn(controller.addressService, 'fetchCEPData').mockResolvedValue({
+      cep: '60110000',
+      street: 'Rua A',
+      neighborhood: 'Centro',
+      city: 'Fortaleza',
+      state: 'CE'
+    });
+    validaCPF.mockResolvedValue(true);
+    registerDocument.mockResolvedValue({});
+    uploadFiles.mockResolvedValue([{ id: 1 }, { id: 2 }]);
+  });
+
+  test('INIT, front e information até o endereço', async () => {
+    nextStage.mockResolvedValue({ id: 9, etapaFunil: 'qualificado', pedirInfos: ['documento'] });
+
+    await expect(send('INIT')).resolves.toMatchObject({ screen: 'front' });
+    await expect(send('data_exchange', 'front', { cpf: '12345678900' }))
+      .resolves.toMatchObject({ screen: 'information', data: { leadId: 9 } });
+    expect(nextStage).toHaveBeenCalledWith('12345678900', 'crefisa');
+
+    const information = await send('data_exchange', 'information', { nomeMae: 'Maria da Silva', cep: '60110000', numero: '123' });
+
+    expect(information).toMatchObject({ screen: 'address', data: { leadId: 9, state: 'CE' } });
+    expect(information.data.cepErro).toBeUndefined();
+    expect(registerDocument).toHaveBeenCalledWith(expect.objectContaining({ leadId: 9, nomeMae: 'Maria da Silva' }));
+  });
+
+  test('fotos do RG pendentes levam à tela de documento, que envia à pasta da Crefisa e conclui o fluxo', async () => {
+    nextStage.mockResolvedValue({ id: 9, etapaFunil: 'qualificado', pedirInfos: ['imagem-rg-frente', 'imagem-rg-verso'] });
+
+    await expect(send('data_exchange', 'front', { cpf: '12345678900' }, 'token-rg'))
+      .resolves.toMatchObject({ screen: 'documento_rg', data: { leadId: 9 } });
+
+    const rg = [{ file_name: 'frente.jpg' }, { file_name: 'verso.jpg' }];
+    const response = await send('data_exchange', 'documento_rg', { rg }, 'token-rg');
+
+    expect(uploadFiles).toHaveBeenCalledWith(
+      expect.objectContaining({ leadId: 9, rg, creditGroup: 'crefisa' }), true, 'crefisa-preset', 'crefisa'
+    );
+    expect(response.screen).toBe('SUCCESS');
+    expect(response.data.extension_message_response.params).toMatchObject({
+      flow_token: 'token-rg',
+      flowType: 'crefisa',
+      leadId: 9,
+      documentsSent: 2
+    });
+  });
+
+  test('falha no envio volta à tela de documento com o erro', async () => {
+    uploadFiles.mockRejectedValue(new Error('Nenhum arquivo fornecido para upload'));
+
+    const response = await send('data_exchange', 'documento_rg', { leadId: 9 });
+
+    expect(response.screen).toBe('documento_rg');
+  });
+});
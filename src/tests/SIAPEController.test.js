@@ -0,0 +1,85 @@
+// tests/SIAPEController.test.js
+jest.mock('../services/apiClient', () => ({
+  ...jest.requireActual('../services/apiClient'),
+  nextStage: jest.fn(),
+  validaCPF: jest.fn(),
+  registerDocument: jest.fn(),
+  registerAddress: jest.fn(),
+  registerAccount: jest.fn()
+}));
+
+const { nextStage, validaCPF, registerDocument, registerAddress, registerAccount } = require('../services/apiClient');
+const { flowRegistry } = require('../flows');
+const { FlowManager } = require('../flow');
+const { FlowTokenService } = require('../services/flowTokenService');
+
+describe('Fluxo SIAPE', () => {
+  const flowManager = new FlowManager(flowRegistry, {
+    middlewares: [],
+    tokens: new FlowTokenService({ secret: '' })
+  });
+  const controller = flowManager.controllers.siape;
+
+  const send = (action, screen, data) => flowManager.getNextScreen({
+    action,
+    screen,
+    version: '3.0',
+    flow_token: 'token-siape',
+    data
+  }, 'siape');
+
+  beforeEach(() => {
+    jest.spyOn(controller.addressService, 'fetchCEPData').mockResolvedValue({
+      cep: '60110000',
+      street: 'Rua A',
+      neighborhood: 'Centro',
+      city: 'Fortaleza',
+      state: 'CE'
+    });
+    validaCPF.mockResolvedValue(true);
+    registerDocument.mockResolvedValue({});
+    registerAddress.mockResolvedValue({});
+    registerAccount.mockResolvedValue({});
+    nextStage.mockResolvedValue({ id: 7, etapaFunil: 'qualificado', pedirInfos: ['documento'], oportunidades: [] });
+  });
+
+  test('INIT, front, information, address e account até a tela final', async () => {
+    await expect(send('INIT')).resolves.toMatchObject({ screen: 'front' });
+
+    await expect(send('data_exchange', 'front', { cpf: '12345678900' }))
+      .resolves.toMatchObject({ screen: 'information', data: { leadId: 7 } });
+    expect(nextStage).toHaveBeenCalledWith('12345678900', 'siape');
+
+    // leadId e creditGroup vêm da sessão do flow_token
+    const information = await send('data_exchange', 'information', { nomeMae: 'Maria da Silva', cep: '60110000', numero: '123' });
+    expect(information).toMatchObject({ screen: 'address', data: { leadId: 7, state: 'CE' } });
+    expect(information.data.cepErro).toBeUndefined();
+    expect(registerDocument).toHaveBeenCalledWith(expect.objectContaining({ leadId: 7, nomeMae: 'Maria da Silva', ufAgencia: 'CE' }));
+
+    await expect(send('data_exchange', 'address', {
+      cep: '60110-000',
+      endereco: 'Rua A',
+      numero: '123',
+      bairro: 'Centro',
+      cidade: 'Fortaleza',
+      uf: 'CE'
+    })).resolves.toMatchObject({ screen: 'account', data: { leadId: 7 } });
+
+    await expect(send('data_exchange', 'account', { agencia: '0001', conta: '12345', tipoConta: 'corrente', codigoBanco: '001' }))
+      .resolves.toMatchObject({ screen: 'warning', data: { leadId: 7 } });
+    expect(registerAccount).toHaveBeenCalledWith(expect.objectContaining({ leadId: 7, creditGroup: 'siape' }));
+  });
+
+  test('nome da mãe incompleto volta à tela information com o erro', async () => {
+    const response = await send('data_exchange', 'information', { leadId: 7, nomeMae: 'Maria', cep: '60110000' });
+
+    expect(response.screen).toBe('information');
+    expect(Object.values(response.data)).toContain('⚠️ Por favor, informe o nome completo');
+  });
+
+  test('o grupo de crédito da definição prevalece sobre o enviado pelo cliente', async () => {
+    await send('data_exchange', 'account', { leadId: 7, creditGroup: 'inss', agencia: '0001', conta: '1', tipoConta: 'corrente', codigoBanco: '001' });
+
+    expect(registerAccount).toHaveBeenCalledWith(expect.objectContaining({ creditGroup: 'siape' }));
+  });
+});
@@ -0,0 +1,47 @@
+// tests/baseController.test.js
+jest.mock('../services/apiClient', () => ({
+  ...jest.requireActual('../services/apiClient'),
+  nextStage: jest.fn()
+}));
+
+const { nextStage } = require('../services/apiClient');
+const { flowRegistry } = require('../flows');
+
+const lead = {
+  id: 7,
+  pedirInfos: [],
+  oportunidades: [{ id: 1, valor: 100 }, { id: 2, valor: 250 }]
+};
+
+describe('BaseController.handleOpportunitiesScreen', () => {
+  const controller = flowRegistry.createControllers()['gov-ce'];
+  const complete = (data) => controller.handleOpportunitiesScreen(
+    { leadId: 7, cpf: '12345678900', creditGroup: 'gov-ce', ...data }, 'token', '3.0'
+  );
+
+  beforeEach(() => nextStage.mockResolvedValue(lead));
+
+  test('conclui com a oportunidade escolhida na tela', async () => {
+    const { screen, data } = await complete({ oportunidade: '2' });
+
+    expect(screen).toBe('SUCCESS');
+    expect(data.extension_message_response.params).toMatchObject({
+      flow_token: 'token',
+      leadId: 7,
+      opportunityId: 2,
+      opportunityValue: 250
+    });
+  });
+
+  test('multiselect: conclui com a lista de oportunidades escolhidas', async () => {
+    const { data } = await complete({ oportunidade: ['1', '2'] });
+
+    expect(data.extension_message_response.params).toMatchObject({ opportunityId: [1, 2], opportunityValue: 350 });
+  });
+
+  test('sem seleção e com várias oportunidades, nenhuma é presumida', async () => {
+    const { data } = await complete({});
+
+    expect(data.extension_message_response.params).toMatchObject({ opportunityId: null, opportunityValue: null });
+  });
+});
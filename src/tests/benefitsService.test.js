@@ -0,0 +1,89 @@
+// tests/benefitsService.test.js
+const { BenefitsService } = require('../services/benefitsService');
+const { circuitBreakers } = require('../services/circuitBreakers');
+const { requestContext, RequestAbortedError } = require('../utils/requestContext');
+
+const beneficio = { id: 1, valor: 600 };
+
+// Resposta do adapter do axios: o cliente HTTP real monta a requisição, sem sair da máquina
+const respond = (data, status = 200) => async (config) => {
+  if (status >= 400) {
+    const error = new Error(`Request failed with status code ${status}`);
+    error.config = config;
+    error.response = { status, data, headers: {}, config };
+    throw error;
+  }
+  return { data, status, statusText: 'OK', headers: {}, config };
+};
+
+// Requisição pendente até o cancelamento, como o adapter http do axios
+const pending = (config) => new Promise((resolve, reject) => {
+  config.signal.addEventListener('abort', () => {
+    reject(Object.assign(new Error('canceled'), { name: 'CanceledError', code: 'ERR_CANCELED', config }));
+  }, { once: true });
+});
+
+describe('BenefitsService', () => {
+  let service;
+  let adapter;
+  beforeEach(() => {
+    service = new BenefitsService();
+    adapter = jest.fn(respond([beneficio]));
+    service.client.defaults.adapter = adapter;
+    circuitBreakers.get('transparencia').reset();
+  });
+
+  test('consulta por CPF no Portal da Transparência com a chave e os parâmetros do período', async () => {
+    await expect(service.consultarCPF('123.456.789-00')).resolves.toEqual([beneficio]);
+
+    const [config] = adapter.mock.calls[0];
+    expect(config.baseURL).toBe('https://api.portaldatransparencia.gov.br/api-de-dados');
+    expect(config.url).toBe('/bolsa-familia-disponivel-por-cpf-ou-nis');
+    expect(config.method).toBe('get');
+    expect(config.params).toEqual({ anoMesCompetencia: '202106', pagina: 1, codigo: '12345678900' });
+    expect(config.headers).toHaveProperty('chave-api-dados');
+  });
+
+  test('resultado em cache não repete a consulta', async () => {
+    await service.consultarCPF('12345678900');
+    await service.consultarCPF('12345678900');
+
+    expect(adapter).toHaveBeenCalledTimes(1);
+  });
+
+  test('portal fora do ar abre o circuito e interrompe os demais períodos', async () => {
+    adapter.mockImplementation(respond({}, 503));
+
+    await expect(service.consultarCPF('12345678900')).resolves.toEqual([]);
+
+    // failureThreshold 3: as demais consultas não chegam ao portal
+    expect(adapter).toHaveBeenCalledTimes(3);
+    expect(circuitBreakers.get('transparencia').state).toBe('OPEN');
+  });
+
+  test('o signal cancela a consulta em andamento e os demais períodos', async () => {
+    adapter.mockImplementation(pending);
+    const controller = new AbortController();
+
+    const consulta = service.consultarNIS('12345678919', { signal: controller.signal });
+    await new Promise(resolve => setImmediate(resolve));
+    controller.abort(new RequestAbortedError('Tempo da requisição esgotado'));
+
+    await expect(consulta).rejects.toBeInstanceOf(RequestAbortedError);
+    expect(adapter).toHaveBeenCalledTimes(1);
+    expect(adapter.mock.calls[0][0].signal).toBe(controller.signal);
+    expect(circuitBreakers.get('transparencia').state).toBe('CLOSED');
+  });
+
+  test('sem signal explícito, usa o signal da requisição atual', async () => {
+    adapter.mockImplementation(pending);
+    const controller = new AbortController();
+
+    const consulta = requestContext.run({ signal: controller.signal }, () => service.consultarCPF('12345678900'));
+    await new Promise(resolve => setImmediate(resolve));
+    controller.abort(new RequestAbortedError('Tempo da requisição esgotado'));
+
+    await expect(consulta).rejects.toBeInstanceOf(RequestAbortedError);
+    expect(adapter.mock.calls[0][0].signal).toBe(controller.signal);
+  });
+});
@@ -0,0 +1,150 @@
+// tests/circuitBreakers.test.js
+const { CircuitBreakerRegistry } = require('../utils/circuitBreaker');
+const {
+  createCircuitBreakers,
+  dependencyForUrl,
+  circuitName,
+  isDependencyFailure,
+  CircuitBreakerError
+} = require('../services/circuitBreakers');
+const { CONFIG } = require('../config/constants');
+
+const failure = (status) => Object.assign(new Error(`HTTP ${status}`), { response: { status } });
+
+// Abre o circuito da dependência com falhas consecutivas
+const trip = async (registry, name, times) => {
+  for (let i = 0; i < times; i++) {
+    await registry.execute(name, () => Promise.reject(failure(503))).catch(() => {});
+  }
+};
+
+describe('CircuitBreakerRegistry', () => {
+  test('falhas de uma dependência não abrem o circuito das demais', async () => {
+    const registry = new CircuitBreakerRegistry({ crm: { failureThreshold: 2 }, n8n: { failureThreshold: 2 } });
+
+    await trip(registry, 'crm', 2);
+
+    await expect(registry.execute('crm', async () => 'ok')).rejects.toBeInstanceOf(CircuitBreakerError);
+    await expect(registry.execute('n8n', async () => 'ok')).resolves.toBe('ok');
+    expect(registry.getStates()).toMatchObject({ crm: { state: 'OPEN' }, n8n: { state: 'CLOSED' } });
+    expect(registry.hasOpenCircuit()).toBe(true);
+  });
+
+  test('após o resetTimeout passa a HALF_OPEN e fecha com successThreshold sucessos', async () => {
+    const onStateChange = jest.fn();
+    const registry = new CircuitBreakerRegistry(
+      { crm: { failureThreshold: 1, resetTimeout: 1000, successThreshold: 2 } },
+      { onStateChange }
+    );
+    const now = jest.spyOn(Date, 'now').mockReturnValue(0);
+
+    try {
+      await trip(registry, 'crm', 1);
+      now.mockReturnValue(1000);
+
+      await registry.execute('crm', async () => 'ok');
+      expect(registry.get('crm').state).toBe('HALF_OPEN');
+      await registry.execute('crm', async () => 'ok');
+      expect(registry.get('crm').state).toBe('CLOSED');
+    } finally {
+      now.mockRestore();
+    }
+
+    expect(onStateChange.mock.calls.map(([name, from, to]) => [name, from, to])).toEqual([
+      ['crm', 'CLOSED', 'OPEN'],
+      ['crm', 'OPEN', 'HALF_OPEN'],
+      ['crm', 'HALF_OPEN', 'CLOSED']
+    ]);
+  });
+
+  test('falha em HALF_OPEN reabre o circuito', async () => {
+    const registry = new CircuitBreakerRegistry({ crm: { failureThreshold: 3, resetTimeout: 1000 } });
+    const now = jest.spyOn(Date, 'now').mockReturnValue(0);
+
+    try {
+      await trip(registry, 'crm', 3);
+      now.mockReturnValue(1000);
+      await trip(registry, 'crm', 1);
+    } finally {
+      now.mockRestore();
+    }
+
+    expect(registry.get('crm').state).toBe('OPEN');
+  });
+
+  test('aplica o fallback configurado com o circuito aberto', async () => {
+    const registry = new CircuitBreakerRegistry({
+      valor: { failureThreshold: 1, fallback: 'value', fallbackValue: [] },
+      funcao: { failureThreshold: 1, fallback: error => ({ indisponivel: error.dependency }) }
+    });
+
+    await trip(registry, 'valor', 1);
+    await trip(registry, 'funcao', 1);
+
+    await expect(registry.execute('valor', jest.fn())).resolves.toEqual([]);
+    await expect(registry.execute('funcao', jest.fn())).resolves.toEqual({ indisponivel: 'funcao' });
+  });
+
+  test('erros que não são falha da dependência não contam para abrir o circuito', async () => {
+    const registry = new CircuitBreakerRegistry({ crm: { failureThreshold: 1 } }, { isFailure: isDependencyFailure });
+
+    await registry.execute('crm', () => Promise.reject(failure(404))).catch(() => {});
+
+    expect(registry.get('crm').state).toBe('CLOSED');
+  });
+});
+
+describe('circuit breakers das dependências', () => {
+  test('isDependencyFailure considera rede, 5xx e 429, mas não 4xx, cancelamento nem erros locais', () => {
+    expect(isDependencyFailure(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }))).toBe(true);
+    expect(isDependencyFailure(Object.assign(new Error('Network Error'), { code: 'ERR_NETWORK' }))).toBe(true);
+    expect(isDependencyFailure(failure(502))).toBe(true);
+    expect(isDependencyFailure(failure(429))).toBe(true);
+    expect(isDependencyFailure(failure(400))).toBe(false);
+    expect(isDependencyFailure(Object.assign(new Error('canceled'), { code: 'ERR_CANCELED' }))).toBe(false);
+    expect(isDependencyFailure(new TypeError('this.get is not a function'))).toBe(false);
+    expect(isDependencyFailure(new ReferenceError('x is not defined'))).toBe(false);
+  });
+
+  test('erros de programação não abrem o circuito', async () => {
+    const registry = createCircuitBreakers();
+
+    for (let i = 0; i < 5; i++) {
+      await registry.execute('transparencia', () => Promise.reject(new TypeError('falha local'))).catch(() => {});
+    }
+
+    expect(registry.get('transparencia').state).toBe('CLOSED');
+  });
+
+  test('dependencyForUrl identifica o destino e usa o CRM para as demais URLs', () => {
+    expect(dependencyForUrl('https://www.4devs.com.br/ferramentas_online.php')).toBe('4devs');
+    expect(dependencyForUrl('https://brasilapi.com.br/api/cep/v2/01001000')).toBe('brasilapi');
+    expect(dependencyForUrl('https://crm.exemplo.com/leads/1')).toBe('crm');
+  });
+
+  test('CRM e Cloudinary têm um circuito por tenant', async () => {
+    const registry = createCircuitBreakers();
+
+    expect(circuitName('crm', 'parceiro')).toBe('crm:parceiro');
+    expect(circuitName('cloudinary', 'parceiro')).toBe('cloudinary:parceiro');
+    expect(circuitName('crm', CONFIG.TENANTS.DEFAULT)).toBe('crm');
+    expect(circuitName('4devs', 'parceiro')).toBe('4devs');
+
+    await trip(registry, circuitName('crm', 'parceiro'), CONFIG.CIRCUIT_BREAKER.DEPENDENCIES.crm.failureThreshold);
+
+    expect(registry.get('crm:parceiro')).toMatchObject({ state: 'OPEN', resetTimeout: 30000 });
+    await expect(registry.execute(circuitName('crm', 'outro'), async () => 'ok')).resolves.toBe('ok');
+    await expect(registry.execute('crm', async () => 'ok')).resolves.toBe('ok');
+  });
+
+  test('validador de CPF com circuito aberto falha fechado', async () => {
+    const registry = createCircuitBreakers();
+
+    await trip(registry, '4devs', CONFIG.CIRCUIT_BREAKER.DEPENDENCIES['4devs'].failureThreshold);
+
+    await expect(registry.execute('4devs', async () => true)).rejects.toMatchObject({
+      code: 'CIRCUIT_OPEN',
+      dependency: '4devs'
+    });
+  });
+});
@@ -0,0 +1,136 @@
+// tests/experimentService.test.js
+const { ExperimentService, ExperimentError, bucketOf } = require('../services/experimentService');
+const { SessionStore } = require('../services/sessionStore');
+const { MemoryStorage } = require('../services/storage');
+const { requestContext } = require('../utils/requestContext');
+const { telemetry } = require('../services/telemetryService');
+
+const experiment = (overrides = {}) => ({
+  id: 'ordem-telas',
+  flowTypes: ['inss'],
+  variants: [
+    { name: 'controle', weight: 50 },
+    {
+      name: 'conta-primeiro',
+      weight: 50,
+      priority: ['conta', 'endereco'],
+      next: { warning: 'status' },
+      data: { status: { banner: 'novo' } },
+      copy: { 'status.analise.title': 'Falta pouco, {nome}!' }
+    }
+  ],
+  ...overrides
+});
+
+// flow_token atribuído à variante informada
+const tokenFor = (service, experimentId, variantName) => {
+  const { variants } = service.experiments.get(experimentId);
+  for (let i = 0; ; i++) {
+    const token = `token-${i}`;
+    if (service.pickVariant({ id: experimentId, variants }, token).name === variantName) return token;
+  }
+};
+
+describe('ExperimentService', () => {
+  let store;
+  let service;
+  beforeEach(() => {
+    store = new SessionStore(new MemoryStorage());
+    service = new ExperimentService([experiment()], { store, enabled: true, disabled: [] });
+    jest.spyOn(telemetry, 'trackCustomEvent').mockImplementation(() => {});
+  });
+
+  describe('atribuição', () => {
+    test('é determinística pelo hash do experimento + flow_token', () => {
+      const definition = experiment();
+
+      expect(bucketOf('ordem-telas', 'token-1')).toBe(bucketOf('ordem-telas', 'token-1'));
+      expect(service.pickVariant(definition, 'token-1')).toBe(service.pickVariant(definition, 'token-1'));
+
+      const tokens = Array.from({ length: 400 }, (_, i) => `token-${i}`);
+      const share = tokens.filter(token => service.pickVariant(definition, token).name === 'controle').length / tokens.length;
+      expect(share).toBeGreaterThan(0.4);
+      expect(share).toBeLessThan(0.6);
+    });
+
+    test('variante com peso zero não recebe flow_tokens', () => {
+      const definition = experiment({ variants: [{ name: 'controle', weight: 0 }, { name: 'b', weight: 1 }] });
+
+      ['a', 'b', 'c', 'd', 'e'].forEach(token => {
+        expect(service.pickVariant(definition, token).name).toBe('b');
+      });
+    });
+
+    test('fica salva na sessão e não muda quando os pesos mudam', async () => {
+      const token = tokenFor(service, 'ordem-telas', 'conta-primeiro');
+
+      await expect(service.assign('inss', token)).resolves.toEqual({ 'ordem-telas': 'conta-primeiro' });
+      expect((await store.get(token)).experiments).toEqual({ 'ordem-telas': 'conta-primeiro' });
+      expect(telemetry.trackCustomEvent).toHaveBeenCalledWith('ExperimentAssignment', {
+        flowType: 'inss',
+        flow_token: token,
+        experiment: 'ordem-telas',
+        variant: 'conta-primeiro'
+      });
+
+      service.experiments.get('ordem-telas').variants[1].weight = 0;
+      telemetry.trackCustomEvent.mockClear();
+
+      await expect(service.assign('inss', token)).resolves.toEqual({ 'ordem-telas': 'conta-primeiro' });
+      expect(telemetry.trackCustomEvent).not.toHaveBeenCalled();
+    });
+
+    test('fluxos fora do experimento, experimentos desligados e falha na sessão', async () => {
+      await expect(service.assign('fgts', 'token-1')).resolves.toEqual({});
+
+      const disabled = new ExperimentService([experiment()], { store, enabled: true, disabled: ['ordem-telas'] });
+      await expect(disabled.assign('inss', 'token-1')).resolves.toEqual({});
+
+      jest.spyOn(store, 'get').mockRejectedValue(new Error('redis fora'));
+      jest.spyOn(store, 'update').mockRejectedValue(new Error('redis fora'));
+      await expect(service.assign('inss', 'token-1')).resolves.toHaveProperty('ordem-telas');
+    });
+  });
+
+  describe('sobrescritas', () => {
+    const controle = { 'ordem-telas': 'controle' };
+    const variante = { 'ordem-telas': 'conta-primeiro' };
+
+    test('priority reordena as chaves de pedirInfos, mantendo as não listadas ao final', () => {
+      const defaultPriority = ['documento', 'endereco', 'conta'];
+
+      expect(service.priority(defaultPriority, controle)).toBe(defaultPriority);
+      expect(service.priority(defaultPriority, variante)).toEqual(['conta', 'endereco', 'documento']);
+    });
+
+    test('next troca a tela retornada e data é mesclado ao data da nova tela', () => {
+      const response = { screen: 'warning', data: { leadId: 1 } };
+
+      expect(service.applyToResponse(response, controle)).toBe(response);
+      expect(service.applyToResponse(response, variante)).toEqual({ screen: 'status', data: { leadId: 1, banner: 'novo' } });
+      expect(response).toEqual({ screen: 'warning', data: { leadId: 1 } });
+    });
+
+    test('copy substitui o texto e preenche os placeholders', () => {
+      expect(service.text('status.analise.title', 'Analisando', { nome: 'Ana' }, controle)).toBe('Analisando');
+      expect(service.text('status.analise.title', 'Analisando', { nome: 'Ana' }, variante)).toBe('Falta pouco, Ana!');
+      expect(service.text('status.analise.title', 'Analisando', {}, variante)).toBe('Falta pouco, {nome}!');
+    });
+
+    test('sem atribuições explícitas usa as da requisição atual (requestContext)', () => {
+      const title = requestContext.run({ experiments: variante }, () => service.text('status.analise.title', 'Analisando', { nome: 'Ana' }));
+
+      expect(title).toBe('Falta pouco, Ana!');
+      expect(service.text('status.analise.title', 'Analisando')).toBe('Analisando');
+    });
+  });
+
+  test('recusa definições inválidas', () => {
+    expect(() => service.register(experiment())).toThrow(/duplicado/);
+    expect(() => service.register(experiment({ id: 'x', variants: [{ name: 'a', weight: 1 }] }))).toThrow(ExperimentError);
+    expect(() => service.register(experiment({ id: 'x', variants: [{ name: 'a', weight: 0 }, { name: 'b', weight: 0 }] })))
+      .toThrow(/soma dos pesos/);
+    expect(() => service.register(experiment({ id: 'x', variants: [{ name: 'a', weight: 1, next: ['b'] }, { name: 'b', weight: 1 }] })))
+      .toThrow(/next da variante a deve ser um objeto/);
+  });
+});
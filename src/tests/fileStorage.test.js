@@ -0,0 +1,57 @@
+// tests/fileStorage.test.js
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { FileStorage } = require('../services/storage');
+
+describe('FileStorage', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'file-storage-'));
+  });
+
+  afterEach(() => fs.rm(dir, { recursive: true, force: true }));
+
+  test('escritas concorrentes na mesma chave não colidem no arquivo temporário', async () => {
+    const storage = new FileStorage({ dir: path.join(dir, 'sessions') });
+
+    await Promise.all(Array.from({ length: 20 }, (_, i) => storage.set('flow-token', { i })));
+
+    expect((await storage.get('flow-token')).i).toEqual(expect.any(Number));
+    expect((await fs.readdir(path.join(dir, 'sessions'))).filter(file => file.endsWith('.tmp'))).toEqual([]);
+  });
+
+  test('entrada expirada é removida na leitura', async () => {
+    const storage = new FileStorage({ dir });
+
+    await storage.set('chave', 'valor', 1);
+    await new Promise(resolve => setTimeout(resolve, 5));
+
+    expect(await storage.get('chave')).toBeNull();
+    expect(await storage.size()).toBe(0);
+  });
+
+  test('setIfAbsent grava uma única vez e substitui entrada expirada', async () => {
+    const storage = new FileStorage({ dir });
+
+    const results = await Promise.all(Array.from({ length: 5 }, (_, i) => storage.setIfAbsent('chave', i, 100)));
+    expect(results.filter(Boolean)).toHaveLength(1);
+
+    await new Promise(resolve => setTimeout(resolve, 110));
+    expect(await storage.setIfAbsent('chave', 'novo')).toBe(true);
+    expect(await storage.get('chave')).toBe('novo');
+  });
+
+  test('falha ao criar o diretório rejeita a operação e é tentada de novo', async () => {
+    const blocker = path.join(dir, 'arquivo');
+    await fs.writeFile(blocker, '');
+    const storage = new FileStorage({ dir: path.join(blocker, 'sessions') });
+
+    await expect(storage.get('chave')).rejects.toMatchObject({ code: expect.stringMatching(/ENOTDIR|EEXIST/) });
+
+    await fs.rm(blocker);
+    await storage.set('chave', 'valor');
+    expect(await storage.get('chave')).toBe('valor');
+  });
+});
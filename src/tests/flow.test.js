@@ -0,0 +1,81 @@
+// tests/flow.test.js
+const BaseController = require('../controllers/baseController');
+const { FlowRegistry } = require('../flows');
+const { FlowManager } = require('../flow');
+const { middlewares } = require('../pipeline/middlewares');
+const { FlowTokenService } = require('../services/flowTokenService');
+const { sessionStore } = require('../services/sessionStore');
+
+class CatalogoController extends BaseController {
+  async handleStartScreen(data, flow_token, version) {
+    await sessionStore.update(flow_token, { leadId: 5 });
+    return this.createResponse('lista', { itens: ['a'] }, { flow_token, version });
+  }
+
+  async handleListaScreen(data, flow_token, version) {
+    return this.createResponse('detalhe', { item: data.item }, { flow_token, version });
+  }
+
+  async refreshListaScreen(data, flow_token, version) {
+    return this.createResponse('lista', { itens: ['a', 'b'], leadId: data.leadId }, { flow_token, version });
+  }
+}
+
+describe('FlowManager: ação BACK', () => {
+  const registry = new FlowRegistry().register({
+    flowType: 'catalogo',
+    controller: CatalogoController,
+    initialScreen: 'start',
+    screens: {
+      start: { handler: 'handleStartScreen' },
+      lista: { handler: 'handleListaScreen', refresh: 'refreshListaScreen' },
+      detalhe: { terminal: true }
+    }
+  });
+  const flowManager = new FlowManager(registry, {
+    middlewares: [middlewares.history()],
+    tokens: new FlowTokenService({ secret: '' })
+  });
+  const controller = flowManager.controllers.catalogo;
+
+  const send = (flow_token, action, screen, data) => flowManager.getNextScreen({
+    action,
+    screen,
+    version: '3.0',
+    flow_token,
+    data
+  }, 'catalogo');
+
+  test('volta à tela anterior do histórico com os dados exibidos', async () => {
+    await send('token-voltar', 'INIT');
+    await send('token-voltar', 'data_exchange', 'start', {});
+
+    const response = await send('token-voltar', 'BACK', 'lista');
+
+    expect(response).toMatchObject({ screen: 'start', data: { message: 'Inicialização bem-sucedida' } });
+  });
+
+  test('tela com refresh é reconstruída pelo handler com o contexto da sessão', async () => {
+    const refresh = jest.spyOn(controller, 'refreshListaScreen');
+
+    await send('token-refresh', 'INIT');
+    await send('token-refresh', 'data_exchange', 'start', {});
+    await send('token-refresh', 'data_exchange', 'lista', { item: 'a' });
+
+    const response = await send('token-refresh', 'BACK', 'detalhe');
+
+    expect(refresh).toHaveBeenCalledWith(
+      expect.objectContaining({ itens: ['a'], leadId: 5 }), 'token-refresh', '3.0', expect.any(Object)
+    );
+    expect(response).toMatchObject({ screen: 'lista', data: { itens: ['a', 'b'], leadId: 5 } });
+
+    // A tela reconstruída passa a ser o topo: um novo BACK volta ao início
+    await expect(send('token-refresh', 'BACK', 'lista')).resolves.toMatchObject({ screen: 'start' });
+  });
+
+  test('histórico vazio volta à tela inicial', async () => {
+    const response = await send('token-sem-historico', 'BACK', 'lista');
+
+    expect(response).toMatchObject({ screen: 'start', data: {} });
+  });
+});
@@ -0,0 +1,56 @@
+// tests/flowClient.test.js
+const crypto = require('crypto');
+const { encryptRequest, decryptResponse } = require('../simulator/flowClient');
+const { decryptRequest, encryptResponse } = require('../encryption');
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', {
+  modulusLength: 2048,
+  publicKeyEncoding: { type: 'spki', format: 'pem' },
+  privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+});
+
+describe('criptografia do simulador', () => {
+  const payload = {
+    version: '3.0',
+    action: 'data_exchange',
+    screen: 'front',
+    flow_token: 'simulador-1',
+    data: { cpf: '12345678909', nome: 'José Conceição' }
+  };
+
+  test('o endpoint descriptografa a requisição e o simulador lê a resposta com o IV invertido', () => {
+    const { body, aesKey, iv } = encryptRequest(payload, publicKey);
+
+    const { decryptedBody, aesKeyBuffer, initialVectorBuffer } = decryptRequest(body, privateKey);
+    expect(decryptedBody).toEqual(payload);
+    expect(aesKeyBuffer.equals(aesKey)).toBe(true);
+    expect(initialVectorBuffer.equals(iv)).toBe(true);
+
+    const response = { screen: 'information', data: { leadId: 7, mensagem: 'Olá, José' } };
+    const encrypted = encryptResponse(response, aesKeyBuffer, initialVectorBuffer);
+
+    expect(decryptResponse(encrypted, aesKey, iv)).toEqual(response);
+  });
+
+  test('cada requisição usa chave AES e IV novos', () => {
+    const first = encryptRequest(payload, publicKey);
+    const second = encryptRequest(payload, publicKey);
+
+    expect(first.aesKey.equals(second.aesKey)).toBe(false);
+    expect(first.iv.equals(second.iv)).toBe(false);
+    expect(first.body.encrypted_flow_data).not.toBe(second.body.encrypted_flow_data);
+  });
+
+  test('resposta criptografada com o IV da requisição (sem inverter) é recusada', () => {
+    const { aesKey, iv } = encryptRequest(payload, publicKey);
+
+    const cipher = crypto.createCipheriv('aes-128-gcm', aesKey, iv);
+    const encrypted = Buffer.concat([
+      cipher.update(JSON.stringify({ data: {} }), 'utf-8'),
+      cipher.final(),
+      cipher.getAuthTag()
+    ]).toString('base64');
+
+    expect(() => decryptResponse(encrypted, aesKey, iv)).toThrow();
+  });
+});
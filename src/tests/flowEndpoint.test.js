@@ -0,0 +1,191 @@
+// tests/flowEndpoint.test.js
+const http = require('http');
+const crypto = require('crypto');
+const express = require('express');
+const { HttpRequest } = require('@azure/functions');
+const {
+  FlowEndpoint,
+  createExpressHandler,
+  createAzureV3Handler,
+  createAzureV4Handler
+} = require('../endpoint');
+const { FlowManager } = require('../flow');
+const { flowRegistry } = require('../flows');
+const { RateLimiter, MemoryRateLimitStore } = require('../services/rateLimit');
+const { FlowTokenService } = require('../services/flowTokenService');
+const { encryptRequest, decryptResponse } = require('../simulator/flowClient');
+
+const APP_SECRET = 'app-secret-de-teste';
+const FLOW_TYPE = 'inss';
+
+const newKeyPair = () => crypto.generateKeyPairSync('rsa', {
+  modulusLength: 2048,
+  publicKeyEncoding: { type: 'spki', format: 'pem' },
+  privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+});
+
+const { publicKey, privateKey } = newKeyPair();
+const tokens = new FlowTokenService({ secret: 'segredo-dos-tokens' });
+const flowManager = new FlowManager(flowRegistry, { tokens });
+
+const lowerCaseHeaders = (headers = {}) =>
+  Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+
+const sign = (rawBody, secret = APP_SECRET) =>
+  `sha256=${crypto.createHmac('sha256', secret).update(rawBody).digest('hex')}`;
+
+// Requisição como o WhatsApp a envia: payload criptografado e corpo assinado com o App Secret
+function flowRequest(payload, { key = publicKey, secret = APP_SECRET } = {}) {
+  const { body, aesKey, iv } = encryptRequest(payload, key);
+  const rawBody = JSON.stringify(body);
+  return { rawBody, aesKey, iv, headers: { 'x-hub-signature-256': sign(rawBody, secret) } };
+}
+
+// Cada transporte recebe { rawBody, headers, query, ip } e devolve { status, headers, body }
+const transports = [
+  ['Express', (getEndpoint) => {
+    let server;
+    let baseUrl;
+    return {
+      async start() {
+        const app = express();
+        app.set('trust proxy', true);
+        app.use(express.json({
+          verify: (req, res, buf, encoding) => {
+            req.rawBody = buf?.toString(encoding || 'utf8');
+          }
+        }));
+        app.post('/', (req, res) => createExpressHandler(getEndpoint())(req, res));
+        await new Promise(resolve => {
+          server = app.listen(0, '127.0.0.1', resolve);
+        });
+        baseUrl = `http://127.0.0.1:${server.address().port}/`;
+      },
+      stop: () => new Promise(resolve => server.close(resolve)),
+      // http.request em vez de fetch: o undici repete automaticamente requisições respondidas com 421
+      send({ rawBody, headers, query, ip }) {
+        return new Promise((resolve, reject) => {
+          const request = http.request(`${baseUrl}?${new URLSearchParams(query)}`, {
+            method: 'POST',
+            headers: { 'content-type': 'application/json', 'x-forwarded-for': ip, ...headers }
+          }, (response) => {
+            let body = '';
+            response.setEncoding('utf8');
+            response.on('data', chunk => { body += chunk; });
+            response.on('end', () => resolve({ status: response.statusCode, headers: response.headers, body }));
+          });
+          request.on('error', reject);
+          request.end(rawBody);
+        });
+      }
+    };
+  }],
+  ['Azure Functions v3', (getEndpoint) => ({
+    async send({ rawBody, headers, query, ip }) {
+      const context = { bindingData: {} };
+      await createAzureV3Handler(getEndpoint())(context, {
+        method: 'POST',
+        body: JSON.parse(rawBody),
+        rawBody,
+        headers: { 'x-forwarded-for': ip, ...headers },
+        query
+      });
+      return { ...context.res, headers: lowerCaseHeaders(context.res.headers) };
+    }
+  })],
+  ['Azure Functions v4', (getEndpoint) => ({
+    async send({ rawBody, headers, query, ip }) {
+      const request = new HttpRequest({
+        method: 'POST',
+        url: `http://localhost/api/flow?${new URLSearchParams(query)}`,
+        body: { string: rawBody },
+        headers: { 'x-forwarded-for': ip, ...headers }
+      });
+      const response = await createAzureV4Handler(getEndpoint())(request);
+      return { ...response, headers: lowerCaseHeaders(response.headers) };
+    }
+  })]
+];
+
+describe.each(transports)('endpoint do Flow via %s', (name, createTransport) => {
+  let endpoint;
+  const transport = createTransport(() => endpoint);
+  const query = { flow_name: FLOW_TYPE };
+
+  beforeAll(() => transport.start?.());
+  afterAll(() => transport.stop?.());
+
+  beforeEach(() => {
+    endpoint = new FlowEndpoint({
+      flowManager,
+      privateKey,
+      appSecret: APP_SECRET,
+      rateLimiter: new RateLimiter(new MemoryRateLimitStore({ maxKeys: 100 }), {
+        ip: { strategy: 'sliding-window', limit: 1, window: 60000 }
+      })
+    });
+  });
+
+  const initPayload = (flowToken) => ({ version: '3.0', action: 'INIT', flow_token: flowToken });
+
+  test('200: resposta criptografada com o IV invertido', async () => {
+    const flowToken = tokens.issue({ flowType: FLOW_TYPE, waId: '5585900000000' });
+    const { rawBody, headers, aesKey, iv } = flowRequest(initPayload(flowToken));
+
+    const response = await transport.send({ rawBody, headers, query, ip: '10.0.0.1' });
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toMatch(/^text\/plain/);
+    expect(decryptResponse(response.body, aesKey, iv)).toMatchObject({
+      screen: flowRegistry.resolve(FLOW_TYPE).initialScreen
+    });
+  });
+
+  test('421: chave AES criptografada com outra chave pública', async () => {
+    const flowToken = tokens.issue({ flowType: FLOW_TYPE, waId: '5585900000000' });
+    const { rawBody, headers } = flowRequest(initPayload(flowToken), { key: newKeyPair().publicKey });
+
+    const response = await transport.send({ rawBody, headers, query, ip: '10.0.0.2' });
+
+    expect(response.status).toBe(421);
+  });
+
+  test('427: flow_token forjado', async () => {
+    const forged = tokens.issue({ flowType: FLOW_TYPE, waId: '5585900000000' }).replace(/.$/, c => (c === 'A' ? 'B' : 'A'));
+    const { rawBody, headers } = flowRequest(initPayload(forged));
+
+    const response = await transport.send({ rawBody, headers, query, ip: '10.0.0.3' });
+
+    expect(response.status).toBe(427);
+  });
+
+  test('432: assinatura com outro App Secret', async () => {
+    const { rawBody, headers } = flowRequest(initPayload('qualquer'), { secret: 'outro-segredo' });
+
+    const response = await transport.send({ rawBody, headers, query, ip: '10.0.0.4' });
+
+    expect(response.status).toBe(432);
+    expect(JSON.parse(response.body)).toMatchObject({ code: 'INVALID_SIGNATURE' });
+  });
+
+  test('429: limite por IP excedido, com Retry-After', async () => {
+    const request = () => {
+      const { rawBody, headers } = flowRequest({ version: '3.0', action: 'ping' });
+      return transport.send({ rawBody, headers, query, ip: '10.0.0.5' });
+    };
+
+    expect((await request()).status).toBe(200);
+    const limited = await request();
+
+    expect(limited.status).toBe(429);
+    expect(Number(limited.headers['retry-after'])).toBeGreaterThan(0);
+  });
+
+  test('400: flow_name não registrado', async () => {
+    const { rawBody, headers } = flowRequest(initPayload('qualquer'));
+
+    const response = await transport.send({ rawBody, headers, query: { flow_name: 'inexistente' }, ip: '10.0.0.6' });
+
+    expect(response.status).toBe(400);
+  });
+});
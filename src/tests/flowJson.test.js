@@ -0,0 +1,49 @@
+// tests/flowJson.test.js
+const fs = require('fs');
+const path = require('path');
+const { flowRegistry } = require('../flows');
+const { generateFlowJson, diffFlowJson } = require('../flows/flowJsonGenerator');
+const { extractMethods, extractDataKeys } = require('../flows/screenScanner');
+
+const FLOWS_DIR = path.join(__dirname, '..', '..', 'flows');
+
+describe('Flow JSON versionado em flows/', () => {
+  test.each(flowRegistry.listHandlerSets().map(({ key }) => key))('%s está de acordo com a definição', (key) => {
+    const file = path.join(FLOWS_DIR, `${key}.json`);
+    const published = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const { flowJson } = generateFlowJson(flowRegistry.listHandlerSets().find(set => set.key === key));
+
+    expect(diffFlowJson(published, flowJson)).toEqual([]);
+  });
+});
+
+describe('screenScanner', () => {
+  test('regex literais com aspas, chaves e barras não quebram a leitura dos métodos', () => {
+    const source = `class Controller {
+      validar(data) {
+        const nome = data.nome.replace(/[^a-zA-ZÀ-ÿ\\s]/g, '');
+        const aspas = /['"{]/.test(nome) && /\\/[}]/.test(nome);
+        return this.createResponse('signup', { nome, aspas });
+      }
+
+      media(total, quantidade) {
+        return total / quantidade / 2;
+      }
+
+      seguinte() {
+        return this.createResponse('address', {});
+      }
+    }`;
+
+    const methods = extractMethods(source);
+
+    expect([...methods.keys()]).toEqual(['validar', 'media', 'seguinte']);
+    expect(methods.get('validar')).toContain("createResponse('signup'");
+    expect(methods.get('seguinte')).toContain("createResponse('address'");
+  });
+
+  test('regex como valor de entrada de objeto literal', () => {
+    expect(extractDataKeys("{ padrao: /', ?/g, nome, 'tipo-conta': tipo }").keys)
+      .toEqual(['padrao', 'nome', 'tipo-conta']);
+  });
+});
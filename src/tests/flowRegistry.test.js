@@ -0,0 +1,98 @@
+// tests/flowRegistry.test.js
+const BaseController = require('../controllers/baseController');
+const { flowRegistry, FlowRegistry, FlowDefinitionError } = require('../flows');
+const { validateRegistry } = require('../flows/routingValidator');
+const { middlewares } = require('../pipeline/middlewares');
+const { telemetry } = require('../services/telemetryService');
+
+class WarningController extends BaseController {
+  async handleStartScreen(data, flow_token, version) {
+    return this.createResponse('WARNING', { leadId: data.leadId }, { flow_token, version });
+  }
+}
+
+const definition = (overrides = {}) => ({
+  flowType: 'teste',
+  controller: WarningController,
+  initialScreen: 'start',
+  screens: {
+    start: { handler: 'handleStartScreen' },
+    warning: {}
+  },
+  ...overrides
+});
+
+describe('FlowRegistry.validate', () => {
+  test('recusa definição cujo handler retorna tela não declarada', () => {
+    const registry = new FlowRegistry().register(definition());
+
+    expect(() => registry.validate()).toThrow(FlowDefinitionError);
+    expect(() => registry.validate()).toThrow(/UNDECLARED_SCREEN.*"WARNING"/);
+  });
+
+  test('aceita a tela mapeada em screenNames e responde com o ID publicado', () => {
+    const registry = new FlowRegistry().register(definition({ screenNames: { WARNING: 'warning' } }));
+    registry.validate();
+
+    const controller = registry.createControllers().teste;
+    expect(controller.createResponse('WARNING').screen).toBe('warning');
+  });
+
+  test('recusa screenNames que aponta para tela não declarada', () => {
+    const registry = new FlowRegistry().register(definition({ screenNames: { WARNING: 'aviso' } }));
+
+    expect(() => registry.validate()).toThrow(/screenNames "WARNING" aponta para tela não declarada "aviso"/);
+  });
+
+  test('telas declaradas não são mapeadas', () => {
+    const registry = new FlowRegistry().register(definition({
+      screens: { start: { handler: 'handleStartScreen' }, warning: {}, WARNING: {} },
+      screenNames: { WARNING: 'warning' }
+    }));
+
+    expect(registry.createControllers().teste.createResponse('WARNING').screen).toBe('WARNING');
+  });
+});
+
+describe('registro dos fluxos publicados', () => {
+  test('não tem erros nem avisos de roteamento', () => {
+    expect(validateRegistry(flowRegistry)).toEqual([]);
+  });
+
+  test('crefisa pede as fotos do RG na tela de documento', () => {
+    const controller = flowRegistry.createControllers().crefisa;
+
+    expect(controller._determineNextScreen({ pedirInfos: ['imagem-rg-verso'] }, 'crefisa', 'token')).toBe('documento_rg');
+  });
+});
+
+describe('versões do Flow JSON', () => {
+  test('gov-ce 2.1 usa as telas em minúsculas e as demais versões a definição base', () => {
+    expect(flowRegistry.resolve('gov-ce', '2.1')).toMatchObject({ key: 'gov-ce@2.1', initialScreen: 'front' });
+    expect(flowRegistry.resolve('gov-ce', '2.0')).toMatchObject({ key: 'gov-ce', initialScreen: 'FRONT' });
+  });
+
+  test('telas do GovCEController são publicadas com o ID de cada versão', () => {
+    const controllers = flowRegistry.createControllers();
+
+    expect(controllers['gov-ce@2.1'].createResponse('DADOS_PESSOAIS').screen).toBe('signup');
+    expect(controllers['gov-ce@2.1'].createResponse('warning').screen).toBe('warning');
+    expect(controllers['gov-ce'].createResponse('signup').screen).toBe('DADOS_PESSOAIS');
+  });
+
+  test('telemetria de transição informa a versão do payload e o conjunto de handlers', () => {
+    const trackScreenTransition = jest.spyOn(telemetry, 'trackScreenTransition').mockImplementation(() => {});
+
+    middlewares.telemetry().afterHandler({
+      flowType: 'gov-ce',
+      handlerSet: flowRegistry.resolve('gov-ce', '2.0'),
+      body: { screen: 'DADOS_PESSOAIS', version: '2.0' },
+      result: { screen: 'ENDERECO' },
+      startTime: Date.now()
+    });
+
+    expect(trackScreenTransition).toHaveBeenCalledWith('DADOS_PESSOAIS', 'ENDERECO',
+      expect.objectContaining({ version: '2.0', handlerSet: 'gov-ce' }));
+    trackScreenTransition.mockRestore();
+  });
+});
@@ -0,0 +1,112 @@
+// tests/flowTokenService.test.js
+const crypto = require('crypto');
+const BaseController = require('../controllers/baseController');
+const { FlowRegistry } = require('../flows');
+const { FlowManager } = require('../flow');
+const { FlowTokenService, FlowTokenError } = require('../services/flowTokenService');
+const { InvalidFlowTokenException } = require('../endpoint/errors');
+
+const tokens = new FlowTokenService({ secret: 'segredo-dos-tokens', ttl: 600 });
+
+const reasonOf = (fn) => {
+  try {
+    fn();
+  } catch (error) {
+    expect(error).toBeInstanceOf(FlowTokenError);
+    return error.reason;
+  }
+  throw new Error('FlowTokenError esperado');
+};
+
+describe('FlowTokenService', () => {
+  test('emite e valida as claims com o prefixo do tenant', () => {
+    const token = tokens.issue({ flowType: 'inss', waId: '+55 85 99999-9999', leadId: 42 });
+
+    expect(token.startsWith('default:')).toBe(true);
+    expect(tokens.verify(token)).toMatchObject({
+      flowType: 'inss',
+      tenant: 'default',
+      waId: '5585999999999',
+      leadId: 42,
+      jti: expect.any(String)
+    });
+  });
+
+  test('recusa token alterado, malformado ou expirado', () => {
+    const token = tokens.issue({ flowType: 'inss', waId: '5585999999999' });
+    const [content, signature] = token.split('.');
+    const { iat } = tokens.verify(token);
+
+    expect(reasonOf(() => tokens.verify(`${content}x.${signature}`))).toBe('signature');
+    expect(reasonOf(() => new FlowTokenService({ secret: 'outro' }).verify(token))).toBe('signature');
+    expect(reasonOf(() => tokens.verify('sem-separador'))).toBe('malformed');
+    expect(reasonOf(() => tokens.verify(undefined))).toBe('malformed');
+    expect(reasonOf(() => tokens.verify(token, { now: (iat + 600 + 61) * 1000 }))).toBe('expired');
+    expect(tokens.verify(token, { now: (iat + 600 + 59) * 1000 }).flowType).toBe('inss');
+  });
+
+  test('recusa claims de outro tenant, mesmo com o prefixo assinado', () => {
+    const token = tokens.issue({ flowType: 'inss', waId: '5585999999999', tenant: 'parceiro' });
+    const content = `default:${token.slice('parceiro:'.length, token.lastIndexOf('.'))}`;
+    const signature = crypto.createHmac('sha256', 'segredo-dos-tokens').update(content).digest('base64url');
+
+    expect(reasonOf(() => tokens.verify(`${content}.${signature}`))).toBe('malformed');
+  });
+
+  test('emissão exige segredo, flowType e waId', () => {
+    expect(reasonOf(() => new FlowTokenService({ secret: '' }).issue({ flowType: 'inss', waId: '1' }))).toBe('disabled');
+    expect(reasonOf(() => tokens.issue({ flowType: 'inss' }))).toBe('claims');
+  });
+});
+
+describe('FlowManager com flow_token assinado', () => {
+  class EchoController extends BaseController {
+    async handleStartScreen(data, flow_token, version) {
+      return this.createResponse('start', { leadId: data.leadId }, { flow_token, version });
+    }
+  }
+
+  const registry = new FlowRegistry().register({
+    flowType: 'teste',
+    controller: EchoController,
+    initialScreen: 'start',
+    screens: { start: { handler: 'handleStartScreen' } }
+  });
+  const flowManager = new FlowManager(registry, { tokens, middlewares: [] });
+
+  const exchange = (flow_token, data) => flowManager.getNextScreen({
+    action: 'data_exchange',
+    screen: 'start',
+    version: '3.0',
+    flow_token,
+    data
+  }, 'teste');
+
+  test('o leadId das claims chega aos handlers e prevalece sobre o enviado pela tela', async () => {
+    const token = tokens.issue({ flowType: 'teste', waId: '5585999999999', leadId: 42 });
+
+    await expect(exchange(token, {})).resolves.toMatchObject({ data: { leadId: 42 } });
+    await expect(exchange(token, { leadId: '42' })).resolves.toMatchObject({ data: { leadId: 42 } });
+  });
+
+  test('leadId do cliente divergente das claims é recusado com 427', async () => {
+    const token = tokens.issue({ flowType: 'teste', waId: '5585999999999', leadId: 42 });
+
+    const error = await exchange(token, { leadId: 43 }).catch(e => e);
+
+    expect(error).toBeInstanceOf(InvalidFlowTokenException);
+    expect(error.statusCode).toBe(427);
+  });
+
+  test('token sem leadId aceita o leadId enviado pela tela', async () => {
+    const token = tokens.issue({ flowType: 'teste', waId: '5585999999999' });
+
+    await expect(exchange(token, { leadId: 7 })).resolves.toMatchObject({ data: { leadId: 7 } });
+  });
+
+  test('token de outro fluxo é recusado', async () => {
+    const token = tokens.issue({ flowType: 'inss', waId: '5585999999999' });
+
+    await expect(exchange(token, {})).rejects.toBeInstanceOf(InvalidFlowTokenException);
+  });
+});
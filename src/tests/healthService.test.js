@@ -0,0 +1,99 @@
+// tests/healthService.test.js
+const axios = require('axios');
+const { HealthService, STATUS } = require('../services/healthService');
+const { createCircuitBreakers } = require('../services/circuitBreakers');
+const { keyring } = require('../services/keyringService');
+const { CONFIG } = require('../config/constants');
+
+// Abre o circuito da dependência com falhas 503 consecutivas
+const trip = async (breakers, name) => {
+  const { failureThreshold } = breakers.get(name);
+  for (let i = 0; i < failureThreshold; i++) {
+    await breakers.execute(name, () => Promise.reject(Object.assign(new Error('HTTP 503'), { response: { status: 503 } })))
+      .catch(() => {});
+  }
+};
+
+describe('HealthService.readiness', () => {
+  let breakers;
+  let health;
+  let keyStatus;
+  beforeEach(() => {
+    breakers = createCircuitBreakers();
+    health = new HealthService({ breakers });
+    keyStatus = jest.spyOn(keyring, 'status').mockReturnValue({ status: 'up', keys: [{ id: 'current' }] });
+  });
+  afterEach(() => keyStatus.mockRestore());
+
+  test('healthy com a chave e todos os circuitos fechados', async () => {
+    const report = await health.readiness({ probe: false });
+
+    expect(report.status).toBe(STATUS.HEALTHY);
+    expect(health.httpStatus(report)).toBe(200);
+    expect(report.checks).not.toHaveProperty('dependencies');
+  });
+
+  test('degraded com o circuito de uma dependência não crítica aberto', async () => {
+    await trip(breakers, 'transparencia');
+
+    const report = await health.readiness({ probe: false });
+
+    expect(report.status).toBe(STATUS.DEGRADED);
+    expect(report.checks.circuitBreakers.transparencia.state).toBe('OPEN');
+    expect(health.httpStatus(report)).toBe(200);
+  });
+
+  test('degraded com o CRM de um parceiro fora do ar', async () => {
+    await trip(breakers, 'crm:parceiro');
+
+    await expect(health.readiness({ probe: false })).resolves.toMatchObject({ status: STATUS.DEGRADED });
+  });
+
+  test('erros locais nas chamadas não degradam a prontidão', async () => {
+    for (let i = 0; i < 5; i++) {
+      await breakers.execute('transparencia', () => Promise.reject(new TypeError('falha local'))).catch(() => {});
+    }
+
+    await expect(health.readiness({ probe: false })).resolves.toMatchObject({ status: STATUS.HEALTHY });
+  });
+
+  test('unhealthy com o circuito do CRM aberto', async () => {
+    await trip(breakers, 'crm');
+
+    const report = await health.readiness({ probe: false });
+
+    expect(report.status).toBe(STATUS.UNHEALTHY);
+    expect(health.httpStatus(report)).toBe(503);
+  });
+
+  test('unhealthy sem a chave privada atual', async () => {
+    keyStatus.mockReturnValue({ status: 'down', keys: [], errors: [{ id: 'current', error: 'Chave atual não configurada' }] });
+
+    const report = await health.readiness({ probe: false });
+
+    expect(report.status).toBe(STATUS.UNHEALTHY);
+    expect(health.httpStatus(report)).toBe(503);
+  });
+
+  test('sonda o CRM pelo proxy do makeRequest, com a URL e a chave do tenant padrão', async () => {
+    const get = jest.spyOn(axios, 'get').mockImplementation(async (url) => ({
+      status: url.includes('portaldatransparencia') ? 503 : 200
+    }));
+
+    try {
+      const report = await new HealthService({ breakers }).readiness({ probe: true });
+
+      expect(get).toHaveBeenCalledWith(CONFIG.CRM.PROXY_URL, expect.objectContaining({
+        headers: expect.objectContaining({ 'x-target-url': CONFIG.CRM.BASE_URL, 'x-source': 'flows' })
+      }));
+      expect(report.checks.dependencies).toMatchObject({
+        crm: { status: 'up', statusCode: 200 },
+        brasilapi: { status: 'up' },
+        transparencia: { status: 'down', statusCode: 503 }
+      });
+      expect(report.status).toBe(STATUS.DEGRADED);
+    } finally {
+      get.mockRestore();
+    }
+  });
+});
@@ -0,0 +1,117 @@
+// tests/idempotencyService.test.js
+const { IdempotencyService, stableStringify, isErrorResponse } = require('../services/idempotencyService');
+const { MemoryStorage, RedisStorage } = require('../services/storage');
+
+const deferred = () => {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+};
+
+// Duas instâncias do app com o mesmo storage (ex.: Redis)
+const createInstances = (storage = new MemoryStorage()) => [
+  new IdempotencyService(storage, { pollInterval: 5, pendingTtl: 1000 }),
+  new IdempotencyService(storage, { pollInterval: 5, pendingTtl: 1000 })
+];
+
+describe('IdempotencyService', () => {
+  test('buildKey não depende da ordem dos campos', () => {
+    const [service] = createInstances();
+
+    expect(service.buildKey('token', 'signup', { a: 1, b: { c: 2, d: 3 } }))
+      .toBe(service.buildKey('token', 'signup', { b: { d: 3, c: 2 }, a: 1 }));
+    expect(stableStringify({ b: 1, a: [2, { d: 1, c: 0 }] })).toBe('{"a":[2,{"c":0,"d":1}],"b":1}');
+  });
+
+  test('reapresenta o resultado armazenado sem repetir a operação', async () => {
+    const [service] = createInstances();
+    const operation = jest.fn().mockResolvedValue({ screen: 'address', data: {} });
+
+    await service.execute('chave', operation);
+    const replay = await service.execute('chave', operation);
+
+    expect(operation).toHaveBeenCalledTimes(1);
+    expect(replay).toEqual({ screen: 'address', data: {} });
+  });
+
+  test('duplicado em outra instância aguarda o marcador pendente e recebe o mesmo resultado', async () => {
+    const [first, second] = createInstances();
+    const gate = deferred();
+    const operation = jest.fn(() => gate.promise);
+
+    const original = first.execute('chave', operation);
+    await new Promise(resolve => setTimeout(resolve, 10));
+    const duplicate = second.execute('chave', operation);
+
+    gate.resolve({ screen: 'account', data: { leadId: 1 } });
+
+    await expect(original).resolves.toEqual({ screen: 'account', data: { leadId: 1 } });
+    await expect(duplicate).resolves.toEqual({ screen: 'account', data: { leadId: 1 } });
+    expect(operation).toHaveBeenCalledTimes(1);
+  });
+
+  test('falha do original libera a chave para o duplicado', async () => {
+    const [first, second] = createInstances();
+    const gate = deferred();
+
+    const original = first.execute('chave', () => gate.promise);
+    await new Promise(resolve => setTimeout(resolve, 10));
+    const duplicate = second.execute('chave', async () => ({ screen: 'address', data: {} }));
+
+    gate.reject(new Error('CRM indisponível'));
+
+    await expect(original).rejects.toThrow('CRM indisponível');
+    await expect(duplicate).resolves.toEqual({ screen: 'address', data: {} });
+  });
+
+  test('respostas de erro não são armazenadas', async () => {
+    const [service] = createInstances();
+    const operation = jest.fn()
+      .mockResolvedValueOnce({ screen: 'signup', data: { cpfErro: 'CPF inválido' } })
+      .mockResolvedValueOnce({ screen: 'address', data: {} });
+
+    await service.execute('chave', operation);
+    const retried = await service.execute('chave', operation);
+
+    expect(operation).toHaveBeenCalledTimes(2);
+    expect(retried.screen).toBe('address');
+    expect(isErrorResponse({ data: { error: true } })).toBe(true);
+  });
+
+  test('o signal interrompe a espera pelo original', async () => {
+    const [first, second] = createInstances();
+    const controller = new AbortController();
+
+    first.execute('chave', () => new Promise(() => {}));
+    await new Promise(resolve => setTimeout(resolve, 10));
+    const duplicate = second.execute('chave', jest.fn(), { signal: controller.signal });
+
+    controller.abort(new Error('Tempo limite excedido'));
+
+    await expect(duplicate).rejects.toThrow('Tempo limite excedido');
+  });
+
+  test('marcador expirado (instância caída) é assumido pelo duplicado', async () => {
+    const storage = new MemoryStorage();
+    await storage.set('chave', { pending: true, startedAt: new Date().toISOString() }, 20);
+    const [service] = createInstances(storage);
+
+    await expect(service.execute('chave', async () => ({ screen: 'warning', data: {} })))
+      .resolves.toEqual({ screen: 'warning', data: {} });
+  });
+});
+
+describe('RedisStorage.setIfAbsent', () => {
+  test('usa SET NX com TTL em milissegundos', async () => {
+    const client = { set: jest.fn().mockResolvedValueOnce('OK').mockResolvedValueOnce(null) };
+    const storage = new RedisStorage({ client, prefix: 'flows:idempotency:' });
+
+    await expect(storage.setIfAbsent('chave', { pending: true }, 60000)).resolves.toBe(true);
+    await expect(storage.setIfAbsent('chave', { pending: true }, 60000)).resolves.toBe(false);
+    expect(client.set).toHaveBeenCalledWith('flows:idempotency:chave', '{"pending":true}', 'PX', 60000, 'NX');
+  });
+});
@@ -0,0 +1,117 @@
+// tests/keyringService.test.js
+const crypto = require('crypto');
+const { Keyring, KeyringError, fingerprint } = require('../services/keyringService');
+const { telemetry } = require('../services/telemetryService');
+
+const generateKey = (passphrase) => crypto.generateKeyPairSync('rsa', {
+  modulusLength: 2048,
+  publicKeyEncoding: { type: 'spki', format: 'pem' },
+  privateKeyEncoding: passphrase
+    ? { type: 'pkcs8', format: 'pem', cipher: 'aes-256-cbc', passphrase }
+    : { type: 'pkcs8', format: 'pem' }
+});
+
+// Chave AES cifrada como o WhatsApp envia (RSA-OAEP SHA-256 com a chave pública cadastrada)
+const encryptAesKey = (publicKey, aesKey = crypto.randomBytes(16)) => ({
+  aesKey,
+  encrypted: crypto.publicEncrypt({
+    key: publicKey,
+    padding: crypto.constants.RSA_PKCS1_OAEP_PADDING,
+    oaepHash: 'sha256'
+  }, aesKey)
+});
+
+describe('Keyring', () => {
+  const current = generateKey('senha-atual');
+  const previous = generateKey();
+  const other = generateKey();
+
+  const keyring = () => new Keyring([
+    { id: 'current', privateKey: current.privateKey, passphrase: 'senha-atual' },
+    { id: 'previous', privateKey: previous.privateKey }
+  ]);
+
+  let trackCustomMetric;
+  beforeEach(() => {
+    trackCustomMetric = jest.spyOn(telemetry, 'trackCustomMetric').mockImplementation(() => {});
+  });
+  afterEach(() => trackCustomMetric.mockRestore());
+
+  test('descriptografa com a chave atual', () => {
+    const { aesKey, encrypted } = encryptAesKey(current.publicKey);
+
+    expect(keyring().decryptAesKey(encrypted)).toEqual({
+      aesKey,
+      key: { id: 'current', fingerprint: fingerprint(current.publicKey) }
+    });
+    expect(trackCustomMetric).toHaveBeenCalledWith('KeyringDecryption', 1, expect.objectContaining({
+      keyId: 'current',
+      attempts: 1
+    }));
+  });
+
+  test('aceita a chave anterior durante a rotação', () => {
+    const { aesKey, encrypted } = encryptAesKey(previous.publicKey);
+
+    expect(keyring().decryptAesKey(encrypted)).toMatchObject({ aesKey, key: { id: 'previous' } });
+    expect(trackCustomMetric).toHaveBeenCalledWith('KeyringDecryption', 1, expect.objectContaining({
+      keyId: 'previous',
+      attempts: 2
+    }));
+  });
+
+  test('recusa requisição cifrada com chave fora do keyring', () => {
+    const { encrypted } = encryptAesKey(other.publicKey);
+
+    expect(() => keyring().decryptAesKey(encrypted)).toThrow(KeyringError);
+    expect(trackCustomMetric).toHaveBeenCalledWith('KeyringDecryption', 0, { keyId: 'none', attempts: 2 });
+  });
+
+  test('keyring vazio é erro', () => {
+    expect(() => new Keyring([]).decryptAesKey(Buffer.alloc(256))).toThrow('Nenhuma chave privada configurada');
+  });
+
+  test('lê as chaves do ambiente no primeiro uso e relê em reload', () => {
+    const slots = [{ id: 'current', keyEnv: 'TEST_KEYRING_KEY', passphraseEnv: 'TEST_KEYRING_PASSPHRASE' }];
+    const fromEnv = new Keyring(slots);
+
+    try {
+      process.env.TEST_KEYRING_KEY = current.privateKey;
+      process.env.TEST_KEYRING_PASSPHRASE = 'senha-atual';
+      expect(fromEnv.keys().map(key => key.fingerprint)).toEqual([fingerprint(current.publicKey)]);
+
+      process.env.TEST_KEYRING_KEY = previous.privateKey;
+      delete process.env.TEST_KEYRING_PASSPHRASE;
+      expect(fromEnv.keys().map(key => key.fingerprint)).toEqual([fingerprint(current.publicKey)]);
+      expect(fromEnv.reload().keys().map(key => key.fingerprint)).toEqual([fingerprint(previous.publicKey)]);
+    } finally {
+      delete process.env.TEST_KEYRING_KEY;
+      delete process.env.TEST_KEYRING_PASSPHRASE;
+    }
+  });
+
+  test('status: up, degradado com chave anterior inválida e down sem a chave atual', () => {
+    expect(keyring().status()).toMatchObject({ status: 'up', keys: [{ id: 'current' }, { id: 'previous' }] });
+
+    const degraded = new Keyring([
+      { id: 'current', privateKey: current.privateKey, passphrase: 'senha-atual' },
+      { id: 'previous', privateKey: current.privateKey, passphrase: 'senha-errada' }
+    ]);
+    expect(degraded.status()).toMatchObject({ status: 'degraded', keys: [{ id: 'current' }], errors: [{ id: 'previous' }] });
+
+    const down = new Keyring([
+      { id: 'current' },
+      { id: 'previous', privateKey: previous.privateKey }
+    ]);
+    expect(down.status()).toMatchObject({
+      status: 'down',
+      keys: [{ id: 'previous' }],
+      errors: [{ id: 'current', error: 'Chave atual não configurada' }]
+    });
+  });
+
+  test('fingerprint da chave privada e da pública coincidem', () => {
+    expect(fingerprint(previous.privateKey)).toBe(fingerprint(previous.publicKey));
+    expect(fingerprint(previous.publicKey)).toMatch(/^[0-9a-f]{16}$/);
+  });
+});
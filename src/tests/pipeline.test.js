@@ -0,0 +1,159 @@
+// tests/pipeline.test.js
+const { MiddlewarePipeline, PipelineError } = require('../pipeline/pipeline');
+const { createDefaultMiddlewares } = require('../pipeline/middlewares');
+const { flowRegistry } = require('../flows');
+const { FlowManager } = require('../flow');
+const { FlowTokenService } = require('../services/flowTokenService');
+const { telemetry } = require('../services/telemetryService');
+
+// Middleware que registra em `calls` cada gancho executado
+const recorder = (name, calls, hooks = {}) => ({
+  name,
+  beforeHandler: () => { calls.push(`${name}.beforeHandler`); },
+  aroundHandler: (ctx, next) => {
+    calls.push(`${name}.aroundHandler`);
+    return next();
+  },
+  afterHandler: () => { calls.push(`${name}.afterHandler`); },
+  onError: () => { calls.push(`${name}.onError`); },
+  ...hooks
+});
+
+describe('MiddlewarePipeline', () => {
+  let calls;
+  beforeEach(() => {
+    calls = [];
+  });
+
+  test('beforeHandler e aroundHandler seguem a ordem de registro; afterHandler, a inversa', async () => {
+    const pipeline = new MiddlewarePipeline([recorder('a', calls), recorder('b', calls)]);
+    pipeline.use(recorder('c', calls), { before: 'b' });
+
+    const result = await pipeline.execute({}, () => {
+      calls.push('handler');
+      return { screen: 'next' };
+    });
+
+    expect(result).toEqual({ screen: 'next' });
+    expect(pipeline.list()).toEqual(['a', 'c', 'b']);
+    expect(calls).toEqual([
+      'a.beforeHandler', 'c.beforeHandler', 'b.beforeHandler',
+      'a.aroundHandler', 'c.aroundHandler', 'b.aroundHandler',
+      'handler',
+      'b.afterHandler', 'c.afterHandler', 'a.afterHandler'
+    ]);
+  });
+
+  test('beforeHandler com resposta dispensa os demais beforeHandler e o handler', async () => {
+    const handler = jest.fn();
+    const pipeline = new MiddlewarePipeline([
+      recorder('a', calls, { beforeHandler: (ctx) => { ctx.result = { data: { ok: true } }; } }),
+      recorder('b', calls)
+    ]);
+
+    await expect(pipeline.execute({}, handler)).resolves.toEqual({ data: { ok: true } });
+    expect(handler).not.toHaveBeenCalled();
+    expect(calls).toEqual(['b.afterHandler', 'a.afterHandler']);
+  });
+
+  test('aroundHandler pode chamar next mais de uma vez (retentativas)', async () => {
+    const handler = jest.fn()
+      .mockRejectedValueOnce(new Error('instável'))
+      .mockResolvedValueOnce({ screen: 'next' });
+    const pipeline = new MiddlewarePipeline([{
+      name: 'retry',
+      aroundHandler: (ctx, next) => next().catch(() => next())
+    }]);
+
+    await expect(pipeline.execute({}, handler)).resolves.toEqual({ screen: 'next' });
+    expect(handler).toHaveBeenCalledTimes(2);
+  });
+
+  test('onError com resposta trata o erro; os demais onError ainda são chamados, em ordem inversa', async () => {
+    const pipeline = new MiddlewarePipeline([
+      recorder('a', calls),
+      recorder('b', calls, {
+        onError: (ctx) => {
+          calls.push('b.onError');
+          ctx.result = { screen: 'erro', data: { message: ctx.error.message } };
+        }
+      })
+    ]);
+
+    const result = await pipeline.execute({}, () => {
+      throw new Error('falhou');
+    });
+
+    expect(result).toEqual({ screen: 'erro', data: { message: 'falhou' } });
+    expect(calls).toEqual([
+      'a.beforeHandler', 'b.beforeHandler', 'a.aroundHandler', 'b.aroundHandler',
+      'b.onError', 'a.onError'
+    ]);
+  });
+
+  test('erro sem resposta de nenhum onError é relançado, inclusive de afterHandler', async () => {
+    const pipeline = new MiddlewarePipeline([
+      recorder('a', calls, { afterHandler: () => { throw new Error('afterHandler falhou'); } })
+    ]);
+
+    await expect(pipeline.execute({}, () => ({ screen: 'next' }))).rejects.toThrow('afterHandler falhou');
+    expect(calls).toContain('a.onError');
+  });
+
+  test('recusa middleware sem nome, sem ganchos, duplicado ou com before inexistente', () => {
+    const pipeline = new MiddlewarePipeline([recorder('a', calls)]);
+
+    expect(() => pipeline.use({ beforeHandler() {} })).toThrow(PipelineError);
+    expect(() => pipeline.use({ name: 'vazio' })).toThrow(PipelineError);
+    expect(() => pipeline.use(recorder('a', calls))).toThrow(/já registrado: a/);
+    expect(() => pipeline.use(recorder('b', calls), { before: 'x' })).toThrow(/não encontrado: x/);
+    expect(pipeline.remove('a')).toBe(true);
+    expect(pipeline.list()).toEqual([]);
+  });
+});
+
+describe('middlewares padrão', () => {
+  const flowManager = new FlowManager(flowRegistry, {
+    middlewares: createDefaultMiddlewares(),
+    tokens: new FlowTokenService({ secret: '' })
+  });
+  const controller = flowManager.controllers.padrao;
+
+  beforeEach(() => {
+    jest.spyOn(telemetry, 'trackCustomEvent').mockImplementation(() => {});
+    jest.spyOn(telemetry, 'trackCustomMetric').mockImplementation(() => {});
+  });
+
+  test('errorNotification confirma o erro reportado pelo cliente sem chamar o handler', async () => {
+    const handleFrontScreen = jest.spyOn(controller, 'handleFrontScreen');
+
+    const response = await flowManager.getNextScreen({
+      action: 'data_exchange',
+      screen: 'front',
+      version: '3.0',
+      flow_token: 'token-notificacao',
+      data: { error: 'INVALID_SCREEN_DATA', error_message: 'Campo cpf ausente' }
+    }, 'padrao');
+
+    expect(response).toEqual({ data: { acknowledged: true } });
+    expect(handleFrontScreen).not.toHaveBeenCalled();
+    expect(telemetry.trackCustomEvent).toHaveBeenCalledWith('ClientErrorNotification', expect.objectContaining({
+      flowType: 'padrao',
+      screen: 'front',
+      error: 'INVALID_SCREEN_DATA',
+      errorMessage: 'Campo cpf ausente'
+    }));
+  });
+
+  test('erro de validação é respondido pelo onError, mantendo o usuário na tela', async () => {
+    const response = await flowManager.getNextScreen({
+      action: 'data_exchange',
+      version: '3.0',
+      flow_token: 'token-validacao',
+      data: {}
+    }, 'padrao');
+
+    expect(response.screen).toBe('error');
+    expect(Object.values(response.data)).toContain('Screen é obrigatória para esta ação');
+  });
+});
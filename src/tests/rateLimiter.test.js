@@ -0,0 +1,103 @@
+// tests/rateLimiter.test.js
+const {
+  RateLimiter,
+  RateLimitError,
+  MemoryRateLimitStore,
+  RedisRateLimitStore
+} = require('../services/rateLimit');
+
+describe('MemoryRateLimitStore', () => {
+  test('janela deslizante: bloqueia após o limite e libera quando o primeiro acesso sai da janela', async () => {
+    const store = new MemoryRateLimitStore();
+    const policy = { limit: 2, window: 1000 };
+
+    expect(await store.slidingWindow('ip:1', policy, 0)).toEqual({ allowed: true, remaining: 1, retryAfterMs: 0 });
+    expect(await store.slidingWindow('ip:1', policy, 100)).toEqual({ allowed: true, remaining: 0, retryAfterMs: 0 });
+    expect(await store.slidingWindow('ip:1', policy, 400)).toEqual({ allowed: false, remaining: 0, retryAfterMs: 600 });
+    expect((await store.slidingWindow('ip:1', policy, 1001)).allowed).toBe(true);
+  });
+
+  test('token bucket: consome a capacidade e repõe à taxa configurada', async () => {
+    const store = new MemoryRateLimitStore();
+    const policy = { capacity: 2, refillPerSecond: 1 };
+
+    expect((await store.tokenBucket('cpf:1', policy, 0)).allowed).toBe(true);
+    expect((await store.tokenBucket('cpf:1', policy, 0)).allowed).toBe(true);
+    expect(await store.tokenBucket('cpf:1', policy, 0)).toEqual({ allowed: false, remaining: 0, retryAfterMs: 1000 });
+    expect((await store.tokenBucket('cpf:1', policy, 1000)).allowed).toBe(true);
+  });
+
+  test('remove a chave mais antiga ao atingir maxKeys', async () => {
+    const store = new MemoryRateLimitStore({ maxKeys: 2 });
+    const policy = { limit: 1, window: 60000 };
+
+    await store.slidingWindow('a', policy, 0);
+    await store.slidingWindow('b', policy, 0);
+    await store.slidingWindow('c', policy, 0);
+
+    expect(await store.size()).toBe(2);
+    expect((await store.slidingWindow('a', policy, 1)).allowed).toBe(true);
+  });
+});
+
+describe('RateLimiter', () => {
+  const policies = {
+    ip: { strategy: 'sliding-window', limit: 1, window: 60000 },
+    cpf: { strategy: 'token-bucket', capacity: 1, refillPerSecond: 0.5 }
+  };
+
+  test('enforce lança RateLimitError com Retry-After em segundos', async () => {
+    const limiter = new RateLimiter(new MemoryRateLimitStore(), policies);
+
+    await limiter.enforce('ip', '10.0.0.1');
+    const error = await limiter.enforce('ip', '10.0.0.1').catch(e => e);
+
+    expect(error).toBeInstanceOf(RateLimitError);
+    expect(error).toMatchObject({ code: 'RATE_LIMIT_EXCEEDED', policy: 'ip', retryAfter: 60 });
+  });
+
+  test('chaves e políticas são contadas separadamente', async () => {
+    const limiter = new RateLimiter(new MemoryRateLimitStore(), policies);
+
+    await limiter.enforce('ip', '10.0.0.1');
+    await expect(limiter.enforce('ip', '10.0.0.2')).resolves.toMatchObject({ allowed: true });
+    await expect(limiter.enforce('cpf', '10.0.0.1')).resolves.toMatchObject({ allowed: true });
+  });
+
+  test('check ignora chaves ausentes e para na primeira política excedida', async () => {
+    const limiter = new RateLimiter(new MemoryRateLimitStore(), policies);
+
+    await expect(limiter.check({ ip: '10.0.0.1', cpf: undefined })).resolves.toEqual({
+      ip: { allowed: true, remaining: 0, retryAfterMs: 0 }
+    });
+    await expect(limiter.check({ cpf: '123', ip: '10.0.0.1' })).rejects.toMatchObject({ policy: 'ip' });
+  });
+
+  test('falha no store libera a requisição (fail-open)', async () => {
+    const store = { slidingWindow: jest.fn().mockRejectedValue(new Error('ECONNREFUSED')) };
+    const limiter = new RateLimiter(store, policies);
+
+    await expect(limiter.enforce('ip', '10.0.0.1')).resolves.toMatchObject({ allowed: true });
+  });
+
+  test('política ou estratégia desconhecida é erro de configuração', async () => {
+    const limiter = new RateLimiter(new MemoryRateLimitStore(), {
+      custom: { strategy: 'fixed-window', limit: 1, window: 1000 }
+    });
+
+    await expect(limiter.consume('inexistente', 'x')).rejects.toThrow('Política de rate limit não configurada');
+    await expect(limiter.consume('custom', 'x')).rejects.toThrow('Estratégia de rate limit não suportada');
+  });
+});
+
+describe('RedisRateLimitStore', () => {
+  test('executa o script da estratégia com a chave prefixada e converte o resultado', async () => {
+    const client = { eval: jest.fn().mockResolvedValue([0, 0, 1500]) };
+    const store = new RedisRateLimitStore({ client });
+
+    await expect(store.slidingWindow('ip:10.0.0.1', { limit: 1, window: 60000 }, 1000))
+      .resolves.toEqual({ allowed: false, remaining: 0, retryAfterMs: 1500 });
+    expect(client.eval).toHaveBeenCalledWith(expect.stringContaining('ZREMRANGEBYSCORE'), 1, 'flows:ratelimit:ip:10.0.0.1',
+      1000, 60000, 1, expect.any(String));
+  });
+});
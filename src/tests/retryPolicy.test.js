@@ -0,0 +1,104 @@
+// tests/retryPolicy.test.js
+const { RetryPolicy, isRetryableError, isConnectionError } = require('../utils/retryPolicy');
+const { CircuitBreakerError } = require('../utils/circuitBreaker');
+
+const httpError = (status) => Object.assign(new Error(`HTTP ${status}`), { response: { status } });
+const networkError = (code) => Object.assign(new Error(code), { code });
+
+// Mesmo formato do APIError de services/apiClient: `code` guarda o status HTTP
+const apiError = (message, code, originalError) => Object.assign(new Error(message), {
+  name: 'APIError',
+  code,
+  originalError
+});
+
+describe('isRetryableError', () => {
+  test('repete 5xx, 429, 408 e erros de rede', () => {
+    expect(isRetryableError(httpError(503))).toBe(true);
+    expect(isRetryableError(httpError(429))).toBe(true);
+    expect(isRetryableError(httpError(408))).toBe(true);
+    expect(isRetryableError(networkError('ECONNRESET'))).toBe(true);
+    expect(isRetryableError(networkError('ECONNREFUSED'))).toBe(true);
+  });
+
+  test('não repete 4xx, validação e erros locais', () => {
+    expect(isRetryableError(httpError(400))).toBe(false);
+    expect(isRetryableError(Object.assign(new Error('CPF inválido'), { name: 'ScreenValidationError' }))).toBe(false);
+    expect(isRetryableError(new CircuitBreakerError('Circuit breaker is OPEN: crm', 'crm'))).toBe(false);
+  });
+
+  test('APIError de circuito aberto não é repetido apesar do code 503', () => {
+    const error = apiError('Serviço temporariamente indisponível', 503, new CircuitBreakerError('OPEN', 'crm'));
+
+    expect(isRetryableError(error)).toBe(false);
+  });
+
+  test('APIError é classificado pelo erro encapsulado, não pelo code', () => {
+    expect(isRetryableError(apiError('Bad Gateway', 503, httpError(503)))).toBe(true);
+    expect(isRetryableError(apiError('Not Found', 404, httpError(404)))).toBe(false);
+    expect(isRetryableError(apiError('socket hang up', 500, networkError('ECONNRESET')))).toBe(true);
+    expect(isRetryableError(apiError('Erro desconhecido', 500, new Error('Erro desconhecido')))).toBe(false);
+  });
+
+  test('isConnectionError procura o código nos erros encapsulados', () => {
+    expect(isConnectionError(apiError('falha', 500, networkError('ENOTFOUND')))).toBe(true);
+    expect(isConnectionError(networkError('ECONNRESET'))).toBe(false);
+  });
+});
+
+describe('RetryPolicy', () => {
+  const fastPolicy = (options = {}) => new RetryPolicy({ baseDelay: 1, maxDelay: 1, jitter: 0, ...options });
+
+  test('repete erro transitório até o sucesso e informa as tentativas', async () => {
+    const operation = jest.fn()
+      .mockRejectedValueOnce(httpError(503))
+      .mockResolvedValueOnce('ok');
+    const onSettled = jest.fn();
+
+    await expect(fastPolicy().execute(operation, { onSettled })).resolves.toBe('ok');
+    expect(operation.mock.calls).toEqual([[1], [2]]);
+    expect(onSettled).toHaveBeenCalledWith({ attempts: 2, success: true });
+  });
+
+  test('erro definitivo falha na primeira tentativa', async () => {
+    const operation = jest.fn().mockRejectedValue(apiError('OPEN', 503, new CircuitBreakerError('OPEN', 'crm')));
+
+    await expect(fastPolicy().execute(operation)).rejects.toThrow('OPEN');
+    expect(operation).toHaveBeenCalledTimes(1);
+  });
+
+  test('para em maxAttempts e repassa o último erro', async () => {
+    const operation = jest.fn().mockRejectedValue(httpError(502));
+    const onSettled = jest.fn();
+
+    await expect(fastPolicy({ maxAttempts: 3 }).execute(operation, { onSettled })).rejects.toThrow('HTTP 502');
+    expect(operation).toHaveBeenCalledTimes(3);
+    expect(onSettled).toHaveBeenCalledWith(expect.objectContaining({ attempts: 3, success: false }));
+  });
+
+  test('não agenda tentativa que passaria do deadline', async () => {
+    const operation = jest.fn().mockRejectedValue(httpError(503));
+    const policy = new RetryPolicy({ baseDelay: 100, jitter: 0, deadline: 50 });
+
+    await expect(policy.execute(operation)).rejects.toThrow('HTTP 503');
+    expect(operation).toHaveBeenCalledTimes(1);
+  });
+
+  test('signal abortado interrompe as tentativas', async () => {
+    const controller = new AbortController();
+    const operation = jest.fn(async () => {
+      controller.abort(new Error('Tempo limite excedido'));
+      throw httpError(503);
+    });
+
+    await expect(fastPolicy().execute(operation, { signal: controller.signal })).rejects.toThrow('HTTP 503');
+    expect(operation).toHaveBeenCalledTimes(1);
+  });
+
+  test('delayFor cresce exponencialmente até maxDelay', () => {
+    const policy = new RetryPolicy({ baseDelay: 100, maxDelay: 300, jitter: 0 });
+
+    expect([1, 2, 3].map(attempt => policy.delayFor(attempt))).toEqual([100, 200, 300]);
+    expect(policy.with({ maxAttempts: 1 })).toMatchObject({ maxAttempts: 1, baseDelay: 100 });
+  });
+});
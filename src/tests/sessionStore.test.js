@@ -0,0 +1,44 @@
+// tests/sessionStore.test.js
+const { SessionStore } = require('../services/sessionStore');
+const { MemoryStorage } = require('../services/storage');
+
+describe('SessionStore: histórico de navegação', () => {
+  let store;
+  beforeEach(() => {
+    store = new SessionStore(new MemoryStorage());
+  });
+
+  test('escritas concorrentes do mesmo flow_token não perdem telas do histórico', async () => {
+    await Promise.all(['a', 'b', 'c'].map(screen => store.pushHistory('token', { screen, data: {} })));
+
+    const { history } = await store.get('token');
+    expect(history.map(entry => entry.screen)).toEqual(['a', 'b', 'c']);
+  });
+
+  test('popHistory concorrente com recordScreen preserva as duas alterações', async () => {
+    await store.pushHistory('token', { screen: 'a', data: {} });
+    await store.pushHistory('token', { screen: 'b', data: {} });
+
+    const [previous] = await Promise.all([
+      store.popHistory('token', 'b'),
+      store.recordScreen('token', 'b', { leadId: 3 })
+    ]);
+
+    expect(previous).toEqual({ screen: 'a', data: {} });
+    expect(await store.get('token')).toMatchObject({
+      leadId: 3,
+      screens: ['b'],
+      history: [{ screen: 'a', data: {} }]
+    });
+  });
+
+  test('falha ao gravar não trava as escritas seguintes do flow_token', async () => {
+    jest.spyOn(store.storage, 'set').mockRejectedValueOnce(new Error('disco cheio'));
+
+    await expect(store.pushHistory('token', { screen: 'a', data: {} })).rejects.toThrow('disco cheio');
+    await store.pushHistory('token', { screen: 'b', data: {} });
+
+    expect((await store.get('token')).history).toEqual([{ screen: 'b', data: {} }]);
+    expect(store.queues.size).toBe(0);
+  });
+});
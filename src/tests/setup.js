@@ -0,0 +1,4 @@
+// Configuração comum dos testes (jest.setupFiles no package.json): logs silenciados
+const { Logger } = require('../utils/logger');
+
+Logger.silent = true;
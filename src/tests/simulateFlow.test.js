@@ -0,0 +1,46 @@
+// tests/simulateFlow.test.js
+const { parseArgs, askFields } = require('../simulateFlow');
+
+// Prompt com respostas pré-definidas, na ordem das perguntas
+const prompt = (...answers) => ({
+  question: jest.fn(async () => answers.shift())
+});
+
+describe('parseArgs', () => {
+  test('lê o flowType e as opções --nome valor', () => {
+    expect(parseArgs(['inss', '--url', 'http://localhost:3000/', '--tenant', 'parceiro', '--wa-id', '5585999999999']))
+      .toEqual({ flowType: 'inss', url: 'http://localhost:3000/', tenant: 'parceiro', 'wa-id': '5585999999999' });
+  });
+
+  test('opções antes do flowType e sem flowType', () => {
+    expect(parseArgs(['--version', '2.1', 'gov-ce'])).toEqual({ flowType: 'gov-ce', version: '2.1' });
+    expect(parseArgs([])).toEqual({ flowType: null });
+  });
+});
+
+describe('askFields', () => {
+  test('envia os valores digitados como texto e listas/objetos em JSON', async () => {
+    const rl = prompt('12345678909', '["frente.jpg"]', '{"agencia":"0001"}', '[inválido');
+
+    const data = await askFields(rl, ['cpf', 'rg', 'conta', 'obs'], {});
+
+    expect(data).toEqual({ cpf: '12345678909', rg: ['frente.jpg'], conta: { agencia: '0001' }, obs: '[inválido' });
+    expect(rl.question).toHaveBeenCalledWith('  cpf: ');
+  });
+
+  test('sugere os valores do data da tela e Enter os mantém', async () => {
+    const rl = prompt('', '', '  Centro  ');
+
+    const data = await askFields(rl, ['leadId', 'cidade', 'bairro'], { leadId: 7, cidade: 'Fortaleza' });
+
+    expect(data).toEqual({ leadId: 7, cidade: 'Fortaleza', bairro: 'Centro' });
+    expect(rl.question.mock.calls.map(([text]) => text)).toEqual(['  leadId [7]: ', '  cidade [Fortaleza]: ', '  bairro: ']);
+  });
+
+  test('comando digitado interrompe as perguntas', async () => {
+    const rl = prompt('12345678909', ':back');
+
+    await expect(askFields(rl, ['cpf', 'nome', 'email'], {})).resolves.toBe(':back');
+    expect(rl.question).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,38 @@
+// tests/tenants.test.js
+// config/tenants lê TENANTS_CONFIG ao ser carregado
+const loadTenants = (json) => {
+  const previous = process.env.TENANTS_CONFIG;
+  process.env.TENANTS_CONFIG = json;
+  try {
+    let tenants;
+    jest.isolateModules(() => {
+      tenants = require('../config/tenants');
+    });
+    return tenants;
+  } finally {
+    if (previous === undefined) delete process.env.TENANTS_CONFIG;
+    else process.env.TENANTS_CONFIG = previous;
+  }
+};
+
+describe('config/tenants', () => {
+  test('acrescenta os tenants de TENANTS_CONFIG ao tenant padrão', () => {
+    const tenants = loadTenants('[{"id":"parceiro","crm":{"baseUrl":"https://crm.parceiro"}}]');
+
+    expect(tenants.map(tenant => tenant.id)).toEqual(['default', 'parceiro']);
+  });
+
+  test('TENANTS_CONFIG inválido lança TenantError indicando a variável', () => {
+    const error = (() => {
+      try {
+        loadTenants('[{"id":');
+      } catch (e) {
+        return e;
+      }
+    })();
+
+    expect(error).toMatchObject({ name: 'TenantError', code: 'TENANT_ERROR' });
+    expect(error.message).toMatch(/^TENANTS_CONFIG não é um JSON válido/);
+    expect(() => loadTenants('{"id":"parceiro"}')).toThrow('TENANTS_CONFIG deve ser uma lista de tenants');
+  });
+});
@@ -1,14 +1,29 @@
 // src/utils/circuitBreaker.js
 
 class CircuitBreakerError extends Error {
-    constructor(message) {
+    constructor(message, name = null) {
       super(message);
       this.name = 'CircuitBreakerError';
+      this.code = 'CIRCUIT_OPEN';
+      this.dependency = name;
     }
   }
   
   class CircuitBreaker {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.name] - Nome da dependência protegida
+     * @param {number} [options.failureThreshold=5] - Falhas para abrir o circuito
+     * @param {number} [options.resetTimeout=60000] - Tempo aberto antes de tentar HALF_OPEN
+     * @param {number} [options.successThreshold=2] - Sucessos em HALF_OPEN para fechar
+     * @param {string|Function} [options.fallback='throw'] - Comportamento com circuito aberto:
+     *   'throw' (CircuitBreakerError), 'value' (retorna fallbackValue) ou função (error) => valor
+     * @param {*} [options.fallbackValue] - Valor retornado quando fallback = 'value'
+     * @param {Function} [options.isFailure] - Define se um erro conta como falha (padrão: todos)
+     * @param {Function} [options.onStateChange] - Chamado com (name, from, to, state)
+     */
     constructor(options = {}) {
+      this.name = options.name || 'default';
       this.failureThreshold = options.failureThreshold || 5;
       this.resetTimeout = options.resetTimeout || 60000; // 60 segundos
       this.state = 'CLOSED';
@@ -16,14 +31,18 @@ class CircuitBreakerError extends Error {
       this.lastFailureTime = null;
       this.successThreshold = options.successThreshold || 2;
       this.successCount = 0;
+      this.fallback = options.fallback || 'throw';
+      this.fallbackValue = options.fallbackValue;
+      this.isFailure = options.isFailure || (() => true);
+      this.onStateChange = options.onStateChange || (() => {});
     }
   
     async execute(operation) {
       if (this.state === 'OPEN') {
         if (Date.now() - this.lastFailureTime >= this.resetTimeout) {
-          this.state = 'HALF_OPEN';
+          this.transition('HALF_OPEN');
         } else {
-          throw new CircuitBreakerError('Circuit breaker is OPEN');
+          return this.handleOpen();
         }
       }
   
@@ -35,29 +54,55 @@ class CircuitBreakerError extends Error {
           if (this.successCount >= this.successThreshold) {
             this.reset();
           }
+        } else {
+          this.failures = 0;
         }
   
         return result;
       } catch (error) {
-        this.handleFailure();
+        if (this.isFailure(error)) {
+          this.handleFailure();
+        }
         throw error;
       }
     }
+
+    // Aplica o fallback configurado quando o circuito está aberto
+    handleOpen() {
+      const error = new CircuitBreakerError(`Circuit breaker is OPEN: ${this.name}`, this.name);
+
+      if (typeof this.fallback === 'function') {
+        return this.fallback(error);
+      }
+      if (this.fallback === 'value') {
+        return this.fallbackValue;
+      }
+      throw error;
+    }
   
     handleFailure() {
       this.failures++;
       this.lastFailureTime = Date.now();
   
-      if (this.failures >= this.failureThreshold) {
-        this.state = 'OPEN';
+      if (this.state === 'HALF_OPEN' || this.failures >= this.failureThreshold) {
+        this.successCount = 0;
+        this.transition('OPEN');
       }
     }
   
     reset() {
       this.failures = 0;
       this.successCount = 0;
-      this.state = 'CLOSED';
       this.lastFailureTime = null;
+      this.transition('CLOSED');
+    }
+
+    transition(state) {
+      const previous = this.state;
+      this.state = state;
+      if (previous !== state) {
+        this.onStateChange(this.name, previous, state, this.getState());
+      }
     }
   
     getState() {
@@ -70,4 +115,58 @@ class CircuitBreakerError extends Error {
     }
   }
 
-  module.exports.CircuitBreaker = CircuitBreaker;
\ No newline at end of file
+  /**
+   * Registro de circuit breakers, um por dependência externa.
+   * Cada dependência usa as próprias configurações, mescladas aos valores padrão.
+   * Circuitos com escopo (`dependência:escopo`, ex.: crm:parceiro) são independentes e usam
+   * as configurações da dependência.
+   *
+   * @example
+   * const registry = new CircuitBreakerRegistry({ crm: { failureThreshold: 5 } });
+   * const data = await registry.execute('crm', () => axios.get(url));
+   */
+  class CircuitBreakerRegistry {
+    /**
+     * @param {Object<string, Object>} [dependencies] - Opções por dependência
+     * @param {Object} [defaults] - Opções aplicadas a todas as dependências
+     */
+    constructor(dependencies = {}, defaults = {}) {
+      this.dependencies = dependencies;
+      this.defaults = defaults;
+      this.breakers = new Map();
+
+      // Cria os breakers configurados de antemão para que apareçam nos relatórios de estado
+      Object.keys(dependencies).forEach(name => this.get(name));
+    }
+
+    get(name) {
+      if (!this.breakers.has(name)) {
+        this.breakers.set(name, new CircuitBreaker({
+          ...this.defaults,
+          ...(this.dependencies[name] || this.dependencies[name.split(':')[0]]),
+          name
+        }));
+      }
+      return this.breakers.get(name);
+    }
+
+    execute(name, operation) {
+      return this.get(name).execute(operation);
+    }
+
+    getStates() {
+      const states = {};
+      for (const [name, breaker] of this.breakers) {
+        states[name] = breaker.getState();
+      }
+      return states;
+    }
+
+    hasOpenCircuit() {
+      return [...this.breakers.values()].some(breaker => breaker.state === 'OPEN');
+    }
+  }
+
+  module.exports.CircuitBreaker = CircuitBreaker;
+  module.exports.CircuitBreakerError = CircuitBreakerError;
+  module.exports.CircuitBreakerRegistry = CircuitBreakerRegistry;
@@ -0,0 +1,31 @@
+// utils/errors.js
+
+/**
+ * Erro de validação dos dados de uma tela. `screen` indica a tela em que o usuário deve
+ * corrigir o dado (os handlers respondem com essa tela e a mensagem do erro).
+ */
+class ScreenValidationError extends Error {
+  constructor(message, screen) {
+    super(message);
+    this.name = 'ScreenValidationError';
+    this.code = 'SCREEN_VALIDATION_ERROR';
+    this.screen = screen;
+  }
+}
+
+/**
+ * Tenant inexistente, inválido ou com configuração inválida (ver services/tenantService).
+ */
+class TenantError extends Error {
+  constructor(message, tenantId) {
+    super(message);
+    this.name = 'TenantError';
+    this.code = 'TENANT_ERROR';
+    this.tenantId = tenantId;
+  }
+}
+
+module.exports = {
+  ScreenValidationError,
+  TenantError
+};
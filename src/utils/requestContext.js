@@ -0,0 +1,122 @@
+// src/utils/requestContext.js
+/**
+ * Contexto de cancelamento por requisição.
+ *
+ * O FlowManager cria um AbortSignal para cada requisição do WhatsApp e executa o handler
+ * dentro deste contexto. Os clientes HTTP (makeRequest, AddressService, BenefitsService,
+ * uploadFiles) usam o signal recebido explicitamente ou, na falta dele, o signal do contexto,
+ * de modo que um timeout cancela de fato as chamadas pendentes.
+ *
+ * @example
+ * const controller = new AbortController();
+ * await requestContext.run({ signal: controller.signal }, () => handler(data));
+ * // em qualquer ponto da cadeia de chamadas:
+ * axios.get(url, { signal: requestContext.getSignal() });
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+class RequestAbortedError extends Error {
+  constructor(message = 'Operação cancelada', reason = null) {
+    super(message);
+    this.name = 'RequestAbortedError';
+    this.code = 'ABORTED';
+    this.reason = reason;
+  }
+}
+
+class RequestContext {
+  constructor() {
+    this.storage = new AsyncLocalStorage();
+  }
+
+  /**
+   * Executa a função com o contexto informado ({ signal, ... }).
+   * @param {Object} context
+   * @param {Function} fn
+   */
+  run(context, fn) {
+    return this.storage.run({ ...this.storage.getStore(), ...context }, fn);
+  }
+
+  get() {
+    return this.storage.getStore() || {};
+  }
+
+  /**
+   * Signal da requisição atual (ou o signal explícito, quando informado).
+   * @param {AbortSignal} [signal]
+   * @returns {AbortSignal|undefined}
+   */
+  getSignal(signal) {
+    return signal || this.get().signal;
+  }
+
+  /**
+   * Cria um AbortController filho que também é abortado pelo signal pai e após `timeout` ms.
+   * O chamador deve chamar `dispose()` ao terminar para liberar o timer e o listener.
+   *
+   * @param {AbortSignal} [parent]
+   * @param {number} [timeout]
+   * @returns {{ signal: AbortSignal, abort: Function, dispose: Function }}
+   */
+  createChild(parent, timeout) {
+    const controller = new AbortController();
+    const abortFromParent = () => controller.abort(parent.reason);
+
+    if (parent?.aborted) {
+      controller.abort(parent.reason);
+    } else {
+      parent?.addEventListener('abort', abortFromParent, { once: true });
+    }
+
+    const timer = timeout
+      ? setTimeout(() => controller.abort(new RequestAbortedError('Tempo limite excedido')), timeout)
+      : null;
+
+    return {
+      signal: controller.signal,
+      abort: (reason) => controller.abort(reason),
+      dispose: () => {
+        clearTimeout(timer);
+        parent?.removeEventListener('abort', abortFromParent);
+      }
+    };
+  }
+}
+
+/**
+ * Lança RequestAbortedError se o signal já foi abortado.
+ * @param {AbortSignal} [signal]
+ */
+function throwIfAborted(signal) {
+  if (signal?.aborted) {
+    const reason = signal.reason;
+    throw reason instanceof Error ? reason : new RequestAbortedError(undefined, reason);
+  }
+}
+
+/**
+ * Promessa que rejeita quando o signal é abortado (para usar em Promise.race).
+ * @param {AbortSignal} signal
+ * @returns {{ promise: Promise<never>, dispose: Function }}
+ */
+function abortPromise(signal) {
+  let onAbort;
+  const promise = new Promise((_, reject) => {
+    onAbort = () => reject(signal.reason instanceof Error ? signal.reason : new RequestAbortedError());
+    if (signal.aborted) onAbort();
+    else signal.addEventListener('abort', onAbort, { once: true });
+  });
+  return { promise, dispose: () => signal.removeEventListener('abort', onAbort) };
+}
+
+const requestContext = new RequestContext();
+
+module.exports = {
+  requestContext,
+  RequestContext,
+  RequestAbortedError,
+  throwIfAborted,
+  abortPromise
+};
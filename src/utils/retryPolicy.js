@@ -0,0 +1,196 @@
+// src/utils/retryPolicy.js
+/**
+ * Políticas de retry cientes do tipo de erro.
+ *
+ * Só erros transitórios são repetidos (rede, timeout, 5xx e 429). Erros 4xx, de validação,
+ * de rate limit local e de circuito aberto falham na primeira tentativa.
+ * O intervalo entre tentativas usa backoff exponencial com jitter e respeita um prazo total
+ * (deadline), para não estourar o tempo de resposta esperado pelo WhatsApp.
+ *
+ * @example
+ * const policy = new RetryPolicy({ maxAttempts: 3, deadline: 5000 });
+ * const data = await policy.execute(() => axios.get(url), {
+ *   onSettled: ({ attempts }) => telemetry.trackCustomMetric('RetryCount', attempts - 1)
+ * });
+ */
+
+const { Logger } = require('./logger');
+const { throwIfAborted } = require('./requestContext');
+
+// Erros de rede em que a requisição pode ter chegado (ou não) ao destino
+const TRANSIENT_NETWORK_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EPIPE', 'ESOCKETTIMEDOUT'];
+
+// Erros em que a conexão nem foi estabelecida: seguros até para escritas
+const CONNECTION_ERROR_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+
+// Erros de rede: a requisição não obteve resposta da dependência
+const NETWORK_ERROR_CODES = [...CONNECTION_ERROR_CODES, ...TRANSIENT_NETWORK_CODES, 'ERR_NETWORK'];
+
+// Erros locais que nunca devem ser repetidos
+const NON_RETRYABLE_NAMES = ['CircuitBreakerError', 'RateLimitError', 'FlowDefinitionError', 'RequestAbortedError', 'CanceledError'];
+
+// Só o status HTTP classifica o erro: `code` de erros encapsuladores (ex.: APIError 503 de
+// circuito aberto) não indica uma resposta da dependência
+function statusOf(error) {
+  const status = error?.response?.status ?? error?.status;
+  return Number.isInteger(status) ? status : null;
+}
+
+// Erro local, direto ou encapsulado (ex.: APIError com originalError CircuitBreakerError)
+function isLocalError(error) {
+  if (!error) return false;
+  if (NON_RETRYABLE_NAMES.includes(error.name) || /ValidationError$/.test(error.name || '')) return true;
+  return isLocalError(error.originalError);
+}
+
+/**
+ * Verifica se a conexão falhou antes do envio da requisição.
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isConnectionError(error) {
+  if (!error) return false;
+  if (CONNECTION_ERROR_CODES.includes(error.code)) return true;
+  return isConnectionError(error.originalError);
+}
+
+/**
+ * Verifica se a requisição falhou na rede, sem resposta da dependência (conexão recusada,
+ * DNS, reset, timeout).
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isNetworkError(error) {
+  if (!error) return false;
+  if (NETWORK_ERROR_CODES.includes(error.code)) return true;
+  return isNetworkError(error.originalError);
+}
+
+/**
+ * Classifica o erro como transitório (vale repetir) ou definitivo.
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isRetryableError(error) {
+  if (!error) return false;
+
+  if (isLocalError(error)) {
+    return false;
+  }
+
+  const status = statusOf(error);
+  if (status) {
+    return status >= 500 || status === 429 || status === 408;
+  }
+
+  if (CONNECTION_ERROR_CODES.includes(error.code) || TRANSIENT_NETWORK_CODES.includes(error.code)) {
+    return true;
+  }
+
+  // APIError e similares encapsulam o erro do axios
+  if (error.originalError) {
+    return isRetryableError(error.originalError);
+  }
+
+  return false;
+}
+
+// Espera interrompível pelo signal (a próxima tentativa verifica o cancelamento)
+function sleep(ms, signal) {
+  return new Promise(resolve => {
+    const timer = setTimeout(done, ms);
+    function done() {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', done);
+      resolve();
+    }
+    signal?.addEventListener('abort', done, { once: true });
+  });
+}
+
+class RetryPolicy {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.name='default'] - Nome usado em logs e métricas
+   * @param {number} [options.maxAttempts=3] - Total de tentativas (1 = sem retry)
+   * @param {number} [options.baseDelay=200] - Intervalo base em ms
+   * @param {number} [options.maxDelay=2000] - Intervalo máximo entre tentativas em ms
+   * @param {number} [options.jitter=0.5] - Fração aleatória removida do intervalo (0 a 1)
+   * @param {number} [options.deadline=10000] - Tempo total máximo em ms
+   * @param {Function} [options.isRetryable] - Classificador de erros
+   */
+  constructor(options = {}) {
+    this.name = options.name || 'default';
+    this.maxAttempts = Math.max(1, options.maxAttempts ?? 3);
+    this.baseDelay = options.baseDelay ?? 200;
+    this.maxDelay = options.maxDelay ?? 2000;
+    this.jitter = Math.min(Math.max(options.jitter ?? 0.5, 0), 1);
+    this.deadline = options.deadline ?? 10000;
+    this.isRetryable = options.isRetryable || isRetryableError;
+  }
+
+  /**
+   * Cria uma cópia com opções sobrescritas (ex.: deadline menor para uma tela)
+   * @param {Object} overrides
+   * @returns {RetryPolicy}
+   */
+  with(overrides = {}) {
+    return new RetryPolicy({ ...this, ...overrides });
+  }
+
+  delayFor(attempt) {
+    const exponential = Math.min(this.baseDelay * Math.pow(2, attempt - 1), this.maxDelay);
+    return Math.round(exponential * (1 - this.jitter * Math.random()));
+  }
+
+  /**
+   * Executa a operação aplicando a política.
+   * @param {Function} operation - Recebe o número da tentativa (1..maxAttempts)
+   * @param {Object} [hooks]
+   * @param {AbortSignal} [hooks.signal] - Interrompe as tentativas e a espera entre elas
+   * @param {Function} [hooks.onSettled] - Chamado ao final com { attempts, success, error }
+   * @returns {Promise<*>}
+   */
+  async execute(operation, { signal, onSettled } = {}) {
+    const startTime = Date.now();
+    let attempt = 0;
+
+    while (true) {
+      attempt++;
+      try {
+        throwIfAborted(signal);
+        const result = await operation(attempt);
+        onSettled?.({ attempts: attempt, success: true });
+        return result;
+      } catch (error) {
+        const delay = this.delayFor(attempt);
+        const elapsed = Date.now() - startTime;
+        const canRetry = !signal?.aborted &&
+          attempt < this.maxAttempts &&
+          elapsed + delay < this.deadline &&
+          this.isRetryable(error);
+
+        if (!canRetry) {
+          onSettled?.({ attempts: attempt, success: false, error });
+          throw error;
+        }
+
+        Logger.info('Nova tentativa agendada', {
+          policy: this.name,
+          attempt,
+          delay,
+          error: error.message
+        });
+        await sleep(delay, signal);
+      }
+    }
+  }
+}
+
+module.exports = {
+  RetryPolicy,
+  isRetryableError,
+  isConnectionError,
+  isNetworkError,
+  sleep
+};
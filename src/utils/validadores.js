@@ -0,0 +1,11 @@
+// utils/validadores.js
+const Validators = require('./validators');
+
+/**
+ * Validadores padrão dos controllers (`this.validadores`); controllers com regras próprias
+ * substituem as funções no construtor.
+ */
+module.exports = {
+  nome: (nome = '', screen = 'signup') => Validators.validateName(nome, screen),
+  nomeMae: (nomeMae = '', screen = 'information') => Validators.validateName(nomeMae, screen)
+};
@@ -1,3 +1,5 @@
+const { ScreenValidationError } = require('./errors');
+
 class Validators {
     static validateName(nome, screen) {
       const nomeValido = nome.replace(/[^a-zA-ZÀ-ÿ\s]/g, '').trim();
@@ -0,0 +1,66 @@
+/* Valida o roteamento entre definições de fluxo, handlers dos controllers e Flow JSON publicado
+ * (ver flows/routingValidator). Use antes do deploy para pegar divergências de nomes de tela.
+ *
+ * Uso:
+ *
+ *             node src/validateFlows.js [flowType...] [--flow-json <chave>=<arquivo>]...
+ *
+ *   <chave> é o flowType (definição base) ou flowType@version, ex.:
+ *
+ *             node src/validateFlows.js gov-ce --flow-json gov-ce=flows/gov-ce.json
+ *
+ * Termina com código 1 se houver erros; avisos não alteram o código de saída.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Logger } = require('./utils/logger');
+
+// Silencia os logs de inicialização dos serviços carregados pelos controllers
+Logger.level = 'error';
+
+const { flowRegistry } = require('./flows');
+const { validateRegistry } = require('./flows/routingValidator');
+
+function parseArgs(argv) {
+  const args = { flowTypes: [], flowJsons: {} };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--flow-json') {
+      const [key, file] = (argv[++i] || '').split('=');
+      args.flowJsons[key] = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+    } else {
+      args.flowTypes.push(argv[i]);
+    }
+  }
+  return args;
+}
+
+function main(argv = process.argv.slice(2)) {
+  const { flowTypes, flowJsons } = parseArgs(argv);
+  const unknown = flowTypes.filter(flowType => !flowRegistry.has(flowType));
+
+  if (unknown.length) {
+    console.error(`Fluxos desconhecidos: ${unknown.join(', ')}. Disponíveis: ${flowRegistry.listFlowTypes().join(', ')}`);
+    return 2;
+  }
+
+  const issues = validateRegistry(flowRegistry, {
+    flowTypes: flowTypes.length ? flowTypes : undefined,
+    flowJsons
+  });
+
+  for (const { severity, code, flow, screen, message } of issues) {
+    console.log(`${severity === 'error' ? 'ERRO ' : 'AVISO'} ${flow} [${screen}] ${code}: ${message}`);
+  }
+
+  const errors = issues.filter(issue => issue.severity === 'error').length;
+  console.log(`\n${errors} erro(s), ${issues.length - errors} aviso(s)`);
+  return errors ? 1 : 0;
+}
+
+// process.exit: os serviços carregados pelos controllers mantêm timers de limpeza ativos
+if (require.main === module) {
+  process.exit(main());
+}
+
+module.exports = { main };